@@ -0,0 +1,139 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const { readMailbox, clearMailbox } = require('../../utils/mailer');
+const {
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Password Reset and Email Verification Integration Tests', () => {
+  const credentials = { email: 'mail@test.com', password: 'mail1234' };
+
+  // Token from the link in the newest mail to `email`
+  const tokenFromLastMail = async (email) => {
+    const messages = (await readMailbox()).filter(message => message.to[0].address === email);
+    const match = /\?token=([a-f0-9]+)/.exec(messages[messages.length - 1].text);
+    return match[1];
+  };
+
+  const login = (password) => request(app)
+    .post('/api/auth/login')
+    .send({ email: credentials.email, password });
+
+  beforeEach(async () => {
+    await clearMailbox();
+  });
+
+  afterAll(async () => {
+    await clearMailbox();
+  });
+
+  describe('Email verification', () => {
+    it('should send a verification link on registration and verify with it', async () => {
+      const registration = await request(app)
+        .post('/api/auth/register')
+        .send(credentials);
+      expect(registration.body.data.user.emailVerified).toBe(false);
+
+      const token = await tokenFromLastMail(credentials.email);
+      const response = await request(app).get(`/api/auth/verify-email?token=${token}`);
+
+      expectSuccessResponse(response, 200);
+      expect((await User.findOne({ email: credentials.email })).emailVerified).toBe(true);
+
+      // Single use
+      const again = await request(app).get(`/api/auth/verify-email?token=${token}`);
+      expectErrorResponse(again, 400, 'invalid or has expired');
+    });
+
+    it('should not store the token in plain text', async () => {
+      await request(app).post('/api/auth/register').send(credentials);
+
+      const token = await tokenFromLastMail(credentials.email);
+      const user = await User.findOne({ email: credentials.email }).select('+emailVerificationToken');
+
+      expect(user.emailVerificationToken).toBeTruthy();
+      expect(user.emailVerificationToken).not.toBe(token);
+    });
+  });
+
+  describe('Password reset', () => {
+    beforeEach(async () => {
+      await User.create(credentials);
+    });
+
+    it('should reset the password with the emailed token', async () => {
+      const forgot = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: credentials.email });
+      expectSuccessResponse(forgot, 200);
+
+      const token = await tokenFromLastMail(credentials.email);
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'brandnew123' });
+
+      expectSuccessResponse(reset, 200);
+      expectSuccessResponse(await login('brandnew123'), 200);
+      expectErrorResponse(await login(credentials.password), 401);
+
+      // Single use
+      const reuse = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'another123' });
+      expectErrorResponse(reuse, 400, 'invalid or has expired');
+    });
+
+    it('should answer the same for unknown emails without sending mail', async () => {
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@test.com' });
+
+      expectSuccessResponse(response, 200);
+      expect(await readMailbox()).toHaveLength(0);
+    });
+
+    it('should reject expired tokens', async () => {
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      const token = await tokenFromLastMail(credentials.email);
+      await User.updateOne({ email: credentials.email }, { $set: { passwordResetExpires: new Date(Date.now() - 1000) } });
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'brandnew123' });
+
+      expectErrorResponse(response, 400, 'invalid or has expired');
+    });
+
+    it('should lift a login lockout', async () => {
+      await User.updateOne({ email: credentials.email }, {
+        $set: { failedLoginCount: 6, lastFailedLoginAt: new Date(), lockedUntil: new Date(Date.now() + 60 * 60 * 1000) }
+      });
+      expectErrorResponse(await login(credentials.password), 429);
+
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      const reset = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: await tokenFromLastMail(credentials.email), password: 'brandnew123' });
+      expectSuccessResponse(reset, 200);
+
+      expect((await User.findOne({ email: credentials.email })).failedLoginCount).toBe(0);
+      expectSuccessResponse(await login('brandnew123'), 200);
+    });
+
+    it('should log out existing sessions', async () => {
+      const { token: accessToken } = (await login(credentials.password)).body.data;
+
+      await request(app).post('/api/auth/forgot-password').send({ email: credentials.email });
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: await tokenFromLastMail(credentials.email), password: 'brandnew123' });
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`);
+      expectErrorResponse(response, 401);
+    });
+  });
+});
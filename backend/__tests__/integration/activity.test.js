@@ -0,0 +1,119 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const TaskActivity = require('../../models/TaskActivity');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Task Activity Integration Tests', () => {
+  let users, adminToken, user1Token, user2Token;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+    user1Token = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
+  });
+
+  it('should record a created entry when a task is created', async () => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${user1Token}`)
+      .field('title', 'Audited task')
+      .field('priority', 'high');
+
+    expectSuccessResponse(response, 201);
+
+    const activity = await TaskActivity.find({ task: response.body.data._id });
+    expect(activity).toHaveLength(1);
+    expect(activity[0].action).toBe('created');
+    expect(activity[0].changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'title', from: null, to: 'Audited task' }),
+      expect.objectContaining({ field: 'priority', from: null, to: 'high' })
+    ]));
+  });
+
+  it('should record a field-level diff on update', async () => {
+    const task = await createTestTask(users.user1._id);
+
+    await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${user1Token}`)
+      .field('status', 'in_progress')
+      .field('assignedTo', users.user2._id.toString());
+
+    const response = await request(app)
+      .get(`/api/tasks/${task._id}/activity`)
+      .set('Authorization', `Bearer ${user1Token}`);
+
+    expectSuccessResponse(response, 200);
+    const [update] = response.body.data.activities;
+    expect(update.action).toBe('updated');
+    expect(update.actor.email).toBe(users.user1.email);
+    expect(update.changes).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'status', from: 'pending', to: 'in_progress' }),
+      expect.objectContaining({ field: 'assignedTo', from: null, toLabel: users.user2.email })
+    ]));
+  });
+
+  it('should not record an entry when nothing changed', async () => {
+    const task = await createTestTask(users.user1._id);
+
+    await request(app)
+      .put(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${user1Token}`)
+      .field('status', 'pending');
+
+    expect(await TaskActivity.countDocuments({ task: task._id, action: 'updated' })).toBe(0);
+  });
+
+  it('should paginate the history', async () => {
+    const task = await createTestTask(users.user1._id);
+    for (let i = 0; i < 3; i++) {
+      await TaskActivity.create({ task: task._id, actor: users.user1._id, action: 'updated' });
+    }
+
+    const response = await request(app)
+      .get(`/api/tasks/${task._id}/activity?page=2&limit=2`)
+      .set('Authorization', `Bearer ${user1Token}`);
+
+    expectSuccessResponse(response, 200);
+    expect(response.body.data.activities).toHaveLength(1);
+    expect(response.body.data.pagination).toMatchObject({ currentPage: 2, totalPages: 2, totalItems: 3 });
+  });
+
+  it('should deny users who cannot view the task', async () => {
+    const task = await createTestTask(users.user1._id);
+
+    const response = await request(app)
+      .get(`/api/tasks/${task._id}/activity`)
+      .set('Authorization', `Bearer ${user2Token}`);
+
+    expectErrorResponse(response, 403);
+  });
+
+  it('should keep the history of deleted tasks readable for admins', async () => {
+    const task = await createTestTask(users.user1._id);
+
+    await request(app)
+      .delete(`/api/tasks/${task._id}`)
+      .set('Authorization', `Bearer ${user1Token}`);
+
+    const asOwner = await request(app)
+      .get(`/api/tasks/${task._id}/activity`)
+      .set('Authorization', `Bearer ${user1Token}`);
+    expectErrorResponse(asOwner, 404);
+
+    const asAdmin = await request(app)
+      .get(`/api/tasks/${task._id}/activity`)
+      .set('Authorization', `Bearer ${adminToken}`);
+    expectSuccessResponse(asAdmin, 200);
+    expect(asAdmin.body.data.activities[0].action).toBe('deleted');
+    expect(asAdmin.body.data.activities[0].details.title).toBe(task.title);
+  });
+});
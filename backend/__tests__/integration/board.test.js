@@ -0,0 +1,160 @@
+const request = require('supertest');
+const { app, io } = require('../../server');
+const Task = require('../../models/Task');
+const TaskActivity = require('../../models/TaskActivity');
+const Workflow = require('../../models/Workflow');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Board Integration Tests', () => {
+  let users, userToken, user2Token;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    userToken = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
+  });
+
+  const moveTask = (task, body, token = userToken) => request(app)
+    .put(`/api/tasks/${task._id}/reorder`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const column = async (status) => {
+    const response = await request(app)
+      .get('/api/tasks')
+      .query({ status, sortBy: 'rank', sortOrder: 'asc', limit: 100 })
+      .set('Authorization', `Bearer ${userToken}`);
+    return response.body.data.tasks.map(task => task.title);
+  };
+
+  describe('Ranks', () => {
+    it('should add new tasks to the bottom of their column', async () => {
+      const first = await createTestTask(users.user1._id, null, { title: 'First' });
+      const second = await createTestTask(users.user1._id, null, { title: 'Second' });
+
+      expect(typeof first.rank).toBe('number');
+      expect(second.rank).toBeGreaterThanOrEqual(first.rank);
+    });
+  });
+
+  describe('Reorder', () => {
+    let a, b, c;
+
+    beforeEach(async () => {
+      a = await createTestTask(users.user1._id, users.user2._id, { title: 'A', rank: 1000 });
+      b = await createTestTask(users.user1._id, users.user2._id, { title: 'B', rank: 2000 });
+      c = await createTestTask(users.user1._id, users.user2._id, { title: 'C', rank: 3000 });
+    });
+
+    it('should move a task within its column', async () => {
+      const response = await moveTask(c, { previousTask: a._id, nextTask: b._id });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.rank).toBe(1500);
+      expect(await column('pending')).toEqual(['A', 'C', 'B']);
+    });
+
+    it('should move a task to the top and the bottom of a column', async () => {
+      await moveTask(a, { previousTask: c._id, nextTask: null });
+      expect(await column('pending')).toEqual(['B', 'C', 'A']);
+
+      await moveTask(c, { previousTask: null, nextTask: b._id });
+      expect(await column('pending')).toEqual(['C', 'B', 'A']);
+    });
+
+    it('should change the status when a task moves to another column', async () => {
+      const done = await createTestTask(users.user1._id, null, { title: 'Done', status: 'completed', rank: 10 });
+
+      const response = await moveTask(b, { status: 'completed', previousTask: done._id });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.status).toBe('completed');
+      expect(response.body.data.progress).toBe(100);
+      expect(await column('completed')).toEqual(['Done', 'B']);
+
+      const activity = await TaskActivity.findOne({ task: b._id, action: 'updated' });
+      expect(activity.changes).toEqual([expect.objectContaining({ field: 'status', from: 'pending', to: 'completed' })]);
+    });
+
+    it('should not record activity for moves within a column', async () => {
+      await moveTask(a, { previousTask: b._id, nextTask: c._id });
+
+      expect(await TaskActivity.countDocuments({ task: a._id })).toBe(0);
+    });
+
+    it('should still move tasks that are overdue', async () => {
+      await Task.updateOne({ _id: a._id }, { $set: { dueDate: new Date(Date.now() - 60 * 60 * 1000) } });
+
+      const response = await moveTask(a, { status: 'in_progress' });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.status).toBe('in_progress');
+    });
+
+    it('should spread the column out when there is no room between neighbours', async () => {
+      await Task.updateOne({ _id: b._id }, { $set: { rank: 1000 } });
+      await Task.updateOne({ _id: c._id }, { $set: { rank: null } });
+
+      // By rank and then ID: C (no rank yet), A, B
+      const emit = jest.fn();
+      jest.spyOn(io, 'to').mockReturnValue({ emit });
+      const response = await moveTask(c, { previousTask: a._id, nextTask: b._id });
+
+      expectSuccessResponse(response, 200);
+      expect(await column('pending')).toEqual(['A', 'C', 'B']);
+      // Other boards have stale ranks for the whole column now
+      expect(emit).toHaveBeenCalledWith('taskMoved', expect.objectContaining({ renumbered: true }));
+    });
+
+    it('should reject neighbours that are out of order or in another column', async () => {
+      expectErrorResponse(await moveTask(a, { previousTask: c._id, nextTask: b._id }), 409, 'The board has changed');
+      expectErrorResponse(await moveTask(a, { status: 'completed', previousTask: b._id }), 409, 'The board has changed');
+    });
+
+    it('should reject neighbours the user cannot see', async () => {
+      const hidden = await createTestTask(users.admin._id, null, { title: 'Hidden', rank: 1500 });
+
+      expectErrorResponse(await moveTask(a, { previousTask: hidden._id }), 400, 'Neighbouring task not found');
+    });
+
+    it('should follow the workflow transitions', async () => {
+      const workflow = await Workflow.getCurrent();
+      workflow.transitions = workflow.transitions.filter(t => !(t.from === 'pending' && t.to === 'completed'));
+      await workflow.save();
+
+      expectErrorResponse(await moveTask(a, { status: 'completed' }), 400, 'does not allow');
+    });
+
+    it('should not complete a task that is still blocked', async () => {
+      await Task.updateOne({ _id: a._id }, { $set: { blockedBy: [b._id] } });
+
+      expectErrorResponse(await moveTask(a, { status: 'completed' }), 400, 'blocked by: B');
+    });
+
+    it('should only let users who can update the task move it', async () => {
+      const other = await createTestTask(users.admin._id, null, { title: 'Not yours' });
+
+      expectErrorResponse(await moveTask(other, {}, user2Token), 403);
+    });
+
+    it('should tell everyone who can see the task about the move', async () => {
+      const emit = jest.fn();
+      const to = jest.spyOn(io, 'to').mockReturnValue({ emit });
+
+      await moveTask(a, { status: 'in_progress' });
+
+      const [rooms] = to.mock.calls.find(([target]) => Array.isArray(target));
+      expect(rooms).toEqual(expect.arrayContaining([`user_${users.user1._id}`, `user_${users.user2._id}`, `user_${users.admin._id}`]));
+      expect(emit).toHaveBeenCalledWith('taskMoved', expect.objectContaining({
+        task: expect.objectContaining({ title: 'A', status: 'in_progress' }),
+        renumbered: false
+      }));
+    });
+  });
+});
@@ -0,0 +1,160 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Comment = require('../../models/Comment');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Task Comments Integration Tests', () => {
+  let users, task, adminToken, user1Token, user2Token;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+
+    // Created by admin, assigned to user1; user2 has no access
+    task = await createTestTask(users.admin._id, users.user1._id);
+
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+    user1Token = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
+  });
+
+  describe('POST /api/tasks/:id/comments', () => {
+    it('should add a comment for the assignee', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ body: 'Working on it' });
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.body).toBe('Working on it');
+      expect(response.body.data.author.email).toBe(users.user1.email);
+      expect(response.body.data.parentComment).toBeNull();
+    });
+
+    it('should deny users who cannot view the task', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ body: 'Hello' });
+
+      expectErrorResponse(response, 403);
+    });
+
+    it('should reject an empty body', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ body: '   ' });
+
+      expectErrorResponse(response, 400, 'Validation failed');
+    });
+
+    it('should record mentions only for users who can view the task', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ body: `Ping @${users.user1.email} and @${users.user2.email}` });
+
+      expectSuccessResponse(response, 201);
+      const mentionedEmails = response.body.data.mentions.map(user => user.email);
+      expect(mentionedEmails).toEqual([users.user1.email]);
+    });
+
+    it('should create a reply to an existing comment', async () => {
+      const parent = await Comment.create({
+        task: task._id,
+        author: users.admin._id,
+        body: 'Parent'
+      });
+
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ body: 'Reply', parentComment: parent._id.toString() });
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.parentComment).toBe(parent._id.toString());
+    });
+
+    it('should not reply to a comment from another task', async () => {
+      const otherTask = await createTestTask(users.admin._id);
+      const foreign = await Comment.create({
+        task: otherTask._id,
+        author: users.admin._id,
+        body: 'Elsewhere'
+      });
+
+      const response = await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ body: 'Reply', parentComment: foreign._id.toString() });
+
+      expectErrorResponse(response, 400, 'Parent comment not found');
+    });
+  });
+
+  describe('GET /api/tasks/:id/comments', () => {
+    it('should list comments oldest first', async () => {
+      await Comment.create({ task: task._id, author: users.admin._id, body: 'First' });
+      await Comment.create({ task: task._id, author: users.user1._id, body: 'Second' });
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.map(comment => comment.body)).toEqual(['First', 'Second']);
+    });
+  });
+
+  describe('PUT /api/tasks/:id/comments/:commentId', () => {
+    it('should only allow the author to edit', async () => {
+      const comment = await Comment.create({ task: task._id, author: users.user1._id, body: 'Draft' });
+
+      const denied = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ body: 'Hijacked' });
+      expectErrorResponse(denied, 403);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}/comments/${comment._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ body: 'Final' });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.body).toBe('Final');
+      expect(response.body.data.editedAt).not.toBeNull();
+    });
+  });
+
+  describe('DELETE /api/tasks/:id/comments/:commentId', () => {
+    it('should delete a comment together with its replies', async () => {
+      const parent = await Comment.create({ task: task._id, author: users.user1._id, body: 'Parent' });
+      const reply = await Comment.create({
+        task: task._id,
+        author: users.admin._id,
+        body: 'Reply',
+        parentComment: parent._id
+      });
+      await Comment.create({
+        task: task._id,
+        author: users.user1._id,
+        body: 'Nested reply',
+        parentComment: reply._id
+      });
+
+      const response = await request(app)
+        .delete(`/api/tasks/${task._id}/comments/${parent._id}`)
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      expect(response.status).toBe(200);
+      expect(await Comment.countDocuments({ task: task._id })).toBe(0);
+    });
+  });
+});
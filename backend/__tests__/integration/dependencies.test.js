@@ -0,0 +1,130 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Task Dependencies Integration Tests', () => {
+  let users, blocker, dependent, userToken;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    blocker = await createTestTask(users.user1._id, null, { title: 'Design' });
+    dependent = await createTestTask(users.user1._id, null, { title: 'Build' });
+
+    userToken = await generateTestToken(users.user1._id, 'user');
+  });
+
+  const setBlockers = (task, blockerIds) => request(app)
+    .put(`/api/tasks/${task._id}`)
+    .set('Authorization', `Bearer ${userToken}`)
+    .send({ blockedBy: blockerIds.map(id => id.toString()) });
+
+  it('should add blockers and show the links from both sides', async () => {
+    expectSuccessResponse(await setBlockers(dependent, [blocker._id]), 200);
+
+    const dependentResponse = await request(app)
+      .get(`/api/tasks/${dependent._id}`)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(dependentResponse.body.data.blockedBy[0].title).toBe('Design');
+
+    const blockerResponse = await request(app)
+      .get(`/api/tasks/${blocker._id}`)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(blockerResponse.body.data.blocking[0].title).toBe('Build');
+  });
+
+  it('should only show dependency links to tasks the viewer can see', async () => {
+    const shared = await createTestTask(users.user2._id, users.user1._id, { title: 'Shared' });
+    const hidden = await createTestTask(users.user2._id, null, { title: 'Hidden' });
+    await Task.updateOne({ _id: dependent._id }, { blockedBy: [shared._id] });
+    await Task.updateOne({ _id: shared._id }, { blockedBy: [blocker._id, hidden._id] });
+    const otherToken = await generateTestToken(users.user2._id, 'user');
+
+    const asOwner = await request(app)
+      .get(`/api/tasks/${shared._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+    expectSuccessResponse(asOwner, 200);
+    expect(asOwner.body.data.blocking).toEqual([]);
+    expect(asOwner.body.data.blockedBy.map(task => task.title)).toEqual(['Hidden']);
+
+    const asAssignee = await request(app)
+      .get(`/api/tasks/${shared._id}`)
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(asAssignee.body.data.blocking.map(task => task.title)).toEqual(['Build']);
+    expect(asAssignee.body.data.blockedBy.map(task => task.title)).toEqual(['Design']);
+  });
+
+  it('should reject a task blocking itself', async () => {
+    const response = await setBlockers(dependent, [dependent._id]);
+
+    expectErrorResponse(response, 400, 'cycle');
+  });
+
+  it('should reject indirect dependency cycles', async () => {
+    const third = await createTestTask(users.user1._id, null, { title: 'Ship', blockedBy: [dependent._id] });
+    await Task.updateOne({ _id: dependent._id }, { blockedBy: [blocker._id] });
+
+    const response = await setBlockers(blocker, [third._id]);
+
+    expectErrorResponse(response, 400, 'cycle');
+  });
+
+  it('should reject blockers the user cannot see', async () => {
+    const hidden = await createTestTask(users.user2._id, null, { title: 'Hidden' });
+
+    const response = await setBlockers(dependent, [hidden._id]);
+
+    expectErrorResponse(response, 400, 'Blocking task not found');
+  });
+
+  it('should refuse to complete a task while a blocker is open', async () => {
+    await Task.updateOne({ _id: dependent._id }, { blockedBy: [blocker._id] });
+
+    const refused = await request(app)
+      .put(`/api/tasks/${dependent._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ status: 'completed' });
+
+    expectErrorResponse(refused, 400, 'blocked by: Design');
+
+    await Task.updateOne({ _id: blocker._id }, { status: 'completed' });
+
+    const allowed = await request(app)
+      .put(`/api/tasks/${dependent._id}`)
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ status: 'completed' });
+
+    expectSuccessResponse(allowed, 200);
+  });
+
+  it('should filter tasks by blocked state', async () => {
+    await Task.updateOne({ _id: dependent._id }, { blockedBy: [blocker._id] });
+
+    const blocked = await request(app)
+      .get('/api/tasks?blocked=true')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(blocked.body.data.tasks.map(task => task.title)).toEqual(['Build']);
+
+    const unblocked = await request(app)
+      .get('/api/tasks?blocked=false')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(unblocked.body.data.tasks.map(task => task.title)).toEqual(['Design']);
+  });
+
+  it('should drop a deleted task from the blockers of its dependents', async () => {
+    await Task.updateOne({ _id: dependent._id }, { blockedBy: [blocker._id] });
+
+    await request(app)
+      .delete(`/api/tasks/${blocker._id}`)
+      .set('Authorization', `Bearer ${userToken}`);
+
+    const updated = await Task.findById(dependent._id);
+    expect(updated.blockedBy).toHaveLength(0);
+  });
+});
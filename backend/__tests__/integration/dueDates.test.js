@@ -0,0 +1,112 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Due Date Integration Tests', () => {
+  let users, userToken;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    userToken = await generateTestToken(users.user1._id, 'user');
+  });
+
+  const listTasks = (query) => request(app)
+    .get('/api/tasks')
+    .query(query)
+    .set('Authorization', `Bearer ${userToken}`);
+
+  describe('Date range', () => {
+    beforeEach(async () => {
+      await createTestTask(users.user1._id, null, { title: 'February', dueDate: new Date('2099-02-28T23:59:59Z') });
+      await createTestTask(users.user1._id, null, { title: 'First of March', dueDate: new Date('2099-03-01T00:00:00Z') });
+      await createTestTask(users.user1._id, null, { title: 'End of March', dueDate: new Date('2099-03-31T18:00:00Z') });
+      await createTestTask(users.user1._id, null, { title: 'April', dueDate: new Date('2099-04-01T00:00:00Z') });
+      await createTestTask(users.user1._id, null, { title: 'No due date' });
+    });
+
+    it('should list the tasks due within the range, both ends included', async () => {
+      const response = await listTasks({
+        dueDateFrom: '2099-03-01T00:00:00Z',
+        dueDateTo: '2099-03-31T23:59:59.999Z',
+        sortBy: 'dueDate',
+        sortOrder: 'asc'
+      });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.tasks.map(task => task.title)).toEqual(['First of March', 'End of March']);
+    });
+
+    it('should accept an open-ended range', async () => {
+      const response = await listTasks({ dueDateFrom: '2099-04-01' });
+
+      expect(response.body.data.tasks.map(task => task.title)).toEqual(['April']);
+    });
+
+    it('should reject dates it cannot read', async () => {
+      expectErrorResponse(await listTasks({ dueDateFrom: 'next tuesday' }), 400, 'Due date filters must be valid dates');
+    });
+  });
+
+  describe('Overdue', () => {
+    it('should flag open tasks past their due date', async () => {
+      const late = await createTestTask(users.user1._id, null, { title: 'Late' });
+      const done = await createTestTask(users.user1._id, null, { title: 'Late but done', status: 'completed' });
+      await createTestTask(users.user1._id, null, { title: 'Upcoming', dueDate: new Date(Date.now() + DAY_MS) });
+      await createTestTask(users.user1._id, null, { title: 'Undated' });
+      await Task.updateMany({ _id: { $in: [late._id, done._id] } }, { $set: { dueDate: new Date(Date.now() - DAY_MS) } });
+
+      const response = await listTasks({ limit: 10 });
+
+      const overdue = Object.fromEntries(response.body.data.tasks.map(task => [task.title, task.isOverdue]));
+      expect(overdue).toEqual({
+        Late: true,
+        'Late but done': false,
+        Upcoming: false,
+        Undated: false
+      });
+    });
+  });
+
+  describe('Rescheduling', () => {
+    it('should move a task to another day', async () => {
+      const task = await createTestTask(users.user1._id, null, { dueDate: new Date(Date.now() + DAY_MS) });
+      const dueDate = new Date(Date.now() + 3 * DAY_MS).toISOString();
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ dueDate });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.dueDate).toBe(dueDate);
+      expect(response.body.data.isOverdue).toBe(false);
+    });
+
+    it('should reschedule overdue tasks, but not into the past', async () => {
+      const task = await createTestTask(users.user1._id, null);
+      await Task.updateOne({ _id: task._id }, { $set: { dueDate: new Date(Date.now() - DAY_MS) } });
+
+      const past = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ dueDate: new Date(Date.now() - 2 * DAY_MS).toISOString() });
+      expectErrorResponse(past, 400, 'Due date must be in the future');
+
+      const future = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ dueDate: new Date(Date.now() + DAY_MS).toISOString() });
+      expectSuccessResponse(future, 200);
+      expect(future.body.data.isOverdue).toBe(false);
+    });
+  });
+});
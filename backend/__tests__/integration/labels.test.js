@@ -0,0 +1,126 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Label = require('../../models/Label');
+const Task = require('../../models/Task');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Labels Integration Tests', () => {
+  let users, adminToken, userToken;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+    userToken = await generateTestToken(users.user1._id, 'user');
+  });
+
+  describe('Label palette', () => {
+    it('should let admins create labels', async () => {
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bug', color: '#dc2626' });
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.name).toBe('Bug');
+      expect(response.body.data.color).toBe('#dc2626');
+    });
+
+    it('should not let regular users create labels', async () => {
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ name: 'Bug', color: '#dc2626' });
+
+      expectErrorResponse(response, 403);
+    });
+
+    it('should reject duplicate names regardless of case', async () => {
+      await Label.create({ name: 'Bug', color: '#dc2626' });
+
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'bug', color: '#2563eb' });
+
+      expectErrorResponse(response, 400, 'already exists');
+    });
+
+    it('should reject invalid colours', async () => {
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Bug', color: 'red' });
+
+      expectErrorResponse(response, 400, 'Validation failed');
+    });
+
+    it('should remove a deleted label from tasks', async () => {
+      const label = await Label.create({ name: 'Bug', color: '#dc2626' });
+      const task = await createTestTask(users.user1._id, null, { labels: [label._id] });
+
+      const response = await request(app)
+        .delete(`/api/labels/${label._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response, 200);
+      const updated = await Task.findById(task._id);
+      expect(updated.labels).toHaveLength(0);
+    });
+  });
+
+  describe('Task labels', () => {
+    let bug, urgent;
+
+    beforeEach(async () => {
+      bug = await Label.create({ name: 'Bug', color: '#dc2626' });
+      urgent = await Label.create({ name: 'Urgent', color: '#ea580c' });
+    });
+
+    it('should set labels when creating a task', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${userToken}`)
+        .field('title', 'Crash on save')
+        .field('labels', JSON.stringify([bug._id.toString()]));
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.labels[0].name).toBe('Bug');
+    });
+
+    it('should reject unknown labels', async () => {
+      const unknownId = '507f1f77bcf86cd799439011';
+      const task = await createTestTask(users.user1._id);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ labels: [unknownId] });
+
+      expectErrorResponse(response, 400, 'Label not found');
+    });
+
+    it('should filter tasks on any or all labels', async () => {
+      await createTestTask(users.user1._id, null, { title: 'Both', labels: [bug._id, urgent._id] });
+      await createTestTask(users.user1._id, null, { title: 'Bug only', labels: [bug._id] });
+      await createTestTask(users.user1._id, null, { title: 'None' });
+
+      const labelIds = `${bug._id},${urgent._id}`;
+
+      const any = await request(app)
+        .get(`/api/tasks?labels=${labelIds}&sortBy=title&sortOrder=asc`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(any.body.data.tasks.map(task => task.title)).toEqual(['Both', 'Bug only']);
+
+      const all = await request(app)
+        .get(`/api/tasks?labels=${labelIds}&labelMatch=all`)
+        .set('Authorization', `Bearer ${userToken}`);
+      expect(all.body.data.tasks.map(task => task.title)).toEqual(['Both']);
+    });
+  });
+});
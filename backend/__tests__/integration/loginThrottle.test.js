@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const LoginEvent = require('../../models/LoginEvent');
+const { lockoutDuration } = require('../../utils/loginAttempts');
+const {
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Login Throttling Integration Tests', () => {
+  const credentials = { email: 'throttle@test.com', password: 'throttle1234' };
+  let user, adminToken;
+
+  const login = (password = credentials.password) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', 'throttle-test-agent')
+    .send({ email: credentials.email, password });
+
+  const failLogins = async (count) => {
+    for (let i = 0; i < count; i++) {
+      await login('wrong-password');
+    }
+  };
+
+  beforeEach(async () => {
+    user = await User.create(credentials);
+    const admin = await User.create({ email: 'throttle-admin@test.com', password: 'admin1234', role: 'admin' });
+    adminToken = await generateTestToken(admin._id, 'admin');
+  });
+
+  describe('Lockout policy', () => {
+    it('should double the lockout for every failure past the limit, up to the cap', () => {
+      const policy = { maxAttempts: 5, baseMs: 30000, maxMs: 60 * 60 * 1000 };
+
+      expect(lockoutDuration(4, policy)).toBe(0);
+      expect(lockoutDuration(5, policy)).toBe(30000);
+      expect(lockoutDuration(6, policy)).toBe(60000);
+      expect(lockoutDuration(7, policy)).toBe(120000);
+      expect(lockoutDuration(20, policy)).toBe(60 * 60 * 1000);
+    });
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should count failed attempts against the account', async () => {
+      const response = await login('wrong-password');
+
+      expectErrorResponse(response, 401, 'Invalid credentials');
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginCount).toBe(1);
+      expect(updated.lockedUntil).toBeNull();
+    });
+
+    it('should lock the account after too many failures', async () => {
+      await failLogins(4);
+      const fifth = await login('wrong-password');
+
+      expectErrorResponse(fifth, 429, 'Too many failed login attempts');
+      expect(Number(fifth.headers['retry-after'])).toBeGreaterThan(0);
+
+      // Even the right password is refused while locked
+      const response = await login();
+      expectErrorResponse(response, 429, 'Too many failed login attempts');
+      expect(response.body.data).toBeUndefined();
+    });
+
+    it('should reset the failure count after a successful login', async () => {
+      await failLogins(3);
+
+      const response = await login();
+      expectSuccessResponse(response, 200);
+
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginCount).toBe(0);
+      expect(updated.lastFailedLoginAt).toBeNull();
+    });
+
+    it('should let the user in again once the lockout has passed', async () => {
+      await User.updateOne(
+        { _id: user._id },
+        { failedLoginCount: 5, lastFailedLoginAt: new Date(), lockedUntil: new Date(Date.now() - 1000) }
+      );
+
+      const response = await login();
+      expectSuccessResponse(response, 200);
+    });
+  });
+
+  describe('POST /api/users/:id/unlock', () => {
+    it('should let an admin unlock a locked account', async () => {
+      await failLogins(5);
+
+      const response = await request(app)
+        .post(`/api/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response, 200);
+      const updated = await User.findById(user._id);
+      expect(updated.failedLoginCount).toBe(0);
+      expect(updated.lockedUntil).toBeNull();
+
+      const loginResponse = await login();
+      expectSuccessResponse(loginResponse, 200);
+    });
+
+    it('should not let regular users unlock accounts', async () => {
+      const response = await request(app)
+        .post(`/api/users/${user._id}/unlock`)
+        .set('Authorization', `Bearer ${await generateTestToken(user._id, 'user')}`);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+      const response = await request(app)
+        .post('/api/users/507f1f77bcf86cd799439011/unlock')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectErrorResponse(response, 404, 'User not found');
+    });
+  });
+
+  describe('GET /api/auth/login-history', () => {
+    it('should record failed and successful logins with IP and user agent', async () => {
+      await login('wrong-password');
+      await login();
+
+      const response = await request(app)
+        .get('/api/auth/login-history')
+        .set('Authorization', `Bearer ${await generateTestToken(user._id, 'user')}`);
+
+      expectSuccessResponse(response, 200);
+      const { events, pagination } = response.body.data;
+      expect(pagination.totalItems).toBe(2);
+      expect(events[0]).toMatchObject({ success: true, result: 'success', method: 'password' });
+      expect(events[1]).toMatchObject({ success: false, result: 'wrong_password' });
+      expect(events[0].userAgent).toBe('throttle-test-agent');
+      expect(events[0].ip).toBeTruthy();
+    });
+
+    it('should record attempts on a locked account', async () => {
+      await failLogins(5);
+      await login();
+
+      const locked = await LoginEvent.find({ user: user._id, result: 'locked' });
+      expect(locked).toHaveLength(1);
+    });
+
+    it('should record attempts for unknown emails without a user', async () => {
+      await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@test.com', password: 'whatever' });
+
+      const event = await LoginEvent.findOne({ email: 'nobody@test.com' });
+      expect(event).toMatchObject({ user: null, success: false, result: 'unknown_email' });
+    });
+
+    it('should only return your own history', async () => {
+      await login();
+
+      const response = await request(app)
+        .get('/api/auth/login-history')
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.events).toHaveLength(0);
+    });
+  });
+});
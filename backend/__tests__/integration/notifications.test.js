@@ -0,0 +1,132 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Notification = require('../../models/Notification');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Notifications Integration Tests', () => {
+  let users, user1Token, user2Token;
+
+  const listNotifications = (token, query = '') => request(app)
+    .get(`/api/notifications${query}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    user1Token = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
+  });
+
+  describe('Notifications from task routes', () => {
+    it('should persist a notification when a task is assigned to someone else', async () => {
+      await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ title: 'Review the budget', assignedTo: users.user2._id.toString() });
+
+      const response = await listNotifications(user2Token);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.unreadCount).toBe(1);
+      expect(response.body.data.notifications[0].type).toBe('task_assigned');
+      expect(response.body.data.notifications[0].task.title).toBe('Review the budget');
+    });
+
+    it('should not notify users about their own changes', async () => {
+      const task = await createTestTask(users.user1._id, users.user1._id);
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ title: 'Renamed' });
+
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    it('should tell the assignee when someone else updates their task', async () => {
+      const task = await createTestTask(users.user1._id, users.user2._id);
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ priority: 'high' });
+
+      const [notification] = await Notification.find({ user: users.user2._id });
+      expect(notification.type).toBe('task_updated');
+      expect(notification.data.fields).toEqual(['priority']);
+    });
+  });
+
+  describe('GET /api/notifications', () => {
+    it('should only list your own notifications', async () => {
+      await Notification.create({ user: users.user1._id, type: 'task_assigned', message: 'For user1' });
+      await Notification.create({ user: users.user2._id, type: 'task_assigned', message: 'For user2' });
+
+      const response = await listNotifications(user1Token);
+
+      expect(response.body.data.notifications).toHaveLength(1);
+      expect(response.body.data.notifications[0].message).toBe('For user1');
+    });
+
+    it('should filter unread notifications', async () => {
+      await Notification.create({ user: users.user1._id, type: 'task_assigned', message: 'Unread' });
+      await Notification.create({ user: users.user1._id, type: 'task_assigned', message: 'Read', readAt: new Date() });
+
+      const response = await listNotifications(user1Token, '?unread=true');
+
+      expect(response.body.data.notifications.map(notification => notification.message)).toEqual(['Unread']);
+      expect(response.body.data.pagination.totalItems).toBe(1);
+    });
+  });
+
+  describe('PATCH /api/notifications', () => {
+    it('should mark a notification as read and unread', async () => {
+      const notification = await Notification.create({ user: users.user1._id, type: 'task_assigned', message: 'Hi' });
+
+      const read = await request(app)
+        .patch(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({});
+      expectSuccessResponse(read, 200);
+      expect(read.body.data.notification.readAt).toBeTruthy();
+      expect(read.body.data.unreadCount).toBe(0);
+
+      const unread = await request(app)
+        .patch(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ read: false });
+      expect(unread.body.data.notification.readAt).toBeNull();
+      expect(unread.body.data.unreadCount).toBe(1);
+    });
+
+    it("should not touch other users' notifications", async () => {
+      const notification = await Notification.create({ user: users.user2._id, type: 'task_assigned', message: 'Hi' });
+
+      const response = await request(app)
+        .patch(`/api/notifications/${notification._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({});
+
+      expectErrorResponse(response, 404, 'Notification not found');
+    });
+
+    it('should mark all notifications as read', async () => {
+      await Notification.create({ user: users.user1._id, type: 'task_assigned', message: 'One' });
+      await Notification.create({ user: users.user1._id, type: 'task_assigned', message: 'Two' });
+      await Notification.create({ user: users.user2._id, type: 'task_assigned', message: 'Other' });
+
+      const response = await request(app)
+        .patch('/api/notifications/read-all')
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.modifiedCount).toBe(2);
+      expect(await Notification.countDocuments({ readAt: null })).toBe(1);
+    });
+  });
+});
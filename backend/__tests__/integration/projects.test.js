@@ -0,0 +1,188 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Project = require('../../models/Project');
+const Task = require('../../models/Task');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Projects Integration Tests', () => {
+  let users, project, user1Token, user2Token;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    project = await Project.create({
+      name: 'Website',
+      createdBy: users.user1._id,
+      members: [{ user: users.user1._id, role: 'owner' }]
+    });
+
+    user1Token = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
+  });
+
+  const addMember = (role) => Project.updateOne(
+    { _id: project._id },
+    { $push: { members: { user: users.user2._id, role } } }
+  );
+
+  describe('Projects', () => {
+    it('should make the creator the owner', async () => {
+      const response = await request(app)
+        .post('/api/projects')
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ name: 'Mobile app' });
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.members[0].role).toBe('owner');
+      expect(response.body.data.members[0].user.email).toBe(users.user2.email);
+    });
+
+    it('should only list projects the user is a member of', async () => {
+      const response = await request(app)
+        .get('/api/projects')
+        .set('Authorization', `Bearer ${user2Token}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data).toHaveLength(0);
+    });
+
+    it('should hide projects from non-members', async () => {
+      const response = await request(app)
+        .get(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${user2Token}`);
+
+      expectErrorResponse(response, 404);
+    });
+
+    it('should let owners add members by email', async () => {
+      const response = await request(app)
+        .post(`/api/projects/${project._id}/members`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ email: users.user2.email, role: 'viewer' });
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.members).toHaveLength(2);
+    });
+
+    it('should keep at least one owner', async () => {
+      const response = await request(app)
+        .delete(`/api/projects/${project._id}/members/${users.user1._id}`)
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      expectErrorResponse(response, 400, 'at least one owner');
+    });
+
+    it('should not let managers promote owners', async () => {
+      await addMember('manager');
+
+      const response = await request(app)
+        .put(`/api/projects/${project._id}/members/${users.user2._id}`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ role: 'owner' });
+
+      expectErrorResponse(response, 403);
+    });
+  });
+
+  describe('Task access through membership', () => {
+    let task;
+
+    beforeEach(async () => {
+      task = await createTestTask(users.user1._id, null, { title: 'Homepage', project: project._id });
+    });
+
+    it('should show project tasks to members only', async () => {
+      const before = await request(app)
+        .get(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user2Token}`);
+      expectErrorResponse(before, 403);
+
+      await addMember('viewer');
+
+      const after = await request(app)
+        .get(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user2Token}`);
+      expectSuccessResponse(after, 200);
+
+      const list = await request(app)
+        .get(`/api/tasks?project=${project._id}`)
+        .set('Authorization', `Bearer ${user2Token}`);
+      expect(list.body.data.tasks.map(t => t.title)).toEqual(['Homepage']);
+    });
+
+    it('should not let viewers edit project tasks', async () => {
+      await addMember('viewer');
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ title: 'Renamed' });
+
+      expectErrorResponse(response, 403);
+    });
+
+    it('should let members edit but not delete project tasks', async () => {
+      await addMember('member');
+
+      const updated = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ title: 'Renamed' });
+      expectSuccessResponse(updated, 200);
+
+      const deleted = await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user2Token}`);
+      expectErrorResponse(deleted, 403);
+    });
+
+    it('should refuse tasks in projects the user does not belong to', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${user2Token}`)
+        .field('title', 'Intruder')
+        .field('project', project._id.toString());
+
+      expectErrorResponse(response, 403);
+    });
+
+    it('should only assign project tasks to project members', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ assignedTo: users.user2._id.toString() });
+
+      expectErrorResponse(response, 400, 'not a member of this project');
+    });
+
+    it('should only assign subtasks of project tasks to project members', async () => {
+      const outsider = await request(app)
+        .post(`/api/tasks/${task._id}/subtasks`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ title: 'Copy', assignedTo: users.user2._id.toString() });
+      expectErrorResponse(outsider, 400, 'not a member of this project');
+
+      await addMember('member');
+      const member = await request(app)
+        .post(`/api/tasks/${task._id}/subtasks`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ title: 'Copy', assignedTo: users.user2._id.toString() });
+      expectSuccessResponse(member, 201);
+    });
+
+    it('should turn tasks into personal tasks when the project is deleted', async () => {
+      const response = await request(app)
+        .delete(`/api/projects/${project._id}`)
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      expectSuccessResponse(response, 200);
+      const orphan = await Task.findById(task._id);
+      expect(orphan.project).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,119 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const { runRecurrence } = require('../../utils/recurrence');
+const {
+  createTestUsers,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Recurring Tasks Integration Tests', () => {
+  let users, user1Token;
+
+  // Daily at 09:00 UTC, starting tomorrow
+  const tomorrow = new Date();
+  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
+  tomorrow.setUTCHours(9, 0, 0, 0);
+  const dayAfter = new Date(tomorrow.getTime() + 24 * 60 * 60 * 1000);
+
+  const createTemplate = () => request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${user1Token}`)
+    .send({
+      title: 'Daily standup notes',
+      assignedTo: users.user1._id.toString(),
+      recurrence: { rule: 'FREQ=DAILY', startDate: tomorrow.toISOString() }
+    });
+
+  const instancesOf = (template) => Task.find({ recurrenceOf: template._id }).sort({ occurrenceDate: 1 });
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    user1Token = await generateTestToken(users.user1._id, 'user');
+  });
+
+  it('should create the first instance with the template', async () => {
+    const response = await createTemplate();
+
+    expectSuccessResponse(response, 201);
+    expect(response.body.data.recurrence.rule).toBe('FREQ=DAILY');
+
+    const instances = await instancesOf(response.body.data);
+    expect(instances).toHaveLength(1);
+    expect(instances[0].dueDate.toISOString()).toBe(tomorrow.toISOString());
+    expect(instances[0].assignedTo.toString()).toBe(users.user1._id.toString());
+  });
+
+  it('should reject invalid rules', async () => {
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${user1Token}`)
+      .send({ title: 'Broken', recurrence: { rule: 'FREQ=HOURLY' } });
+
+    expectErrorResponse(response, 400);
+  });
+
+  it('should create the next instance when the current one is completed', async () => {
+    const template = (await createTemplate()).body.data;
+    const [current] = await instancesOf(template);
+
+    const response = await request(app)
+      .put(`/api/tasks/${current._id}`)
+      .set('Authorization', `Bearer ${user1Token}`)
+      .send({ status: 'completed' });
+    expectSuccessResponse(response, 200);
+
+    const instances = await instancesOf(template);
+    expect(instances.map(instance => instance.occurrenceDate.toISOString()))
+      .toEqual([tomorrow.toISOString(), dayAfter.toISOString()]);
+  });
+
+  it('should create the next instance once the current occurrence has passed', async () => {
+    const template = (await createTemplate()).body.data;
+
+    expect(await runRecurrence()).toBe(0);
+    expect(await runRecurrence({ now: new Date(tomorrow.getTime() + 60 * 1000) })).toBe(1);
+
+    expect(await instancesOf(template)).toHaveLength(2);
+  });
+
+  it('should not duplicate instances across repeated or restarted runs', async () => {
+    const template = (await createTemplate()).body.data;
+
+    // Forget the cursor, as if the process died right after creating the instance
+    await Task.updateOne({ _id: template._id }, { $set: { 'recurrence.lastOccurrence': null } });
+    await runRecurrence();
+    await runRecurrence();
+
+    expect(await instancesOf(template)).toHaveLength(1);
+  });
+
+  it('should skip an occurrence whose instance was deleted', async () => {
+    const template = (await createTemplate()).body.data;
+    const [current] = await instancesOf(template);
+
+    await request(app)
+      .delete(`/api/tasks/${current._id}`)
+      .set('Authorization', `Bearer ${user1Token}`);
+    await runRecurrence();
+
+    expect(await instancesOf(template)).toHaveLength(0);
+  });
+
+  it('should refuse recurrence on subtasks', async () => {
+    const template = (await createTemplate()).body.data;
+
+    const response = await request(app)
+      .post('/api/tasks')
+      .set('Authorization', `Bearer ${user1Token}`)
+      .send({
+        title: 'Nested',
+        parentTask: template._id,
+        recurrence: { rule: 'FREQ=DAILY' }
+      });
+
+    expectErrorResponse(response, 400, 'Subtasks cannot recur');
+  });
+});
@@ -0,0 +1,166 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const Settings = require('../../models/Settings');
+const Invitation = require('../../models/Invitation');
+const Role = require('../../models/Role');
+const { readMailbox, clearMailbox } = require('../../utils/mailer');
+const {
+  createTestUsers,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Registration and Invitation Integration Tests', () => {
+  let users, adminToken;
+
+  const register = (body) => request(app)
+    .post('/api/auth/register')
+    .send({ password: 'password123', ...body });
+
+  const invite = (body) => request(app)
+    .post('/api/invitations')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const tokenFromInviteUrl = (url) => new URL(url).searchParams.get('invite');
+
+  beforeEach(async () => {
+    await clearMailbox();
+    users = await createTestUsers();
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+  });
+
+  afterAll(async () => {
+    await clearMailbox();
+  });
+
+  describe('Self-registration', () => {
+    it('should never grant the admin role without an invitation', async () => {
+      const response = await register({ email: 'sneaky@test.com', role: 'admin' });
+
+      expectErrorResponse(response, 403, 'Only an invitation can grant the admin role');
+      expect(await User.exists({ email: 'sneaky@test.com' })).toBeNull();
+    });
+
+    it('should only grant custom roles through an invitation and reject unknown ones', async () => {
+      await Role.create({ name: 'auditor', permissions: ['task:view:any'] });
+
+      const custom = await register({ email: 'auditor@test.com', role: 'auditor' });
+      expectErrorResponse(custom, 403, 'Only an invitation can grant the auditor role');
+
+      const unknown = await register({ email: 'nobody@test.com', role: 'overlord' });
+      expectErrorResponse(unknown, 400, 'Validation failed');
+      expect(unknown.body.errors[0].msg).toBe('Unknown role: overlord');
+    });
+
+    it('should only accept allowed domains in domain mode', async () => {
+      await Settings.create({ registrationMode: 'domain', allowedDomains: ['example.com'] });
+
+      expectSuccessResponse(await register({ email: 'someone@example.com' }), 201);
+      expectErrorResponse(await register({ email: 'someone@other.com' }), 403, 'approved email domains');
+    });
+
+    it('should refuse registration without an invitation in invite mode', async () => {
+      await Settings.create({ registrationMode: 'invite' });
+
+      const response = await register({ email: 'someone@test.com' });
+
+      expectErrorResponse(response, 403, 'Registration is by invitation only');
+    });
+  });
+
+  describe('Invitations', () => {
+    it('should email a link that registers with the invited role', async () => {
+      await Settings.create({ registrationMode: 'invite' });
+
+      const created = await invite({ email: 'newadmin@test.com', role: 'admin' });
+      expectSuccessResponse(created, 201);
+
+      const [mail] = await readMailbox();
+      expect(mail.to[0].address).toBe('newadmin@test.com');
+      expect(mail.text).toContain(created.body.data.inviteUrl);
+
+      const inviteToken = tokenFromInviteUrl(created.body.data.inviteUrl);
+      const options = await request(app).get(`/api/auth/registration?invite=${inviteToken}`);
+      expect(options.body.data.invitation).toMatchObject({ email: 'newadmin@test.com', role: 'admin' });
+
+      const response = await register({ email: 'newadmin@test.com', inviteToken });
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.user.role).toBe('admin');
+
+      const invitation = await Invitation.findById(created.body.data.invitation._id);
+      expect(invitation.status).toBe('accepted');
+      expect(invitation.acceptedBy.toString()).toBe(response.body.data.user._id);
+    });
+
+    it('should only work once and only for the invited email', async () => {
+      const created = await invite({ email: 'invited@test.com' });
+      const inviteToken = tokenFromInviteUrl(created.body.data.inviteUrl);
+
+      const wrongEmail = await register({ email: 'other@test.com', inviteToken });
+      expectErrorResponse(wrongEmail, 400, 'different email address');
+
+      expectSuccessResponse(await register({ email: 'invited@test.com', inviteToken }), 201);
+
+      await User.deleteOne({ email: 'invited@test.com' });
+      const reuse = await register({ email: 'invited@test.com', inviteToken });
+      expectErrorResponse(reuse, 400, 'invalid or has expired');
+    });
+
+    it('should reject expired and revoked invitations', async () => {
+      const expired = await invite({ email: 'late@test.com' });
+      await Invitation.updateOne(
+        { _id: expired.body.data.invitation._id },
+        { $set: { expiresAt: new Date(Date.now() - 1000) } }
+      );
+
+      const revoked = await invite({ email: 'revoked@test.com' });
+      const revoke = await request(app)
+        .delete(`/api/invitations/${revoked.body.data.invitation._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(revoke, 200);
+
+      expectErrorResponse(
+        await register({ email: 'late@test.com', inviteToken: tokenFromInviteUrl(expired.body.data.inviteUrl) }),
+        400,
+        'invalid or has expired'
+      );
+      expectErrorResponse(
+        await request(app).get(`/api/auth/registration?invite=${tokenFromInviteUrl(revoked.body.data.inviteUrl)}`),
+        404
+      );
+    });
+
+    it('should only let admins invite', async () => {
+      const response = await request(app)
+        .post('/api/invitations')
+        .set('Authorization', `Bearer ${await generateTestToken(users.user1._id, 'user')}`)
+        .send({ email: 'friend@test.com', role: 'admin' });
+
+      expectErrorResponse(response, 403);
+    });
+  });
+
+  describe('PUT /api/settings', () => {
+    it('should require domains for domain-restricted registration', async () => {
+      const response = await request(app)
+        .put('/api/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ registrationMode: 'domain' });
+
+      expectErrorResponse(response, 400, 'at least one allowed domain');
+    });
+
+    it('should normalize allowed domains', async () => {
+      const response = await request(app)
+        .put('/api/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ registrationMode: 'domain', allowedDomains: ['@Example.com', 'example.com'] });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.allowedDomains).toEqual(['example.com']);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const Notification = require('../../models/Notification');
+const { runReminders } = require('../../utils/reminders');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Due Date Reminders Integration Tests', () => {
+  let users;
+
+  const HOUR_MS = 60 * 60 * 1000;
+  const leadHours = [24, 1];
+  const inHours = (hours) => new Date(Date.now() + hours * HOUR_MS);
+
+  const notificationsFor = (user) => Notification.find({ user: user._id }).sort({ createdAt: 1 });
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+  });
+
+  describe('Due soon reminders', () => {
+    it('should remind the assignee once per lead time', async () => {
+      const task = await createTestTask(users.admin._id, users.user1._id, { dueDate: inHours(20) });
+
+      expect(await runReminders({ leadHours })).toBe(1);
+      expect(await runReminders({ leadHours })).toBe(0);
+
+      // Inside the one hour window the second reminder goes out
+      expect(await runReminders({ leadHours, now: new Date(task.dueDate.getTime() - 30 * 60 * 1000) })).toBe(1);
+
+      const notifications = await notificationsFor(users.user1);
+      expect(notifications.map(notification => notification.type)).toEqual(['task_due_soon', 'task_due_soon']);
+      expect(notifications[0].task.toString()).toBe(task._id.toString());
+      expect(notifications[0].message).toContain('Test Task');
+    });
+
+    it('should send a single reminder when several windows open at once', async () => {
+      await createTestTask(users.admin._id, users.user1._id, { dueDate: inHours(0.5) });
+
+      expect(await runReminders({ leadHours })).toBe(1);
+      expect(await runReminders({ leadHours })).toBe(0);
+    });
+
+    it('should skip tasks that are done or unassigned', async () => {
+      await createTestTask(users.admin._id, users.user1._id, { dueDate: inHours(2), status: 'completed' });
+      await createTestTask(users.admin._id, null, { dueDate: inHours(2) });
+
+      expect(await runReminders({ leadHours })).toBe(0);
+    });
+
+    it('should re-arm reminders when the due date moves', async () => {
+      const task = await createTestTask(users.user1._id, users.user1._id, { dueDate: inHours(2) });
+      await runReminders({ leadHours });
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${await generateTestToken(users.user1._id, 'user')}`)
+        .send({ dueDate: inHours(3).toISOString() });
+      expectSuccessResponse(response, 200);
+
+      expect(await runReminders({ leadHours })).toBe(1);
+    });
+  });
+
+  describe('Overdue escalation', () => {
+    const makeOverdue = (task) => Task.updateOne({ _id: task._id }, { $set: { dueDate: new Date(Date.now() - HOUR_MS) } });
+
+    it('should notify the assignee and escalate to the creator once', async () => {
+      const task = await createTestTask(users.user2._id, users.user1._id, { dueDate: inHours(48) });
+      await makeOverdue(task);
+
+      expect(await runReminders({ leadHours })).toBe(2);
+      expect(await runReminders({ leadHours })).toBe(0);
+
+      const [assigneeNotice] = await notificationsFor(users.user1);
+      expect(assigneeNotice.type).toBe('task_overdue');
+      expect(assigneeNotice.data.escalated).toBe(false);
+
+      const [escalation] = await notificationsFor(users.user2);
+      expect(escalation.data.escalated).toBe(true);
+      expect(escalation.message).toContain(users.user1.email);
+    });
+
+    it('should escalate self-assigned tasks to the admins', async () => {
+      const task = await createTestTask(users.user1._id, users.user1._id, { dueDate: inHours(48) });
+      await makeOverdue(task);
+
+      await runReminders({ leadHours });
+
+      expect(await notificationsFor(users.admin)).toHaveLength(1);
+      expect(await notificationsFor(users.user2)).toHaveLength(0);
+    });
+  });
+});
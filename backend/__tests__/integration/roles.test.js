@@ -0,0 +1,239 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Role = require('../../models/Role');
+const User = require('../../models/User');
+const Task = require('../../models/Task');
+const {
+  createTestUsers,
+  createTestTask,
+  createTestTaskDocument,
+  cleanupTestFiles,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Roles and Permissions Integration Tests', () => {
+  let users, adminToken, userToken;
+
+  const createRole = (token, body) => request(app)
+    .post('/api/roles')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  // A user with a custom role granting `permissions`, and their token
+  const userWithPermissions = async (permissions, email = 'custom@test.com') => {
+    const name = `role-${email.split('@')[0]}-${Date.now()}`;
+    await Role.create({ name, permissions });
+    const user = await User.create({ email, password: 'custom1234', role: name });
+    return { user, token: await generateTestToken(user._id, name) };
+  };
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+    userToken = await generateTestToken(users.user1._id, 'user');
+  });
+
+  afterEach(async () => {
+    await cleanupTestFiles();
+  });
+
+  describe('GET /api/roles', () => {
+    it('should list the built-in roles with their user counts', async () => {
+      const response = await request(app)
+        .get('/api/roles')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expectSuccessResponse(response, 200);
+      const admin = response.body.data.find(role => role.name === 'admin');
+      const user = response.body.data.find(role => role.name === 'user');
+      expect(admin).toMatchObject({ builtIn: true, userCount: 1 });
+      expect(admin.permissions).toEqual(Role.PERMISSION_NAMES);
+      expect(user).toMatchObject({ builtIn: true, permissions: [], userCount: 2 });
+    });
+
+    it('should list the permission catalog', async () => {
+      const response = await request(app)
+        .get('/api/roles/permissions')
+        .set('Authorization', `Bearer ${userToken}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.map(p => p.name)).toContain('task:delete:any');
+    });
+  });
+
+  describe('Managing roles', () => {
+    it('should let admins create, edit and delete roles', async () => {
+      const created = await createRole(adminToken, {
+        name: 'Auditor',
+        description: 'Reads everything',
+        permissions: ['task:view:any']
+      });
+      expectSuccessResponse(created, 201);
+      expect(created.body.data.name).toBe('auditor');
+
+      const updated = await request(app)
+        .put(`/api/roles/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: ['task:view:any', 'document:view:any'] });
+      expectSuccessResponse(updated, 200);
+      expect(updated.body.data.permissions).toEqual(['task:view:any', 'document:view:any']);
+
+      const deleted = await request(app)
+        .delete(`/api/roles/${created.body.data._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(deleted, 200);
+      expect(await Role.exists({ name: 'auditor' })).toBeNull();
+    });
+
+    it('should reject unknown permissions and duplicate names', async () => {
+      expectErrorResponse(await createRole(adminToken, { name: 'odd', permissions: ['task:fly'] }), 400);
+      expectErrorResponse(await createRole(adminToken, { name: 'admin' }), 400, 'already exists');
+    });
+
+    it('should not let users without role:manage edit roles', async () => {
+      expectErrorResponse(await createRole(userToken, { name: 'mine', permissions: [] }), 403);
+    });
+
+    it('should not let role managers grant permissions they lack', async () => {
+      const { token } = await userWithPermissions(['role:manage']);
+
+      const response = await createRole(token, { name: 'boss', permissions: ['user:manage'] });
+      expectErrorResponse(response, 403, 'permissions you have yourself');
+    });
+
+    it('should keep the admin role complete and built-in roles undeletable', async () => {
+      await Role.ensureDefaults();
+      const admin = await Role.findOne({ name: 'admin' });
+
+      const updated = await request(app)
+        .put(`/api/roles/${admin._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ permissions: [] });
+      expectErrorResponse(updated, 400, 'every permission');
+
+      const deleted = await request(app)
+        .delete(`/api/roles/${admin._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectErrorResponse(deleted, 400, 'Built-in roles');
+    });
+
+    it('should not delete a role users still have', async () => {
+      await userWithPermissions(['task:view:any']);
+      const role = await Role.findOne({ builtIn: false });
+
+      const response = await request(app)
+        .delete(`/api/roles/${role._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectErrorResponse(response, 400, 'still assigned to 1 user');
+    });
+  });
+
+  describe('requirePermission', () => {
+    it('should grant access through a custom role', async () => {
+      const { token } = await userWithPermissions(['label:manage']);
+
+      const response = await request(app)
+        .post('/api/labels')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ name: 'Bug', color: '#dc2626' });
+      expectSuccessResponse(response, 201);
+
+      const settings = await request(app)
+        .get('/api/settings')
+        .set('Authorization', `Bearer ${token}`);
+      expectErrorResponse(settings, 403, 'Insufficient permissions');
+    });
+
+    it('should apply role changes on the next request', async () => {
+      await Role.ensureDefaults();
+      await Role.updateOne({ name: 'user' }, { permissions: ['user:view'] });
+
+      const response = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${userToken}`);
+      expectSuccessResponse(response, 200);
+    });
+
+    it('should open other people\'s tasks with task:view:any', async () => {
+      const task = await createTestTask(users.user1._id, users.user1._id);
+      const { token } = await userWithPermissions(['task:view:any']);
+
+      const response = await request(app)
+        .get(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expectSuccessResponse(response, 200);
+
+      const denied = await request(app)
+        .delete(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${token}`);
+      expectErrorResponse(denied, 403);
+    });
+
+    it('should open and delete other people\'s documents with the document permissions', async () => {
+      const task = await createTestTask(users.user1._id, users.user1._id);
+      const document = await createTestTaskDocument(task._id, users.user1._id);
+      await Task.updateOne({ _id: task._id }, { $push: { documents: document._id } });
+      const viewer = await userWithPermissions(['document:view:any'], 'viewer@test.com');
+      const deleter = await userWithPermissions(['document:delete:any'], 'deleter@test.com');
+      const documentUrl = `/api/tasks/${task._id}/documents/${document._id}`;
+
+      const download = await request(app)
+        .get(`${documentUrl}/download`)
+        .set('Authorization', `Bearer ${viewer.token}`);
+      expect(download.status).toBe(200);
+      const view = await request(app)
+        .get(`${documentUrl}/view`)
+        .query({ token: viewer.token });
+      expect(view.status).toBe(200);
+      expectErrorResponse(await request(app)
+        .delete(documentUrl)
+        .set('Authorization', `Bearer ${viewer.token}`), 403);
+
+      const deleted = await request(app)
+        .delete(documentUrl)
+        .set('Authorization', `Bearer ${deleter.token}`);
+      expectSuccessResponse(deleted, 200);
+    });
+
+    it('should include the permissions in the current user', async () => {
+      const { token } = await userWithPermissions(['user:view']);
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.permissions).toEqual(['user:view']);
+    });
+  });
+
+  describe('Assigning roles', () => {
+    it('should let admins give users a custom role', async () => {
+      await Role.create({ name: 'auditor', permissions: ['task:view:any'] });
+
+      const response = await request(app)
+        .put(`/api/users/${users.user1._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'auditor' });
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.role).toBe('auditor');
+    });
+
+    it('should not let user managers hand out or take away more than they have', async () => {
+      const { token } = await userWithPermissions(['user:manage']);
+
+      const promote = await request(app)
+        .put(`/api/users/${users.user1._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'admin' });
+      expectErrorResponse(promote, 403, 'permissions you have yourself');
+
+      const demote = await request(app)
+        .put(`/api/users/${users.admin._id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ role: 'user' });
+      expectErrorResponse(demote, 403, 'permissions you do not have');
+    });
+  });
+});
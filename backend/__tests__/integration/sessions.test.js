@@ -0,0 +1,151 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const {
+  createTestTask,
+  createTestTaskDocument,
+  cleanupTestFiles,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Session Integration Tests', () => {
+  // Created through the model so the password is hashed exactly once
+  const credentials = { email: 'session@test.com', password: 'session123' };
+
+  const login = async () => {
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send(credentials);
+    return response.body.data;
+  };
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken });
+
+  const me = (token) => request(app)
+    .get('/api/auth/me')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await User.create(credentials);
+  });
+
+  describe('POST /api/auth/refresh', () => {
+    it('should rotate the refresh token', async () => {
+      const session = await login();
+      expect(session.refreshToken).toBeTruthy();
+
+      const response = await refresh(session.refreshToken);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.refreshToken).not.toBe(session.refreshToken);
+      expectSuccessResponse(await me(response.body.data.token), 200);
+    });
+
+    it('should return the user the same way logging in does', async () => {
+      const session = await login();
+
+      const response = await refresh(session.refreshToken);
+
+      const { user } = response.body.data;
+      expect(Array.isArray(user.permissions)).toBe(true);
+      expect(user.permissions).toEqual(session.user.permissions);
+      expect(user.twoFactorSetupRequired).toBe(false);
+      expect(user).not.toHaveProperty('password');
+    });
+
+    it('should reject unknown refresh tokens', async () => {
+      const response = await refresh('not-a-real-token');
+
+      expectErrorResponse(response, 401, 'Invalid or expired refresh token');
+    });
+
+    it('should revoke the whole session when a used refresh token comes back', async () => {
+      const session = await login();
+      const rotated = (await refresh(session.refreshToken)).body.data;
+
+      const reuse = await refresh(session.refreshToken);
+      expectErrorResponse(reuse, 401, 'reuse detected');
+
+      // The legitimate holder is logged out too
+      expectErrorResponse(await refresh(rotated.refreshToken), 401);
+      expectErrorResponse(await me(rotated.token), 401, 'Session has ended');
+    });
+  });
+
+  describe('Access tokens', () => {
+    it('should reject tokens that do not belong to a session', async () => {
+      const user = await User.findOne({ email: credentials.email });
+      const token = jwt.sign({ id: user._id, role: user.role }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+      expectErrorResponse(await me(token), 401, 'Session has ended');
+    });
+  });
+
+  describe('POST /api/auth/logout', () => {
+    it('should revoke the refresh token and its access tokens', async () => {
+      const session = await login();
+
+      const response = await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: session.refreshToken });
+
+      expectSuccessResponse(response, 200);
+      expectErrorResponse(await me(session.token), 401, 'Session has ended');
+      expectErrorResponse(await refresh(session.refreshToken), 401, 'revoked');
+    });
+
+    it('should stop the token in document links from working', async () => {
+      const user = await User.findOne({ email: credentials.email });
+      const task = await createTestTask(user._id, user._id);
+      const document = await createTestTaskDocument(task._id, user._id);
+      const session = await login();
+      const view = () => request(app)
+        .get(`/api/tasks/${task._id}/documents/${document._id}/view`)
+        .query({ token: session.token });
+
+      expect((await view()).status).toBe(200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: session.refreshToken });
+
+      expectErrorResponse(await view(), 401, 'Session has ended');
+      await cleanupTestFiles();
+    });
+
+    it('should only end the given session unless asked to end all', async () => {
+      const first = await login();
+      const second = await login();
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: first.refreshToken });
+      expectSuccessResponse(await me(second.token), 200);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .send({ refreshToken: second.refreshToken, allSessions: true });
+      expectErrorResponse(await me(second.token), 401);
+    });
+  });
+
+  describe('Password changes', () => {
+    it('should log out other sessions but keep the current one', async () => {
+      const current = await login();
+      const other = await login();
+
+      const response = await request(app)
+        .put('/api/users/profile')
+        .set('Authorization', `Bearer ${current.token}`)
+        .send({ password: 'newpassword123', currentPassword: credentials.password });
+
+      expectSuccessResponse(response, 200);
+      expectSuccessResponse(await me(current.token), 200);
+      expectErrorResponse(await me(other.token), 401);
+    });
+  });
+});
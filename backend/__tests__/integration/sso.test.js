@@ -0,0 +1,196 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const LoginEvent = require('../../models/LoginEvent');
+const { createMockProvider, DEFAULT_USERS } = require('../../scripts/mock-oidc-provider');
+const { expectErrorResponse, expectSuccessResponse } = require('../utils/testHelpers');
+
+const REDIRECT_URI = 'http://localhost:5000/api/auth/sso/callback';
+
+describe('OpenID Connect Single Sign-On Integration Tests', () => {
+  let provider, server;
+
+  // Walk through a sign-on as the provider user with `email`. Resolves to
+  // the app URL the callback redirected to.
+  const signOn = async (email, { cookie } = {}) => {
+    const start = await request(app).get('/api/auth/sso/login');
+    expect(start.status).toBe(302);
+
+    const authorize = await fetch(`${start.headers.location}&login_hint=${encodeURIComponent(email)}`, { redirect: 'manual' });
+    const callback = new URL(authorize.headers.get('location'));
+
+    const done = await request(app)
+      .get(`${callback.pathname}${callback.search}`)
+      .set('Cookie', cookie || start.headers['set-cookie']);
+    expect(done.status).toBe(302);
+    return new URL(done.headers.location);
+  };
+
+  const exchange = (code) => request(app)
+    .post('/api/auth/sso/exchange')
+    .send({ code });
+
+  // Sign on and exchange the code; resolves to the exchange response
+  const login = async (email) => {
+    const redirect = await signOn(email);
+    expect(redirect.pathname).toBe('/login/sso');
+    return exchange(redirect.searchParams.get('code'));
+  };
+
+  beforeAll(async () => {
+    provider = createMockProvider({
+      users: DEFAULT_USERS.map(user => ({ ...user, groups: [...user.groups] })),
+      clients: [{ clientId: 'task-manager', redirectUris: [REDIRECT_URI] }]
+    });
+    server = await provider.listen(0);
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  beforeEach(() => {
+    process.env.OIDC_ISSUER = provider.issuer;
+    process.env.OIDC_CLIENT_ID = 'task-manager';
+    process.env.OIDC_REDIRECT_URI = REDIRECT_URI;
+    process.env.OIDC_PROVIDER_NAME = 'Mock IdP';
+    process.env.OIDC_ROLE_MAPPING = 'task-admins=admin';
+  });
+
+  afterEach(() => {
+    ['OIDC_ISSUER', 'OIDC_CLIENT_ID', 'OIDC_REDIRECT_URI', 'OIDC_PROVIDER_NAME',
+      'OIDC_ROLE_MAPPING', 'OIDC_AUTO_PROVISION'].forEach(name => delete process.env[name]);
+    provider.users.find(user => user.sub === 'mock-alice').groups = ['task-admins'];
+  });
+
+  describe('GET /api/auth/sso', () => {
+    it('should say whether SSO is configured', async () => {
+      const enabled = await request(app).get('/api/auth/sso');
+      expectSuccessResponse(enabled, 200);
+      expect(enabled.body.data).toEqual({ enabled: true, providerName: 'Mock IdP' });
+
+      delete process.env.OIDC_ISSUER;
+      const disabled = await request(app).get('/api/auth/sso');
+      expect(disabled.body.data.enabled).toBe(false);
+
+      const start = await request(app).get('/api/auth/sso/login');
+      expectErrorResponse(start, 404, 'not configured');
+    });
+  });
+
+  describe('Signing on', () => {
+    it('should send the browser to the provider with PKCE', async () => {
+      const response = await request(app).get('/api/auth/sso/login');
+
+      expect(response.status).toBe(302);
+      const url = new URL(response.headers.location);
+      expect(url.origin).toBe(provider.issuer);
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+      expect(url.searchParams.get('code_challenge')).toBeTruthy();
+      expect(url.searchParams.get('redirect_uri')).toBe(REDIRECT_URI);
+      expect(response.headers['set-cookie'][0]).toMatch(/^sso_state=.*HttpOnly/);
+    });
+
+    it('should provision a new user with the role of their groups', async () => {
+      const response = await login('alice@example.com');
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.token).toBeDefined();
+      expect(response.body.data.refreshToken).toBeDefined();
+      expect(response.body.data.user).toMatchObject({ email: 'alice@example.com', role: 'admin', emailVerified: true });
+
+      const user = await User.findOne({ email: 'alice@example.com' }).select('+password');
+      expect(user.password).toBeUndefined();
+      expect(user.sso).toMatchObject({ issuer: provider.issuer, subject: 'mock-alice' });
+
+      const event = await LoginEvent.findOne({ user: user._id });
+      expect(event).toMatchObject({ result: 'success', method: 'sso' });
+    });
+
+    it('should give users in no mapped group the default role', async () => {
+      const response = await login('bob@example.com');
+      expect(response.body.data.user.role).toBe('user');
+    });
+
+    it('should find the same user on the next sign-on and follow group changes', async () => {
+      await login('alice@example.com');
+      provider.users.find(user => user.sub === 'mock-alice').groups = [];
+
+      const response = await login('alice@example.com');
+      expect(response.body.data.user.role).toBe('user');
+      expect(await User.countDocuments({ email: 'alice@example.com' })).toBe(1);
+    });
+
+    it('should link an existing account with the same verified email', async () => {
+      const existing = await User.create({ email: 'bob@example.com', password: 'password123' });
+
+      const response = await login('bob@example.com');
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.user._id).toBe(existing._id.toString());
+
+      const password = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'bob@example.com', password: 'password123' });
+      expectSuccessResponse(password, 200);
+    });
+
+    it('should not link an account to an unverified email', async () => {
+      await User.create({ email: 'carol@example.com', password: 'password123' });
+
+      const redirect = await signOn('carol@example.com');
+      expect(redirect.pathname).toBe('/login');
+      expect(redirect.searchParams.get('ssoError')).toMatch(/already exists/);
+      expect((await User.findOne({ email: 'carol@example.com' })).sso?.subject).toBeUndefined();
+    });
+
+    it('should only let existing users in when provisioning is off', async () => {
+      process.env.OIDC_AUTO_PROVISION = 'false';
+
+      const redirect = await signOn('bob@example.com');
+      expect(redirect.searchParams.get('ssoError')).toMatch(/no account/);
+      expect(await User.exists({ email: 'bob@example.com' })).toBeNull();
+    });
+
+    it('should refuse a callback from another browser', async () => {
+      const redirect = await signOn('alice@example.com', { cookie: 'sso_state=someone-elses' });
+
+      expect(redirect.pathname).toBe('/login');
+      expect(redirect.searchParams.get('ssoError')).toMatch(/expired/);
+      expect(await User.exists({ email: 'alice@example.com' })).toBeNull();
+    });
+
+    it('should pass on errors from the provider', async () => {
+      const response = await request(app)
+        .get('/api/auth/sso/callback?error=access_denied&error_description=User%20cancelled');
+
+      expect(response.status).toBe(302);
+      expect(new URL(response.headers.location).searchParams.get('ssoError')).toMatch(/User cancelled/);
+    });
+  });
+
+  describe('POST /api/auth/sso/exchange', () => {
+    it('should only accept a code once', async () => {
+      const redirect = await signOn('bob@example.com');
+      const code = redirect.searchParams.get('code');
+
+      expectSuccessResponse(await exchange(code), 200);
+      expectErrorResponse(await exchange(code), 401, 'expired');
+    });
+
+    it('should reject unknown codes', async () => {
+      expectErrorResponse(await exchange('made-up'), 401);
+      expectErrorResponse(await exchange(''), 400);
+    });
+  });
+
+  describe('Password login', () => {
+    it('should not let SSO-only users log in without a password', async () => {
+      await login('bob@example.com');
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'bob@example.com', password: 'anything' });
+      expectErrorResponse(response, 401, 'Invalid credentials');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Subtasks and Checklist Integration Tests', () => {
+  let users, epic, user1Token, user2Token;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    epic = await createTestTask(users.user1._id, null, { title: 'Epic' });
+
+    user1Token = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
+  });
+
+  describe('Subtasks', () => {
+    it('should create subtasks in order under the parent', async () => {
+      const first = await request(app)
+        .post(`/api/tasks/${epic._id}/subtasks`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ title: 'Step 1' });
+      const second = await request(app)
+        .post(`/api/tasks/${epic._id}/subtasks`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ title: 'Step 2' });
+
+      expectSuccessResponse(first, 201);
+      expect(first.body.data.parentTask).toBe(epic._id.toString());
+      expect(first.body.data.position).toBe(0);
+      expect(second.body.data.position).toBe(1);
+    });
+
+    it('should not let unrelated users add subtasks', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${epic._id}/subtasks`)
+        .set('Authorization', `Bearer ${user2Token}`)
+        .send({ title: 'Sneaky' });
+
+      expectErrorResponse(response, 403);
+    });
+
+    it('should reject due dates in the past', async () => {
+      const response = await request(app)
+        .post(`/api/tasks/${epic._id}/subtasks`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ title: 'Yesterday', dueDate: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() });
+
+      expectErrorResponse(response, 400, 'Due date must be in the future');
+      expect(await Task.countDocuments({ parentTask: epic._id })).toBe(0);
+    });
+
+    it('should reorder subtasks', async () => {
+      const a = await createTestTask(users.user1._id, null, { title: 'A', parentTask: epic._id, position: 0 });
+      const b = await createTestTask(users.user1._id, null, { title: 'B', parentTask: epic._id, position: 1 });
+
+      const response = await request(app)
+        .put(`/api/tasks/${epic._id}/subtasks/reorder`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ order: [b._id.toString(), a._id.toString()] });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.map(task => task.title)).toEqual(['B', 'A']);
+    });
+
+    it('should reject an order that is not a permutation of the subtasks', async () => {
+      const a = await createTestTask(users.user1._id, null, { parentTask: epic._id });
+      await createTestTask(users.user1._id, null, { parentTask: epic._id });
+
+      const response = await request(app)
+        .put(`/api/tasks/${epic._id}/subtasks/reorder`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ order: [a._id.toString()] });
+
+      expectErrorResponse(response, 400);
+    });
+
+    it('should roll completion up to the parent', async () => {
+      const a = await createTestTask(users.user1._id, null, { parentTask: epic._id });
+      await createTestTask(users.user1._id, null, { parentTask: epic._id });
+
+      const response = await request(app)
+        .patch(`/api/tasks/${epic._id}/subtasks/${a._id}/complete`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ completed: true });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.status).toBe('completed');
+
+      const parent = await Task.findById(epic._id);
+      expect(parent.progress).toBe(50);
+    });
+
+    it('should refuse to move a task under its own subtask', async () => {
+      const child = await createTestTask(users.user1._id, null, { parentTask: epic._id });
+
+      const response = await request(app)
+        .put(`/api/tasks/${epic._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .field('parentTask', child._id.toString());
+
+      expectErrorResponse(response, 400, 'cannot be moved under itself');
+    });
+  });
+
+  describe('Checklist', () => {
+    it('should add, complete and delete checklist items', async () => {
+      const added = await request(app)
+        .post(`/api/tasks/${epic._id}/checklist`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ text: 'Write spec' });
+
+      expectSuccessResponse(added, 201);
+      const [item] = added.body.data.checklist;
+      expect(item.completed).toBe(false);
+
+      const completed = await request(app)
+        .patch(`/api/tasks/${epic._id}/checklist/${item._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ completed: true });
+
+      expectSuccessResponse(completed, 200);
+      expect(completed.body.data.checklist[0].completed).toBe(true);
+      expect(completed.body.data.checklist[0].completedBy).toBe(users.user1._id.toString());
+      expect(completed.body.data.progress).toBe(100);
+
+      const deleted = await request(app)
+        .delete(`/api/tasks/${epic._id}/checklist/${item._id}`)
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      expectSuccessResponse(deleted, 200);
+      expect(deleted.body.data.checklist).toHaveLength(0);
+    });
+
+    it('should accept a checklist when creating a task', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .field('title', 'With checklist')
+        .field('checklist', JSON.stringify([{ text: 'One', completed: true }, { text: 'Two' }]));
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.checklist).toHaveLength(2);
+      expect(response.body.data.progress).toBe(50);
+    });
+
+    it('should reorder checklist items', async () => {
+      epic.checklist.push({ text: 'First' }, { text: 'Second' });
+      await epic.save();
+      const [first, second] = epic.checklist.map(item => item._id.toString());
+
+      const response = await request(app)
+        .put(`/api/tasks/${epic._id}/checklist/reorder`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ order: [second, first] });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.checklist.map(item => item.text)).toEqual(['Second', 'First']);
+    });
+  });
+});
@@ -0,0 +1,214 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Label = require('../../models/Label');
+const Task = require('../../models/Task');
+const { parseCsv } = require('../../utils/csv');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Task Export Integration Tests', () => {
+  let users, userToken, user2Token;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    userToken = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
+  });
+
+  const exportTasks = (query, token = userToken) => request(app)
+    .get('/api/tasks/export')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+  describe('Export', () => {
+    beforeEach(async () => {
+      const bug = await Label.create({ name: 'Bug', color: '#dc2626' });
+      await createTestTask(users.user1._id, users.user2._id, {
+        title: 'Fix login, again',
+        priority: 'high',
+        dueDate: new Date('2099-03-01T00:00:00Z'),
+        labels: [bug._id]
+      });
+      await createTestTask(users.user1._id, null, { title: '=HYPERLINK("http://evil")', priority: 'low' });
+      // Not visible to user1
+      await createTestTask(users.user2._id, users.user2._id, { title: 'Private to user2' });
+    });
+
+    it('should export the visible tasks as CSV that can be imported again', async () => {
+      const response = await exportTasks({ format: 'csv', sortBy: 'title', sortOrder: 'asc' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/csv/);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="tasks-.*\.csv"/);
+
+      const [header, ...rows] = parseCsv(response.text);
+      expect(header.slice(0, 8)).toEqual(['ID', 'Title', 'Description', 'Status', 'Priority', 'Due date', 'Assignee', 'Labels']);
+      expect(rows).toHaveLength(2);
+
+      const record = Object.fromEntries(header.map((column, index) => [column, rows[1][index]]));
+      expect(record).toMatchObject({
+        Title: 'Fix login, again',
+        Status: 'Pending',
+        Priority: 'high',
+        'Due date': '2099-03-01T00:00:00.000Z',
+        Assignee: users.user2.email,
+        Labels: 'Bug'
+      });
+
+      const dryRun = await request(app)
+        .post('/api/tasks/import')
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ format: 'csv', content: response.text, dryRun: true });
+      expectSuccessResponse(dryRun, 200);
+      expect(dryRun.body.data.validRows).toBe(2);
+    });
+
+    it('should keep spreadsheet formulas from running', async () => {
+      const response = await exportTasks({ format: 'csv', priority: 'low' });
+
+      const [, [, title]] = parseCsv(response.text);
+      expect(title).toBe('\'=HYPERLINK("http://evil")');
+    });
+
+    it('should start Excel exports with a byte order mark', async () => {
+      const response = await exportTasks({ format: 'excel' });
+
+      expect(response.status).toBe(200);
+      expect(response.text.startsWith('\uFEFFID,Title')).toBe(true);
+    });
+
+    it('should apply the list filters to JSON exports', async () => {
+      const response = await exportTasks({ format: 'json', priority: 'high' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0]).toMatchObject({
+        title: 'Fix login, again',
+        status: 'pending',
+        assignee: users.user2.email,
+        labels: ['Bug']
+      });
+    });
+
+    it('should export an empty JSON array when nothing matches', async () => {
+      const response = await exportTasks({ format: 'json', search: 'nothing like this' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([]);
+    });
+
+    it('should reject unknown formats', async () => {
+      expectErrorResponse(await exportTasks({ format: 'xlsx' }), 400, 'Format must be one of');
+    });
+  });
+
+  describe('Calendar feed', () => {
+    const createFeed = (token = user2Token) => request(app)
+      .post('/api/calendar/feed')
+      .set('Authorization', `Bearer ${token}`);
+
+    const fetchFeed = (url) => request(app).get(new URL(url).pathname);
+
+    it('should list the open tasks assigned to the user that have a due date', async () => {
+      await createTestTask(users.user1._id, users.user2._id, {
+        title: 'Quarterly report',
+        dueDate: new Date('2099-03-31T00:00:00Z')
+      });
+      await createTestTask(users.user1._id, users.user2._id, {
+        title: 'Call the customer',
+        dueDate: new Date('2099-03-31T14:30:00Z')
+      });
+      await createTestTask(users.user1._id, users.user2._id, { title: 'No due date' });
+      await createTestTask(users.user1._id, users.user2._id, {
+        title: 'Already done',
+        status: 'completed',
+        dueDate: new Date('2099-03-01T00:00:00Z')
+      });
+      await createTestTask(users.user1._id, users.user1._id, {
+        title: 'Someone else\'s',
+        dueDate: new Date('2099-03-01T00:00:00Z')
+      });
+
+      const created = await createFeed();
+      expectSuccessResponse(created, 201);
+      expect(created.body.data.url).toMatch(/\/api\/calendar\/tmcal_[\w-]+\.ics$/);
+
+      const response = await fetchFeed(created.body.data.url);
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+      expect(response.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+      expect(response.text).toContain('SUMMARY:Quarterly report');
+      expect(response.text).toContain('DTSTART;VALUE=DATE:20990331');
+      expect(response.text).toContain('DTSTART:20990331T143000Z');
+      expect(response.text).not.toContain('No due date');
+      expect(response.text).not.toContain('Already done');
+      expect(response.text).not.toContain('Someone else');
+    });
+
+    it('should list the soonest tasks from a month back when there are too many', async () => {
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      await Task.insertMany(Array.from({ length: 500 }, (_, index) => ({
+        title: `Later ${index}`,
+        dueDate: new Date(Date.UTC(2099, 0, 1) + index * DAY_MS),
+        createdBy: users.user1._id,
+        assignedTo: users.user2._id
+      })));
+      const missed = await createTestTask(users.user1._id, users.user2._id, { title: 'Missed yesterday' });
+      const forgotten = await createTestTask(users.user1._id, users.user2._id, { title: 'Long forgotten' });
+      await Task.collection.updateOne({ _id: missed._id }, { $set: { dueDate: new Date(Date.now() - DAY_MS) } });
+      await Task.collection.updateOne({ _id: forgotten._id }, { $set: { dueDate: new Date(Date.now() - 60 * DAY_MS) } });
+      await createTestTask(users.user1._id, users.user2._id, {
+        title: 'Next week',
+        dueDate: new Date(Date.now() + 7 * DAY_MS)
+      });
+
+      const created = await createFeed();
+      const response = await fetchFeed(created.body.data.url);
+
+      expect(response.text.match(/BEGIN:VEVENT/g)).toHaveLength(500);
+      expect(response.text).toContain('SUMMARY:Missed yesterday');
+      expect(response.text).toContain('SUMMARY:Next week');
+      expect(response.text).not.toContain('Long forgotten');
+      expect(response.text).toContain('SUMMARY:Later 497');
+      expect(response.text).not.toContain('SUMMARY:Later 498');
+    });
+
+    it('should show whether a feed exists without revealing its URL', async () => {
+      await createFeed();
+
+      const response = await request(app)
+        .get('/api/calendar/feed')
+        .set('Authorization', `Bearer ${user2Token}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.enabled).toBe(true);
+      expect(response.body.data.url).toBeUndefined();
+    });
+
+    it('should stop old URLs working when a new one is created or the feed is turned off', async () => {
+      const first = await createFeed();
+      const second = await createFeed();
+
+      expect((await fetchFeed(first.body.data.url)).status).toBe(404);
+      expect((await fetchFeed(second.body.data.url)).status).toBe(200);
+
+      await request(app)
+        .delete('/api/calendar/feed')
+        .set('Authorization', `Bearer ${user2Token}`);
+      expect((await fetchFeed(second.body.data.url)).status).toBe(404);
+    });
+
+    it('should reject unknown tokens', async () => {
+      const response = await request(app).get('/api/calendar/tmcal_not-a-real-token.ics');
+
+      expectErrorResponse(response, 404, 'Calendar feed not found');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const Label = require('../../models/Label');
+const Project = require('../../models/Project');
+const TaskActivity = require('../../models/TaskActivity');
+const {
+  createTestUsers,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Task Import Integration Tests', () => {
+  let users, userToken;
+
+  const importTasks = (body) => request(app)
+    .post('/api/tasks/import')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(body);
+
+  const csv = [
+    'Title,Priority,Due date,Assignee,Labels',
+    'Write release notes,High,2099-03-01,user2@test.com,Docs',
+    '"Fix login, again",low,,,',
+  ].join('\n');
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    userToken = await generateTestToken(users.user1._id, 'user');
+    await Label.create({ name: 'Docs', color: '#2563eb' });
+  });
+
+  describe('Dry run', () => {
+    it('should report the columns, the mapping it guessed and every row', async () => {
+      const response = await importTasks({ format: 'csv', content: csv, dryRun: true });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.columns).toEqual(['Title', 'Priority', 'Due date', 'Assignee', 'Labels']);
+      expect(response.body.data.mapping).toEqual({
+        title: 'Title',
+        priority: 'Priority',
+        dueDate: 'Due date',
+        assignee: 'Assignee',
+        labels: 'Labels'
+      });
+      expect(response.body.data.totalRows).toBe(2);
+      expect(response.body.data.validRows).toBe(2);
+      expect(response.body.data.rows[1].fields.title).toBe('Fix login, again');
+      expect(await Task.countDocuments()).toBe(0);
+    });
+
+    it('should apply the rules of task creation to each row', async () => {
+      const content = [
+        'Title,Priority,Due,Owner,Labels,Status',
+        ',urgent,next week,nobody@test.com,Nope,archived',
+      ].join('\n');
+
+      const response = await importTasks({ format: 'csv', content, dryRun: true });
+
+      expectSuccessResponse(response, 200);
+      const [row] = response.body.data.rows;
+      expect(row.row).toBe(1);
+      expect(row.errors.map(error => error.field).sort()).toEqual(
+        ['assignee', 'dueDate', 'labels', 'priority', 'status', 'title']
+      );
+      expect(row.errors.find(error => error.field === 'priority').message).toBe('Priority must be one of: low, medium, high');
+      expect(response.body.data.validRows).toBe(0);
+    });
+
+    it('should use the given column mapping', async () => {
+      const content = [{ Summary: 'Ignored', Task: 'Mapped' }];
+
+      const response = await importTasks({
+        format: 'json',
+        content,
+        mapping: { title: 'Task', description: '' },
+        dryRun: true
+      });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.mapping).toEqual({ title: 'Task' });
+      expect(response.body.data.rows[0].fields).toEqual({ title: 'Mapped' });
+    });
+
+    it('should accept workflow state names as well as keys', async () => {
+      const content = [{ title: 'Started', status: 'In Progress' }];
+
+      const response = await importTasks({ format: 'json', content, dryRun: true });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.rows[0].errors).toEqual([]);
+    });
+  });
+
+  describe('Importing', () => {
+    it('should create the tasks with assignees resolved by email', async () => {
+      const response = await importTasks({ format: 'csv', content: csv });
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.imported).toBe(2);
+
+      const task = await Task.findOne({ title: 'Write release notes' }).populate('labels');
+      expect(task.assignedTo.toString()).toBe(users.user2._id.toString());
+      expect(task.createdBy.toString()).toBe(users.user1._id.toString());
+      expect(task.priority).toBe('high');
+      expect(task.status).toBe('pending');
+      expect(task.dueDate.toISOString().slice(0, 10)).toBe('2099-03-01');
+      expect(task.labels.map(label => label.name)).toEqual(['Docs']);
+
+      const other = await Task.findOne({ title: 'Fix login, again' });
+      expect(other.assignedTo).toBeNull();
+      expect(other.priority).toBe('low');
+
+      expect(await TaskActivity.countDocuments({ action: 'created' })).toBe(2);
+    });
+
+    it('should import nothing when a row has errors', async () => {
+      const content = `${csv}\nBroken,,not a date,,\nLate,,2020-01-31,,`;
+
+      const response = await importTasks({ format: 'csv', content });
+
+      expectErrorResponse(response, 400, 'nothing was imported');
+      expect(response.body.errors).toEqual([
+        { row: 3, field: 'dueDate', message: 'Due date must be a valid date' },
+        { row: 4, field: 'dueDate', message: 'Due date must be in the future' }
+      ]);
+      expect(await Task.countDocuments()).toBe(0);
+    });
+
+    it('should import into a project the user can add tasks to', async () => {
+      const project = await Project.create({
+        name: 'Website',
+        createdBy: users.user1._id,
+        members: [{ user: users.user1._id, role: 'owner' }]
+      });
+
+      const outsider = await request(app)
+        .post('/api/tasks/import')
+        .set('Authorization', `Bearer ${await generateTestToken(users.user2._id, 'user')}`)
+        .send({ format: 'csv', content: csv, project: project._id.toString() });
+      expectErrorResponse(outsider, 403);
+
+      const rejected = await importTasks({ format: 'csv', content: csv, project: project._id.toString() });
+      expectErrorResponse(rejected, 400);
+      expect(rejected.body.errors).toEqual([
+        { row: 1, field: 'assignee', message: 'Assigned user is not a member of this project' }
+      ]);
+
+      await Project.updateOne({ _id: project._id }, { $push: { members: { user: users.user2._id, role: 'member' } } });
+      const accepted = await importTasks({ format: 'csv', content: csv, project: project._id.toString() });
+      expectSuccessResponse(accepted, 201);
+      expect(await Task.countDocuments({ project: project._id })).toBe(2);
+    });
+
+    it('should reject unreadable content and unknown columns', async () => {
+      expectErrorResponse(await importTasks({ format: 'json', content: '{"title": "x"' }), 400, 'could not be parsed');
+      expectErrorResponse(await importTasks({ format: 'csv', content: 'Title\n"Never closed' }), 400, 'never closed');
+      expectErrorResponse(await importTasks({ format: 'csv', content: 'Title\n' }), 400, 'no tasks');
+      expectErrorResponse(
+        await importTasks({ format: 'csv', content: csv, mapping: { title: 'Name' } }),
+        400,
+        'no column "Name"'
+      );
+      expectErrorResponse(await importTasks({ format: 'csv', content: 'Heading,Due\nx,' }), 400, 'task title');
+      expectErrorResponse(await importTasks({ format: 'xlsx', content: csv }), 400, 'Validation failed');
+    });
+  });
+});
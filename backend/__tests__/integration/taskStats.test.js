@@ -0,0 +1,170 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const Project = require('../../models/Project');
+const Workflow = require('../../models/Workflow');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dateIn = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+describe('Task Statistics Integration Tests', () => {
+  let users, userToken;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    userToken = await generateTestToken(users.user1._id, 'user');
+  });
+
+  const getStats = (query = {}) => request(app)
+    .get('/api/tasks/stats')
+    .query(query)
+    .set('Authorization', `Bearer ${userToken}`);
+
+  describe('Counts', () => {
+    beforeEach(async () => {
+      await createTestTask(users.user1._id, users.user2._id, { priority: 'high' });
+      await createTestTask(users.user1._id, users.user2._id, { status: 'in_progress' });
+      await createTestTask(users.user1._id, null, { status: 'completed', priority: 'low' });
+      const late = await createTestTask(users.user1._id, users.user2._id, { title: 'Late' });
+      const lateButDone = await createTestTask(users.user1._id, null, { status: 'completed' });
+      await Task.updateMany(
+        { _id: { $in: [late._id, lateButDone._id] } },
+        { $set: { dueDate: new Date(Date.now() - DAY_MS) } }
+      );
+      // Not visible to user1
+      await createTestTask(users.user2._id, users.user2._id, { title: 'Private to user2' });
+    });
+
+    it('should count the visible tasks by status, category, priority and overdue', async () => {
+      const response = await getStats();
+
+      expectSuccessResponse(response, 200);
+      const stats = response.body.data;
+      expect(stats.total).toBe(5);
+      expect(stats.overdue).toBe(1);
+      expect(stats.byStatus).toEqual([
+        expect.objectContaining({ status: 'pending', name: 'Pending', count: 2 }),
+        expect.objectContaining({ status: 'in_progress', name: 'In Progress', count: 1 }),
+        expect.objectContaining({ status: 'completed', name: 'Completed', count: 2 })
+      ]);
+      expect(stats.byCategory).toEqual({ todo: 2, in_progress: 1, done: 2 });
+      expect(stats.byPriority).toEqual({ low: 1, medium: 3, high: 1 });
+    });
+
+    it('should count tasks per assignee, most first', async () => {
+      const response = await getStats();
+
+      expect(response.body.data.byAssignee).toEqual([
+        { user: { _id: users.user2._id.toString(), email: users.user2.email }, count: 3, open: 3, overdue: 1 },
+        { user: null, count: 2, open: 0, overdue: 0 }
+      ]);
+    });
+
+    it('should apply the task list filters', async () => {
+      const project = await Project.create({
+        name: 'Website',
+        createdBy: users.user1._id,
+        members: [{ user: users.user1._id, role: 'owner' }]
+      });
+      await createTestTask(users.user1._id, null, { project: project._id, priority: 'high' });
+
+      const response = await getStats({ project: project._id.toString() });
+
+      expect(response.body.data.total).toBe(1);
+      expect(response.body.data.byPriority.high).toBe(1);
+    });
+  });
+
+  describe('Trend', () => {
+    it('should count the tasks created and completed on each day of the window', async () => {
+      await createTestTask(users.user1._id, null, { title: 'New' });
+      await createTestTask(users.user1._id, null, { title: 'Done', status: 'completed' });
+      const old = await createTestTask(users.user1._id, null, { title: 'Old' });
+      // createdAt is immutable through Mongoose
+      await Task.collection.updateOne({ _id: old._id }, { $set: { createdAt: new Date(Date.now() - 10 * DAY_MS) } });
+
+      const response = await getStats({ days: 7 });
+
+      expectSuccessResponse(response, 200);
+      const { points } = response.body.data.trend;
+      expect(points).toHaveLength(7);
+      expect(points[6]).toEqual({ date: dateIn(new Date(), 'UTC'), created: 2, completed: 1 });
+      expect(points.slice(0, 6).every(point => point.created === 0 && point.completed === 0)).toBe(true);
+    });
+
+    it('should count days in the requested time zone', async () => {
+      const task = await createTestTask(users.user1._id, null);
+      // 23:00 UTC yesterday is already the next day in Berlin
+      const createdAt = new Date(new Date().setUTCHours(0, 0, 0, 0) - 60 * 60 * 1000);
+      await Task.collection.updateOne({ _id: task._id }, { $set: { createdAt } });
+
+      const utc = await getStats({ days: 3 });
+      const berlin = await getStats({ days: 3, timezone: 'Europe/Berlin' });
+
+      const createdOn = (response, date) =>
+        response.body.data.trend.points.find(point => point.date === date)?.created;
+      expect(createdOn(utc, dateIn(createdAt, 'UTC'))).toBe(1);
+      expect(createdOn(berlin, dateIn(createdAt, 'Europe/Berlin'))).toBe(1);
+      expect(berlin.body.data.trend.timezone).toBe('Europe/Berlin');
+    });
+
+    it('should stop counting a task as completed when it is reopened', async () => {
+      const task = await createTestTask(users.user1._id, null, { status: 'completed' });
+      expect(task.completedAt).toBeInstanceOf(Date);
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ status: 'pending' });
+
+      expect((await Task.findById(task._id)).completedAt).toBeNull();
+      const response = await getStats({ days: 1 });
+      expect(response.body.data.trend.points[0].completed).toBe(0);
+    });
+
+    it('should date tasks completed before completedAt existed by their last update', async () => {
+      const task = await createTestTask(users.user1._id, null, { status: 'completed' });
+      const updatedAt = new Date(Date.now() - 2 * DAY_MS);
+      await Task.collection.updateOne({ _id: task._id }, { $unset: { completedAt: 1 }, $set: { updatedAt } });
+
+      expect(await Task.backfillCompletedAt()).toBe(1);
+      expect(await Task.backfillCompletedAt()).toBe(0);
+
+      const response = await getStats({ days: 7 });
+      const point = response.body.data.trend.points.find(item => item.date === dateIn(updatedAt, 'UTC'));
+      expect(point.completed).toBe(1);
+      expect((await Task.findById(task._id)).updatedAt).toEqual(updatedAt);
+    });
+
+    it('should use done states added by another server instance', async () => {
+      const workflow = await Workflow.getCurrent();
+      // Written straight to the database, so this process's cache doesn't see it
+      await Workflow.collection.updateOne({ _id: workflow._id }, {
+        $push: { states: { key: 'shipped', name: 'Shipped', color: '#16a34a', category: 'done' } }
+      });
+
+      const task = await createTestTask(users.user1._id, null, { status: 'shipped' });
+
+      expect(task.completedAt).toBeInstanceOf(Date);
+    });
+
+    it('should reject windows and time zones it cannot use', async () => {
+      expectErrorResponse(await getStats({ days: 0 }), 400, 'Validation failed');
+      expectErrorResponse(await getStats({ days: 400 }), 400, 'Validation failed');
+      expectErrorResponse(await getStats({ timezone: 'Mars/Olympus_Mons' }), 400, 'Validation failed');
+    });
+  });
+});
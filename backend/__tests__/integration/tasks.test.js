@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../server');
 const path = require('path');
+const Task = require('../../models/Task');
+const TaskActivity = require('../../models/TaskActivity');
 const {
   createTestUsers,
   createTestTasks,
@@ -8,6 +10,7 @@ const {
   expectErrorResponse,
   expectSuccessResponse,
   createTestPDFFile,
+  createTestTaskDocument,
   cleanupTestFiles
 } = require('../utils/testHelpers');
 
@@ -20,9 +23,9 @@ describe('Task Management Integration Tests', () => {
     tasks = await createTestTasks(users);
 
     // Generate tokens
-    adminToken = generateTestToken(users.admin._id, 'admin');
-    user1Token = generateTestToken(users.user1._id, 'user');
-    user2Token = generateTestToken(users.user2._id, 'user');
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+    user1Token = await generateTestToken(users.user1._id, 'user');
+    user2Token = await generateTestToken(users.user2._id, 'user');
   });
 
   afterEach(async () => {
@@ -410,6 +413,24 @@ describe('Task Management Integration Tests', () => {
       expect(response.status).toBe(400);
     });
 
+    it('should refuse an update going over the document limit without changing the task', async () => {
+      const task = tasks[0];
+      await createTestTaskDocument(task._id, users.admin._id);
+      await createTestTaskDocument(task._id, users.admin._id);
+      const files = await Promise.all([createTestPDFFile(), createTestPDFFile()]);
+
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .field('title', 'Renamed')
+        .attach('documents', files[0].path)
+        .attach('documents', files[1].path);
+
+      expectErrorResponse(response, 400, 'Maximum 3 documents allowed per task');
+      expect((await Task.findById(task._id)).title).toBe('Admin Task for User1');
+      expect(await TaskActivity.countDocuments({ task: task._id, action: 'updated' })).toBe(0);
+    });
+
     it('should only allow PDF files', async () => {
       // This test would require creating a non-PDF file
       // For now, we'll test the validation logic exists in the route
@@ -0,0 +1,250 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const User = require('../../models/User');
+const Settings = require('../../models/Settings');
+const { generateCode, stepAt } = require('../../utils/totp');
+const {
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Two-Factor Authentication Integration Tests', () => {
+  const credentials = { email: 'totp@test.com', password: 'totp1234' };
+  let user, token;
+
+  // Codes for the current and the next time step; a step can only be used once
+  const currentCode = (secret) => generateCode(secret, stepAt());
+  const nextCode = (secret) => generateCode(secret, stepAt() + 1);
+
+  const login = () => request(app)
+    .post('/api/auth/login')
+    .send(credentials);
+
+  const verify = (body) => request(app)
+    .post('/api/auth/2fa/verify')
+    .send(body);
+
+  // Enroll through the API; resolves to the secret and recovery codes
+  const enroll = async () => {
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+    const { secret } = setup.body.data;
+
+    const enable = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: currentCode(secret) });
+
+    return { secret, recoveryCodes: enable.body.data.recoveryCodes };
+  };
+
+  beforeEach(async () => {
+    user = await User.create(credentials);
+    token = await generateTestToken(user._id, 'user');
+  });
+
+  describe('Enrollment', () => {
+    it('should provide a secret, provisioning URI and QR code', async () => {
+      const response = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(response.body.data.otpauthUrl).toMatch(/^otpauth:\/\/totp\/.*secret=/);
+      expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+    });
+
+    it('should only enable after a valid code and return recovery codes', async () => {
+      const setup = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      const wrong = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateCode(setup.body.data.secret, stepAt() + 10) });
+      expectErrorResponse(wrong, 400, 'Invalid verification code');
+
+      const response = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: currentCode(setup.body.data.secret) });
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.recoveryCodes).toHaveLength(10);
+      expect((await User.findById(user._id)).twoFactor.enabled).toBe(true);
+    });
+  });
+
+  describe('Login', () => {
+    it('should answer a correct password with a challenge instead of tokens', async () => {
+      const { secret } = await enroll();
+
+      const response = await login();
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.twoFactorRequired).toBe(true);
+      expect(response.body.data.token).toBeUndefined();
+
+      const verified = await verify({
+        challengeToken: response.body.data.challengeToken,
+        code: nextCode(secret)
+      });
+      expectSuccessResponse(verified, 200);
+      expect(verified.body.data.token).toBeTruthy();
+      expect(verified.body.data.refreshToken).toBeTruthy();
+    });
+
+    it('should not accept the same code twice', async () => {
+      const { secret } = await enroll();
+      const code = nextCode(secret);
+
+      const first = await verify({ challengeToken: (await login()).body.data.challengeToken, code });
+      expectSuccessResponse(first, 200);
+
+      const second = await verify({ challengeToken: (await login()).body.data.challengeToken, code });
+      expectErrorResponse(second, 401, 'Invalid verification code');
+    });
+
+    it('should accept each recovery code once', async () => {
+      const { recoveryCodes } = await enroll();
+
+      const first = await verify({
+        challengeToken: (await login()).body.data.challengeToken,
+        recoveryCode: recoveryCodes[0]
+      });
+      expectSuccessResponse(first, 200);
+      expect(first.body.data.recoveryCodesRemaining).toBe(9);
+
+      const reuse = await verify({
+        challengeToken: (await login()).body.data.challengeToken,
+        recoveryCode: recoveryCodes[0]
+      });
+      expectErrorResponse(reuse, 401, 'Invalid verification code');
+    });
+
+    it('should not let the challenge token act as an access token', async () => {
+      await enroll();
+      const { challengeToken } = (await login()).body.data;
+
+      const response = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${challengeToken}`);
+
+      expectErrorResponse(response, 401);
+    });
+  });
+
+  describe('Disabling', () => {
+    it('should require the password and a code', async () => {
+      const { secret } = await enroll();
+
+      const wrongPassword = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'not-the-password', code: nextCode(secret) });
+      expectErrorResponse(wrongPassword, 400, 'Current password is incorrect');
+
+      const response = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: credentials.password, code: nextCode(secret) });
+      expectSuccessResponse(response, 200);
+
+      const loginResponse = await login();
+      expect(loginResponse.body.data.token).toBeTruthy();
+    });
+  });
+
+  describe('Attempt limit', () => {
+    it('should count wrong passwords and codes against the login lockout', async () => {
+      const { secret } = await enroll();
+      await User.updateOne({ _id: user._id }, { failedLoginCount: 4, lastFailedLoginAt: new Date() });
+
+      const locked = await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: 'not-the-password', code: nextCode(secret) });
+      expectErrorResponse(locked, 429, 'Too many failed login attempts');
+
+      // The right answers don't help while the account is locked
+      const refused = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: nextCode(secret) });
+      expect(refused.status).toBe(429);
+      expect((await User.findById(user._id)).twoFactor.enabled).toBe(true);
+    });
+
+    it('should clear earlier failures after a successful check', async () => {
+      const { secret } = await enroll();
+
+      const wrongCode = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: '000000' });
+      expectErrorResponse(wrongCode, 400, 'Invalid verification code');
+      expect((await User.findById(user._id)).failedLoginCount).toBe(1);
+
+      const response = await request(app)
+        .post('/api/auth/2fa/recovery-codes')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: nextCode(secret) });
+      expectSuccessResponse(response, 200);
+      expect((await User.findById(user._id)).failedLoginCount).toBe(0);
+    });
+  });
+
+  describe('Requiring two-factor authentication for admins', () => {
+    let admin, adminToken;
+
+    beforeEach(async () => {
+      admin = await User.create({ email: 'admin2fa@test.com', password: 'admin1234', role: 'admin' });
+      adminToken = await generateTestToken(admin._id, 'admin');
+    });
+
+    it('should not let an admin require it before enrolling themselves', async () => {
+      const response = await request(app)
+        .put('/api/settings')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ requireAdminTwoFactor: true });
+
+      expectErrorResponse(response, 400, 'Set up two-factor authentication');
+    });
+
+    it('should restrict admins without it to enrollment', async () => {
+      await Settings.create({ requireAdminTwoFactor: true });
+
+      const users = await request(app)
+        .get('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectErrorResponse(users, 403, 'Two-factor authentication is required');
+
+      const me = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(me, 200);
+      expect(me.body.data.twoFactorSetupRequired).toBe(true);
+
+      // Regular users are not affected
+      const tasks = await request(app)
+        .get('/api/tasks')
+        .set('Authorization', `Bearer ${token}`);
+      expectSuccessResponse(tasks, 200);
+    });
+
+    it('should let an admin reset a user who lost their authenticator', async () => {
+      await enroll();
+
+      const response = await request(app)
+        .delete(`/api/users/${user._id}/two-factor`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      expectSuccessResponse(response, 200);
+      expect((await User.findById(user._id)).twoFactor.enabled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('User Management Page Integration Tests', () => {
+  let users, adminToken;
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+  });
+
+  const listUsers = (query = {}) => request(app)
+    .get('/api/users')
+    .query(query)
+    .set('Authorization', `Bearer ${adminToken}`);
+
+  describe('Task counts', () => {
+    it('should count the tasks assigned to each user and how many are open', async () => {
+      await createTestTask(users.admin._id, users.user1._id);
+      await createTestTask(users.admin._id, users.user1._id, { status: 'in_progress' });
+      await createTestTask(users.admin._id, users.user1._id, { status: 'completed' });
+      await createTestTask(users.user1._id, null);
+
+      const response = await listUsers();
+
+      expectSuccessResponse(response, 200);
+      const counts = Object.fromEntries(response.body.data.users.map(user => [user.email, user.taskCounts]));
+      expect(counts).toEqual({
+        'admin@test.com': { assigned: 0, open: 0 },
+        'user1@test.com': { assigned: 3, open: 2 },
+        'user2@test.com': { assigned: 0, open: 0 }
+      });
+    });
+
+    it('should not expose secrets alongside the counts', async () => {
+      const response = await listUsers();
+
+      response.body.data.users.forEach(user => {
+        expect(user.password).toBeUndefined();
+        expect(user.twoFactor).not.toHaveProperty('secret');
+      });
+    });
+  });
+
+  describe('Names', () => {
+    it('should keep the name given when creating a user and find them by it', async () => {
+      const created = await request(app)
+        .post('/api/users')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Grace Hopper', email: 'grace@test.com', password: 'cobol1959' });
+
+      expectSuccessResponse(created, 201);
+      expect(created.body.data.name).toBe('Grace Hopper');
+
+      const response = await listUsers({ search: 'hopper' });
+      expect(response.body.data.users.map(user => user.email)).toEqual(['grace@test.com']);
+    });
+  });
+});
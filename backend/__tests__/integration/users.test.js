@@ -427,7 +427,7 @@ describe('User Management Integration Tests', () => {
         .send(userData);
 
       expectError(response, 400);
-      expect(response.body.errors.some(err => err.msg.includes('user or admin'))).toBe(true);
+      expect(response.body.errors.some(err => err.msg.includes('Unknown role'))).toBe(true);
     });
   });
 });
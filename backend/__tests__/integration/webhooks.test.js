@@ -0,0 +1,230 @@
+const http = require('http');
+const crypto = require('crypto');
+const request = require('supertest');
+const { app } = require('../../server');
+const Webhook = require('../../models/Webhook');
+const WebhookDelivery = require('../../models/WebhookDelivery');
+const { runWebhookDeliveries } = require('../../utils/webhooks');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Webhook Integration Tests', () => {
+  let users, adminToken, userToken;
+  let receiver, receiverUrl, received, responseStatus;
+
+  const createWebhook = (body, token = adminToken) => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  // A webhook pointing at the test receiver; resolves to { webhook, secret }
+  const subscribe = async (events, overrides = {}) => {
+    const response = await createWebhook({ name: 'Receiver', url: receiverUrl, events, ...overrides });
+    expectSuccessResponse(response, 201);
+    return response.body.data;
+  };
+
+  const createTask = (body = { title: 'Webhook task' }) => request(app)
+    .post('/api/tasks')
+    .set('Authorization', `Bearer ${userToken}`)
+    .send(body);
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus, { 'Content-Type': 'text/plain' });
+        res.end(responseStatus < 300 ? 'ok' : 'nope');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://localhost:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(() => {
+    receiver.close();
+  });
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+    userToken = await generateTestToken(users.user1._id, 'user');
+    received = [];
+    responseStatus = 200;
+  });
+
+  afterEach(() => {
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+  });
+
+  describe('Managing webhooks', () => {
+    it('should show the secret only when creating a webhook', async () => {
+      const { webhook, secret } = await subscribe(['task.created']);
+
+      expect(secret).toMatch(/^whsec_/);
+      expect(webhook.secret).toBeUndefined();
+
+      const list = await request(app)
+        .get('/api/webhooks')
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(list, 200);
+      expect(list.body.data).toHaveLength(1);
+      expect(list.body.data[0].secret).toBeUndefined();
+    });
+
+    it('should validate the URL and events', async () => {
+      expectErrorResponse(await createWebhook({ name: 'Bad', url: 'ftp://example.com', events: ['task.created'] }), 400);
+      expectErrorResponse(await createWebhook({ name: 'Bad', url: receiverUrl, events: ['task.exploded'] }), 400);
+      expectErrorResponse(await createWebhook({ name: 'Bad', url: receiverUrl, events: [] }), 400);
+    });
+
+    it('should require webhook:manage', async () => {
+      const response = await createWebhook({ name: 'Mine', url: receiverUrl, events: ['task.created'] }, userToken);
+      expectErrorResponse(response, 403);
+    });
+
+    it('should replace the secret', async () => {
+      const { webhook, secret } = await subscribe(['task.created']);
+
+      const response = await request(app)
+        .post(`/api/webhooks/${webhook._id}/secret`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.secret).not.toBe(secret);
+    });
+  });
+
+  describe('Deliveries', () => {
+    it('should POST signed events for subscribed webhooks', async () => {
+      const { webhook, secret } = await subscribe(['task.created']);
+
+      const created = await createTask();
+      expect(await runWebhookDeliveries()).toBe(1);
+
+      expect(received).toHaveLength(1);
+      const [{ headers, body }] = received;
+      const payload = JSON.parse(body);
+      expect(headers['x-webhook-event']).toBe('task.created');
+      expect(payload).toMatchObject({ event: 'task.created', actor: { email: users.user1.email } });
+      expect(payload.data.task._id).toBe(created.body.data._id);
+
+      const timestamp = headers['x-webhook-timestamp'];
+      const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+      expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+      const delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+      expect(delivery.status).toBe('succeeded');
+      expect(delivery.attempts[0].responseStatus).toBe(200);
+      expect(headers['x-webhook-delivery']).toBe(delivery._id.toString());
+    });
+
+    it('should only queue the events a webhook subscribes to', async () => {
+      await subscribe(['task.deleted']);
+      await subscribe(['task.created'], { active: false });
+
+      await createTask();
+
+      expect(await WebhookDelivery.countDocuments()).toBe(0);
+    });
+
+    it('should send task changes and comments', async () => {
+      await subscribe(['task.updated', 'comment.created']);
+      const task = await createTestTask(users.user1._id, users.user1._id);
+
+      await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ priority: 'high' });
+      await request(app)
+        .post(`/api/tasks/${task._id}/comments`)
+        .set('Authorization', `Bearer ${userToken}`)
+        .send({ body: 'Looks good' });
+      await runWebhookDeliveries();
+
+      const payloads = received.map(({ body }) => JSON.parse(body));
+      expect(payloads.map(payload => payload.event).sort()).toEqual(['comment.created', 'task.updated']);
+      const updated = payloads.find(payload => payload.event === 'task.updated');
+      expect(updated.data.changes).toEqual([{ field: 'priority', from: 'medium', to: 'high' }]);
+    });
+
+    it('should retry failed deliveries with backoff and give up eventually', async () => {
+      process.env.WEBHOOK_MAX_ATTEMPTS = '2';
+      responseStatus = 500;
+      const { webhook } = await subscribe(['task.created']);
+      await createTask();
+
+      await runWebhookDeliveries();
+      let delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+      expect(delivery.status).toBe('pending');
+      expect(delivery.attempts).toHaveLength(1);
+      expect(delivery.attempts[0]).toMatchObject({ responseStatus: 500, responseBody: 'nope' });
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      // Not due yet
+      expect(await runWebhookDeliveries()).toBe(0);
+
+      await WebhookDelivery.updateOne({ _id: delivery._id }, { nextAttemptAt: new Date() });
+      await runWebhookDeliveries();
+      delivery = await WebhookDelivery.findById(delivery._id);
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts).toHaveLength(2);
+    });
+
+    it('should record unreachable receivers', async () => {
+      const { webhook } = await subscribe(['task.created'], { url: 'http://localhost:1/nothing-here' });
+      await createTask();
+
+      await runWebhookDeliveries();
+      const delivery = await WebhookDelivery.findOne({ webhook: webhook._id });
+      expect(delivery.attempts[0].responseStatus).toBeNull();
+      expect(delivery.attempts[0].error).toBeTruthy();
+    });
+  });
+
+  describe('Delivery log', () => {
+    it('should list deliveries and redeliver one', async () => {
+      const { webhook } = await subscribe(['task.created']);
+      await createTask();
+      await runWebhookDeliveries();
+
+      const log = await request(app)
+        .get(`/api/webhooks/${webhook._id}/deliveries`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(log, 200);
+      expect(log.body.data.deliveries).toHaveLength(1);
+      expect(log.body.data.pagination.totalItems).toBe(1);
+      const original = log.body.data.deliveries[0];
+
+      const redelivered = await request(app)
+        .post(`/api/webhooks/${webhook._id}/deliveries/${original._id}/redeliver`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(redelivered, 201);
+      expect(redelivered.body.data.redeliveryOf).toBe(original._id);
+
+      await runWebhookDeliveries();
+      expect(received).toHaveLength(2);
+      const [first, second] = received.map(({ body }) => JSON.parse(body));
+      expect(second.id).toBe(first.id);
+      expect(received[1].headers['x-webhook-delivery']).toBe(redelivered.body.data._id);
+    });
+
+    it('should delete the log with the webhook', async () => {
+      const { webhook } = await subscribe(['task.created']);
+      await createTask();
+
+      const response = await request(app)
+        .delete(`/api/webhooks/${webhook._id}`)
+        .set('Authorization', `Bearer ${adminToken}`);
+      expectSuccessResponse(response, 200);
+      expect(await Webhook.countDocuments()).toBe(0);
+      expect(await WebhookDelivery.countDocuments()).toBe(0);
+    });
+  });
+});
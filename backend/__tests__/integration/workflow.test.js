@@ -0,0 +1,150 @@
+const request = require('supertest');
+const { app } = require('../../server');
+const Task = require('../../models/Task');
+const {
+  createTestUsers,
+  createTestTask,
+  generateTestToken,
+  expectErrorResponse,
+  expectSuccessResponse
+} = require('../utils/testHelpers');
+
+describe('Workflow Integration Tests', () => {
+  let users, adminToken, user1Token;
+
+  // pending → in_progress → review → done, with review able to send work back
+  const reviewWorkflow = {
+    states: [
+      { key: 'pending', name: 'Pending', color: '#ca8a04', category: 'todo' },
+      { key: 'in_progress', name: 'In Progress', color: '#2563eb', category: 'in_progress' },
+      { key: 'review', name: 'Review', color: '#9333ea', category: 'in_progress' },
+      { key: 'done', name: 'Done', color: '#16a34a', category: 'done' }
+    ],
+    transitions: [
+      { from: 'pending', to: 'in_progress' },
+      { from: 'in_progress', to: 'review' },
+      { from: 'review', to: 'done' },
+      { from: 'review', to: 'in_progress' }
+    ],
+    initialState: 'pending',
+    stateMapping: { completed: 'done' }
+  };
+
+  const useReviewWorkflow = () => request(app)
+    .put('/api/workflow')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(reviewWorkflow);
+
+  beforeEach(async () => {
+    users = await createTestUsers();
+    adminToken = await generateTestToken(users.admin._id, 'admin');
+    user1Token = await generateTestToken(users.user1._id, 'user');
+  });
+
+  describe('GET /api/workflow', () => {
+    it('should start with the default states', async () => {
+      const response = await request(app)
+        .get('/api/workflow')
+        .set('Authorization', `Bearer ${user1Token}`);
+
+      expectSuccessResponse(response, 200);
+      expect(response.body.data.states.map(state => state.key)).toEqual(['pending', 'in_progress', 'completed']);
+      expect(response.body.data.initialState).toBe('pending');
+    });
+  });
+
+  describe('PUT /api/workflow', () => {
+    it('should only be available to admins', async () => {
+      const response = await request(app)
+        .put('/api/workflow')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send(reviewWorkflow);
+
+      expectErrorResponse(response, 403);
+    });
+
+    it('should require a done state', async () => {
+      const response = await request(app)
+        .put('/api/workflow')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          states: [{ key: 'open', name: 'Open', category: 'todo' }],
+          initialState: 'open'
+        });
+
+      expectErrorResponse(response, 400, 'done category');
+    });
+
+    it('should refuse to drop a state that tasks still use without a mapping', async () => {
+      await createTestTask(users.user1._id, null, { status: 'completed' });
+
+      const response = await request(app)
+        .put('/api/workflow')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ ...reviewWorkflow, stateMapping: undefined });
+
+      expectErrorResponse(response, 400, 'still used by 1 task');
+    });
+
+    it('should move tasks out of removed states', async () => {
+      const task = await createTestTask(users.user1._id, null, { status: 'completed' });
+
+      const response = await useReviewWorkflow();
+
+      expectSuccessResponse(response, 200);
+      const moved = await Task.findById(task._id);
+      expect(moved.status).toBe('done');
+    });
+  });
+
+  describe('Task status transitions', () => {
+    let task;
+
+    beforeEach(async () => {
+      await useReviewWorkflow();
+      task = await createTestTask(users.user1._id, users.user1._id);
+    });
+
+    it('should reject statuses that are not in the workflow', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ status: 'completed' });
+
+      expectErrorResponse(response, 400, 'Status must be one of');
+    });
+
+    it('should reject transitions the workflow does not allow', async () => {
+      const response = await request(app)
+        .put(`/api/tasks/${task._id}`)
+        .set('Authorization', `Bearer ${user1Token}`)
+        .send({ status: 'done' });
+
+      expectErrorResponse(response, 400, 'does not allow moving a task from "Pending" to "Done"');
+    });
+
+    it('should follow allowed transitions and treat done states as complete', async () => {
+      for (const status of ['in_progress', 'review', 'done']) {
+        const response = await request(app)
+          .put(`/api/tasks/${task._id}`)
+          .set('Authorization', `Bearer ${user1Token}`)
+          .send({ status });
+        expectSuccessResponse(response, 200);
+      }
+
+      const updated = await Task.findById(task._id);
+      expect(updated.status).toBe('done');
+      expect(updated.progress).toBe(100);
+    });
+
+    it('should create tasks in the initial state', async () => {
+      const response = await request(app)
+        .post('/api/tasks')
+        .set('Authorization', `Bearer ${user1Token}`)
+        .field('title', 'Fresh task');
+
+      expectSuccessResponse(response, 201);
+      expect(response.body.data.status).toBe('pending');
+    });
+  });
+});
@@ -6,6 +6,7 @@ const jwt = require('jsonwebtoken');
 const { 
   createTestUser, 
   testUsers,
+  generateTestToken,
   expectErrorResponse,
   expectSuccessResponse 
 } = require('../utils/testHelpers');
@@ -139,11 +140,7 @@ describe('Authentication Tests', () => {
 
     beforeEach(async () => {
       user = await createTestUser(testUsers.user1);
-      token = jwt.sign(
-        { id: user._id, _id: user._id, role: user.role },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
-      );
+      token = await generateTestToken(user._id, user.role);
     });
 
     it('should get current user with valid token', async () => {
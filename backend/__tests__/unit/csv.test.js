@@ -0,0 +1,39 @@
+const { parseCsv, detectDelimiter, formatCsvRow } = require('../../utils/csv');
+
+describe('CSV parsing', () => {
+  it('should split lines and fields', () => {
+    expect(parseCsv('a,b\r\n1,2\n3,4\n')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('should keep delimiters, line breaks and doubled quotes inside quoted fields', () => {
+    expect(parseCsv('title,notes\n"Fix, then ship","Say ""done""\nafterwards"')).toEqual([
+      ['title', 'notes'],
+      ['Fix, then ship', 'Say "done"\nafterwards']
+    ]);
+  });
+
+  it('should keep empty fields and skip blank lines', () => {
+    expect(parseCsv('a,b,c\n\n,,x\n\r\n')).toEqual([['a', 'b', 'c'], ['', '', 'x']]);
+  });
+
+  it('should ignore a byte order mark', () => {
+    expect(parseCsv('\uFEFFtitle\nx')).toEqual([['title'], ['x']]);
+  });
+
+  it('should guess the delimiter from the header line', () => {
+    expect(detectDelimiter('title;due;"a,b"\nx,y,z')).toBe(';');
+    expect(detectDelimiter('title\tdue')).toBe('\t');
+    expect(detectDelimiter('title')).toBe(',');
+    expect(parseCsv('title;due\nShip;2025-01-31')).toEqual([['title', 'due'], ['Ship', '2025-01-31']]);
+  });
+
+  it('should reject unterminated quotes', () => {
+    expect(() => parseCsv('title\n"never closed')).toThrow('never closed');
+  });
+
+  it('should only quote fields that need it when writing', () => {
+    const line = formatCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', null, 3]);
+    expect(line).toBe('plain,"a,b","say ""hi""","two\nlines",,3\r\n');
+    expect(parseCsv(line)).toEqual([['plain', 'a,b', 'say "hi"', 'two\nlines', '', '3']]);
+  });
+});
@@ -0,0 +1,53 @@
+const { parseRRule, occurrences, nextOccurrence } = require('../../utils/rrule');
+
+// The first `count` occurrences as ISO strings
+const take = (rule, start, count) => {
+  const dates = [];
+  for (const date of occurrences(parseRRule(rule), new Date(start))) {
+    dates.push(date.toISOString());
+    if (dates.length === count) break;
+  }
+  return dates;
+};
+
+describe('RRULE evaluation', () => {
+  it('should expand weekly rules on the given weekdays', () => {
+    expect(take('FREQ=WEEKLY;BYDAY=MO,FR', '2025-01-01T09:00:00Z', 3)).toEqual([
+      '2025-01-03T09:00:00.000Z',
+      '2025-01-06T09:00:00.000Z',
+      '2025-01-10T09:00:00.000Z'
+    ]);
+  });
+
+  it('should support numbered weekdays in monthly rules', () => {
+    expect(take('RRULE:FREQ=MONTHLY;BYDAY=-1FR', '2025-01-01T09:00:00Z', 2)).toEqual([
+      '2025-01-31T09:00:00.000Z',
+      '2025-02-28T09:00:00.000Z'
+    ]);
+  });
+
+  it('should skip months that are too short for the day', () => {
+    expect(take('FREQ=MONTHLY;BYMONTHDAY=31', '2025-01-31T09:00:00Z', 2)).toEqual([
+      '2025-01-31T09:00:00.000Z',
+      '2025-03-31T09:00:00.000Z'
+    ]);
+  });
+
+  it('should stop after COUNT and UNTIL', () => {
+    expect(take('FREQ=DAILY;INTERVAL=2;COUNT=2', '2025-01-01T09:00:00Z', 5)).toHaveLength(2);
+    expect(take('FREQ=WEEKLY;UNTIL=20250115', '2025-01-01T09:00:00Z', 5)).toHaveLength(3);
+  });
+
+  it('should find the next occurrence after a date', () => {
+    const next = nextOccurrence('FREQ=WEEKLY', new Date('2025-01-03T17:00:00Z'), new Date('2025-06-01T00:00:00Z'));
+    expect(next.toISOString()).toBe('2025-06-06T17:00:00.000Z');
+    expect(nextOccurrence('FREQ=DAILY;COUNT=1', new Date('2025-01-01T00:00:00Z'), new Date('2025-01-02T00:00:00Z'))).toBeNull();
+  });
+
+  it('should reject unsupported or invalid rules', () => {
+    expect(() => parseRRule('FREQ=HOURLY')).toThrow('FREQ must be one of');
+    expect(() => parseRRule('FREQ=DAILY;BYSETPOS=1')).toThrow('Unsupported rule part: BYSETPOS');
+    expect(() => parseRRule('FREQ=DAILY;COUNT=2;UNTIL=20250101')).toThrow('cannot be combined');
+    expect(() => parseRRule('FREQ=WEEKLY;BYDAY=2MO')).toThrow('FREQ=MONTHLY');
+  });
+});
@@ -1,8 +1,10 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../../models/User');
 const Task = require('../../models/Task');
 const TaskDocument = require('../../models/TaskDocument');
+const RefreshToken = require('../../models/RefreshToken');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -46,10 +48,19 @@ const createTestUsers = async () => {
   return users;
 };
 
-// Generate JWT token for test user
-const generateTestToken = (userId, role = 'user') => {
+// Generate JWT token for test user. Access tokens are only accepted for a live
+// session, so this starts one.
+const generateTestToken = async (userId, role = 'user') => {
+  const sid = crypto.randomUUID();
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: crypto.randomBytes(32).toString('hex'),
+    family: sid,
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+  });
+
   return jwt.sign(
-    { id: userId, _id: userId, role },
+    { id: userId, _id: userId, role, sid },
     process.env.JWT_SECRET,
     { expiresIn: process.env.JWT_EXPIRE }
   );
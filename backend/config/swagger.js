@@ -72,8 +72,7 @@ const options = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'in_progress', 'completed'],
-              description: 'Task status'
+              description: 'Key of a workflow state, e.g. pending, in_progress or completed'
             },
             priority: {
               type: 'string',
@@ -1,7 +1,77 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiToken = require('../models/ApiToken');
+const { isSessionActive } = require('../utils/authTokens');
+const { isSetupRequired } = require('../utils/twoFactor');
+const { permissionsOf } = require('../utils/permissions');
+
+// The API area each router belongs to, by its mount path under /api. API
+// tokens need the area's read scope for safe methods and its write scope for
+// the rest; other areas (logging in, account security, API tokens themselves,
+// installation settings) need a real login.
+const SCOPE_AREAS = {
+  tasks: 'tasks',
+  labels: 'tasks',
+  workflow: 'tasks',
+  files: 'tasks',
+  projects: 'projects',
+  notifications: 'notifications',
+  users: 'users',
+  roles: 'users',
+  invitations: 'users'
+};
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// The scope an API token needs for this request, or null if tokens can't be
+// used for it
+const requiredScope = (req) => {
+  const area = SCOPE_AREAS[req.baseUrl.split('/')[2]];
+  if (!area) return null;
+  return `${area}:${SAFE_METHODS.includes(req.method) ? 'read' : 'write'}`;
+};
+
+// Resolve a personal access token to its user. Sends the 401/403 response
+// itself and resolves to null when the request can't continue.
+const authenticateApiToken = async (req, res, token) => {
+  const apiToken = await ApiToken.findUsable(token);
+  if (!apiToken) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API token.'
+    });
+    return null;
+  }
+
+  const scope = requiredScope(req);
+  if (!scope || !apiToken.hasScope(scope)) {
+    res.status(403).json({
+      success: false,
+      message: scope
+        ? `Access denied. The API token lacks the ${scope} scope.`
+        : 'Access denied. API tokens cannot be used for this endpoint.'
+    });
+    return null;
+  }
+
+  const user = await User.findById(apiToken.user);
+  if (!user) {
+    res.status(401).json({
+      success: false,
+      message: 'Invalid token. User not found.'
+    });
+    return null;
+  }
 
-const auth = async (req, res, next) => {
+  await apiToken.touch(req.ip);
+  req.apiToken = apiToken;
+  return user;
+};
+
+// Accepts JWTs from logging in and personal access tokens (see
+// models/ApiToken.js). Admins who are required to use two-factor
+// authentication but haven't set it up yet are turned away, except from the
+// few routes built with `allowTwoFactorSetup` that let them enroll.
+const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
     
@@ -21,6 +91,23 @@ const auth = async (req, res, next) => {
       });
     }
 
+    if (ApiToken.isApiToken(token)) {
+      const user = await authenticateApiToken(req, res, token);
+      if (!user) return;
+
+      // API tokens never reach the enrollment routes
+      if (await isSetupRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for admins. Set it up in your profile first.'
+        });
+      }
+
+      req.user = user;
+      req.sessionId = null;
+      return next();
+    }
+
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id);
@@ -32,7 +119,25 @@ const auth = async (req, res, next) => {
         });
       }
 
+      // Tokens of a session stop working as soon as it is logged out or
+      // revoked. Tokens without one can't be revoked and aren't accepted.
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has ended. Please log in again.'
+        });
+      }
+
+      req.twoFactorSetupRequired = await isSetupRequired(user);
+      if (req.twoFactorSetupRequired && !allowTwoFactorSetup) {
+        return res.status(403).json({
+          success: false,
+          message: 'Two-factor authentication is required for admins. Set it up in your profile first.'
+        });
+      }
+
       req.user = user;
+      req.sessionId = decoded.sid;
       next();
     } catch (error) {
       if (error.name === 'TokenExpiredError') {
@@ -58,8 +163,12 @@ const auth = async (req, res, next) => {
   }
 };
 
-// Admin authorization middleware
-const adminAuth = async (req, res, next) => {
+const auth = authenticate();
+const authForTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+// Authorization middleware: the user's role must grant every one of
+// `permissions`. Use after `auth`.
+const requirePermission = (...permissions) => async (req, res, next) => {
   try {
     if (!req.user) {
       return res.status(401).json({
@@ -68,16 +177,17 @@ const adminAuth = async (req, res, next) => {
       });
     }
 
-    if (req.user.role !== 'admin') {
+    const granted = await permissionsOf(req.user);
+    if (!permissions.every(permission => granted.includes(permission))) {
       return res.status(403).json({
         success: false,
-        message: 'Access denied. Admin privileges required.'
+        message: 'Access denied. Insufficient permissions.'
       });
     }
 
     next();
   } catch (error) {
-    console.error('Admin auth middleware error:', error);
+    console.error('Permission middleware error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during authorization.'
@@ -104,7 +214,11 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.id);
 
-      if (user) {
+      if (
+        user &&
+        decoded.sid && await isSessionActive(decoded.sid) &&
+        !(await isSetupRequired(user))
+      ) {
         req.user = user;
       }
     } catch (error) {
@@ -121,6 +235,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   auth,
-  adminAuth,
+  authForTwoFactorSetup,
+  requirePermission,
   optionalAuth
 };
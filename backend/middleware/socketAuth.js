@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
-const { User } = require('../config/database');
+const User = require('../models/User');
+const { isSessionActive } = require('../utils/authTokens');
 
 const socketAuth = async (socket, next) => {
   try {
@@ -11,12 +12,16 @@ const socketAuth = async (socket, next) => {
 
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findByPk(decoded.id);
+      const user = await User.findById(decoded.id);
 
       if (!user) {
         return next(new Error('Authentication error: User not found'));
       }
 
+      if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+        return next(new Error('Authentication error: Session has ended'));
+      }
+
       socket.userId = user.id;
       socket.userRole = user.role;
       socket.userEmail = user.email;
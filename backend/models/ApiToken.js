@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Only touch lastUsedAt this often, so busy scripts don't write on every call
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// Plain tokens start with this, so they are recognizable in configs and leak
+// scanners and can't be mistaken for a JWT
+const TOKEN_PREFIX = 'tmpat_';
+
+// What a token may be used for. A write scope includes reading the same area.
+const SCOPES = {
+  'tasks:read': 'Read tasks with their comments, subtasks and documents, labels and the workflow',
+  'tasks:write': 'Create, change and delete tasks and everything on them',
+  'projects:read': 'Read projects and their members',
+  'projects:write': 'Create and change projects and their members',
+  'notifications:read': 'Read notifications',
+  'notifications:write': 'Mark notifications as read',
+  'users:read': 'Read users, roles and invitations, as far as your role allows',
+  'users:write': 'Manage users, roles and invitations, as far as your role allows'
+};
+const SCOPE_NAMES = Object.keys(SCOPES);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A personal access token: an API credential for scripts and CI that acts as
+// its user, limited to its scopes. Only the SHA-256 hash of the token is
+// stored; `prefix` is enough of it to tell tokens apart in lists.
+const apiTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Token name is required'],
+    trim: true,
+    maxlength: [100, 'Token name cannot exceed 100 characters']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: SCOPE_NAMES,
+        message: 'Unknown scope: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'A token needs at least one scope'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    // A freshly issued token still has its hash loaded
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  },
+  toObject: { virtuals: true }
+});
+
+apiTokenSchema.index({ user: 1, createdAt: -1 });
+
+apiTokenSchema.virtual('status').get(function() {
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'active';
+});
+
+// Whether a bearer credential is an API token rather than a JWT
+apiTokenSchema.statics.isApiToken = (token) => token.startsWith(TOKEN_PREFIX);
+
+// Create a token; resolves to { apiToken, token } where `token` is the only
+// copy of the plain token, to show to the user once
+apiTokenSchema.statics.issue = async function({ user, name, scopes, expiresInDays }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const apiToken = await this.create({
+    user,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS)
+  });
+  return { apiToken, token };
+};
+
+// The token a plain token belongs to, if it can still be used
+apiTokenSchema.statics.findUsable = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+apiTokenSchema.methods.hasScope = function(scope) {
+  if (this.scopes.includes(scope)) return true;
+  return scope.endsWith(':read') && this.scopes.includes(scope.replace(/:read$/, ':write'));
+};
+
+// Record a use of the token
+apiTokenSchema.methods.touch = async function(ip) {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+
+  this.lastUsedAt = now;
+  this.lastUsedIp = ip || null;
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { lastUsedAt: now, lastUsedIp: this.lastUsedIp } }
+  );
+};
+
+const ApiToken = mongoose.model('ApiToken', apiTokenSchema);
+ApiToken.SCOPES = SCOPES;
+ApiToken.SCOPE_NAMES = SCOPE_NAMES;
+
+module.exports = ApiToken;
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Only touch lastUsedAt this often; calendar clients poll regularly
+const LAST_USED_RESOLUTION_MS = 15 * 60 * 1000;
+
+// Feed tokens start with this, so they are recognizable in leaked URLs
+const TOKEN_PREFIX = 'tmcal_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A user's calendar feed. Calendar clients can't log in, so the feed URL
+// carries a secret token instead; only its SHA-256 hash is stored. A user has
+// at most one feed, and getting a new URL replaces the old one.
+const calendarFeedSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // A freshly issued feed still has its hash loaded
+    transform: (doc, ret) => {
+      delete ret.tokenHash;
+      return ret;
+    }
+  }
+});
+
+// Create the user's feed, replacing any previous one; resolves to
+// { feed, token } where `token` is the only copy of the plain token
+calendarFeedSchema.statics.issue = async function(user) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  await this.deleteOne({ user });
+  const feed = await this.create({ user, tokenHash: hashToken(token) });
+  return { feed, token };
+};
+
+calendarFeedSchema.statics.findByToken = function(token) {
+  return this.findOne({ tokenHash: hashToken(token) });
+};
+
+// Record a fetch of the feed
+calendarFeedSchema.methods.touch = async function() {
+  const now = new Date();
+  if (this.lastUsedAt && now - this.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+
+  this.lastUsedAt = now;
+  await this.constructor.updateOne({ _id: this._id }, { $set: { lastUsedAt: now } });
+};
+
+module.exports = mongoose.model('CalendarFeed', calendarFeedSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  body: {
+    type: String,
+    required: [true, 'Comment body is required'],
+    trim: true,
+    minlength: [1, 'Comment must be at least 1 character'],
+    maxlength: [5000, 'Comment must be less than 5000 characters']
+  },
+  parentComment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+commentSchema.index({ task: 1, createdAt: 1 });
+commentSchema.index({ parentComment: 1 });
+
+// Extract the unique, lowercased emails mentioned as "@user@example.com"
+commentSchema.statics.extractMentionEmails = function(body = '') {
+  const pattern = /(?:^|[^\w@])@([^\s@]+@[^\s@]+\.[a-zA-Z]{2,})/g;
+  const emails = new Set();
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    emails.add(match[1].toLowerCase());
+  }
+  return [...emails];
+};
+
+// Ensure virtual fields are included in JSON
+commentSchema.set('toJSON', { virtuals: true });
+commentSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Comment', commentSchema);
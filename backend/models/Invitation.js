@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// An admin's invitation to register, possibly with an elevated role. The link
+// carries a random token of which only the SHA-256 hash is stored.
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  // Name of the Role the account gets
+  role: {
+    type: String,
+    default: 'user'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+invitationSchema.index({ email: 1, createdAt: -1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.acceptedAt) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+// Create an invitation; resolves to { invitation, token } where `token` is the
+// only copy of the plain token, for the link
+invitationSchema.statics.issue = async function({ email, role, expiresInDays, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitation = await this.create({
+    email,
+    role,
+    invitedBy,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresInDays * DAY_MS)
+  });
+  return { invitation, token };
+};
+
+// The invitation a token belongs to, if it can still be used
+invitationSchema.statics.findUsable = function(token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    acceptedAt: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Take the invitation for a registration before creating the account, so two
+// registrations can't both use it. Resolves to false if it was used or revoked
+// in the meantime.
+invitationSchema.methods.claim = async function() {
+  const result = await this.constructor.updateOne(
+    { _id: this._id, acceptedAt: null, revokedAt: null },
+    { $set: { acceptedAt: new Date() } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give a claimed invitation back when the registration failed after all
+invitationSchema.methods.release = function() {
+  return this.constructor.updateOne({ _id: this._id }, { $set: { acceptedAt: null } });
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
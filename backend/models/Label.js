@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true,
+    maxlength: [50, 'Label name must be less than 50 characters']
+  },
+  color: {
+    type: String,
+    required: [true, 'Label color is required'],
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #4f46e5'],
+    default: '#6b7280'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Label names are unique regardless of case
+labelSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+// Find a label by name, ignoring case
+labelSchema.statics.findByName = function(name) {
+  return this.findOne({ name: name.trim() }).collation({ locale: 'en', strength: 2 });
+};
+
+module.exports = mongoose.model('Label', labelSchema);
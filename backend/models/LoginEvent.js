@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const LOGIN_RESULTS = ['success', 'wrong_password', 'unknown_email', 'wrong_code', 'locked'];
+
+// One login attempt, successful or not, for the login history users see on
+// their profile. Attempts for emails without an account have no user.
+const loginEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  result: {
+    type: String,
+    enum: LOGIN_RESULTS,
+    required: true
+  },
+  // password, totp, recovery_code or sso: the factor that was checked
+  method: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginEventSchema.index({ user: 1, createdAt: -1 });
+// MongoDB removes events once they are older than the retention period
+loginEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginEvent = mongoose.model('LoginEvent', loginEventSchema);
+LoginEvent.LOGIN_RESULTS = LOGIN_RESULTS;
+
+module.exports = LoginEvent;
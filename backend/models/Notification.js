@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  // Recipient
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Notification recipient is required']
+  },
+  type: {
+    type: String,
+    enum: [
+      'task_assigned',
+      'task_updated',
+      'comment_mention',
+      'project_member_added',
+      'task_due_soon',
+      'task_overdue'
+    ],
+    required: [true, 'Notification type is required']
+  },
+  message: {
+    type: String,
+    required: [true, 'Notification message is required'],
+    maxlength: [500, 'Notification message must be less than 500 characters']
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Type-specific extras, e.g. the due date a reminder was sent for
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
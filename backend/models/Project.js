@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// Per-project roles, from most to least privileged:
+// - owner:   everything, including deleting the project
+// - manager: manage members and edit or delete any task in the project
+// - member:  create tasks and edit any task in the project
+// - viewer:  read-only access to the project's tasks
+const PROJECT_ROLES = ['owner', 'manager', 'member', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Member user is required']
+  },
+  role: {
+    type: String,
+    enum: {
+      values: PROJECT_ROLES,
+      message: `Role must be one of: ${PROJECT_ROLES.join(', ')}`
+    },
+    default: 'member'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name must be less than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description must be less than 1000 characters'],
+    default: ''
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Created by user is required']
+  },
+  members: [memberSchema]
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ 'members.user': 1 });
+
+// The member's role in this project, or null when the user is not a member
+projectSchema.methods.roleOf = function(userId) {
+  if (!userId) return null;
+  const member = this.members.find(m => (m.user._id || m.user).equals(userId));
+  return member ? member.role : null;
+};
+
+projectSchema.methods.ownerCount = function() {
+  return this.members.filter(m => m.role === 'owner').length;
+};
+
+// IDs of every project the user is a member of
+projectSchema.statics.findMemberProjectIds = function(userId) {
+  return this.distinct('_id', { 'members.user': userId });
+};
+
+const Project = mongoose.model('Project', projectSchema);
+Project.PROJECT_ROLES = PROJECT_ROLES;
+
+module.exports = Project;
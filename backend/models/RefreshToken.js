@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One refresh token of a login session. Every refresh rotates the token, and
+// all tokens of a session share a `family`; see utils/authTokens.js.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the token; the token itself is only ever known to the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // rotated: replaced by a newer token; logout: session ended; reuse: a
+  // rotated token was presented again, so the whole family was revoked
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'reuse', null],
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1 });
+// MongoDB removes tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
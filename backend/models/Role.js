@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+
+// Everything a role can grant. Without any permission users still have full
+// access to the tasks they created or are assigned to and to the projects
+// they are members of; permissions extend that to everyone's data and to
+// administration.
+const PERMISSIONS = {
+  'task:view:any': 'View every task, including its comments and history',
+  'task:edit:any': 'Edit any task and add tasks to any project',
+  'task:delete:any': 'Delete any task and any comment',
+  'document:view:any': 'View and download documents of any task',
+  'document:delete:any': 'Delete documents of any task',
+  'project:manage:any': 'Manage every project and its members as an owner',
+  'user:view': 'See the list of users and their profiles',
+  'user:manage': 'Create, edit, delete and unlock users and reset their two-factor authentication',
+  'invitation:manage': 'Invite people and revoke invitations',
+  'role:manage': 'Create and edit roles',
+  'label:manage': 'Create, edit and delete labels',
+  'workflow:manage': 'Change the task workflow',
+  'webhook:manage': 'Manage webhooks, which send task events to other systems',
+  'settings:manage': 'Change the installation settings'
+};
+const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+// Every installation has these roles. People who register get `user`;
+// `admin` always has every permission, including ones added later.
+const DEFAULT_ROLE = 'user';
+const ADMIN_ROLE = 'admin';
+const BUILT_IN_ROLES = {
+  [ADMIN_ROLE]: {
+    description: 'Full access to everything',
+    permissions: PERMISSION_NAMES
+  },
+  [DEFAULT_ROLE]: {
+    description: 'Their own tasks and the projects they are a member of',
+    permissions: []
+  }
+};
+
+// A named set of permissions. Users refer to their role by name, so the name
+// can't change once the role exists.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    maxlength: [30, 'Role name cannot exceed 30 characters'],
+    match: [/^[a-z][a-z0-9_-]*$/, 'Role names start with a letter and contain only letters, digits, - and _']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters'],
+    default: ''
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: {
+        values: PERMISSION_NAMES,
+        message: 'Unknown permission: {VALUE}'
+      }
+    }],
+    default: []
+  },
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create the built-in roles that don't exist yet. Existing users already
+// carry the name of one of them, so this is all it takes to migrate them.
+roleSchema.statics.ensureDefaults = async function() {
+  await Promise.all(Object.entries(BUILT_IN_ROLES).map(([name, role]) => this.updateOne(
+    { name },
+    { $setOnInsert: { name, ...role, builtIn: true } },
+    { upsert: true }
+  )));
+};
+
+// The permissions granted by the role called `name`; none for unknown roles
+roleSchema.statics.permissionsFor = async function(name) {
+  if (name === ADMIN_ROLE) return PERMISSION_NAMES;
+
+  const role = await this.findOne({ name }).select('permissions').lean();
+  if (role) return role.permissions;
+
+  return BUILT_IN_ROLES[name]?.permissions || [];
+};
+
+// Whether users can be given the role called `name`
+roleSchema.statics.isDefined = async function(name) {
+  return Boolean(BUILT_IN_ROLES[name]) || Boolean(await this.exists({ name }));
+};
+
+// Names of the roles that grant `permission`
+roleSchema.statics.namesWithPermission = async function(permission) {
+  const names = new Set([ADMIN_ROLE]);
+  const roles = await this.find().select('name permissions').lean();
+
+  for (const role of roles) {
+    if (role.permissions.includes(permission)) names.add(role.name);
+  }
+  // Built-in roles nobody has edited yet
+  for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+    if (!roles.some(r => r.name === name) && role.permissions.includes(permission)) names.add(name);
+  }
+
+  return [...names];
+};
+
+// The admin role's stored permissions are never used, so show the real ones
+roleSchema.methods.toJSON = function() {
+  const role = this.toObject();
+  if (role.name === ADMIN_ROLE) role.permissions = PERMISSION_NAMES;
+  return role;
+};
+
+const Role = mongoose.model('Role', roleSchema);
+Role.PERMISSIONS = PERMISSIONS;
+Role.PERMISSION_NAMES = PERMISSION_NAMES;
+Role.DEFAULT_ROLE = DEFAULT_ROLE;
+Role.ADMIN_ROLE = ADMIN_ROLE;
+
+module.exports = Role;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Who may create an account at /api/auth/register without an invitation:
+// anyone, people with an email address in `allowedDomains`, or nobody
+const REGISTRATION_MODES = ['open', 'domain', 'invite'];
+
+// Installation-wide settings admins can change at runtime. There is a single
+// settings document.
+const settingsSchema = new mongoose.Schema({
+  // Admins without two-factor authentication can only use the endpoints they
+  // need to enroll until they set it up
+  requireAdminTwoFactor: {
+    type: Boolean,
+    default: false
+  },
+  registrationMode: {
+    type: String,
+    enum: {
+      values: REGISTRATION_MODES,
+      message: `Registration mode must be one of: ${REGISTRATION_MODES.join(', ')}`
+    },
+    default: 'open'
+  },
+  allowedDomains: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// The current settings, created with the defaults on first use
+settingsSchema.statics.getCurrent = async function() {
+  const settings = await this.findOne();
+  if (settings) return settings;
+
+  return this.findOneAndUpdate(
+    {},
+    { $setOnInsert: {} },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Whether `email` may register on its own under the current mode
+settingsSchema.methods.allowsSelfRegistration = function(email) {
+  if (this.registrationMode === 'open') return true;
+  if (this.registrationMode === 'invite') return false;
+
+  const domain = email.split('@').pop().toLowerCase();
+  return this.allowedDomains.includes(domain);
+};
+
+const Settings = mongoose.model('Settings', settingsSchema);
+Settings.REGISTRATION_MODES = REGISTRATION_MODES;
+
+module.exports = Settings;
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// How long the user has at the identity provider, and how long the app then
+// has to pick up the finished login
+const PENDING_EXPIRE_MS = 10 * 60 * 1000;
+const HANDOFF_EXPIRE_MS = 2 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// One single sign-on attempt. It starts pending, holding the OIDC state,
+// nonce and PKCE code verifier while the browser is at the identity
+// provider. When the provider sends the user back it records who logged in
+// and becomes a single-use handoff, which the app exchanges for a session.
+// Only hashes of the state and handoff code are stored.
+const ssoLoginSchema = new mongoose.Schema({
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  handoffHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ssoLoginSchema.index({ handoffHash: 1 }, { sparse: true });
+// MongoDB removes abandoned attempts
+ssoLoginSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Start an attempt; resolves to { state, nonce, codeVerifier } for the
+// authorization request
+ssoLoginSchema.statics.start = async function() {
+  const state = randomToken();
+  const nonce = randomToken();
+  const codeVerifier = randomToken();
+
+  await this.create({
+    stateHash: hashToken(state),
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + PENDING_EXPIRE_MS)
+  });
+
+  return { state, nonce, codeVerifier };
+};
+
+// Take the pending attempt `state` belongs to. It can only be taken once:
+// its code verifier is cleared, so the returned copy holds the last one.
+ssoLoginSchema.statics.takePending = function(state) {
+  return this.findOneAndUpdate(
+    {
+      stateHash: hashToken(state),
+      codeVerifier: { $ne: null },
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { codeVerifier: null } }
+  );
+};
+
+// Record that `user` logged in; resolves to the handoff code for the app
+ssoLoginSchema.methods.completeWith = async function(user) {
+  const code = randomToken();
+
+  this.user = user._id;
+  this.handoffHash = hashToken(code);
+  this.expiresAt = new Date(Date.now() + HANDOFF_EXPIRE_MS);
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { $set: { user: this.user, handoffHash: this.handoffHash, expiresAt: this.expiresAt } }
+  );
+
+  return code;
+};
+
+// Use up a handoff code; resolves to the ID of the user who logged in, or
+// null if the code is unknown, used or expired
+ssoLoginSchema.statics.redeemHandoff = async function(code) {
+  const login = await this.findOneAndDelete({
+    handoffHash: hashToken(code),
+    expiresAt: { $gt: new Date() }
+  });
+  return login?.user || null;
+};
+
+module.exports = mongoose.model('SsoLogin', ssoLoginSchema);
@@ -1,4 +1,73 @@
 const mongoose = require('mongoose');
+const Workflow = require('./Workflow');
+
+// Gap between board ranks when a status column is renumbered
+const RANK_STEP = 1024;
+
+const checklistItemSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, 'Checklist item text is required'],
+    trim: true,
+    maxlength: [500, 'Checklist item must be less than 500 characters']
+  },
+  completed: {
+    type: Boolean,
+    default: false
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+// Schedule of a recurring task template; see utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema({
+  // iCalendar RRULE, e.g. FREQ=WEEKLY;BYDAY=FR
+  rule: {
+    type: String,
+    required: [true, 'Recurrence rule is required'],
+    trim: true
+  },
+  // First possible occurrence; also sets the time of day of every occurrence
+  startDate: {
+    type: Date,
+    required: [true, 'Recurrence start date is required']
+  },
+  // Occurrence date of the most recently created instance
+  lastOccurrence: {
+    type: Date,
+    default: null
+  },
+  // Set once the rule has no further occurrences (COUNT or UNTIL reached)
+  endedAt: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// A due-date notification that has been sent; see utils/reminders.js
+const reminderSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['due_soon', 'overdue'],
+    required: true
+  },
+  // Lead time of a due_soon reminder
+  leadHours: {
+    type: Number,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const taskSchema = new mongoose.Schema({
   title: {
@@ -13,12 +82,11 @@ const taskSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Key of a state in the configurable workflow (see models/Workflow.js);
+  // routes check it against the workflow and its allowed transitions
   status: {
     type: String,
-    enum: {
-      values: ['pending', 'in_progress', 'completed'],
-      message: 'Status must be either pending, in_progress, or completed'
-    },
+    trim: true,
     default: 'pending'
   },
   priority: {
@@ -48,10 +116,74 @@ const taskSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Created by user is required']
   },
+  // Tasks without a project are personal: visible to their creator and assignee only
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
   documents: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'TaskDocument'
-  }]
+  }],
+  parentTask: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Order among the subtasks of the same parent
+  position: {
+    type: Number,
+    default: 0
+  },
+  // Order within the task's status column on the board, lowest first. Tasks
+  // from before the board have none and sort first until they are moved.
+  rank: {
+    type: Number,
+    default: null
+  },
+  checklist: [checklistItemSchema],
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  // Tasks that have to be completed before this one can be
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  // When the task last entered a done state; null while it is open
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  // Completion percentage rolled up from subtasks and checklist items
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Set on recurring task templates only
+  recurrence: {
+    type: recurrenceSchema,
+    default: null
+  },
+  // Instances created from a recurring template, and the occurrence they stand for
+  recurrenceOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  // Reminders already sent for the current due date
+  reminders: {
+    type: [reminderSchema],
+    default: []
+  }
 }, {
   timestamps: true
 });
@@ -63,14 +195,257 @@ taskSchema.index({ status: 1 });
 taskSchema.index({ priority: 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ createdAt: -1 });
+taskSchema.index({ completedAt: -1 });
+taskSchema.index({ parentTask: 1, position: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ labels: 1 });
+taskSchema.index({ project: 1 });
+taskSchema.index({ status: 1, rank: 1 });
+// One instance per occurrence, even if two scheduler runs race each other
+taskSchema.index(
+  { recurrenceOf: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurrenceOf: { $type: 'objectId' } } }
+);
+
+// Reminders belong to a due date; moving the date re-arms them
+taskSchema.pre('save', function(next) {
+  if (this.isModified('dueDate') && !this.isNew) {
+    this.reminders = [];
+  }
+  next();
+});
+
+// Keep completedAt in step with the status. The done states are read from the
+// database rather than the process-local cache, which another server instance
+// may have made stale by editing the workflow.
+taskSchema.pre('save', async function() {
+  if (!this.isNew && !this.isModified('status')) return;
 
-// Virtual for checking if task is overdue
+  const doneStates = await Workflow.findDoneStates();
+  if (!doneStates.includes(this.status)) {
+    this.completedAt = null;
+  } else if (!this.completedAt) {
+    this.completedAt = new Date();
+  }
+});
+
+// New tasks go to the bottom of their board column
+taskSchema.pre('save', function(next) {
+  if (this.isNew && this.rank === null) {
+    this.rank = Date.now();
+  }
+  next();
+});
+
+// Virtual for checking if task is overdue: past its due date and not done
 taskSchema.virtual('isOverdue').get(function() {
-  return this.dueDate && this.dueDate < new Date() && this.status !== 'completed';
+  return Boolean(this.dueDate) && this.dueDate < new Date() && !Workflow.isCachedDoneState(this.status);
 });
 
+// Completion percentage from subtasks (weighted by their own progress) and
+// checklist items. A task with neither is simply 0 or 100 based on its status.
+// `doneStates` are the workflow state keys that count as finished.
+taskSchema.methods.calculateProgress = function(subtasks, doneStates) {
+  const units = subtasks
+    .map(subtask => (doneStates.includes(subtask.status) ? 1 : (subtask.progress || 0) / 100))
+    .concat(this.checklist.map(item => (item.completed ? 1 : 0)));
+
+  if (units.length === 0) {
+    return doneStates.includes(this.status) ? 100 : 0;
+  }
+
+  const total = units.reduce((sum, unit) => sum + unit, 0);
+  return Math.round((total / units.length) * 100);
+};
+
+// Replace the checklist with `items` ({ _id?, text, completed }), keeping the
+// completion metadata of items that were already completed
+taskSchema.methods.replaceChecklist = function(items, userId) {
+  const existing = new Map(this.checklist.map(item => [item._id.toString(), item]));
+
+  this.checklist = items.map(item => {
+    const previous = item._id ? existing.get(item._id.toString()) : null;
+    const completed = Boolean(item.completed);
+    const wasCompleted = Boolean(previous?.completed);
+
+    return {
+      ...(previous && { _id: previous._id }),
+      text: item.text,
+      completed,
+      completedAt: completed ? (wasCompleted ? previous.completedAt : new Date()) : null,
+      completedBy: completed ? (wasCompleted ? previous.completedBy : userId) : null
+    };
+  });
+};
+
+// Recalculate the progress of a task and roll it up through all of its ancestors
+taskSchema.statics.updateProgress = async function(taskId) {
+  const visited = new Set();
+  const doneStates = await Workflow.findDoneStates();
+  let currentId = taskId;
+
+  while (currentId && !visited.has(currentId.toString())) {
+    visited.add(currentId.toString());
+
+    const task = await this.findById(currentId);
+    if (!task) return;
+
+    const subtasks = await this.find({ parentTask: task._id }).select('status progress');
+    const progress = task.calculateProgress(subtasks, doneStates);
+    if (progress !== task.progress) {
+      // updateOne skips document validation, so overdue tasks can still roll up
+      await this.updateOne({ _id: task._id }, { $set: { progress } });
+    }
+
+    currentId = task.parentTask;
+  }
+};
+
+// True if making `parentId` the parent of `taskId` would create a loop
+taskSchema.statics.wouldCreateCycle = async function(taskId, parentId) {
+  const visited = new Set();
+  let currentId = parentId;
+
+  while (currentId) {
+    const key = currentId.toString();
+    if (key === taskId.toString()) return true;
+    if (visited.has(key)) return true;
+    visited.add(key);
+
+    const current = await this.findById(currentId).select('parentTask');
+    currentId = current?.parentTask;
+  }
+
+  return false;
+};
+
 // Ensure virtual fields are included in JSON
 taskSchema.set('toJSON', { virtuals: true });
 taskSchema.set('toObject', { virtuals: true });
 
+// Move every descendant of a task into `projectId`; subtasks always share
+// their parent's project
+taskSchema.statics.setSubtreeProject = async function(taskId, projectId) {
+  const visited = new Set([taskId.toString()]);
+  let frontier = [taskId];
+
+  while (frontier.length > 0) {
+    const children = await this.find({ parentTask: { $in: frontier } }).select('_id');
+    frontier = children.map(child => child._id).filter(id => !visited.has(id.toString()));
+    frontier.forEach(id => visited.add(id.toString()));
+
+    if (frontier.length > 0) {
+      await this.updateMany({ _id: { $in: frontier } }, { $set: { project: projectId } });
+    }
+  }
+};
+
+// Give done tasks saved before completedAt existed a completion date: their
+// last update is the best guess. Runs at startup; resolves to the number of
+// tasks changed.
+taskSchema.statics.backfillCompletedAt = async function() {
+  const doneStates = await Workflow.findDoneStates();
+  const result = await this.updateMany(
+    { status: { $in: doneStates }, completedAt: null },
+    [{ $set: { completedAt: '$updatedAt' } }],
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
+// Board order: by rank, tasks without one first, ties broken by ID
+const compareRanks = (a, b) =>
+  ((a.rank ?? -Infinity) - (b.rank ?? -Infinity)) || String(a._id).localeCompare(String(b._id));
+
+// Give every task in a status column a rank RANK_STEP apart, keeping their order
+taskSchema.statics.renumberRanks = async function(status) {
+  const tasks = await this.find({ status }).select('_id').sort({ rank: 1, _id: 1 });
+  if (tasks.length === 0) return;
+
+  await this.bulkWrite(tasks.map((task, index) => ({
+    updateOne: {
+      filter: { _id: task._id },
+      update: { $set: { rank: (index + 1) * RANK_STEP } }
+    }
+  })));
+};
+
+// The rank halfway between two neighbours on the board, or null when there
+// is no room between them or they have no rank yet
+const rankBetweenNeighbours = (previous, next) => {
+  const low = previous?.rank ?? null;
+  const high = next?.rank ?? null;
+
+  if (!previous && !next) return Date.now();
+  if (!next) return low === null ? null : low + RANK_STEP;
+  if (!previous) return high === null ? null : high - RANK_STEP;
+  if (low === null || high === null) return null;
+
+  const middle = (low + high) / 2;
+  return middle > low && middle < high ? middle : null;
+};
+
+// Place a task between `previous` and `next`, tasks of the `status` column
+// with their rank loaded; either may be null at the ends of the column.
+// Resolves to { rank, renumbered }, where `renumbered` says whether the rest of
+// the column got new ranks to make room, or to null when `previous` does not
+// come before `next`.
+taskSchema.statics.rankBetween = async function(status, previous, next) {
+  if (previous && next && compareRanks(previous, next) >= 0) return null;
+
+  const rank = rankBetweenNeighbours(previous, next);
+  if (rank !== null) return { rank, renumbered: false };
+
+  // Spread the column out, then place the task again
+  await this.renumberRanks(status);
+  const [renumberedPrevious, renumberedNext] = await Promise.all([
+    previous && this.findById(previous._id).select('rank'),
+    next && this.findById(next._id).select('rank')
+  ]);
+  const renumberedRank = rankBetweenNeighbours(renumberedPrevious, renumberedNext);
+  return renumberedRank === null ? null : { rank: renumberedRank, renumbered: true };
+};
+
+// Blockers of this task that are not in a done state yet
+taskSchema.methods.findOpenBlockers = async function() {
+  const doneStates = await Workflow.findDoneStates();
+  return this.constructor
+    .find({ _id: { $in: this.blockedBy }, status: { $nin: doneStates } })
+    .select('title status');
+};
+
+// Would blocking `taskId` by `blockerIds` create a dependency cycle? Walks the
+// blockers' own blockers and looks for the task itself.
+taskSchema.statics.wouldCreateDependencyCycle = async function(taskId, blockerIds) {
+  const target = taskId.toString();
+  const visited = new Set();
+  let frontier = blockerIds.map(id => id.toString());
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) {
+      return true;
+    }
+    frontier.forEach(id => visited.add(id));
+
+    const blockers = await this.find({ _id: { $in: frontier } }).select('blockedBy');
+    frontier = [...new Set(blockers.flatMap(blocker => blocker.blockedBy.map(id => id.toString())))]
+      .filter(id => !visited.has(id));
+  }
+
+  return false;
+};
+
+// IDs of all tasks that still have at least one open blocker
+taskSchema.statics.findBlockedTaskIds = async function() {
+  const dependents = await this.find({ 'blockedBy.0': { $exists: true } }).select('blockedBy');
+  const blockerIds = [...new Set(dependents.flatMap(task => task.blockedBy.map(id => id.toString())))];
+  const doneStates = await Workflow.findDoneStates();
+  const openBlockers = await this.distinct('_id', { _id: { $in: blockerIds }, status: { $nin: doneStates } });
+  const openIds = new Set(openBlockers.map(id => id.toString()));
+
+  return dependents
+    .filter(task => task.blockedBy.some(id => openIds.has(id.toString())))
+    .map(task => task._id);
+};
+
 module.exports = mongoose.model('Task', taskSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  to: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, { _id: false });
+
+const taskActivitySchema = new mongoose.Schema({
+  // Not a hard reference: activity outlives the task so deletions stay auditable
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    required: [true, 'Task is required']
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Actor is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: {
+      values: ['created', 'updated', 'document_uploaded', 'document_deleted', 'deleted'],
+      message: 'Action must be one of: created, updated, document_uploaded, document_deleted, deleted'
+    }
+  },
+  changes: [changeSchema],
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+taskActivitySchema.index({ task: 1, createdAt: -1 });
+taskActivitySchema.index({ actor: 1 });
+
+module.exports = mongoose.model('TaskActivity', taskActivitySchema);
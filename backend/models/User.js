@@ -1,6 +1,10 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const PASSWORD_RESET_EXPIRE_MS = 60 * 60 * 1000;
+const EMAIL_VERIFICATION_EXPIRE_MS = 48 * 60 * 60 * 1000;
+
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
@@ -16,21 +20,102 @@ const userSchema = new mongoose.Schema({
     minlength: [5, 'Email must be at least 5 characters'],
     maxlength: [255, 'Email must be less than 255 characters']
   },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Name must be less than 100 characters']
+  },
+  // Users who sign in through single sign-on may not have a password
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return !this.sso?.subject; }, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't include password in queries by default
   },
+  // Name of a Role; what the user may do beyond their own tasks and
+  // projects comes from its permissions
   role: {
     type: String,
-    enum: ['user', 'admin'],
     default: 'user'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // The identity at the OpenID Connect provider, for users who have signed
+  // in with single sign-on; see utils/oidc.js
+  sso: {
+    issuer: String,
+    subject: String,
+    lastLoginAt: Date
+  },
+  // Single-use tokens for the password reset and email verification links.
+  // Only their SHA-256 hashes are stored.
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Failed logins since the last successful one; see utils/loginAttempts.js
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication. The secret is only set once enrollment is
+  // confirmed with a code; until then it waits in pendingSecret. Recovery
+  // codes are stored as SHA-256 hashes and removed when used.
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
   }
 }, {
   timestamps: true
 });
 
+userSchema.index(
+  { 'sso.issuer': 1, 'sso.subject': 1 },
+  { unique: true, partialFilterExpression: { 'sso.subject': { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash password if it has been modified
@@ -45,8 +130,44 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// A changed email address has to be verified again
+userSchema.pre('save', function(next) {
+  if (this.isModified('email') && !this.isNew) {
+    this.emailVerified = false;
+  }
+  next();
+});
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Start a password reset; returns the token to put in the reset link
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MS);
+  return token;
+};
+
+// Start an email verification; returns the token to put in the link
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_EXPIRE_MS);
+  return token;
+};
+
+// Find the user a password reset or email verification token belongs to, if
+// it hasn't expired. `type` is 'passwordReset' or 'emailVerification'.
+userSchema.statics.findByToken = function(type, token) {
+  return this.findOne({
+    [`${type}Token`]: hashToken(token),
+    [`${type}Expires`]: { $gt: new Date() }
+  });
+};
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  if (!this.password || typeof candidatePassword !== 'string') return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -54,6 +175,14 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  if (userObject.twoFactor) {
+    const { enabled, enabledAt } = userObject.twoFactor;
+    userObject.twoFactor = { enabled, enabledAt };
+  }
   return userObject;
 };
 
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Events a webhook can subscribe to
+const EVENTS = {
+  'task.created': 'A task or subtask was created',
+  'task.updated': 'Fields of a task changed',
+  'task.deleted': 'A task was deleted',
+  'comment.created': 'Someone commented on a task',
+  'document.uploaded': 'A document was attached to a task',
+  'document.deleted': 'A document was removed from a task'
+};
+const EVENT_NAMES = Object.keys(EVENTS);
+
+// A subscription of another system to task events. Every event it
+// subscribes to is POSTed to `url` as JSON, signed with `secret`; see
+// utils/webhooks.js.
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Webhook name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: EVENT_NAMES,
+        message: 'Unknown event: {VALUE}'
+      }
+    }],
+    validate: {
+      validator: (events) => events.length > 0,
+      message: 'A webhook needs at least one event'
+    }
+  },
+  // Key for the HMAC signatures; only shown when it is created or replaced
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    // A new webhook still has its secret loaded
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+webhookSchema.index({ active: 1, events: 1 });
+
+webhookSchema.statics.generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = EVENTS;
+Webhook.EVENT_NAMES = EVENT_NAMES;
+
+module.exports = Webhook;
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// One try at sending a delivery
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    required: true
+  },
+  // HTTP status of the response; null when there was none
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  // Start of the response body, for the delivery log
+  responseBody: {
+    type: String,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// An event on its way to one webhook. It stays pending, retried with
+// backoff, until the receiver answers with a 2xx status (succeeded) or the
+// attempts run out (failed). Redelivering creates a new delivery of the same
+// payload.
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // The JSON body, exactly as it is sent and signed
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// MongoDB removes deliveries once they are older than the retention period
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
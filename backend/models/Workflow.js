@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+// How each workflow state counts towards completion. Code that needs to know
+// whether a task is "done" (blockers, progress roll-up, overdue checks) goes
+// through the category, never through a specific state key.
+const STATE_CATEGORIES = ['todo', 'in_progress', 'done'];
+
+// The workflow every installation starts with; it matches the statuses tasks
+// had before workflows became configurable
+const DEFAULT_STATES = [
+  { key: 'pending', name: 'Pending', color: '#ca8a04', category: 'todo' },
+  { key: 'in_progress', name: 'In Progress', color: '#2563eb', category: 'in_progress' },
+  { key: 'completed', name: 'Completed', color: '#16a34a', category: 'done' }
+];
+
+const defaultTransitions = () => DEFAULT_STATES.flatMap(from =>
+  DEFAULT_STATES
+    .filter(to => to.key !== from.key)
+    .map(to => ({ from: from.key, to: to.key }))
+);
+
+const stateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'State key is required'],
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'State keys must start with a letter and contain only lowercase letters, digits and underscores'],
+    maxlength: [30, 'State key must be less than 30 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'State name is required'],
+    trim: true,
+    maxlength: [50, 'State name must be less than 50 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Color must be a hex value like #4f46e5'],
+    default: '#6b7280'
+  },
+  category: {
+    type: String,
+    enum: {
+      values: STATE_CATEGORIES,
+      message: `Category must be one of: ${STATE_CATEGORIES.join(', ')}`
+    },
+    required: [true, 'State category is required']
+  }
+}, { _id: false });
+
+const transitionSchema = new mongoose.Schema({
+  from: { type: String, required: true },
+  to: { type: String, required: true }
+}, { _id: false });
+
+// There is a single workflow document shared by all tasks
+const workflowSchema = new mongoose.Schema({
+  states: [stateSchema],
+  transitions: [transitionSchema],
+  initialState: {
+    type: String,
+    required: [true, 'Initial state is required']
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Done states of the most recently loaded workflow, for the few synchronous
+// callers (such as the Task `isOverdue` virtual) that cannot load it themselves
+let cachedDoneStates = DEFAULT_STATES.filter(state => state.category === 'done').map(state => state.key);
+
+workflowSchema.methods.getState = function(key) {
+  return this.states.find(state => state.key === key) || null;
+};
+
+workflowSchema.methods.hasState = function(key) {
+  return Boolean(this.getState(key));
+};
+
+// Keys of the states that count as finished work
+workflowSchema.methods.doneStates = function() {
+  return this.states.filter(state => state.category === 'done').map(state => state.key);
+};
+
+workflowSchema.methods.isDone = function(key) {
+  return this.doneStates().includes(key);
+};
+
+// Staying in the same state is always allowed
+workflowSchema.methods.canTransition = function(from, to) {
+  if (from === to) return true;
+  return this.transitions.some(transition => transition.from === from && transition.to === to);
+};
+
+// The state a task moves to when it is marked complete or reopened from a
+// checkbox: the first allowed done (or not-done) state reachable from `from`
+workflowSchema.methods.findTargetState = function(from, done) {
+  const candidates = done
+    ? this.states.filter(state => state.category === 'done')
+    : [this.getState(this.initialState), ...this.states.filter(state => state.category !== 'done')];
+
+  const target = candidates.find(state => state && this.canTransition(from, state.key));
+  return target ? target.key : null;
+};
+
+workflowSchema.post('save', function(doc) {
+  cachedDoneStates = doc.doneStates();
+});
+
+// The current workflow, created with the default states on first use
+workflowSchema.statics.getCurrent = async function() {
+  let workflow = await this.findOne();
+
+  if (!workflow) {
+    workflow = await this.findOneAndUpdate(
+      {},
+      {
+        $setOnInsert: {
+          states: DEFAULT_STATES,
+          transitions: defaultTransitions(),
+          initialState: DEFAULT_STATES[0].key
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  cachedDoneStates = workflow.doneStates();
+  return workflow;
+};
+
+workflowSchema.statics.findDoneStates = async function() {
+  const workflow = await this.getCurrent();
+  return workflow.doneStates();
+};
+
+workflowSchema.statics.isCachedDoneState = function(key) {
+  return cachedDoneStates.includes(key);
+};
+
+const Workflow = mongoose.model('Workflow', workflowSchema);
+Workflow.STATE_CATEGORIES = STATE_CATEGORIES;
+
+module.exports = Workflow;
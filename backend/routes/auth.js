@@ -1,12 +1,63 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Settings = require('../models/Settings');
+const Invitation = require('../models/Invitation');
 const { asyncHandler } = require('../middleware/error');
-const { auth } = require('../middleware/auth');
+const { auth, authForTwoFactorSetup } = require('../middleware/auth');
+const { createSession, rotateSession, revokeSession, revokeAllSessions } = require('../utils/authTokens');
+const { clientUrl, sendVerificationEmail, sendPasswordResetEmail } = require('../utils/accountMail');
+const twoFactor = require('../utils/twoFactor');
+const loginAttempts = require('../utils/loginAttempts');
+const { permissionsOf, isAdministrator, validateRoleName } = require('../utils/permissions');
+const LoginEvent = require('../models/LoginEvent');
+const SsoLogin = require('../models/SsoLogin');
+const oidc = require('../utils/oidc');
 
 const router = express.Router();
 
+// The user as returned to the client after logging in, with the permissions
+// of their role. Admins who still have to set up two-factor authentication
+// are flagged so the client can send them to enrollment.
+const userResponse = async (user) => ({
+  ...user.toJSON(),
+  permissions: await permissionsOf(user),
+  twoFactorSetupRequired: await twoFactor.isSetupRequired(user)
+});
+
+const SSO_STATE_COOKIE = 'sso_state';
+const SSO_STATE_COOKIE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// The value of cookie `name` on the request, if any
+const readCookie = (req, name) => {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(value.join('='));
+  }
+  return null;
+};
+
+const sendLocked = (res, remainingMs) => res
+  .set('Retry-After', String(Math.ceil(remainingMs / 1000)))
+  .status(429)
+  .json({
+    success: false,
+    message: loginAttempts.lockedMessage(remainingMs)
+  });
+
+// Count a wrong password or code on a logged-in account security check
+// against the same lockout as logging in, and send the response
+const sendFailedCheck = async (res, user, message) => {
+  const updated = await loginAttempts.recordFailure(user);
+  const lockedFor = loginAttempts.lockRemaining(updated);
+  if (lockedFor) return sendLocked(res, lockedFor);
+
+  return res.status(400).json({
+    success: false,
+    message
+  });
+};
+
 /**
  * @swagger
  * /api/auth/register:
@@ -33,9 +84,15 @@ const router = express.Router();
  *                 example: password123
  *               role:
  *                 type: string
- *                 enum: [user, admin]
+ *                 enum: [user]
  *                 default: user
- *                 example: user
+ *                 description: Other roles can only be granted by an invitation
+ *               inviteToken:
+ *                 type: string
+ *                 description: >
+ *                   Token from an invitation link. Required when registration
+ *                   is invite-only or the email is outside the allowed domains;
+ *                   the account gets the invitation's role.
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -57,9 +114,19 @@ const router = express.Router();
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Exchange at /api/auth/refresh for a new token pair
  *       400:
- *         description: Validation error
+ *         description: Validation error or unusable invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Registration without an invitation is not allowed for this email or role
  *         content:
  *           application/json:
  *             schema:
@@ -75,8 +142,11 @@ router.post('/register', [
     .withMessage('Password must be at least 6 characters long'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin')
+    .custom(validateRoleName),
+  body('inviteToken')
+    .optional()
+    .isString()
+    .withMessage('Invite token must be a string')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -87,7 +157,7 @@ router.post('/register', [
     });
   }
 
-  const { email, password, role = 'user' } = req.body;
+  const { email, password, role = 'user', inviteToken } = req.body;
 
   // Check if user already exists
   const existingUser = await User.findOne({ email });
@@ -98,26 +168,133 @@ router.post('/register', [
     });
   }
 
-  // Create user
-  const user = await User.create({
-    email,
-    password,
-    role
-  });
+  // With an invitation the account gets the invited role, whatever the
+  // registration mode. Without one, only plain users can sign up, and only
+  // if the mode lets them.
+  let invitation = null;
+  if (inviteToken) {
+    invitation = await Invitation.findUsable(inviteToken);
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+    if (invitation.email !== email) {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+  } else {
+    if (role !== 'user') {
+      return res.status(403).json({
+        success: false,
+        message: `Only an invitation can grant the ${role} role`
+      });
+    }
+
+    const settings = await Settings.getCurrent();
+    if (!settings.allowsSelfRegistration(email)) {
+      return res.status(403).json({
+        success: false,
+        message: settings.registrationMode === 'invite'
+          ? 'Registration is by invitation only'
+          : 'Registration is limited to approved email domains'
+      });
+    }
+  }
+
+  if (invitation && !(await invitation.claim())) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation is invalid or has expired'
+    });
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      email,
+      password,
+      role: invitation ? invitation.role : 'user'
+    });
+  } catch (error) {
+    if (invitation) await invitation.release();
+    throw error;
+  }
+
+  if (invitation) {
+    await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedBy: user._id } });
+  }
+
+  // A mail outage must not block registration; the link can be resent later
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error('Error sending verification email:', error);
+  }
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
-  );
+  const { token, refreshToken } = await createSession(user, req);
 
   res.status(201).json({
     success: true,
     message: 'User registered successfully',
     data: {
-      user,
-      token
+      user: await userResponse(user),
+      token,
+      refreshToken
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/registration:
+ *   get:
+ *     summary: Find out who can register
+ *     description: >
+ *       Returns the registration mode (open, domain or invite) and allowed
+ *       domains. With `invite`, also checks an invitation token and returns
+ *       the email and role it was issued for.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: invite
+ *         schema:
+ *           type: string
+ *         description: Token from an invitation link
+ *     responses:
+ *       200:
+ *         description: Registration options
+ *       404:
+ *         description: Invitation is invalid or has expired
+ */
+router.get('/registration', asyncHandler(async (req, res) => {
+  const settings = await Settings.getCurrent();
+  const { invite } = req.query;
+
+  let invitation = null;
+  if (invite) {
+    invitation = typeof invite === 'string' ? await Invitation.findUsable(invite) : null;
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+  }
+
+  res.json({
+    success: true,
+    data: {
+      mode: settings.registrationMode,
+      allowedDomains: settings.registrationMode === 'domain' ? settings.allowedDomains : [],
+      invitation: invitation && {
+        email: invitation.email,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt
+      }
     }
   });
 }));
@@ -127,6 +304,10 @@ router.post('/register', [
  * /api/auth/login:
  *   post:
  *     summary: Login user
+ *     description: >
+ *       For accounts with two-factor authentication the response carries
+ *       `twoFactorRequired` and a `challengeToken` instead of tokens; finish
+ *       logging in at /api/auth/2fa/verify.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -166,13 +347,25 @@ router.post('/register', [
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
+ *                       description: Short-lived access token
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Exchange at /api/auth/refresh for a new token pair
  *       401:
  *         description: Invalid credentials
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: >
+ *           Account temporarily locked after too many failed attempts. The
+ *           Retry-After header says how many seconds to wait.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.post('/login', [
   body('email')
@@ -198,41 +391,372 @@ router.post('/login', [
   const user = await User.findOne({ email }).select('+password');
 
   if (!user) {
+    await loginAttempts.recordLoginEvent(req, { email, result: 'unknown_email' });
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
+  // A locked account is refused without looking at the password
+  const lockedFor = loginAttempts.lockRemaining(user);
+  if (lockedFor) {
+    await loginAttempts.recordLoginEvent(req, { user, result: 'locked' });
+    return sendLocked(res, lockedFor);
+  }
+
   // Check password
   const isPasswordValid = await user.comparePassword(password);
   if (!isPasswordValid) {
+    const updated = await loginAttempts.recordFailure(user);
+    await loginAttempts.recordLoginEvent(req, { user, result: 'wrong_password', method: 'password' });
+
+    const nowLockedFor = loginAttempts.lockRemaining(updated);
+    if (nowLockedFor) return sendLocked(res, nowLockedFor);
+
     return res.status(401).json({
       success: false,
       message: 'Invalid credentials'
     });
   }
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { id: user.id, email: user.email, role: user.role },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE }
-  );
+  // With two-factor authentication the password only earns a challenge,
+  // which is completed at /api/auth/2fa/verify. Failures are only cleared
+  // there, so retrying the password doesn't buy more guesses at the code.
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      success: true,
+      message: 'Two-factor authentication required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: twoFactor.signChallenge(user)
+      }
+    });
+  }
+
+  await loginAttempts.clearFailures(user._id);
+  await loginAttempts.recordLoginEvent(req, { user, result: 'success', method: 'password' });
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: await userResponse(user),
+      token,
+      refreshToken
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sso:
+ *   get:
+ *     summary: Whether single sign-on is available
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: >
+ *           `enabled`, and the provider name to show on the login button
+ */
+router.get('/sso', asyncHandler(async (req, res) => {
+  const config = oidc.getConfig();
+
+  res.json({
+    success: true,
+    data: {
+      enabled: Boolean(config),
+      providerName: config?.providerName || null
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/sso/login:
+ *   get:
+ *     summary: Start a single sign-on login
+ *     description: >
+ *       Open this in the browser. It redirects to the OpenID Connect provider,
+ *       which sends the user back to /api/auth/sso/callback.
+ *     tags: [Authentication]
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: Single sign-on is not configured
+ */
+router.get('/sso/login', asyncHandler(async (req, res) => {
+  const config = oidc.getConfig();
+  if (!config) {
+    return res.status(404).json({
+      success: false,
+      message: 'Single sign-on is not configured'
+    });
+  }
+
+  try {
+    const { state, nonce, codeVerifier } = await SsoLogin.start();
+    const url = await oidc.authorizationUrl(config, { state, nonce, codeVerifier });
+
+    // Ties the attempt to this browser, so nobody can slip their own
+    // provider response into someone else's login
+    res.cookie(SSO_STATE_COOKIE, state, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/api/auth/sso',
+      maxAge: SSO_STATE_COOKIE_MAX_AGE_MS
+    });
+    res.redirect(url);
+  } catch (error) {
+    if (!(error instanceof oidc.SsoError)) throw error;
+    res.redirect(clientUrl('/login', { ssoError: error.message }));
+  }
+}));
+
+/**
+ * @swagger
+ * /api/auth/sso/callback:
+ *   get:
+ *     summary: Return from the identity provider
+ *     description: >
+ *       Redirect URI registered at the provider. Finishes the sign-on,
+ *       provisioning the user on their first login, and redirects to the app's
+ *       /login/sso page with a single-use `code` for /api/auth/sso/exchange,
+ *       or to /login with `ssoError`.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect back to the app
+ */
+router.get('/sso/callback', asyncHandler(async (req, res) => {
+  const config = oidc.getConfig();
+  const { code, state, error, error_description: errorDescription } = req.query;
+  const cookieState = readCookie(req, SSO_STATE_COOKIE);
+  res.clearCookie(SSO_STATE_COOKIE, { path: '/api/auth/sso' });
+
+  const fail = (message) => res.redirect(clientUrl('/login', { ssoError: message }));
+
+  if (!config) return fail('Single sign-on is not configured');
+  if (error) return fail(`Sign-in was cancelled or refused (${errorDescription || error})`);
+  if (typeof code !== 'string' || typeof state !== 'string' || state !== cookieState) {
+    return fail('The sign-in attempt has expired. Please try again.');
+  }
+
+  const login = await SsoLogin.takePending(state);
+  if (!login) return fail('The sign-in attempt has expired. Please try again.');
+
+  try {
+    const tokens = await oidc.exchangeCode(config, { code, codeVerifier: login.codeVerifier });
+    const claims = await oidc.verifyIdToken(config, tokens.id_token, login.nonce);
+    const user = await oidc.userForClaims(config, claims);
+
+    await loginAttempts.recordLoginEvent(req, { user, result: 'success', method: 'sso' });
+    const handoff = await login.completeWith(user);
+    res.redirect(clientUrl('/login/sso', { code: handoff }));
+  } catch (err) {
+    if (!(err instanceof oidc.SsoError)) throw err;
+    fail(err.message);
+  }
+}));
+
+/**
+ * @swagger
+ * /api/auth/sso/exchange:
+ *   post:
+ *     summary: Finish a single sign-on login
+ *     description: >
+ *       Exchanges the single-use code from the /login/sso redirect for a
+ *       session, like /api/auth/login does for a password.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Code is invalid, used or expired
+ */
+router.post('/sso/exchange', [
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const userId = await SsoLogin.redeemHandoff(req.body.code);
+  const user = userId && await User.findById(userId);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'The sign-in attempt has expired. Please try again.'
+    });
+  }
 
-  // Remove password from user object
-  const userResponse = user.toJSON();
+  const { token, refreshToken } = await createSession(user, req);
 
   res.json({
     success: true,
     message: 'Login successful',
     data: {
-      user: userResponse,
-      token
+      user: await userResponse(user),
+      token,
+      refreshToken
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens are single-use. Presenting one that was already used
+ *       revokes every token of its session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh token issued
+ *       401:
+ *         description: Refresh token is invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const session = await rotateSession(req.body.refreshToken, req);
+  if (session.error) {
+    return res.status(401).json({
+      success: false,
+      message: session.error
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Token refreshed successfully',
+    data: {
+      user: await userResponse(session.user),
+      token: session.token,
+      refreshToken: session.refreshToken
     }
   });
 }));
 
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: >
+ *       Revokes the session of the given refresh token, which also stops its
+ *       access tokens from working. With `allSessions` every session of the
+ *       user is ended. Works without a valid access token.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *               allSessions:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Logged out
+ */
+router.post('/logout', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  body('allSessions')
+    .optional()
+    .isBoolean()
+    .withMessage('allSessions must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Unknown or already revoked tokens still log out successfully
+  const userId = await revokeSession(req.body.refreshToken);
+  if (userId && (req.body.allSessions === true || req.body.allSessions === 'true')) {
+    await revokeAllSessions(userId);
+  }
+
+  res.json({
+    success: true,
+    message: 'Logged out successfully'
+  });
+}));
+
 /**
  * @swagger
  * /api/auth/me:
@@ -261,10 +785,74 @@ router.post('/login', [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/me', auth, asyncHandler(async (req, res) => {
+router.get('/me', authForTwoFactorSetup, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await userResponse(req.user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/login-history:
+ *   get:
+ *     summary: Get recent login attempts on your account
+ *     description: >
+ *       Successful and failed logins, newest first, with the IP address and
+ *       user agent they came from.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/login-history', auth, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { user: req.user._id };
+
+  const [events, totalItems] = await Promise.all([
+    LoginEvent.find(query)
+      .select('success result method ip userAgent createdAt')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    LoginEvent.countDocuments(query)
+  ]);
+
+  const totalPages = Math.ceil(totalItems / limitNum);
+
   res.json({
     success: true,
-    data: req.user
+    data: {
+      events,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
   });
 }));
 
@@ -299,11 +887,609 @@ router.get('/me', auth, asyncHandler(async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/verify-token', auth, asyncHandler(async (req, res) => {
+router.get('/verify-token', authForTwoFactorSetup, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     message: 'Token is valid',
-    data: req.user
+    data: await userResponse(req.user)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     description: >
+ *       Always answers the same way, so it can't be used to find out which
+ *       emails have an account. The link is valid for one hour.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ */
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findOne({ email: req.body.email });
+  if (user) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      console.error('Error sending password reset email:', error);
+    }
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     description: The token can only be used once. Every session of the user is logged out.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *       400:
+ *         description: Token invalid or expired, or password too short
+ */
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await User.findByToken('passwordReset', req.body.token);
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Password reset link is invalid or has expired'
+    });
+  }
+
+  user.password = req.body.password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  // Receiving the link proves the address works
+  user.emailVerified = true;
+  // A lockout guards the old password, so the new one starts over
+  user.failedLoginCount = 0;
+  user.lastFailedLoginAt = null;
+  user.lockedUntil = null;
+  await user.save();
+
+  await revokeAllSessions(user._id);
+
+  res.json({
+    success: true,
+    message: 'Password has been reset. Please log in with your new password.'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Confirm an email address
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Token invalid or expired
+ */
+router.get('/verify-email', asyncHandler(async (req, res) => {
+  const { token } = req.query;
+
+  const user = typeof token === 'string' && token ? await User.findByToken('emailVerification', token) : null;
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      message: 'Verification link is invalid or has expired'
+    });
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateModifiedOnly: true });
+
+  res.json({
+    success: true,
+    message: 'Email address verified',
+    data: user
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ */
+router.post('/resend-verification', authForTwoFactorSetup, asyncHandler(async (req, res) => {
+  if (req.user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      message: 'Email address is already verified'
+    });
+  }
+
+  await sendVerificationEmail(req.user);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Finish a two-factor login
+ *     description: >
+ *       Exchanges the challenge token from /api/auth/login and a code from
+ *       the authenticator app (or an unused recovery code) for a session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-c07de
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Challenge expired or code invalid
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts
+ */
+router.post('/2fa/verify', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .optional()
+    .isString()
+    .withMessage('Code must be a string'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A code or recovery code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const userId = twoFactor.verifyChallenge(req.body.challengeToken);
+  if (!userId) {
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor challenge has expired. Please log in again.'
+    });
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Two-factor challenge has expired. Please log in again.'
+    });
+  }
+
+  const lockedFor = loginAttempts.lockRemaining(user);
+  if (lockedFor) {
+    await loginAttempts.recordLoginEvent(req, { user, result: 'locked' });
+    return sendLocked(res, lockedFor);
+  }
+
+  const method = await twoFactor.verifySecondFactor(userId, req.body);
+  if (!method) {
+    const updated = await loginAttempts.recordFailure(user);
+    await loginAttempts.recordLoginEvent(req, {
+      user,
+      result: 'wrong_code',
+      method: req.body.recoveryCode ? 'recovery_code' : 'totp'
+    });
+
+    const nowLockedFor = loginAttempts.lockRemaining(updated);
+    if (nowLockedFor) return sendLocked(res, nowLockedFor);
+
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid verification code'
+    });
+  }
+
+  await loginAttempts.clearFailures(user._id);
+  await loginAttempts.recordLoginEvent(req, { user, result: 'success', method });
+  const { token, refreshToken } = await createSession(user, req);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: await userResponse(user),
+      token,
+      refreshToken,
+      ...(method === 'recovery_code' && {
+        recoveryCodesRemaining: await twoFactor.countRecoveryCodes(userId)
+      })
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get your two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status retrieved successfully
+ */
+router.get('/2fa', authForTwoFactorSetup, asyncHandler(async (req, res) => {
+  const { enabled, enabledAt } = req.user.twoFactor || {};
+  const settings = await Settings.getCurrent();
+
+  res.json({
+    success: true,
+    data: {
+      enabled: Boolean(enabled),
+      enabledAt: enabledAt || null,
+      recoveryCodesRemaining: enabled ? await twoFactor.countRecoveryCodes(req.user._id) : 0,
+      // Whether the account may turn two-factor authentication off
+      required: settings.requireAdminTwoFactor && await isAdministrator(req.user)
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: >
+ *       Generates a new secret. Add it to an authenticator app by scanning
+ *       `qrCode` (a data URL of `otpauthUrl`) or typing in `secret`, then
+ *       confirm with a code at /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', authForTwoFactorSetup, asyncHandler(async (req, res) => {
+  if (req.user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const enrollment = await twoFactor.beginEnrollment(req.user);
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then enter a code to finish',
+    data: enrollment
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: >
+ *       Turns two-factor authentication on if the code matches the secret
+ *       from /api/auth/2fa/setup. The response contains recovery codes, which
+ *       are shown only once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or no enrollment in progress
+ */
+router.post('/2fa/enable', [
+  authForTwoFactorSetup,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (req.user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is already enabled'
+    });
+  }
+
+  const recoveryCodes = await twoFactor.confirmEnrollment(req.user._id, req.body.code);
+  if (!recoveryCodes) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid verification code'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled',
+    data: { recoveryCodes }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn off two-factor authentication
+ *     description: Needs your password and a current code or a recovery code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor authentication is required for admins
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts
+ */
+router.post('/2fa/disable', [
+  auth,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('A code or recovery code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  if (!req.user.twoFactor?.enabled) {
+    return res.status(400).json({
+      success: false,
+      message: 'Two-factor authentication is not enabled'
+    });
+  }
+
+  const settings = await Settings.getCurrent();
+  if (settings.requireAdminTwoFactor && await isAdministrator(req.user)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor authentication is required for admins'
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  const lockedFor = loginAttempts.lockRemaining(user);
+  if (lockedFor) return sendLocked(res, lockedFor);
+
+  if (!(await user.comparePassword(req.body.password))) {
+    return sendFailedCheck(res, user, 'Current password is incorrect');
+  }
+
+  if (!(await twoFactor.verifySecondFactor(user._id, req.body))) {
+    return sendFailedCheck(res, user, 'Invalid verification code');
+  }
+
+  await loginAttempts.clearFailures(user._id);
+  await twoFactor.disable(user._id);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace your recovery codes
+ *     description: Invalidates all earlier recovery codes. Needs a current code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes generated
+ *       400:
+ *         description: Invalid code
+ *       429:
+ *         description: Account temporarily locked after too many failed attempts
+ */
+router.post('/2fa/recovery-codes', [
+  auth,
+  body('code')
+    .isString()
+    .notEmpty()
+    .withMessage('Code is required')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const lockedFor = loginAttempts.lockRemaining(req.user);
+  if (lockedFor) return sendLocked(res, lockedFor);
+
+  if (!(await twoFactor.verifySecondFactor(req.user._id, { code: req.body.code }))) {
+    return sendFailedCheck(res, req.user, 'Invalid verification code');
+  }
+
+  await loginAttempts.clearFailures(req.user._id);
+  const recoveryCodes = await twoFactor.replaceRecoveryCodes(req.user._id);
+
+  res.json({
+    success: true,
+    message: 'New recovery codes generated',
+    data: { recoveryCodes }
   });
 }));
 
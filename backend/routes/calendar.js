@@ -0,0 +1,186 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const CalendarFeed = require('../models/CalendarFeed');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Workflow = require('../models/Workflow');
+const { asyncHandler } = require('../middleware/error');
+const { auth } = require('../middleware/auth');
+const { buildCalendar } = require('../utils/ical');
+const { clientUrl } = require('../utils/accountMail');
+
+const router = express.Router();
+
+// The feed starts this many days back, so recently missed tasks still show,
+// and lists at most FEED_LIMIT tasks from there, those due soonest first
+const FEED_PAST_DAYS = 30;
+const FEED_LIMIT = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Where calendar clients fetch the feed. API_URL is the public address of
+// this API when it is behind a proxy or on another host than the browser sees.
+const feedUrl = (req, token) => {
+  const base = (process.env.API_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+  return `${base}/api/calendar/${token}.ics`;
+};
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   get:
+ *     summary: Get the state of your calendar feed
+ *     description: The feed URL itself is only shown when it is created.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether you have a feed, and when it was created and last fetched
+ */
+router.get('/feed', auth, asyncHandler(async (req, res) => {
+  const feed = await CalendarFeed.findOne({ user: req.user._id });
+
+  res.json({
+    success: true,
+    data: {
+      enabled: Boolean(feed),
+      createdAt: feed ? feed.createdAt : null,
+      lastUsedAt: feed ? feed.lastUsedAt : null
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   post:
+ *     summary: Create a calendar feed URL
+ *     description: >
+ *       Returns a secret iCalendar URL with the open tasks assigned to you that
+ *       have a due date, for calendar apps to subscribe to. Creating a new URL
+ *       stops the previous one from working.
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Feed created; the URL is only returned here
+ */
+router.post('/feed', auth, asyncHandler(async (req, res) => {
+  const { feed, token } = await CalendarFeed.issue(req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Calendar feed created. Copy the URL now; it will not be shown again.',
+    data: {
+      url: feedUrl(req, token),
+      createdAt: feed.createdAt
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/calendar/feed:
+ *   delete:
+ *     summary: Turn off your calendar feed
+ *     tags: [Calendar]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Feed removed; its URL no longer works
+ */
+router.delete('/feed', auth, asyncHandler(async (req, res) => {
+  await CalendarFeed.deleteOne({ user: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Calendar feed turned off'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/calendar/{token}.ics:
+ *   get:
+ *     summary: Calendar feed of a user's open tasks with due dates
+ *     description: >
+ *       Meant for calendar apps; the secret token in the URL takes the place
+ *       of logging in. Lists up to 500 tasks due from 30 days ago on, soonest
+ *       first. Tasks due at midnight UTC (date-only due dates) are all-day
+ *       events.
+ *     tags: [Calendar]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *         content:
+ *           text/calendar: {}
+ *       404:
+ *         description: Unknown or replaced feed
+ */
+router.get('/:token.ics', [
+  param('token').isLength({ min: 10, max: 100 }).withMessage('Invalid feed token')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calendar feed not found'
+    });
+  }
+
+  const feed = await CalendarFeed.findByToken(req.params.token);
+  const user = feed && await User.findById(feed.user).select('email');
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'Calendar feed not found'
+    });
+  }
+  await feed.touch();
+
+  const workflow = await Workflow.getCurrent();
+  const tasks = await Task.find({
+    assignedTo: user._id,
+    dueDate: { $gte: new Date(Date.now() - FEED_PAST_DAYS * DAY_MS) },
+    status: { $nin: workflow.doneStates() }
+  })
+    .populate('project', 'name')
+    .populate('labels', 'name')
+    .sort({ dueDate: 1 })
+    .limit(FEED_LIMIT);
+
+  const calendar = buildCalendar({
+    name: 'Task Manager: my tasks',
+    events: tasks.map(task => ({
+      uid: `task-${task._id}@task-manager`,
+      start: task.dueDate,
+      summary: task.title,
+      description: [
+        `Priority: ${task.priority}`,
+        `Status: ${workflow.getState(task.status)?.name || task.status}`,
+        task.project ? `Project: ${task.project.name}` : null,
+        task.description || null
+      ].filter(Boolean).join('\n'),
+      url: clientUrl(`/tasks/${task._id}`),
+      categories: task.labels.map(label => label.name),
+      lastModified: task.updatedAt
+    }))
+  });
+
+  res.set({
+    'Content-Type': 'text/calendar; charset=utf-8',
+    'Content-Disposition': 'inline; filename="tasks.ics"',
+    'Cache-Control': 'private, max-age=300'
+  });
+  res.send(calendar);
+}));
+
+module.exports = router;
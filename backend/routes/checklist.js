@@ -0,0 +1,314 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const { asyncHandler } = require('../middleware/error');
+const { auth } = require('../middleware/auth');
+const { canUpdateTask, findTaskForRequest } = require('../utils/taskAccess');
+
+// Mounted under /api/tasks/:id/checklist, so the task ID comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Every checklist change is an update of the task
+const findUpdatableTask = (req, res) => findTaskForRequest(req, res, {
+  canAccess: canUpdateTask,
+  deniedMessage: 'Access denied. Only admins, task creators, and assigned users can edit the checklist.'
+});
+
+// Save the checklist, refresh the task's progress and roll it up to its ancestors
+const saveChecklist = async (task) => {
+  const subtasks = await Task.find({ parentTask: task._id }).select('status progress');
+  task.progress = task.calculateProgress(subtasks, await Workflow.findDoneStates());
+  // Only validate what changed so checklists of overdue tasks stay editable
+  await task.save({ validateModifiedOnly: true });
+
+  if (task.parentTask) {
+    await Task.updateProgress(task.parentTask);
+  }
+};
+
+const checklistResponse = (task) => ({
+  checklist: task.checklist,
+  progress: task.progress
+});
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist:
+ *   post:
+ *     summary: Add a checklist item
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ */
+router.post('/', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('text')
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text is required')
+    .isLength({ max: 500 })
+    .withMessage('Checklist item must be less than 500 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findUpdatableTask(req, res);
+  if (!task) return;
+
+  task.checklist.push({ text: req.body.text });
+  await saveChecklist(task);
+
+  res.status(201).json({
+    success: true,
+    message: 'Checklist item added successfully',
+    data: checklistResponse(task)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/reorder:
+ *   put:
+ *     summary: Reorder checklist items
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 description: Every checklist item ID, in the new order
+ *                 items:
+ *                   type: string
+ */
+router.put('/reorder', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('order')
+    .isArray()
+    .withMessage('Order must be an array of checklist item IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Order must only contain checklist item IDs')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findUpdatableTask(req, res);
+  if (!task) return;
+
+  const { order } = req.body;
+  const currentIds = task.checklist.map(item => item._id.toString()).sort();
+
+  if (new Set(order).size !== order.length ||
+      [...order].sort().join(',') !== currentIds.join(',')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order must contain every checklist item exactly once'
+    });
+  }
+
+  const items = new Map(task.checklist.map(item => [item._id.toString(), item.toObject()]));
+  task.checklist = order.map(itemId => items.get(itemId));
+  await saveChecklist(task);
+
+  res.json({
+    success: true,
+    message: 'Checklist reordered successfully',
+    data: checklistResponse(task)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   patch:
+ *     summary: Edit, complete or reopen a checklist item
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checklist item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *               completed:
+ *                 type: boolean
+ */
+router.patch('/:itemId', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('itemId').isMongoId().withMessage('Invalid checklist item ID'),
+  body('text')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Checklist item text cannot be empty')
+    .isLength({ max: 500 })
+    .withMessage('Checklist item must be less than 500 characters'),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findUpdatableTask(req, res);
+  if (!task) return;
+
+  const item = task.checklist.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Checklist item not found'
+    });
+  }
+
+  const { text, completed } = req.body;
+  if (text !== undefined) item.text = text;
+  if (completed !== undefined) {
+    const isCompleted = String(completed) === 'true';
+    if (isCompleted !== item.completed) {
+      item.completed = isCompleted;
+      item.completedAt = isCompleted ? new Date() : null;
+      item.completedBy = isCompleted ? req.user._id : null;
+    }
+  }
+
+  await saveChecklist(task);
+
+  res.json({
+    success: true,
+    message: 'Checklist item updated successfully',
+    data: checklistResponse(task)
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/checklist/{itemId}:
+ *   delete:
+ *     summary: Delete a checklist item
+ *     tags: [Checklist]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Checklist item ID
+ */
+router.delete('/:itemId', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('itemId').isMongoId().withMessage('Invalid checklist item ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findUpdatableTask(req, res);
+  if (!task) return;
+
+  const item = task.checklist.id(req.params.itemId);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      message: 'Checklist item not found'
+    });
+  }
+
+  item.deleteOne();
+  await saveChecklist(task);
+
+  res.json({
+    success: true,
+    message: 'Checklist item deleted successfully',
+    data: checklistResponse(task)
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,356 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/error');
+const { auth } = require('../middleware/auth');
+const { canViewTask, canDeleteTask, findTaskForRequest } = require('../utils/taskAccess');
+const { notify } = require('../utils/notifications');
+const { queueEvent } = require('../utils/webhooks');
+
+// Mounted under /api/tasks/:id/comments, so the task ID comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+// Same access rule as GET /api/tasks/:id
+const findAccessibleTask = (req, res) => findTaskForRequest(req, res, {
+  deniedMessage: 'Access denied. You can only comment on tasks you can view.'
+});
+
+// Resolve "@email" mentions to users who are allowed to see the task
+const resolveMentions = async (text, task) => {
+  const emails = Comment.extractMentionEmails(text);
+  if (emails.length === 0) return [];
+
+  const users = await User.find({ email: { $in: emails } });
+  const visible = await Promise.all(users.map(user => canViewTask(user, task)));
+  return users.filter((user, index) => visible[index]);
+};
+
+// Send mentioned users a notification
+const notifyMentions = async (req, task, comment, users) => {
+  const io = req.app.get('io');
+  for (const user of users) {
+    if (user._id.equals(req.user._id)) continue;
+    await notify(io, {
+      user,
+      type: 'comment_mention',
+      message: `${req.user.email} mentioned you on "${task.title}"`,
+      task,
+      data: { commentId: comment._id, mentionedBy: req.user.email }
+    });
+  }
+};
+
+const populateComment = (comment) => comment.populate([
+  { path: 'author', select: 'email' },
+  { path: 'mentions', select: 'email' }
+]);
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   get:
+ *     summary: Get the comment thread of a task
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     responses:
+ *       200:
+ *         description: Comments retrieved successfully, oldest first
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Task not found
+ */
+router.get('/', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findAccessibleTask(req, res);
+  if (!task) return;
+
+  const comments = await Comment.find({ task: task._id })
+    .populate('author', 'email')
+    .populate('mentions', 'email')
+    .sort({ createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: comments
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments:
+ *   post:
+ *     summary: Add a comment or reply to a task
+ *     description: Mentioned users ("@user@example.com") who can view the task receive a `comment_mention` notification.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: Can you take a look, @user@example.com?
+ *               parentComment:
+ *                 type: string
+ *                 description: ID of the comment being replied to
+ *     responses:
+ *       201:
+ *         description: Comment created successfully
+ */
+router.post('/', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment body is required')
+    .isLength({ max: 5000 })
+    .withMessage('Comment must be less than 5000 characters'),
+  body('parentComment')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent comment must be a valid comment ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findAccessibleTask(req, res);
+  if (!task) return;
+
+  const { body: text, parentComment } = req.body;
+
+  // Replies must stay within the same task's thread
+  if (parentComment) {
+    const parent = await Comment.findOne({ _id: parentComment, task: task._id });
+    if (!parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent comment not found on this task'
+      });
+    }
+  }
+
+  const mentionedUsers = await resolveMentions(text, task);
+
+  const comment = await Comment.create({
+    task: task._id,
+    author: req.user._id,
+    body: text,
+    parentComment: parentComment || null,
+    mentions: mentionedUsers.map(user => user._id)
+  });
+
+  await populateComment(comment);
+
+  await notifyMentions(req, task, comment, mentionedUsers);
+  await queueEvent('comment.created', {
+    task: { _id: task._id, title: task.title },
+    comment
+  }, { actor: req.user });
+
+  res.status(201).json({
+    success: true,
+    message: 'Comment added successfully',
+    data: comment
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment (author only)
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ */
+router.put('/:commentId', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('commentId').isMongoId().withMessage('Invalid comment ID'),
+  body('body')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment body is required')
+    .isLength({ max: 5000 })
+    .withMessage('Comment must be less than 5000 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findAccessibleTask(req, res);
+  if (!task) return;
+
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  if (!comment.author.equals(req.user._id)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only edit your own comments.'
+    });
+  }
+
+  const previousMentions = comment.mentions.map(id => id.toString());
+  const mentionedUsers = await resolveMentions(req.body.body, task);
+
+  comment.body = req.body.body;
+  comment.mentions = mentionedUsers.map(user => user._id);
+  comment.editedAt = new Date();
+  await comment.save();
+
+  await populateComment(comment);
+
+  // Only users who weren't already mentioned get a new notification
+  await notifyMentions(
+    req,
+    task,
+    comment,
+    mentionedUsers.filter(user => !previousMentions.includes(user._id.toString()))
+  );
+
+  res.json({
+    success: true,
+    message: 'Comment updated successfully',
+    data: comment
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment and its replies
+ *     description: Allowed for the comment author, the task creator and admins.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ */
+router.delete('/:commentId', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('commentId').isMongoId().withMessage('Invalid comment ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findAccessibleTask(req, res);
+  if (!task) return;
+
+  const comment = await Comment.findOne({ _id: req.params.commentId, task: task._id });
+  if (!comment) {
+    return res.status(404).json({
+      success: false,
+      message: 'Comment not found'
+    });
+  }
+
+  // The author, or anyone who may delete the task itself
+  if (!comment.author.equals(req.user._id) && !(await canDeleteTask(req.user, task))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Only the comment author, task creator, project managers or an admin can delete comments.'
+    });
+  }
+
+  // Collect the whole reply subtree so no orphaned replies are left behind
+  const idsToDelete = [comment._id];
+  let frontier = [comment._id];
+  while (frontier.length > 0) {
+    const replies = await Comment.find({ parentComment: { $in: frontier } }).select('_id');
+    frontier = replies.map(reply => reply._id);
+    idsToDelete.push(...frontier);
+  }
+
+  await Comment.deleteMany({ _id: { $in: idsToDelete } });
+
+  res.json({
+    success: true,
+    message: 'Comment deleted successfully'
+  });
+}));
+
+module.exports = router;
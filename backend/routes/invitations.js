@@ -0,0 +1,249 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/error');
+const { auth, requirePermission } = require('../middleware/auth');
+const { invitationLink, sendInvitationEmail } = require('../utils/accountMail');
+const { canGrantRole, validateRoleName } = require('../utils/permissions');
+
+const router = express.Router();
+
+const DEFAULT_EXPIRE_DAYS = 7;
+const MAX_EXPIRE_DAYS = 30;
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   get:
+ *     summary: List invitations (requires invitation:manage)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, revoked, expired]
+ *         description: Only return invitations in this state
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ */
+router.get('/', [
+  auth,
+  requirePermission('invitation:manage'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'revoked', 'expired'])
+    .withMessage('Status must be one of: pending, accepted, revoked, expired')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const now = new Date();
+  const filters = {
+    pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    accepted: { acceptedAt: { $ne: null } },
+    revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+    expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } }
+  };
+
+  const invitations = await Invitation.find(filters[req.query.status] || {})
+    .populate('invitedBy', 'email')
+    .populate('acceptedBy', 'email')
+    .sort({ createdAt: -1 })
+    .limit(200);
+
+  res.json({
+    success: true,
+    data: invitations
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invitations:
+ *   post:
+ *     summary: Invite someone to register (requires invitation:manage)
+ *     description: >
+ *       Emails a registration link that grants the given role. Earlier pending
+ *       invitations for the same email are revoked. The link is also returned
+ *       as `inviteUrl`, for sharing it another way.
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               role:
+ *                 type: string
+ *                 default: user
+ *                 description: Name of a role whose permissions you have yourself
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 30
+ *                 default: 7
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *       400:
+ *         description: Validation error or the email already has an account
+ *       403:
+ *         description: The role grants permissions you don't have
+ */
+router.post('/', [
+  auth,
+  requirePermission('invitation:manage'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .custom(validateRoleName),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRE_DAYS })
+    .withMessage(`Invitations can be valid for 1 to ${MAX_EXPIRE_DAYS} days`)
+    .toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { email, role = 'user', expiresInDays = DEFAULT_EXPIRE_DAYS } = req.body;
+
+  if (await User.exists({ email })) {
+    return res.status(400).json({
+      success: false,
+      message: 'User with this email already exists'
+    });
+  }
+
+  if (!(await canGrantRole(req.user, role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'You can only grant roles whose permissions you have yourself'
+    });
+  }
+
+  // Only the newest link for an address works
+  await Invitation.updateMany(
+    { email, acceptedAt: null, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const { invitation, token } = await Invitation.issue({
+    email,
+    role,
+    expiresInDays,
+    invitedBy: req.user._id
+  });
+
+  const inviteUrl = invitationLink(token);
+  let emailSent = true;
+  try {
+    await sendInvitationEmail(invitation, inviteUrl, req.user);
+  } catch (error) {
+    console.error('Error sending invitation email:', error);
+    emailSent = false;
+  }
+
+  res.status(201).json({
+    success: true,
+    message: emailSent ? 'Invitation sent' : 'Invitation created, but the email could not be sent',
+    data: {
+      invitation,
+      inviteUrl,
+      emailSent
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation (requires invitation:manage)
+ *     tags: [Invitations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation revoked
+ *       400:
+ *         description: Invitation was already used
+ *       404:
+ *         description: Invitation not found
+ */
+router.delete('/:id', [
+  auth,
+  requirePermission('invitation:manage'),
+  param('id').isMongoId().withMessage('Invalid invitation ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const invitation = await Invitation.findById(req.params.id);
+  if (!invitation) {
+    return res.status(404).json({
+      success: false,
+      message: 'Invitation not found'
+    });
+  }
+
+  if (invitation.acceptedAt) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invitation has already been used'
+    });
+  }
+
+  if (!invitation.revokedAt) {
+    invitation.revokedAt = new Date();
+    await invitation.save();
+  }
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked',
+    data: invitation
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Label = require('../models/Label');
+const Task = require('../models/Task');
+const { asyncHandler } = require('../middleware/error');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+const labelValidators = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Label name is required')
+    .isLength({ max: 50 })
+    .withMessage('Label name must be less than 50 characters'),
+  (optional ? body('color').optional() : body('color'))
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #4f46e5')
+];
+
+/**
+ * @swagger
+ * /api/labels:
+ *   get:
+ *     summary: Get the label palette
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Labels retrieved successfully
+ */
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const labels = await Label.find()
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ name: 1 });
+
+  res.json({
+    success: true,
+    data: labels
+  });
+}));
+
+/**
+ * @swagger
+ * /api/labels:
+ *   post:
+ *     summary: Create a label (requires label:manage)
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - color
+ *             properties:
+ *               name:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *                 example: '#4f46e5'
+ */
+router.post('/', [
+  auth,
+  requirePermission('label:manage'),
+  ...labelValidators(false)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { name, color } = req.body;
+
+  if (await Label.findByName(name)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A label with this name already exists'
+    });
+  }
+
+  const label = await Label.create({
+    name,
+    color,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Label created successfully',
+    data: label
+  });
+}));
+
+/**
+ * @swagger
+ * /api/labels/{id}:
+ *   put:
+ *     summary: Rename or recolour a label (requires label:manage)
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label ID
+ */
+router.put('/:id', [
+  auth,
+  requirePermission('label:manage'),
+  param('id').isMongoId().withMessage('Invalid label ID'),
+  ...labelValidators(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const label = await Label.findById(req.params.id);
+  if (!label) {
+    return res.status(404).json({
+      success: false,
+      message: 'Label not found'
+    });
+  }
+
+  const { name, color } = req.body;
+
+  if (name !== undefined) {
+    const existing = await Label.findByName(name);
+    if (existing && !existing._id.equals(label._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A label with this name already exists'
+      });
+    }
+    label.name = name;
+  }
+  if (color !== undefined) label.color = color;
+
+  await label.save();
+
+  res.json({
+    success: true,
+    message: 'Label updated successfully',
+    data: label
+  });
+}));
+
+/**
+ * @swagger
+ * /api/labels/{id}:
+ *   delete:
+ *     summary: Delete a label and remove it from all tasks (requires label:manage)
+ *     tags: [Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Label ID
+ */
+router.delete('/:id', [
+  auth,
+  requirePermission('label:manage'),
+  param('id').isMongoId().withMessage('Invalid label ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const label = await Label.findByIdAndDelete(req.params.id);
+  if (!label) {
+    return res.status(404).json({
+      success: false,
+      message: 'Label not found'
+    });
+  }
+
+  await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+
+  res.json({
+    success: true,
+    message: 'Label deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const { asyncHandler } = require('../middleware/error');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get your notifications
+ *     description: Newest first, with the number of unread notifications.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ */
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const { unread, page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { user: req.user._id };
+  if (unread === 'true') {
+    query.readAt = null;
+  }
+
+  const [notifications, totalItems, unreadCount] = await Promise.all([
+    Notification.find(query)
+      .populate('task', 'title')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    Notification.countDocuments(query),
+    Notification.countDocuments({ user: req.user._id, readAt: null })
+  ]);
+
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      notifications,
+      unreadCount,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   patch:
+ *     summary: Mark all of your notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.patch('/read-all', auth, asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { user: req.user._id, readAt: null },
+    { $set: { readAt: new Date() } }
+  );
+
+  res.json({
+    success: true,
+    message: 'All notifications marked as read',
+    data: {
+      modifiedCount: result.modifiedCount,
+      unreadCount: 0
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/notifications/{id}:
+ *   patch:
+ *     summary: Mark a notification as read or unread
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Notification ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               read:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Notification updated successfully
+ *       404:
+ *         description: Notification not found
+ */
+router.patch('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid notification ID'),
+  body('read').optional().isBoolean().withMessage('Read must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Other users' notifications are reported as missing rather than forbidden
+  const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+  if (!notification) {
+    return res.status(404).json({
+      success: false,
+      message: 'Notification not found'
+    });
+  }
+
+  const read = req.body.read === undefined ? true : req.body.read === true || req.body.read === 'true';
+  if (read !== Boolean(notification.readAt)) {
+    notification.readAt = read ? new Date() : null;
+    await notification.save();
+  }
+  await notification.populate('task', 'title');
+
+  const unreadCount = await Notification.countDocuments({ user: req.user._id, readAt: null });
+
+  res.json({
+    success: true,
+    message: 'Notification updated successfully',
+    data: {
+      notification,
+      unreadCount
+    }
+  });
+}));
+
+module.exports = router;
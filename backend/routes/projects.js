@@ -0,0 +1,531 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Project = require('../models/Project');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const { asyncHandler } = require('../middleware/error');
+const { auth } = require('../middleware/auth');
+const { notify } = require('../utils/notifications');
+const { hasPermission } = require('../utils/permissions');
+
+const router = express.Router();
+
+const { PROJECT_ROLES } = Project;
+
+// Load the project named by `req.params.id` and check the current user's role
+// in it (users with project:manage:any pass every check). Sends the 404/403 response itself and
+// resolves to null when the request can't continue.
+const findProjectForRequest = async (req, res, roles = PROJECT_ROLES) => {
+  const project = await Project.findById(req.params.id);
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+
+  const role = project.roleOf(req.user._id);
+  if (!roles.includes(role) && !(await hasPermission(req.user, 'project:manage:any'))) {
+    // Non-members don't get to learn that the project exists
+    res.status(role ? 403 : 404).json({
+      success: false,
+      message: role ? 'Access denied. Your project role does not allow this action.' : 'Project not found'
+    });
+    return null;
+  }
+
+  return project;
+};
+
+const populateMembers = (project) => project.populate('members.user', 'email name');
+
+/**
+ * @swagger
+ * /api/projects:
+ *   get:
+ *     summary: Get the projects the current user is a member of (all projects with project:manage:any)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Projects retrieved successfully
+ */
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const query = await hasPermission(req.user, 'project:manage:any') ? {} : { 'members.user': req.user._id };
+  const projects = await Project.find(query).sort({ name: 1 });
+
+  const taskCounts = await Task.aggregate([
+    { $match: { project: { $in: projects.map(project => project._id) } } },
+    { $group: { _id: '$project', count: { $sum: 1 } } }
+  ]);
+  const counts = new Map(taskCounts.map(entry => [entry._id.toString(), entry.count]));
+
+  res.json({
+    success: true,
+    data: projects.map(project => ({
+      _id: project._id,
+      name: project.name,
+      description: project.description,
+      memberCount: project.members.length,
+      taskCount: counts.get(project._id.toString()) || 0,
+      role: project.roleOf(req.user._id),
+      createdAt: project.createdAt
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/projects:
+ *   post:
+ *     summary: Create a project; the creator becomes its owner
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ */
+router.post('/', [
+  auth,
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Project name is required')
+    .isLength({ max: 100 })
+    .withMessage('Project name must be less than 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { name, description } = req.body;
+
+  const project = await Project.create({
+    name,
+    description,
+    createdBy: req.user._id,
+    members: [{ user: req.user._id, role: 'owner' }]
+  });
+
+  await populateMembers(project);
+
+  res.status(201).json({
+    success: true,
+    message: 'Project created successfully',
+    data: project
+  });
+}));
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   get:
+ *     summary: Get a project with its members
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ */
+router.get('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid project ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const project = await findProjectForRequest(req, res);
+  if (!project) return;
+
+  await populateMembers(project);
+
+  res.json({
+    success: true,
+    data: project
+  });
+}));
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   put:
+ *     summary: Update a project (owners and managers)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ */
+router.put('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid project ID'),
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Project name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Project name must be less than 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be less than 1000 characters')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const project = await findProjectForRequest(req, res, ['owner', 'manager']);
+  if (!project) return;
+
+  const { name, description } = req.body;
+  if (name !== undefined) project.name = name;
+  if (description !== undefined) project.description = description;
+
+  await project.save();
+  await populateMembers(project);
+
+  res.json({
+    success: true,
+    message: 'Project updated successfully',
+    data: project
+  });
+}));
+
+/**
+ * @swagger
+ * /api/projects/{id}:
+ *   delete:
+ *     summary: Delete a project (owners only); its tasks become personal tasks
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ */
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid project ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const project = await findProjectForRequest(req, res, ['owner']);
+  if (!project) return;
+
+  // Tasks stay with their creators and assignees rather than being deleted
+  await Task.updateMany({ project: project._id }, { $set: { project: null } });
+  await project.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Project deleted successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/projects/{id}/members:
+ *   post:
+ *     summary: Add a member by email (owners and managers)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [owner, manager, member, viewer]
+ *                 default: member
+ */
+router.post('/:id/members', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid project ID'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .optional()
+    .isIn(PROJECT_ROLES)
+    .withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const project = await findProjectForRequest(req, res, ['owner', 'manager']);
+  if (!project) return;
+
+  const { email, role = 'member' } = req.body;
+
+  // Only owners can hand out ownership
+  if (role === 'owner' && project.roleOf(req.user._id) !== 'owner' && !(await hasPermission(req.user, 'project:manage:any'))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Only project owners can add owners.'
+    });
+  }
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+  }
+
+  if (project.roleOf(user._id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'User is already a member of this project'
+    });
+  }
+
+  project.members.push({ user: user._id, role });
+  await project.save();
+  await populateMembers(project);
+
+  await notify(req.app.get('io'), {
+    user,
+    type: 'project_member_added',
+    message: `${req.user.email} added you to the project "${project.name}"`,
+    data: { projectId: project._id, role, addedBy: req.user.email }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Member added successfully',
+    data: project
+  });
+}));
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   put:
+ *     summary: Change a member's role (owners and managers)
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the member
+ */
+router.put('/:id/members/:userId', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid project ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role')
+    .isIn(PROJECT_ROLES)
+    .withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const project = await findProjectForRequest(req, res, ['owner', 'manager']);
+  if (!project) return;
+
+  const member = project.members.find(m => m.user.equals(req.params.userId));
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found'
+    });
+  }
+
+  const { role } = req.body;
+  const actorIsOwner = project.roleOf(req.user._id) === 'owner' || await hasPermission(req.user, 'project:manage:any');
+
+  // Managers can't promote to owner or change an owner's role
+  if (!actorIsOwner && (role === 'owner' || member.role === 'owner')) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Only project owners can change ownership.'
+    });
+  }
+
+  if (member.role === 'owner' && role !== 'owner' && project.ownerCount() === 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'A project must keep at least one owner'
+    });
+  }
+
+  member.role = role;
+  await project.save();
+  await populateMembers(project);
+
+  res.json({
+    success: true,
+    message: 'Member role updated successfully',
+    data: project
+  });
+}));
+
+/**
+ * @swagger
+ * /api/projects/{id}/members/{userId}:
+ *   delete:
+ *     summary: Remove a member (owners and managers), or leave a project
+ *     tags: [Projects]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Project ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID of the member
+ */
+router.delete('/:id/members/:userId', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid project ID'),
+  param('userId').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  // Every member may leave; removing someone else needs owner or manager
+  const leaving = req.user._id.equals(req.params.userId);
+  const project = await findProjectForRequest(req, res, leaving ? PROJECT_ROLES : ['owner', 'manager']);
+  if (!project) return;
+
+  const member = project.members.find(m => m.user.equals(req.params.userId));
+  if (!member) {
+    return res.status(404).json({
+      success: false,
+      message: 'Member not found'
+    });
+  }
+
+  const actorIsOwner = project.roleOf(req.user._id) === 'owner' || await hasPermission(req.user, 'project:manage:any');
+  if (!leaving && member.role === 'owner' && !actorIsOwner) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Only project owners can remove owners.'
+    });
+  }
+
+  if (member.role === 'owner' && project.ownerCount() === 1) {
+    return res.status(400).json({
+      success: false,
+      message: 'A project must keep at least one owner'
+    });
+  }
+
+  project.members = project.members.filter(m => !m.user.equals(req.params.userId));
+  await project.save();
+
+  res.json({
+    success: true,
+    message: leaving ? 'You left the project' : 'Member removed successfully'
+  });
+}));
+
+module.exports = router;
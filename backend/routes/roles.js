@@ -0,0 +1,337 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const Invitation = require('../models/Invitation');
+const { asyncHandler } = require('../middleware/error');
+const { auth, requirePermission } = require('../middleware/auth');
+const { canGrantPermissions } = require('../utils/permissions');
+
+const router = express.Router();
+
+const permissionsValidator = body('permissions')
+  .optional()
+  .isArray()
+  .withMessage('Permissions must be an array')
+  .custom((permissions) => permissions.every(permission => Role.PERMISSION_NAMES.includes(permission)))
+  .withMessage(`Permissions must be among: ${Role.PERMISSION_NAMES.join(', ')}`);
+
+const descriptionValidator = body('description')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Description cannot exceed 200 characters');
+
+const notGrantable = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only grant permissions you have yourself'
+});
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get the roles and how many users have each
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ */
+router.get('/', auth, asyncHandler(async (req, res) => {
+  await Role.ensureDefaults();
+
+  const [roles, userCounts] = await Promise.all([
+    Role.find().sort({ builtIn: -1, name: 1 }),
+    User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+  ]);
+  const counts = new Map(userCounts.map(entry => [entry._id, entry.count]));
+
+  res.json({
+    success: true,
+    data: roles.map(role => ({
+      ...role.toJSON(),
+      userCount: counts.get(role.name) || 0
+    }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get every permission a role can grant
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ */
+router.get('/permissions', auth, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(Role.PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a role (requires role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: project-lead
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['task:view:any', 'project:manage:any']
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation error or the name is taken
+ *       403:
+ *         description: The role would grant permissions you don't have
+ */
+router.post('/', [
+  auth,
+  requirePermission('role:manage'),
+  body('name')
+    .isString()
+    .trim()
+    .toLowerCase()
+    .matches(/^[a-z][a-z0-9_-]{0,29}$/)
+    .withMessage('Role names are up to 30 characters, start with a letter and contain only letters, digits, - and _'),
+  descriptionValidator,
+  permissionsValidator
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { name, description, permissions = [] } = req.body;
+
+  if (await Role.isDefined(name)) {
+    return res.status(400).json({
+      success: false,
+      message: 'A role with this name already exists'
+    });
+  }
+
+  if (!(await canGrantPermissions(req.user, permissions))) {
+    return notGrantable(res);
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+    updatedBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: role
+  });
+}));
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Change a role's description or permissions (requires role:manage)
+ *     description: >
+ *       Takes effect on the next request of every user with the role. The
+ *       admin role always has every permission.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               description:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       403:
+ *         description: The role has or would get permissions you don't have
+ *       404:
+ *         description: Role not found
+ */
+router.put('/:id', [
+  auth,
+  requirePermission('role:manage'),
+  param('id').isMongoId().withMessage('Invalid role ID'),
+  descriptionValidator,
+  permissionsValidator
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const role = await Role.findById(req.params.id);
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  const { description, permissions } = req.body;
+
+  if (permissions !== undefined) {
+    if (role.name === Role.ADMIN_ROLE) {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always has every permission'
+      });
+    }
+
+    // Neither take away nor hand out more than you have yourself
+    if (!(await canGrantPermissions(req.user, [...role.permissions, ...permissions]))) {
+      return notGrantable(res);
+    }
+
+    role.permissions = [...new Set(permissions)];
+  }
+  if (description !== undefined) role.description = description;
+  role.updatedBy = req.user._id;
+
+  await role.save();
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: role
+  });
+}));
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a role nobody has (requires role:manage)
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       400:
+ *         description: Built-in role, or users or pending invitations still have it
+ *       404:
+ *         description: Role not found
+ */
+router.delete('/:id', [
+  auth,
+  requirePermission('role:manage'),
+  param('id').isMongoId().withMessage('Invalid role ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const role = await Role.findById(req.params.id);
+  if (!role) {
+    return res.status(404).json({
+      success: false,
+      message: 'Role not found'
+    });
+  }
+
+  if (role.builtIn) {
+    return res.status(400).json({
+      success: false,
+      message: 'Built-in roles cannot be deleted'
+    });
+  }
+
+  if (!(await canGrantPermissions(req.user, role.permissions))) {
+    return notGrantable(res);
+  }
+
+  const [userCount, invitationCount] = await Promise.all([
+    User.countDocuments({ role: role.name }),
+    Invitation.countDocuments({
+      role: role.name,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+  ]);
+  if (userCount > 0 || invitationCount > 0) {
+    return res.status(400).json({
+      success: false,
+      message: userCount > 0
+        ? `The role is still assigned to ${userCount} ${userCount === 1 ? 'user' : 'users'}. Give them another role first.`
+        : 'Pending invitations grant this role. Revoke them first.'
+    });
+  }
+
+  await role.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+}));
+
+module.exports = router;
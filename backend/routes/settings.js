@@ -0,0 +1,137 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Settings = require('../models/Settings');
+const { asyncHandler } = require('../middleware/error');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/settings:
+ *   get:
+ *     summary: Get the installation settings (requires settings:manage)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settings retrieved successfully
+ */
+router.get('/', auth, requirePermission('settings:manage'), asyncHandler(async (req, res) => {
+  const settings = await Settings.getCurrent();
+
+  res.json({
+    success: true,
+    data: settings
+  });
+}));
+
+/**
+ * @swagger
+ * /api/settings:
+ *   put:
+ *     summary: Update the installation settings (requires settings:manage)
+ *     tags: [Settings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               requireAdminTwoFactor:
+ *                 type: boolean
+ *                 description: >
+ *                   Admins without two-factor authentication have to set it up
+ *                   before they can do anything else
+ *               registrationMode:
+ *                 type: string
+ *                 enum: [open, domain, invite]
+ *                 description: >
+ *                   Who can register without an invitation: anyone, only
+ *                   emails in `allowedDomains`, or nobody
+ *               allowedDomains:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   example: example.com
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *       400:
+ *         description: Validation error
+ */
+router.put('/', [
+  auth,
+  requirePermission('settings:manage'),
+  body('requireAdminTwoFactor')
+    .optional()
+    .isBoolean()
+    .withMessage('requireAdminTwoFactor must be a boolean')
+    .toBoolean(),
+  body('registrationMode')
+    .optional()
+    .isIn(Settings.REGISTRATION_MODES)
+    .withMessage(`Registration mode must be one of: ${Settings.REGISTRATION_MODES.join(', ')}`),
+  body('allowedDomains')
+    .optional()
+    .isArray()
+    .withMessage('Allowed domains must be an array'),
+  body('allowedDomains.*')
+    .isString()
+    .customSanitizer(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+    .matches(/^[a-z0-9-]+(\.[a-z0-9-]+)+$/)
+    .withMessage('Allowed domains must look like example.com')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const settings = await Settings.getCurrent();
+  const { requireAdminTwoFactor } = req.body;
+
+  if (requireAdminTwoFactor !== undefined) {
+    // Otherwise the admin making the change would lock themselves out
+    if (requireAdminTwoFactor && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set up two-factor authentication on your own account first'
+      });
+    }
+    settings.requireAdminTwoFactor = requireAdminTwoFactor;
+  }
+
+  const { registrationMode, allowedDomains } = req.body;
+  if (registrationMode !== undefined) {
+    settings.registrationMode = registrationMode;
+  }
+  if (allowedDomains !== undefined) {
+    settings.allowedDomains = [...new Set(allowedDomains)];
+  }
+
+  if (settings.registrationMode === 'domain' && settings.allowedDomains.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Add at least one allowed domain for domain-restricted registration'
+    });
+  }
+
+  settings.updatedBy = req.user._id;
+  await settings.save();
+
+  res.json({
+    success: true,
+    message: 'Settings updated successfully',
+    data: settings
+  });
+}));
+
+module.exports = router;
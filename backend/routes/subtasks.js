@@ -0,0 +1,430 @@
+const express = require('express');
+const { body, validationResult, param } = require('express-validator');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const User = require('../models/User');
+const Project = require('../models/Project');
+const { asyncHandler } = require('../middleware/error');
+const { auth } = require('../middleware/auth');
+const { canUpdateTask, checkTaskProject, findTaskForRequest } = require('../utils/taskAccess');
+const { snapshotTask, diffSnapshots, recordActivity } = require('../utils/taskActivity');
+const { notify } = require('../utils/notifications');
+
+// Mounted under /api/tasks/:id/subtasks, so the parent task ID comes from the parent path
+const router = express.Router({ mergeParams: true });
+
+const updateDeniedMessage = 'Access denied. Only admins, task creators, and assigned users can manage subtasks.';
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   get:
+ *     summary: Get the subtasks of a task in their saved order
+ *     tags: [Subtasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *     responses:
+ *       200:
+ *         description: Subtasks retrieved successfully
+ */
+router.get('/', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findTaskForRequest(req, res);
+  if (!task) return;
+
+  const subtasks = await Task.find({ parentTask: task._id })
+    .populate('assignedTo', 'email')
+    .populate('createdBy', 'email')
+    .sort({ position: 1, createdAt: 1 });
+
+  res.json({
+    success: true,
+    data: subtasks
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks:
+ *   post:
+ *     summary: Create a subtask
+ *     tags: [Subtasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [low, medium, high]
+ *               dueDate:
+ *                 type: string
+ *                 format: date
+ *               assignedTo:
+ *                 type: string
+ */
+router.post('/', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('title')
+    .notEmpty()
+    .withMessage('Task title is required')
+    .isLength({ max: 255 })
+    .withMessage('Title must be less than 255 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be less than 2000 characters'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Priority must be one of: low, medium, high'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Assigned to must be a valid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const parent = await findTaskForRequest(req, res, {
+    canAccess: canUpdateTask,
+    deniedMessage: updateDeniedMessage
+  });
+  if (!parent) return;
+
+  const { title, description, priority, dueDate, assignedTo } = req.body;
+
+  // The model only accepts future due dates; say so instead of failing the save
+  if (dueDate && new Date(dueDate) <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Due date must be in the future'
+    });
+  }
+
+  if (assignedTo) {
+    const assignedUser = await User.findById(assignedTo);
+    if (!assignedUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Assigned user not found'
+      });
+    }
+  }
+
+  // The parent can already be edited, so only the assignee needs checking
+  if (assignedTo && parent.project) {
+    const project = await Project.findById(parent.project);
+    const projectError = project && await checkTaskProject(req.user, project, assignedTo, { checkAccess: false });
+    if (projectError) {
+      return res.status(projectError.status).json({
+        success: false,
+        message: projectError.message
+      });
+    }
+  }
+
+  const workflow = await Workflow.getCurrent();
+
+  const subtask = await Task.create({
+    title,
+    description,
+    status: workflow.initialState,
+    priority: priority || parent.priority,
+    dueDate: dueDate ? new Date(dueDate) : undefined,
+    assignedTo: assignedTo || null,
+    createdBy: req.user._id,
+    parentTask: parent._id,
+    // Subtasks live in the same project as their parent
+    project: parent.project,
+    position: await Task.countDocuments({ parentTask: parent._id })
+  });
+
+  await recordActivity({
+    task: subtask,
+    actor: req.user,
+    action: 'created',
+    changes: diffSnapshots(snapshotTask({}), snapshotTask(subtask))
+  });
+
+  await Task.updateProgress(parent._id);
+
+  await subtask.populate('assignedTo', 'email');
+  await subtask.populate('createdBy', 'email');
+
+  if (assignedTo && assignedTo !== req.user._id.toString()) {
+    await notify(req.app.get('io'), {
+      user: assignedTo,
+      type: 'task_assigned',
+      message: `${req.user.email} assigned you "${subtask.title}"`,
+      task: subtask,
+      data: { assignedBy: req.user.email }
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Subtask created successfully',
+    data: subtask
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks/reorder:
+ *   put:
+ *     summary: Reorder the subtasks of a task
+ *     tags: [Subtasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - order
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 description: Every subtask ID of the parent, in the new order
+ *                 items:
+ *                   type: string
+ */
+router.put('/reorder', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('order')
+    .isArray()
+    .withMessage('Order must be an array of subtask IDs'),
+  body('order.*')
+    .isMongoId()
+    .withMessage('Order must only contain subtask IDs')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const parent = await findTaskForRequest(req, res, {
+    canAccess: canUpdateTask,
+    deniedMessage: updateDeniedMessage
+  });
+  if (!parent) return;
+
+  const { order } = req.body;
+  const subtasks = await Task.find({ parentTask: parent._id }).select('_id');
+  const currentIds = subtasks.map(subtask => subtask._id.toString()).sort();
+
+  // The new order has to be a permutation of the current subtasks
+  if (new Set(order).size !== order.length ||
+      [...order].sort().join(',') !== currentIds.join(',')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Order must contain every subtask of this task exactly once'
+    });
+  }
+
+  if (order.length > 0) {
+    await Task.bulkWrite(order.map((subtaskId, position) => ({
+      updateOne: {
+        filter: { _id: subtaskId, parentTask: parent._id },
+        update: { $set: { position } }
+      }
+    })));
+  }
+
+  const reordered = await Task.find({ parentTask: parent._id })
+    .populate('assignedTo', 'email')
+    .populate('createdBy', 'email')
+    .sort({ position: 1, createdAt: 1 });
+
+  res.json({
+    success: true,
+    message: 'Subtasks reordered successfully',
+    data: reordered
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/subtasks/{subtaskId}/complete:
+ *   patch:
+ *     summary: Mark a subtask as completed or reopen it
+ *     tags: [Subtasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Parent task ID
+ *       - in: path
+ *         name: subtaskId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Subtask ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               completed:
+ *                 type: boolean
+ *                 default: true
+ */
+router.patch('/:subtaskId/complete', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  param('subtaskId').isMongoId().withMessage('Invalid subtask ID'),
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('Completed must be a boolean')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const parent = await findTaskForRequest(req, res);
+  if (!parent) return;
+
+  const subtask = await Task.findOne({ _id: req.params.subtaskId, parentTask: parent._id });
+  if (!subtask) {
+    return res.status(404).json({
+      success: false,
+      message: 'Subtask not found'
+    });
+  }
+
+  // Completing a subtask is an update of the subtask itself
+  if (!(await canUpdateTask(req.user, subtask)) && !(await canUpdateTask(req.user, parent))) {
+    return res.status(403).json({
+      success: false,
+      message: updateDeniedMessage
+    });
+  }
+
+  const completed = req.body.completed === undefined ? true : String(req.body.completed) === 'true';
+  const before = snapshotTask(subtask);
+  const workflow = await Workflow.getCurrent();
+
+  // Move to the first done (or open) state the workflow allows from here
+  if (completed !== workflow.isDone(subtask.status)) {
+    const target = workflow.findTargetState(subtask.status, completed);
+    if (!target) {
+      const current = workflow.getState(subtask.status)?.name || subtask.status;
+      return res.status(400).json({
+        success: false,
+        message: `The workflow does not allow ${completed ? 'completing' : 'reopening'} a task from "${current}"`
+      });
+    }
+    subtask.status = target;
+  }
+
+  // Same rule as PUT /api/tasks/:id: open blockers prevent completion
+  if (completed && !workflow.isDone(before.status)) {
+    const openBlockers = await subtask.findOpenBlockers();
+    if (openBlockers.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Task cannot be completed while it is blocked by: ${openBlockers.map(blocker => blocker.title).join(', ')}`
+      });
+    }
+  }
+
+  const grandchildren = await Task.find({ parentTask: subtask._id }).select('status progress');
+  subtask.progress = subtask.calculateProgress(grandchildren, workflow.doneStates());
+  await subtask.save({ validateModifiedOnly: true });
+
+  const changes = diffSnapshots(before, snapshotTask(subtask));
+  if (changes.length > 0) {
+    await recordActivity({ task: subtask, actor: req.user, action: 'updated', changes });
+  }
+
+  await Task.updateProgress(parent._id);
+
+  await subtask.populate('assignedTo', 'email');
+  await subtask.populate('createdBy', 'email');
+
+  // Keep the assignee informed, like PUT /api/tasks/:id does
+  const io = req.app.get('io');
+  if (subtask.assignedTo) {
+    io.to(`user_${subtask.assignedTo._id}`).emit('taskUpdated', subtask);
+  }
+
+  res.json({
+    success: true,
+    message: completed ? 'Subtask completed' : 'Subtask reopened',
+    data: subtask
+  });
+}));
+
+module.exports = router;
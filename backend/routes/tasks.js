@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult, param } = require('express-validator');
+const { body, validationResult, param, query } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -7,8 +7,29 @@ const mongoose = require('mongoose');
 const Task = require('../models/Task');
 const User = require('../models/User');
 const TaskDocument = require('../models/TaskDocument');
+const Comment = require('../models/Comment');
+const Label = require('../models/Label');
+const Project = require('../models/Project');
+const TaskActivity = require('../models/TaskActivity');
+const Workflow = require('../models/Workflow');
 const { asyncHandler } = require('../middleware/error');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
+const {
+  canViewTask,
+  canUpdateTask,
+  canDeleteTask,
+  checkTaskProject,
+  visibleTaskFilter,
+  findTaskViewerIds,
+  findTaskForRequest
+} = require('../utils/taskAccess');
+const { snapshotTask, diffSnapshots, recordActivity } = require('../utils/taskActivity');
+const { parseRRule } = require('../utils/rrule');
+const { materializeNext } = require('../utils/recurrence');
+const { notify } = require('../utils/notifications');
+const { hasPermission } = require('../utils/permissions');
+const taskImport = require('../utils/taskImport');
+const taskExport = require('../utils/taskExport');
 
 const router = express.Router();
 
@@ -46,6 +67,285 @@ const upload = multer({
   }
 });
 
+// Documents open in a new browser tab, which can't send an Authorization
+// header. Take the access token from ?token= instead and let `auth` check it
+// like any other, sessions and two-factor setup included.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Checklists arrive as a JSON string in multipart requests and as an array in JSON ones
+const parseChecklist = (value) => {
+  const items = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(items)) {
+    throw new Error('Checklist must be an array');
+  }
+  items.forEach(item => {
+    if (!item || typeof item.text !== 'string' || !item.text.trim()) {
+      throw new Error('Every checklist item needs text');
+    }
+    if (item.text.length > 500) {
+      throw new Error('Checklist item must be less than 500 characters');
+    }
+  });
+  return items;
+};
+
+const checklistValidator = body('checklist')
+  .optional()
+  .custom((value) => {
+    try {
+      parseChecklist(value);
+      return true;
+    } catch (error) {
+      throw new Error(error instanceof SyntaxError ? 'Checklist must be valid JSON' : error.message);
+    }
+  });
+
+// ID lists (blockers, labels) arrive the same way: a JSON array of IDs
+const parseIdList = (value, name) => {
+  const ids = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(ids)) {
+    throw new Error(`${name} must be an array of IDs`);
+  }
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new Error(`${name} must only contain valid IDs`);
+  }
+  return [...new Set(ids.map(String))];
+};
+
+const idListValidator = (field, name) => body(field)
+  .optional()
+  .custom((value) => {
+    try {
+      parseIdList(value, name);
+      return true;
+    } catch (error) {
+      throw new Error(error instanceof SyntaxError ? `${name} must be valid JSON` : error.message);
+    }
+  });
+
+const blockedByValidator = idListValidator('blockedBy', 'Blocked by');
+
+// Recurrence arrives like the checklist: an object (or its JSON) with an RRULE
+// and an optional start date, or "null" to stop a task from recurring
+const parseRecurrence = (value) => {
+  if (value === null || value === 'null') return null;
+
+  const recurrence = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!recurrence || typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    throw new Error('Recurrence must be an object with a rule');
+  }
+  parseRRule(recurrence.rule);
+
+  const startDate = recurrence.startDate ? new Date(recurrence.startDate) : new Date();
+  if (Number.isNaN(startDate.getTime())) {
+    throw new Error('Recurrence start date must be a valid date');
+  }
+  return { rule: recurrence.rule.trim().replace(/^RRULE:/i, ''), startDate };
+};
+
+const recurrenceValidator = body('recurrence')
+  .optional()
+  .custom((value) => {
+    try {
+      parseRecurrence(value);
+      return true;
+    } catch (error) {
+      throw new Error(error instanceof SyntaxError ? 'Recurrence must be valid JSON' : error.message);
+    }
+  });
+const labelsValidator = idListValidator('labels', 'Labels');
+
+const labelsExist = async (labelIds) =>
+  (await Label.countDocuments({ _id: { $in: labelIds } })) === labelIds.length;
+
+// Check that every blocker exists, is visible to the user and does not close a
+// dependency loop. Returns an error response payload, or null when valid.
+const checkBlockers = async (user, blockerIds, taskId) => {
+  const blockers = await Task.find({ _id: { $in: blockerIds } });
+  const visible = await Promise.all(blockers.map(blocker => canViewTask(user, blocker)));
+  if (blockers.length !== blockerIds.length || visible.includes(false)) {
+    return { status: 400, message: 'Blocking task not found' };
+  }
+  if (taskId && await Task.wouldCreateDependencyCycle(taskId, blockerIds)) {
+    return { status: 400, message: 'Dependency would create a cycle' };
+  }
+  return null;
+};
+
+// Rules for the fields of a new task, shared by POST / and the import
+const newTaskValidators = [
+  body('title')
+    .notEmpty()
+    .withMessage('Task title is required')
+    .isLength({ max: 255 })
+    .withMessage('Title must be less than 255 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description must be less than 2000 characters'),
+  body('status')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Status cannot be empty'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'medium', 'high'])
+    .withMessage('Priority must be one of: low, medium, high'),
+  body('dueDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Due date must be a valid date'),
+  body('assignedTo')
+    .optional()
+    .isMongoId()
+    .withMessage('Assigned to must be a valid user ID'),
+  body('project')
+    .optional()
+    .isMongoId()
+    .withMessage('Project must be a valid project ID'),
+  body('parentTask')
+    .optional()
+    .isMongoId()
+    .withMessage('Parent task must be a valid task ID'),
+  checklistValidator,
+  labelsValidator,
+  blockedByValidator,
+  recurrenceValidator
+];
+
+const blockedCompletionMessage = (openBlockers) =>
+  `Task cannot be completed while it is blocked by: ${openBlockers.map(blocker => blocker.title).join(', ')}`;
+
+// Check a status against the workflow: it must be one of its states and, for
+// existing tasks (`from` set), reachable through an allowed transition.
+// Returns { status, message } for the error response, or null when it's fine.
+const checkStatus = (workflow, to, from) => {
+  if (!workflow.hasState(to)) {
+    return {
+      status: 400,
+      message: `Status must be one of: ${workflow.states.map(state => state.key).join(', ')}`
+    };
+  }
+  if (from !== undefined && !workflow.canTransition(from, to)) {
+    const fromName = workflow.getState(from)?.name || from;
+    return {
+      status: 400,
+      message: `The workflow does not allow moving a task from "${fromName}" to "${workflow.getState(to).name}"`
+    };
+  }
+  return null;
+};
+
+// The filter for GET / and the export from the query string. Resolves to
+// { query }, or { error } with the error response payload.
+const buildTaskQuery = async (user, {
+  search,
+  status,
+  priority,
+  assignedTo,
+  createdBy,
+  project,
+  parentTask,
+  recurrenceOf,
+  labels,
+  labelMatch = 'any',
+  blocked,
+  dueDateFrom,
+  dueDateTo
+}) => {
+  // Without task:view:any users only see tasks assigned to them, created by
+  // them, or in one of their projects
+  const query = await visibleTaskFilter(user);
+
+  // Search filter
+  if (search) {
+    query.$and = query.$and || [];
+    query.$and.push({
+      $or: [
+        { title: { $regex: search, $options: 'i' } },
+        { description: { $regex: search, $options: 'i' } }
+      ]
+    });
+  }
+
+  // Status filter
+  if (status) {
+    query.status = status;
+  }
+
+  // Priority filter
+  if (priority) {
+    query.priority = priority;
+  }
+
+  // Assigned to filter
+  if (assignedTo) {
+    query.assignedTo = assignedTo;
+  }
+
+  // Created by filter
+  if (createdBy) {
+    query.createdBy = createdBy;
+  }
+
+  // Project filter
+  if (project) {
+    query.project = project === 'none' ? null : project;
+  }
+
+  // Parent task filter
+  if (parentTask) {
+    query.parentTask = parentTask === 'none' ? null : parentTask;
+  }
+
+  if (recurrenceOf) {
+    query.recurrenceOf = recurrenceOf;
+  }
+
+  // Label filter: any or all of a comma-separated list of label IDs
+  if (labels) {
+    const labelIds = String(labels).split(',').map(id => id.trim()).filter(Boolean);
+    if (labelIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: { status: 400, message: 'Labels must be a comma-separated list of label IDs' } };
+    }
+    if (labelIds.length > 0) {
+      query.labels = labelMatch === 'all' ? { $all: labelIds } : { $in: labelIds };
+    }
+  }
+
+  // Blocked filter: tasks with at least one blocker that is not completed
+  if (blocked === 'true' || blocked === 'false') {
+    const blockedIds = await Task.findBlockedTaskIds();
+    query._id = blocked === 'true' ? { $in: blockedIds } : { $nin: blockedIds };
+  }
+
+  // Due date filters; both ends are inclusive
+  if (dueDateFrom || dueDateTo) {
+    if ([dueDateFrom, dueDateTo].some(date => date && Number.isNaN(new Date(date).getTime()))) {
+      return { error: { status: 400, message: 'Due date filters must be valid dates' } };
+    }
+    query.dueDate = {};
+    if (dueDateFrom) {
+      query.dueDate.$gte = new Date(dueDateFrom);
+    }
+    if (dueDateTo) {
+      query.dueDate.$lte = new Date(dueDateTo);
+    }
+  }
+
+  return { query };
+};
+
+const taskSort = ({ sortBy = 'createdAt', sortOrder = 'desc' }) => ({
+  [sortBy]: sortOrder === 'asc' ? 1 : -1
+});
+
 /**
  * @swagger
  * /api/tasks:
@@ -76,8 +376,7 @@ const upload = multer({
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in_progress, completed]
- *         description: Filter by status
+ *         description: Filter by workflow state key
  *       - in: query
  *         name: priority
  *         schema:
@@ -95,24 +394,56 @@ const upload = multer({
  *           type: string
  *         description: Filter by creator user ID
  *       - in: query
+ *         name: project
+ *         schema:
+ *           type: string
+ *         description: Filter by project ID, or "none" for personal tasks only
+ *       - in: query
+ *         name: parentTask
+ *         schema:
+ *           type: string
+ *         description: Filter by parent task ID, or "none" for top-level tasks only
+ *       - in: query
+ *         name: recurrenceOf
+ *         schema:
+ *           type: string
+ *         description: Only the instances created from this recurring task
+ *       - in: query
+ *         name: labels
+ *         schema:
+ *           type: string
+ *         description: Comma-separated label IDs
+ *       - in: query
+ *         name: labelMatch
+ *         schema:
+ *           type: string
+ *           enum: [any, all]
+ *           default: any
+ *         description: Whether tasks need any or all of the given labels
+ *       - in: query
+ *         name: blocked
+ *         schema:
+ *           type: boolean
+ *         description: Only tasks that have (true) or do not have (false) an open blocker
+ *       - in: query
  *         name: dueDateFrom
  *         schema:
  *           type: string
- *           format: date
- *         description: Filter tasks with due date from this date
+ *           format: date-time
+ *         description: Only tasks due at or after this date or time, e.g. the first day a calendar shows
  *       - in: query
  *         name: dueDateTo
  *         schema:
  *           type: string
- *           format: date
- *         description: Filter tasks with due date until this date
+ *           format: date-time
+ *         description: Only tasks due at or before this date or time
  *       - in: query
  *         name: sortBy
  *         schema:
  *           type: string
- *           enum: [title, status, priority, dueDate, createdAt]
+ *           enum: [title, status, priority, dueDate, createdAt, rank]
  *           default: createdAt
- *         description: Sort field
+ *         description: Sort field; rank is the order within a board column
  *       - in: query
  *         name: sortOrder
  *         schema:
@@ -125,88 +456,28 @@ const upload = multer({
  *         description: Tasks retrieved successfully
  */
 router.get('/', auth, asyncHandler(async (req, res) => {
-  const {
-    page = 1,
-    limit = 10,
-    search,
-    status,
-    priority,
-    assignedTo,
-    createdBy,
-    dueDateFrom,
-    dueDateTo,
-    sortBy = 'createdAt',
-    sortOrder = 'desc'
-  } = req.query;
+  const { page = 1, limit = 10 } = req.query;
 
   const pageNum = parseInt(page);
   const limitNum = parseInt(limit);
   const skip = (pageNum - 1) * limitNum;
 
-  // Build query
-  let query = {};
-
-  // Non-admin users can only see tasks assigned to them or created by them
-  if (req.user.role !== 'admin') {
-    query = {
-      $or: [
-        { assignedTo: req.user._id },
-        { createdBy: req.user._id }
-      ]
-    };
-  }
-
-  // Search filter
-  if (search) {
-    query.$and = query.$and || [];
-    query.$and.push({
-      $or: [
-        { title: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ]
+  const { query, error } = await buildTaskQuery(req.user, req.query);
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
     });
   }
-
-  // Status filter
-  if (status) {
-    query.status = status;
-  }
-
-  // Priority filter
-  if (priority) {
-    query.priority = priority;
-  }
-
-  // Assigned to filter
-  if (assignedTo) {
-    query.assignedTo = assignedTo;
-  }
-
-  // Created by filter
-  if (createdBy) {
-    query.createdBy = createdBy;
-  }
-
-  // Due date filters
-  if (dueDateFrom || dueDateTo) {
-    query.dueDate = {};
-    if (dueDateFrom) {
-      query.dueDate.$gte = new Date(dueDateFrom);
-    }
-    if (dueDateTo) {
-      query.dueDate.$lte = new Date(dueDateTo);
-    }
-  }
-
-  // Build sort object
-  const sortObj = {};
-  sortObj[sortBy] = sortOrder === 'asc' ? 1 : -1;
+  const sortObj = taskSort(req.query);
 
   try {
     const [tasks, totalItems] = await Promise.all([
       Task.find(query)
         .populate('assignedTo', 'email')
         .populate('createdBy', 'email')
+        .populate('project', 'name')
+        .populate('labels', 'name color')
         .populate('documents')
         .sort(sortObj)
         .skip(skip)
@@ -228,14 +499,274 @@ router.get('/', auth, asyncHandler(async (req, res) => {
           hasPrevPage: pageNum > 1
         }
       }
-    });
-  } catch (error) {
-    console.error('Error fetching tasks:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching tasks'
-    });
-  }
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching tasks'
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /api/tasks/export:
+ *   get:
+ *     summary: Export tasks as CSV or JSON
+ *     description: >
+ *       Takes the filters and sort parameters of GET /api/tasks and streams every
+ *       matching task, without paging. The CSV columns can be imported again.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, excel, json]
+ *           default: csv
+ *         description: excel is CSV with a byte order mark, so Excel reads it as UTF-8
+ *     responses:
+ *       200:
+ *         description: The tasks, as a file download
+ *         content:
+ *           text/csv: {}
+ *           application/json: {}
+ */
+router.get('/export', auth, asyncHandler(async (req, res) => {
+  const { format = 'csv' } = req.query;
+  if (typeof format !== 'string' || !Object.hasOwn(taskExport.FORMATS, format)) {
+    return res.status(400).json({
+      success: false,
+      message: `Format must be one of: ${Object.keys(taskExport.FORMATS).join(', ')}`
+    });
+  }
+
+  const { query, error } = await buildTaskQuery(req.user, req.query);
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const workflow = await Workflow.getCurrent();
+  const cursor = Task.find(query)
+    .populate('assignedTo', 'email')
+    .populate('createdBy', 'email')
+    .populate('project', 'name')
+    .populate('labels', 'name')
+    .sort({ ...taskSort(req.query), _id: 1 })
+    .cursor();
+
+  const { contentType, extension } = taskExport.FORMATS[format];
+  const fileName = `tasks-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  res.set({
+    'Content-Type': contentType,
+    'Content-Disposition': `attachment; filename="${fileName}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  try {
+    await taskExport.streamTasks(format, cursor, res, { workflow });
+  } catch (err) {
+    console.error('Error exporting tasks:', err);
+    // Once the first rows are out the status can't change any more
+    if (res.headersSent) {
+      res.destroy(err);
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting tasks'
+      });
+    }
+  } finally {
+    await cursor.close();
+  }
+}));
+
+// The dashboard lists this many assignees, those with the most tasks first
+const STATS_ASSIGNEE_LIMIT = 10;
+
+// 'YYYY-MM-DD' of `date` in `timeZone`
+const calendarDate = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+}).format(date);
+
+// The `days` calendar dates up to and including `today` ('YYYY-MM-DD')
+const lastDates = (today, days) => {
+  const end = new Date(`${today}T00:00:00Z`);
+  return Array.from({ length: days }, (_, index) =>
+    new Date(end.getTime() - (days - 1 - index) * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+};
+
+/**
+ * @swagger
+ * /api/tasks/stats:
+ *   get:
+ *     summary: Task statistics for the dashboard
+ *     description: >
+ *       Counts the tasks matching the GET /api/tasks filters by status,
+ *       priority and assignee, counts the overdue ones, and returns how many
+ *       were created and completed on each of the last `days` days.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *         description: Length of the created/completed trend in days, today included
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA time zone whose calendar days the trend counts, e.g. Europe/Berlin
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/stats', [
+  auth,
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be a whole number from 1 to 365'),
+  query('timezone')
+    .optional()
+    .custom((value) => {
+      // Throws a RangeError for unknown time zones
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    })
+    .withMessage('Timezone must be an IANA time zone such as Europe/Berlin')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { query: filter, error } = await buildTaskQuery(req.user, req.query);
+  if (error) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const days = parseInt(req.query.days || 30);
+  const timezone = req.query.timezone || 'UTC';
+  const now = new Date();
+  const dates = lastDates(calendarDate(now, timezone), days);
+  // A day early, so the first date is covered in every time zone; the
+  // grouping below drops what falls before it
+  const since = new Date(`${dates[0]}T00:00:00Z`);
+  since.setUTCDate(since.getUTCDate() - 1);
+
+  const workflow = await Workflow.getCurrent();
+  const doneStates = workflow.doneStates();
+  const isOpen = { $not: [{ $in: ['$status', doneStates] }] };
+  // Dates sort after null, so this also skips tasks without a due date
+  const isOverdue = { $and: [isOpen, { $gt: ['$dueDate', null] }, { $lt: ['$dueDate', now] }] };
+  const countByDate = (field) => [
+    { $match: { [field]: { $gte: since } } },
+    { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: `$${field}`, timezone } }, count: { $sum: 1 } } }
+  ];
+
+  // Aggregation does not cast like find() does, so cast the filter up front
+  const [facets] = await Task.aggregate([
+    { $match: Task.find().cast(Task, filter) },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              overdue: { $sum: { $cond: [isOverdue, 1, 0] } }
+            }
+          }
+        ],
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        byPriority: [{ $group: { _id: '$priority', count: { $sum: 1 } } }],
+        byAssignee: [
+          {
+            $group: {
+              _id: '$assignedTo',
+              count: { $sum: 1 },
+              open: { $sum: { $cond: [isOpen, 1, 0] } },
+              overdue: { $sum: { $cond: [isOverdue, 1, 0] } }
+            }
+          },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: STATS_ASSIGNEE_LIMIT }
+        ],
+        created: countByDate('createdAt'),
+        completed: [{ $match: { status: { $in: doneStates } } }, ...countByDate('completedAt')]
+      }
+    }
+  ]);
+
+  const statusCounts = new Map(facets.byStatus.map(group => [group._id, group.count]));
+  const byStatus = workflow.states.map(state => ({
+    status: state.key,
+    name: state.name,
+    color: state.color,
+    category: state.category,
+    count: statusCounts.get(state.key) || 0
+  }));
+
+  const priorityCounts = new Map(facets.byPriority.map(group => [group._id, group.count]));
+  const assignees = await User.find({ _id: { $in: facets.byAssignee.map(group => group._id).filter(Boolean) } })
+    .select('email');
+  const emails = new Map(assignees.map(user => [user._id.toString(), user.email]));
+
+  const created = new Map(facets.created.map(group => [group._id, group.count]));
+  const completed = new Map(facets.completed.map(group => [group._id, group.count]));
+
+  res.json({
+    success: true,
+    data: {
+      total: facets.totals[0]?.total || 0,
+      overdue: facets.totals[0]?.overdue || 0,
+      byStatus,
+      byCategory: Object.fromEntries(Workflow.STATE_CATEGORIES.map(category => [
+        category,
+        byStatus.filter(state => state.category === category).reduce((sum, state) => sum + state.count, 0)
+      ])),
+      byPriority: Object.fromEntries(['low', 'medium', 'high'].map(priority => [priority, priorityCounts.get(priority) || 0])),
+      // A null user stands for the unassigned tasks
+      byAssignee: facets.byAssignee.map(group => ({
+        user: group._id ? { _id: group._id, email: emails.get(group._id.toString()) || null } : null,
+        count: group.count,
+        open: group.open,
+        overdue: group.overdue
+      })),
+      trend: {
+        days,
+        timezone,
+        points: dates.map(date => ({
+          date,
+          created: created.get(date) || 0,
+          completed: completed.get(date) || 0
+        }))
+      }
+    }
+  });
 }));
 
 /**
@@ -275,6 +806,10 @@ router.get('/:id', [
   const task = await Task.findById(req.params.id)
     .populate('assignedTo', 'email')
     .populate('createdBy', 'email')
+    .populate('parentTask', 'title status progress')
+    .populate('recurrenceOf', 'title recurrence')
+    .populate('project', 'name')
+    .populate('labels', 'name color')
     .populate('documents');
 
   if (!task) {
@@ -285,18 +820,143 @@ router.get('/:id', [
   }
 
   // Check if user has permission to view this task
-  if (req.user.role !== 'admin' && 
-      !task.assignedTo?.equals(req.user._id) && 
-      !task.createdBy.equals(req.user._id)) {
+  if (!(await canViewTask(req.user, task))) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. You can only view tasks assigned to you or created by you.'
+      message: 'Access denied. You can only view tasks assigned to you, created by you, or in your projects.'
     });
   }
 
+  // Links are drawn both ways, but only to tasks the user may see themselves
+  const visible = await visibleTaskFilter(req.user);
+  await task.populate({ path: 'blockedBy', select: 'title status', match: visible });
+  const blocking = await Task.find({ ...visible, blockedBy: task._id }).select('title status');
+
   res.json({
     success: true,
-    data: task
+    data: {
+      ...task.toJSON(),
+      blocking
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tasks/{id}/activity:
+ *   get:
+ *     summary: Get the activity history of a task
+ *     description: Newest first. With task:view:any the history of deleted tasks can still be read.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *     responses:
+ *       200:
+ *         description: Activity retrieved successfully
+ *       404:
+ *         description: Task not found
+ */
+router.get('/:id/activity', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await Task.findById(req.params.id);
+
+  if (task && !(await canViewTask(req.user, task))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You can only view tasks assigned to you, created by you, or in your projects.'
+    });
+  }
+
+  if (!task && (!(await hasPermission(req.user, 'task:view:any')) || !(await TaskActivity.exists({ task: req.params.id })))) {
+    return res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+  const query = { task: req.params.id };
+
+  const [activities, totalItems] = await Promise.all([
+    TaskActivity.find(query)
+      .populate('actor', 'email')
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum)
+      .lean(),
+    TaskActivity.countDocuments(query)
+  ]);
+
+  // Show assignee and project changes by name rather than raw IDs
+  const labelSources = {
+    assignedTo: { model: User, path: 'email', missing: 'Deleted user' },
+    project: { model: Project, path: 'name', missing: 'Deleted project' }
+  };
+
+  for (const [field, source] of Object.entries(labelSources)) {
+    const ids = new Set();
+    activities.forEach(activity => activity.changes
+      .filter(change => change.field === field)
+      .forEach(change => [change.from, change.to].filter(Boolean).forEach(id => ids.add(id))));
+
+    if (ids.size === 0) continue;
+
+    const docs = await source.model.find({ _id: { $in: [...ids] } }).select(source.path);
+    const names = new Map(docs.map(doc => [doc._id.toString(), doc[source.path]]));
+    activities.forEach(activity => activity.changes.forEach(change => {
+      if (change.field !== field) return;
+      change.fromLabel = change.from ? names.get(change.from) || source.missing : null;
+      change.toLabel = change.to ? names.get(change.to) || source.missing : null;
+    }));
+  }
+
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      activities,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
   });
 }));
 
@@ -323,7 +983,7 @@ router.get('/:id', [
  *                 type: string
  *               status:
  *                 type: string
- *                 enum: [pending, in_progress, completed]
+ *                 description: Workflow state key; defaults to the workflow's initial state
  *               priority:
  *                 type: string
  *                 enum: [low, medium, high]
@@ -332,6 +992,27 @@ router.get('/:id', [
  *                 format: date
  *               assignedTo:
  *                 type: string
+ *               project:
+ *                 type: string
+ *                 description: Project ID; subtasks always use their parent's project
+ *               parentTask:
+ *                 type: string
+ *                 description: ID of the parent task when creating a subtask
+ *               checklist:
+ *                 type: string
+ *                 description: JSON array of checklist items, e.g. [{"text":"Draft","completed":false}]
+ *               labels:
+ *                 type: string
+ *                 description: JSON array of label IDs
+ *               blockedBy:
+ *                 type: string
+ *                 description: JSON array of IDs of tasks that must be completed first
+ *               recurrence:
+ *                 type: string
+ *                 description: >
+ *                   Makes the task a recurring template, e.g.
+ *                   {"rule":"FREQ=WEEKLY;BYDAY=FR","startDate":"2025-01-03T17:00:00Z"}.
+ *                   An instance is created for each occurrence.
  *               documents:
  *                 type: array
  *                 items:
@@ -341,31 +1022,7 @@ router.get('/:id', [
 router.post('/', [
   auth,
   upload.array('documents', 3),
-  body('title')
-    .notEmpty()
-    .withMessage('Task title is required')
-    .isLength({ max: 255 })
-    .withMessage('Title must be less than 255 characters'),
-  body('description')
-    .optional()
-    .isLength({ max: 2000 })
-    .withMessage('Description must be less than 2000 characters'),
-  body('status')
-    .optional()
-    .isIn(['pending', 'in_progress', 'completed'])
-    .withMessage('Status must be one of: pending, in_progress, completed'),
-  body('priority')
-    .optional()
-    .isIn(['low', 'medium', 'high'])
-    .withMessage('Priority must be one of: low, medium, high'),
-  body('dueDate')
-    .optional()
-    .isISO8601()
-    .withMessage('Due date must be a valid date'),
-  body('assignedTo')
-    .optional()
-    .isMongoId()
-    .withMessage('Assigned to must be a valid user ID')
+  ...newTaskValidators
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -376,7 +1033,60 @@ router.post('/', [
     });
   }
 
-  const { title, description, status, priority, dueDate, assignedTo } = req.body;
+  const { title, description, status, priority, dueDate, assignedTo, project, parentTask, checklist, labels, blockedBy } = req.body;
+  const labelIds = labels !== undefined ? parseIdList(labels, 'Labels') : [];
+  const blockerIds = blockedBy !== undefined ? parseIdList(blockedBy, 'Blocked by') : [];
+  const recurrence = req.body.recurrence !== undefined ? parseRecurrence(req.body.recurrence) : null;
+
+  if (recurrence && parentTask) {
+    return res.status(400).json({
+      success: false,
+      message: 'Subtasks cannot recur'
+    });
+  }
+
+  // Subtasks can only be added to tasks the user is allowed to update
+  let parent = null;
+  if (parentTask) {
+    parent = await Task.findById(parentTask);
+    if (!parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent task not found'
+      });
+    }
+    if (!(await canUpdateTask(req.user, parent))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only add subtasks to tasks you can update.'
+      });
+    }
+    if (project && String(project) !== String(parent.project)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subtasks must be in the same project as their parent task'
+      });
+    }
+  }
+
+  // Subtasks always live in their parent's project
+  const projectId = parent ? parent.project : (project || null);
+  if (projectId) {
+    const targetProject = await Project.findById(projectId);
+    if (!targetProject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    const projectError = await checkTaskProject(req.user, targetProject, assignedTo);
+    if (projectError) {
+      return res.status(projectError.status).json({
+        success: false,
+        message: projectError.message
+      });
+    }
+  }
 
   // Validate assigned user exists if provided
   if (assignedTo) {
@@ -389,21 +1099,76 @@ router.post('/', [
     }
   }
 
+  if (labelIds.length > 0 && !(await labelsExist(labelIds))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Label not found'
+    });
+  }
+
+  const workflow = await Workflow.getCurrent();
+  if (status) {
+    const statusError = checkStatus(workflow, status);
+    if (statusError) {
+      return res.status(statusError.status).json({
+        success: false,
+        message: statusError.message
+      });
+    }
+  }
+
+  // A new task cannot close a dependency loop, but its blockers must exist
+  if (blockerIds.length > 0) {
+    const blockerError = await checkBlockers(req.user, blockerIds);
+    if (blockerError) {
+      return res.status(blockerError.status).json({
+        success: false,
+        message: blockerError.message
+      });
+    }
+  }
+
   try {
     // Create task
     const task = new Task({
       title,
       description,
-      status: status || 'pending',
+      status: status || workflow.initialState,
       priority: priority || 'medium',
       dueDate: dueDate ? new Date(dueDate) : undefined,
       assignedTo: assignedTo || null,
-      createdBy: req.user._id
+      createdBy: req.user._id,
+      project: projectId,
+      parentTask: parentTask || null,
+      position: parentTask ? await Task.countDocuments({ parentTask }) : 0,
+      labels: labelIds,
+      blockedBy: blockerIds,
+      recurrence
     });
 
+    if (workflow.isDone(task.status)) {
+      const openBlockers = await task.findOpenBlockers();
+      if (openBlockers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: blockedCompletionMessage(openBlockers)
+        });
+      }
+    }
+
+    if (checklist !== undefined) {
+      task.replaceChecklist(parseChecklist(checklist), req.user._id);
+    }
+    task.progress = task.calculateProgress([], workflow.doneStates());
+
     await task.save();
 
+    if (task.parentTask) {
+      await Task.updateProgress(task.parentTask);
+    }
+
     // Handle file uploads
+    let documents = [];
     if (req.files && req.files.length > 0) {
       const documentPromises = req.files.map(file => {
         const document = new TaskDocument({
@@ -418,37 +1183,337 @@ router.post('/', [
         return document.save();
       });
 
-      const documents = await Promise.all(documentPromises);
+      documents = await Promise.all(documentPromises);
       task.documents = documents.map(doc => doc._id);
       await task.save();
     }
 
+    // Record activity
+    await recordActivity({
+      task,
+      actor: req.user,
+      action: 'created',
+      changes: diffSnapshots(snapshotTask({}), snapshotTask(task))
+    });
+    for (const document of documents) {
+      await recordActivity({
+        task,
+        actor: req.user,
+        action: 'document_uploaded',
+        details: { documentId: document._id, originalName: document.originalName }
+      });
+    }
+
+    // A recurring template gets its first instance right away
+    if (task.recurrence) {
+      await materializeNext(task, { io: req.app.get('io') });
+    }
+
     // Populate task for response
     await task.populate('assignedTo', 'email');
     await task.populate('createdBy', 'email');
+    await task.populate('labels', 'name color');
     await task.populate('documents');
 
-    // Emit real-time event
-    const io = req.app.get('io');
     if (assignedTo && assignedTo !== req.user._id.toString()) {
-      io.to(`user_${assignedTo}`).emit('taskAssigned', {
+      await notify(req.app.get('io'), {
+        user: assignedTo,
+        type: 'task_assigned',
+        message: `${req.user.email} assigned you "${task.title}"`,
         task,
-        assignedBy: req.user.email
+        data: { assignedBy: req.user.email }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Task created successfully',
+      data: task
+    });
+  } catch (error) {
+    console.error('Error creating task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating task'
+    });
+  }
+}));
+
+/**
+ * @swagger
+ * /api/tasks/import:
+ *   post:
+ *     summary: Import tasks from CSV or JSON
+ *     description: >
+ *       Every row is checked with the rules of POST /api/tasks. With dryRun the
+ *       result of that check is returned and nothing is created; otherwise the
+ *       tasks are only created when every row is valid.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - format
+ *               - content
+ *             properties:
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *               content:
+ *                 description: CSV text with a header line, or a JSON array of objects (or its text)
+ *               mapping:
+ *                 type: object
+ *                 description: >
+ *                   Task field (title, description, status, priority, dueDate,
+ *                   assignee, labels) to column name. Columns named like a field
+ *                   are used when it is left out.
+ *               project:
+ *                 type: string
+ *                 description: Project ID to import the tasks into
+ *               dryRun:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Dry run result with the importable fields, the columns, the mapping and the outcome for each row
+ *       201:
+ *         description: Tasks imported
+ *       400:
+ *         description: Unreadable content, invalid mapping, or rows with errors (nothing is imported)
+ */
+router.post('/import', [
+  auth,
+  body('format')
+    .isIn(taskImport.FORMATS)
+    .withMessage(`Format must be one of: ${taskImport.FORMATS.join(', ')}`),
+  body('content')
+    .custom(value => typeof value === 'string' || Array.isArray(value))
+    .withMessage('Content must be CSV or JSON text, or an array of objects'),
+  body('mapping')
+    .optional()
+    .isObject()
+    .withMessage('Mapping must be an object of task fields to columns'),
+  body('project')
+    .optional({ values: 'falsy' })
+    .isMongoId()
+    .withMessage('Project must be a valid project ID'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('Dry run must be true or false')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { format, content, project } = req.body;
+  const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+  let columns, records;
+  try {
+    ({ columns, records } = taskImport.readRecords(format, content));
+  } catch (error) {
+    if (!(error instanceof taskImport.ImportError)) throw error;
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (records.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'There are no tasks to import'
+    });
+  }
+  if (records.length > taskImport.MAX_ROWS) {
+    return res.status(400).json({
+      success: false,
+      message: `At most ${taskImport.MAX_ROWS} tasks can be imported at once`
+    });
+  }
+
+  // Unmapped fields may be sent with an empty column
+  const mapping = req.body.mapping
+    ? Object.fromEntries(Object.entries(req.body.mapping).filter(([, column]) => column))
+    : taskImport.suggestMapping(columns);
+  const mappingError = taskImport.checkMapping(mapping, columns);
+  if (mappingError) {
+    return res.status(400).json({
+      success: false,
+      message: mappingError
+    });
+  }
+
+  let targetProject = null;
+  if (project) {
+    targetProject = await Project.findById(project);
+    if (!targetProject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    const projectError = await checkTaskProject(req.user, targetProject);
+    if (projectError) {
+      return res.status(projectError.status).json({
+        success: false,
+        message: projectError.message
       });
     }
+  }
+
+  const workflow = await Workflow.getCurrent();
+  const rowFields = records.map(record => taskImport.mapRecord(record, mapping));
+
+  // Assignees are given by email and labels by name
+  const emails = [...new Set(rowFields.filter(fields => fields.assignee).map(fields => fields.assignee.toLowerCase()))];
+  const assignees = new Map((await User.find({ email: { $in: emails } }).select('email'))
+    .map(user => [user.email, user]));
+  const labelsByName = new Map((await Label.find().select('name'))
+    .map(label => [label.name.toLowerCase(), label]));
+  const stateKeys = new Map(workflow.states.flatMap(state => [
+    [state.key.toLowerCase(), state.key],
+    [state.name.toLowerCase(), state.key]
+  ]));
+
+  const rows = [];
+  for (const [index, fields] of rowFields.entries()) {
+    const rowErrors = [];
+    const candidate = {
+      title: fields.title,
+      description: fields.description,
+      status: fields.status && (stateKeys.get(fields.status.toLowerCase()) || fields.status),
+      priority: fields.priority && fields.priority.toLowerCase(),
+      dueDate: fields.dueDate
+    };
+
+    if (fields.assignee) {
+      const assignee = assignees.get(fields.assignee.toLowerCase());
+      if (assignee) {
+        candidate.assignedTo = assignee._id.toString();
+      } else {
+        rowErrors.push({ field: 'assignee', message: `No user has the email ${fields.assignee}` });
+      }
+    }
+
+    if (fields.labels) {
+      const names = fields.labels.split(',').map(name => name.trim()).filter(Boolean);
+      const unknown = names.filter(name => !labelsByName.has(name.toLowerCase()));
+      if (unknown.length > 0) {
+        rowErrors.push({ field: 'labels', message: `Unknown labels: ${unknown.join(', ')}` });
+      } else {
+        candidate.labels = names.map(name => labelsByName.get(name.toLowerCase())._id.toString());
+      }
+    }
+
+    // The same rules as a task created through POST /
+    const rowRequest = { body: Object.fromEntries(Object.entries(candidate).filter(([, value]) => value !== undefined)) };
+    for (const validator of newTaskValidators) {
+      await validator.run(rowRequest);
+    }
+    validationResult(rowRequest).array().forEach(error => {
+      rowErrors.push({ field: error.path === 'assignedTo' ? 'assignee' : error.path, message: error.msg });
+    });
+
+    if (candidate.status && !rowErrors.some(error => error.field === 'status')) {
+      const statusError = checkStatus(workflow, candidate.status);
+      if (statusError) rowErrors.push({ field: 'status', message: statusError.message });
+    }
+    // Tasks only accept due dates in the future; catch it here, before any row is saved
+    if (candidate.dueDate && !rowErrors.some(error => error.field === 'dueDate') && new Date(candidate.dueDate) <= new Date()) {
+      rowErrors.push({ field: 'dueDate', message: 'Due date must be in the future' });
+    }
+    if (targetProject && candidate.assignedTo) {
+      const projectError = await checkTaskProject(req.user, targetProject, candidate.assignedTo, { checkAccess: false });
+      if (projectError) rowErrors.push({ field: 'assignee', message: projectError.message });
+    }
 
-    res.status(201).json({
+    rows.push({ row: index + 1, fields, task: candidate, errors: rowErrors });
+  }
+
+  const invalidRows = rows.filter(row => row.errors.length > 0);
+  const summary = {
+    dryRun,
+    fields: Object.entries(taskImport.FIELDS).map(([name, { description }]) => ({ name, description })),
+    columns,
+    mapping,
+    totalRows: rows.length,
+    validRows: rows.length - invalidRows.length,
+    rows: rows.map(({ row, fields, errors: rowErrors }) => ({ row, fields, errors: rowErrors }))
+  };
+
+  if (dryRun) {
+    return res.json({
       success: true,
-      message: 'Task created successfully',
-      data: task
+      data: summary
     });
-  } catch (error) {
-    console.error('Error creating task:', error);
-    res.status(500).json({
+  }
+
+  if (invalidRows.length > 0) {
+    return res.status(400).json({
       success: false,
-      message: 'Error creating task'
+      message: `${invalidRows.length} of ${rows.length} rows have errors; nothing was imported`,
+      errors: invalidRows.flatMap(({ row, errors: rowErrors }) => rowErrors.map(error => ({ row, ...error }))),
+      data: summary
     });
   }
+
+  const doneStates = workflow.doneStates();
+  const created = [];
+  for (const { task: candidate } of rows) {
+    const task = new Task({
+      title: candidate.title,
+      description: candidate.description,
+      status: candidate.status || workflow.initialState,
+      priority: candidate.priority || 'medium',
+      dueDate: candidate.dueDate ? new Date(candidate.dueDate) : undefined,
+      assignedTo: candidate.assignedTo || null,
+      createdBy: req.user._id,
+      project: targetProject ? targetProject._id : null,
+      labels: candidate.labels || []
+    });
+    task.progress = task.calculateProgress([], doneStates);
+    await task.save();
+    created.push(task);
+
+    await recordActivity({
+      task,
+      actor: req.user,
+      action: 'created',
+      changes: diffSnapshots(snapshotTask({}), snapshotTask(task)),
+      details: { imported: true }
+    });
+
+    if (candidate.assignedTo && candidate.assignedTo !== req.user._id.toString()) {
+      await notify(req.app.get('io'), {
+        user: candidate.assignedTo,
+        type: 'task_assigned',
+        message: `${req.user.email} assigned you "${task.title}"`,
+        task,
+        data: { assignedBy: req.user.email }
+      });
+    }
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `Imported ${created.length} ${created.length === 1 ? 'task' : 'tasks'}`,
+    data: {
+      imported: created.length,
+      tasks: created.map(task => ({ _id: task._id, title: task.title }))
+    }
+  });
 }));
 
 /**
@@ -466,6 +1531,27 @@ router.post('/', [
  *         schema:
  *           type: string
  *         description: Task ID
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               project:
+ *                 type: string
+ *                 description: Project ID, or "null" to make the task personal. Subtasks follow their parent's project.
+ *               labels:
+ *                 type: string
+ *                 description: JSON array of label IDs; "[]" clears them
+ *               blockedBy:
+ *                 type: string
+ *                 description: JSON array of IDs of tasks that must be completed first; "[]" clears them
+ *               recurrence:
+ *                 type: string
+ *                 description: Recurrence rule and start date as in POST, or "null" to stop recurring
+ *     responses:
+ *       400:
+ *         description: Validation failed, dependency cycle, or completion while a blocker is still open
  */
 router.put('/:id', [
   auth,
@@ -483,8 +1569,9 @@ router.put('/:id', [
     .withMessage('Description must be less than 2000 characters'),
   body('status')
     .optional()
-    .isIn(['pending', 'in_progress', 'completed'])
-    .withMessage('Status must be one of: pending, in_progress, completed'),
+    .trim()
+    .notEmpty()
+    .withMessage('Status cannot be empty'),
   body('priority')
     .optional()
     .isIn(['low', 'medium', 'high'])
@@ -496,7 +1583,19 @@ router.put('/:id', [
   body('assignedTo')
     .optional()
     .isMongoId()
-    .withMessage('Assigned to must be a valid user ID')
+    .withMessage('Assigned to must be a valid user ID'),
+  body('project')
+    .optional()
+    .custom(value => value === 'null' || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Project must be a valid project ID or "null"'),
+  body('parentTask')
+    .optional()
+    .custom(value => value === 'null' || mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Parent task must be a valid task ID or "null"'),
+  checklistValidator,
+  labelsValidator,
+  blockedByValidator,
+  recurrenceValidator
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -516,18 +1615,45 @@ router.put('/:id', [
     });
   }
 
-  // Check permissions - Allow admins, task creators, and assigned users to update
-  if (req.user.role !== 'admin' && 
-      !task.createdBy.equals(req.user._id) &&
-      (!task.assignedTo || !task.assignedTo.equals(req.user._id))) {
+  // Check permissions - Allow admins, task creators, assigned users and project editors to update
+  if (!(await canUpdateTask(req.user, task))) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Only admins, task creators, and assigned users can update tasks.'
+      message: 'Access denied. Only admins, task creators, assigned users and project members can update tasks.'
     });
   }
 
-  const { title, description, status, priority, dueDate, assignedTo } = req.body;
+  const { title, description, status, priority, dueDate, assignedTo, project, parentTask, checklist, labels, blockedBy } = req.body;
+  const labelIds = labels !== undefined ? parseIdList(labels, 'Labels') : null;
+  const blockerIds = blockedBy !== undefined ? parseIdList(blockedBy, 'Blocked by') : null;
+  const recurrence = req.body.recurrence !== undefined ? parseRecurrence(req.body.recurrence) : undefined;
   const oldAssignedTo = task.assignedTo?.toString();
+  const oldParentTask = task.parentTask;
+  const before = snapshotTask(task);
+
+  // Validate the new parent: it must exist, be updatable and not be a descendant
+  let parent = null;
+  if (parentTask && parentTask !== 'null') {
+    parent = await Task.findById(parentTask);
+    if (!parent) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parent task not found'
+      });
+    }
+    if (!(await canUpdateTask(req.user, parent))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only add subtasks to tasks you can update.'
+      });
+    }
+    if (await Task.wouldCreateCycle(task._id, parent._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A task cannot be moved under itself or one of its subtasks'
+      });
+    }
+  }
 
   // Validate assigned user exists if provided
   if (assignedTo && assignedTo !== 'null') {
@@ -540,6 +1666,108 @@ router.put('/:id', [
     }
   }
 
+  // Work out the task's project: subtasks always follow their (new) parent
+  const requestedProject = project === undefined ? undefined : (project === 'null' ? null : project);
+  const keepsParent = parentTask === undefined ? Boolean(task.parentTask) : parentTask !== 'null';
+  let projectId = task.project;
+  if (parent) {
+    projectId = parent.project;
+  } else if (!keepsParent && requestedProject !== undefined) {
+    projectId = requestedProject;
+  }
+
+  if (requestedProject !== undefined && String(requestedProject) !== String(projectId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Subtasks must be in the same project as their parent task'
+    });
+  }
+
+  const projectChanged = String(projectId) !== String(task.project);
+  const newAssignee = assignedTo === undefined ? task.assignedTo : (assignedTo === 'null' ? null : assignedTo);
+
+  // Taking a task out of its project hides it from the other members
+  if (projectChanged && task.project && !(await canDeleteTask(req.user, task))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Only task creators, project managers and admins can move a task out of its project.'
+    });
+  }
+
+  if (projectId && (projectChanged || assignedTo !== undefined)) {
+    const targetProject = await Project.findById(projectId);
+    if (!targetProject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+    const projectError = await checkTaskProject(req.user, targetProject, newAssignee, { checkAccess: projectChanged });
+    if (projectError) {
+      return res.status(projectError.status).json({
+        success: false,
+        message: projectError.message
+      });
+    }
+  }
+
+  if (labelIds && labelIds.length > 0 && !(await labelsExist(labelIds))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Label not found'
+    });
+  }
+
+  // The model only accepts future due dates; say so instead of failing the save
+  if (dueDate && new Date(dueDate) <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Due date must be in the future'
+    });
+  }
+
+  const workflow = await Workflow.getCurrent();
+  if (status !== undefined) {
+    const statusError = checkStatus(workflow, status, task.status);
+    if (statusError) {
+      return res.status(statusError.status).json({
+        success: false,
+        message: statusError.message
+      });
+    }
+  }
+
+  if (recurrence && (keepsParent || task.recurrenceOf)) {
+    return res.status(400).json({
+      success: false,
+      message: task.recurrenceOf
+        ? 'Instances of a recurring task cannot recur themselves'
+        : 'Subtasks cannot recur'
+    });
+  }
+
+  // Validate the new blockers, including that none of them depends on this task
+  if (blockerIds && blockerIds.length > 0) {
+    const blockerError = await checkBlockers(req.user, blockerIds, task._id);
+    if (blockerError) {
+      return res.status(blockerError.status).json({
+        success: false,
+        message: blockerError.message
+      });
+    }
+  }
+
+  // Check if adding files would exceed limit before anything is saved
+  if (req.files && req.files.length > 0) {
+    const currentDocCount = await TaskDocument.countDocuments({ taskId: task._id });
+    if (currentDocCount + req.files.length > 3) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum 3 documents allowed per task'
+      });
+    }
+  }
+
   try {
     // Update task fields
     if (title !== undefined) task.title = title;
@@ -548,20 +1776,68 @@ router.put('/:id', [
     if (priority !== undefined) task.priority = priority;
     if (dueDate !== undefined) task.dueDate = dueDate ? new Date(dueDate) : null;
     if (assignedTo !== undefined) task.assignedTo = assignedTo === 'null' ? null : assignedTo;
+    if (checklist !== undefined) task.replaceChecklist(parseChecklist(checklist), req.user._id);
+    if (projectChanged) task.project = projectId;
+    if (labelIds) task.labels = labelIds;
+    if (blockerIds) task.blockedBy = blockerIds;
+    // A changed schedule continues after the last occurrence created so far
+    if (recurrence !== undefined) {
+      task.recurrence = recurrence && { ...recurrence, lastOccurrence: task.recurrence?.lastOccurrence || null };
+    }
+    if (parentTask !== undefined) {
+      const newParent = parentTask === 'null' ? null : parentTask;
+      if (String(newParent) !== String(oldParentTask)) {
+        task.parentTask = newParent;
+        task.position = newParent ? await Task.countDocuments({ parentTask: newParent }) : 0;
+      }
+    }
 
-    await task.save();
-
-    // Handle new file uploads
-    if (req.files && req.files.length > 0) {
-      // Check if adding files would exceed limit
-      const currentDocCount = await TaskDocument.countDocuments({ taskId: task._id });
-      if (currentDocCount + req.files.length > 3) {
+    // A task cannot be completed while any of its blockers is still open
+    if (workflow.isDone(task.status) && !workflow.isDone(before.status)) {
+      const openBlockers = await task.findOpenBlockers();
+      if (openBlockers.length > 0) {
         return res.status(400).json({
           success: false,
-          message: 'Maximum 3 documents allowed per task'
+          message: blockedCompletionMessage(openBlockers)
         });
       }
+    }
+
+    const subtasks = await Task.find({ parentTask: task._id }).select('status progress');
+    task.progress = task.calculateProgress(subtasks, workflow.doneStates());
+
+    await task.save();
+
+    // Status and checklist changes roll up through the hierarchy
+    if (task.parentTask) {
+      await Task.updateProgress(task.parentTask);
+    }
+    if (oldParentTask && !oldParentTask.equals(task.parentTask)) {
+      await Task.updateProgress(oldParentTask);
+    }
+    if (projectChanged) {
+      await Task.setSubtreeProject(task._id, task.project);
+    }
+
+    // A new schedule takes effect right away, and completing an instance opens
+    // the window of the next occurrence
+    if (task.recurrence && recurrence) {
+      await materializeNext(task, { io: req.app.get('io') });
+    }
+    if (task.recurrenceOf && workflow.isDone(task.status) && !workflow.isDone(before.status)) {
+      const template = await Task.findById(task.recurrenceOf);
+      if (template) {
+        await materializeNext(template, { io: req.app.get('io') });
+      }
+    }
 
+    const changes = diffSnapshots(before, snapshotTask(task));
+    if (changes.length > 0) {
+      await recordActivity({ task, actor: req.user, action: 'updated', changes });
+    }
+
+    // Handle new file uploads
+    if (req.files && req.files.length > 0) {
       const documentPromises = req.files.map(file => {
         const document = new TaskDocument({
           taskId: task._id,
@@ -578,26 +1854,48 @@ router.put('/:id', [
       const newDocuments = await Promise.all(documentPromises);
       task.documents.push(...newDocuments.map(doc => doc._id));
       await task.save();
+
+      for (const document of newDocuments) {
+        await recordActivity({
+          task,
+          actor: req.user,
+          action: 'document_uploaded',
+          details: { documentId: document._id, originalName: document.originalName }
+        });
+      }
     }
 
     // Populate task for response
     await task.populate('assignedTo', 'email');
     await task.populate('createdBy', 'email');
+    await task.populate('labels', 'name color');
     await task.populate('documents');
 
-    // Emit real-time events
+    // Notify the assignee, unless they made the change themselves
     const io = req.app.get('io');
-    const newAssignedTo = task.assignedTo?.toString();
-
-    if (newAssignedTo && newAssignedTo !== oldAssignedTo) {
-      // Task reassigned
-      io.to(`user_${newAssignedTo}`).emit('taskAssigned', {
-        task,
-        assignedBy: req.user.email
-      });
+    const newAssignedTo = task.assignedTo?._id.toString();
+
+    if (newAssignedTo && newAssignedTo !== req.user._id.toString()) {
+      if (newAssignedTo !== oldAssignedTo) {
+        await notify(io, {
+          user: newAssignedTo,
+          type: 'task_assigned',
+          message: `${req.user.email} assigned you "${task.title}"`,
+          task,
+          data: { assignedBy: req.user.email }
+        });
+      } else if (changes.length > 0) {
+        await notify(io, {
+          user: newAssignedTo,
+          type: 'task_updated',
+          message: `${req.user.email} updated "${task.title}"`,
+          task,
+          data: { updatedBy: req.user.email, fields: changes.map(change => change.field) }
+        });
+      }
     }
 
-    // Notify about task update
+    // Keep the assignee's open views up to date
     if (newAssignedTo) {
       io.to(`user_${newAssignedTo}`).emit('taskUpdated', task);
     }
@@ -616,6 +1914,190 @@ router.put('/:id', [
   }
 }));
 
+/**
+ * @swagger
+ * /api/tasks/{id}/reorder:
+ *   put:
+ *     summary: Move a task on the board
+ *     description: >
+ *       Puts the task between two neighbouring tasks of a status column,
+ *       changing its status if the column is a different one. Everyone who can
+ *       see the task gets a taskMoved socket event with the task, the mover's
+ *       ID and whether the other tasks of the column were renumbered.
+ *     tags: [Tasks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Task ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 description: Workflow state key of the column; defaults to the task's status
+ *               previousTask:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the task just above the new position, or null at the top
+ *               nextTask:
+ *                 type: string
+ *                 nullable: true
+ *                 description: ID of the task just below the new position, or null at the bottom
+ *     responses:
+ *       200:
+ *         description: Task moved
+ *       400:
+ *         description: Validation failed, transition not allowed, or completion while a blocker is still open
+ *       409:
+ *         description: The neighbours have moved in the meantime
+ */
+router.put('/:id/reorder', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid task ID'),
+  body('status')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Status cannot be empty'),
+  body('previousTask')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Previous task must be a valid task ID'),
+  body('nextTask')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Next task must be a valid task ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const task = await findTaskForRequest(req, res, {
+    canAccess: canUpdateTask,
+    deniedMessage: 'Access denied. Only admins, task creators, assigned users and project members can update tasks.'
+  });
+  if (!task) return;
+
+  const status = req.body.status ?? task.status;
+  const before = snapshotTask(task);
+  const workflow = await Workflow.getCurrent();
+
+  if (status !== task.status) {
+    const statusError = checkStatus(workflow, status, task.status);
+    if (statusError) {
+      return res.status(statusError.status).json({
+        success: false,
+        message: statusError.message
+      });
+    }
+
+    if (workflow.isDone(status) && !workflow.isDone(task.status)) {
+      const openBlockers = await task.findOpenBlockers();
+      if (openBlockers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: blockedCompletionMessage(openBlockers)
+        });
+      }
+    }
+  }
+
+  // The neighbours have to be visible tasks of the target column
+  const neighbourIds = [req.body.previousTask, req.body.nextTask];
+  const neighbours = await Promise.all(neighbourIds.map(id => id && Task.findById(id)));
+  for (const [index, neighbour] of neighbours.entries()) {
+    if (!neighbourIds[index]) continue;
+    if (!neighbour || neighbour._id.equals(task._id) || !(await canViewTask(req.user, neighbour))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Neighbouring task not found'
+      });
+    }
+    if (neighbour.status !== status) {
+      return res.status(409).json({
+        success: false,
+        message: 'The board has changed in the meantime; reload it and try again'
+      });
+    }
+  }
+
+  const [previous, next] = neighbours;
+  const placement = await Task.rankBetween(status, previous, next);
+  if (!placement) {
+    return res.status(409).json({
+      success: false,
+      message: 'The board has changed in the meantime; reload it and try again'
+    });
+  }
+
+  task.rank = placement.rank;
+  task.status = status;
+  if (before.status !== status) {
+    const subtasks = await Task.find({ parentTask: task._id }).select('status progress');
+    task.progress = task.calculateProgress(subtasks, workflow.doneStates());
+  }
+
+  // Overdue tasks have to stay movable, so only the changed fields are validated
+  await task.save({ validateModifiedOnly: true });
+
+  const changes = diffSnapshots(before, snapshotTask(task));
+  if (changes.length > 0) {
+    if (task.parentTask) {
+      await Task.updateProgress(task.parentTask);
+    }
+    if (task.recurrenceOf && workflow.isDone(task.status) && !workflow.isDone(before.status)) {
+      const template = await Task.findById(task.recurrenceOf);
+      if (template) {
+        await materializeNext(template, { io: req.app.get('io') });
+      }
+    }
+
+    await recordActivity({ task, actor: req.user, action: 'updated', changes });
+
+    if (task.assignedTo && !task.assignedTo.equals(req.user._id)) {
+      await notify(req.app.get('io'), {
+        user: task.assignedTo,
+        type: 'task_updated',
+        message: `${req.user.email} moved "${task.title}" to ${workflow.getState(task.status).name}`,
+        task,
+        data: { updatedBy: req.user.email, fields: changes.map(change => change.field) }
+      });
+    }
+  }
+
+  await task.populate('assignedTo', 'email');
+  await task.populate('createdBy', 'email');
+  await task.populate('project', 'name');
+  await task.populate('labels', 'name color');
+
+  // Open boards of everyone who can see the task follow the move; after a
+  // renumbering they have to reload the column
+  const viewerIds = await findTaskViewerIds(task);
+  req.app.get('io')
+    .to(viewerIds.map(id => `user_${id}`))
+    .emit('taskMoved', { task, movedBy: req.user._id, renumbered: placement.renumbered });
+
+  res.json({
+    success: true,
+    message: 'Task moved successfully',
+    data: task
+  });
+}));
+
 /**
  * @swagger
  * /api/tasks/{id}:
@@ -655,10 +2137,10 @@ router.delete('/:id', [
   }
 
   // Check permissions
-  if (req.user.role !== 'admin' && !task.createdBy.equals(req.user._id)) {
+  if (!(await canDeleteTask(req.user, task))) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Only task creators and admins can delete tasks.'
+      message: 'Access denied. Only task creators, project managers and admins can delete tasks.'
     });
   }
 
@@ -678,9 +2160,34 @@ router.delete('/:id', [
     // Delete document records
     await TaskDocument.deleteMany({ taskId: task._id });
 
+    // Delete the comment thread
+    await Comment.deleteMany({ task: task._id });
+
     // Delete task
     await Task.findByIdAndDelete(req.params.id);
 
+    // Subtasks become top-level tasks rather than being deleted with their parent
+    await Task.updateMany({ parentTask: task._id }, { $set: { parentTask: null } });
+    if (task.parentTask) {
+      await Task.updateProgress(task.parentTask);
+    }
+
+    // Dependents are no longer blocked by a task that does not exist
+    await Task.updateMany({ blockedBy: task._id }, { $pull: { blockedBy: task._id } });
+
+    // Instances of a deleted recurring task stay as ordinary tasks
+    if (task.recurrence) {
+      await Task.updateMany({ recurrenceOf: task._id }, { $set: { recurrenceOf: null } });
+    }
+
+    // The activity log is kept so the deletion itself stays auditable
+    await recordActivity({
+      task,
+      actor: req.user,
+      action: 'deleted',
+      details: { title: task.title }
+    });
+
     res.json({
       success: true,
       message: 'Task deleted successfully'
@@ -738,13 +2245,11 @@ router.get('/:id/documents/:documentId/download', [
     });
   }
 
-  // Check if user has access to this task
-  if (req.user.role !== 'admin' && 
-      !task.assignedTo?.equals(req.user._id) && 
-      !task.createdBy.equals(req.user._id)) {
+  // Documents are open to everyone who can see the task, and to document:view:any
+  if (!(await hasPermission(req.user, 'document:view:any')) && !(await canViewTask(req.user, task))) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. You can only download documents from tasks assigned to you or created by you.'
+      message: 'Access denied. You can only download documents from tasks you can view.'
     });
   }
 
@@ -787,6 +2292,10 @@ router.get('/:id/documents/:documentId/download', [
  * /api/tasks/{id}/documents/{documentId}/view:
  *   get:
  *     summary: View a task document in browser
+ *     description: >
+ *       Browser tabs can't send an Authorization header, so the access token
+ *       may also be passed as the `token` query parameter. It is checked like
+ *       any other, so tokens of ended sessions are rejected.
  *     tags: [Tasks]
  *     security:
  *       - bearerAuth: []
@@ -805,6 +2314,8 @@ router.get('/:id/documents/:documentId/download', [
  *         description: Document ID
  */
 router.get('/:id/documents/:documentId/view', [
+  tokenFromQuery,
+  auth,
   param('id').isMongoId().withMessage('Invalid task ID'),
   param('documentId').isMongoId().withMessage('Invalid document ID')
 ], asyncHandler(async (req, res) => {
@@ -817,35 +2328,6 @@ router.get('/:id/documents/:documentId/view', [
     });
   }
 
-  // Handle authentication via query parameter or header
-  let token = req.headers.authorization?.replace('Bearer ', '') || req.query.token;
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required'
-    });
-  }
-
-  // Verify and decode token
-  let user;
-  try {
-    const jwt = require('jsonwebtoken');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const User = require('../models/User');
-    user = await User.findById(decoded.id || decoded._id).select('-password');
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token. User not found.'
-      });
-    }
-  } catch (error) {
-    return res.status(401).json({
-      success: false,
-      message: 'Invalid token.'
-    });
-  }
-
   const task = await Task.findById(req.params.id);
   if (!task) {
     return res.status(404).json({
@@ -854,13 +2336,11 @@ router.get('/:id/documents/:documentId/view', [
     });
   }
 
-  // Check if user has access to this task
-  if (user.role !== 'admin' && 
-      !task.assignedTo?.equals(user._id) && 
-      !task.createdBy.equals(user._id)) {
+  // Documents are open to everyone who can see the task, and to document:view:any
+  if (!(await hasPermission(req.user, 'document:view:any')) && !(await canViewTask(req.user, task))) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. You can only view documents from tasks assigned to you or created by you.'
+      message: 'Access denied. You can only view documents from tasks you can view.'
     });
   }
 
@@ -954,13 +2434,14 @@ router.delete('/:id/documents/:documentId', [
     });
   }
 
-  // Only admin, task creator, or document uploader can delete the document
-  if (req.user.role !== 'admin' && 
-      !task.createdBy.equals(req.user._id) &&
-      !document.uploadedBy.equals(req.user._id)) {
+  // Only the document uploader, users with document:delete:any or someone who
+  // may delete the task can delete the document
+  if (!document.uploadedBy.equals(req.user._id) &&
+      !(await hasPermission(req.user, 'document:delete:any')) &&
+      !(await canDeleteTask(req.user, task))) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. You can only delete documents you uploaded or from tasks you created.'
+      message: 'Access denied. You can only delete documents you uploaded or from tasks you can delete.'
     });
   }
 
@@ -981,6 +2462,13 @@ router.delete('/:id/documents/:documentId', [
     // Delete the document record
     await TaskDocument.findByIdAndDelete(document._id);
 
+    await recordActivity({
+      task,
+      actor: req.user,
+      action: 'document_deleted',
+      details: { documentId: document._id, originalName: document.originalName }
+    });
+
     res.json({
       success: true,
       message: 'Document deleted successfully'
@@ -0,0 +1,211 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const ApiToken = require('../models/ApiToken');
+const { asyncHandler } = require('../middleware/error');
+const { auth } = require('../middleware/auth');
+
+// API tokens themselves are turned away from these routes by the auth
+// middleware, so a leaked token can't be used to mint more
+const router = express.Router();
+
+const DEFAULT_EXPIRE_DAYS = 30;
+const MAX_EXPIRE_DAYS = 365;
+const MAX_ACTIVE_TOKENS = 25;
+
+/**
+ * @swagger
+ * /api/tokens:
+ *   get:
+ *     summary: Get your personal access tokens
+ *     description: >
+ *       Active and expired tokens, newest first. The tokens themselves are
+ *       only shown when they are created.
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tokens retrieved successfully
+ */
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const tokens = await ApiToken.find({ user: req.user._id, revokedAt: null })
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: tokens
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tokens/scopes:
+ *   get:
+ *     summary: Get the scopes a token can have
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scopes retrieved successfully
+ */
+router.get('/scopes', auth, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(ApiToken.SCOPES).map(([name, description]) => ({ name, description }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tokens:
+ *   post:
+ *     summary: Create a personal access token
+ *     description: >
+ *       Send the token as `Authorization: Bearer <token>`. It acts as you,
+ *       limited to its scopes, and is returned only in this response.
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI nightly import
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['tasks:write']
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 default: 30
+ *     responses:
+ *       201:
+ *         description: Token created; `token` holds the only copy of it
+ *       400:
+ *         description: Validation error or too many active tokens
+ */
+router.post('/', [
+  auth,
+  body('name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Token name is required')
+    .isLength({ max: 100 })
+    .withMessage('Token name cannot exceed 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one scope')
+    .custom((scopes) => scopes.every(scope => ApiToken.SCOPE_NAMES.includes(scope)))
+    .withMessage(`Scopes must be among: ${ApiToken.SCOPE_NAMES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: MAX_EXPIRE_DAYS })
+    .withMessage(`Tokens can be valid for 1 to ${MAX_EXPIRE_DAYS} days`)
+    .toInt()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const activeCount = await ApiToken.countDocuments({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (activeCount >= MAX_ACTIVE_TOKENS) {
+    return res.status(400).json({
+      success: false,
+      message: `You can have at most ${MAX_ACTIVE_TOKENS} active tokens. Revoke one first.`
+    });
+  }
+
+  const { name, scopes, expiresInDays = DEFAULT_EXPIRE_DAYS } = req.body;
+  const { apiToken, token } = await ApiToken.issue({
+    user: req.user._id,
+    name,
+    scopes,
+    expiresInDays
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Token created. Copy it now, it will not be shown again.',
+    data: {
+      apiToken,
+      token
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/tokens/{id}:
+ *   delete:
+ *     summary: Revoke one of your personal access tokens
+ *     tags: [API Tokens]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *       404:
+ *         description: Token not found
+ */
+router.delete('/:id', [
+  auth,
+  param('id').isMongoId().withMessage('Invalid token ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const apiToken = await ApiToken.findOneAndUpdate(
+    { _id: req.params.id, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!apiToken) {
+    return res.status(404).json({
+      success: false,
+      message: 'Token not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Token revoked'
+  });
+}));
+
+module.exports = router;
@@ -1,21 +1,78 @@
 const express = require('express');
 const { body, validationResult, param } = require('express-validator');
 const User = require('../models/User');
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
 const { asyncHandler } = require('../middleware/error');
-const { auth, adminAuth } = require('../middleware/auth');
+const { auth, requirePermission } = require('../middleware/auth');
+const { revokeAllSessions } = require('../utils/authTokens');
+const { sendVerificationEmail } = require('../utils/accountMail');
+const twoFactor = require('../utils/twoFactor');
+const loginAttempts = require('../utils/loginAttempts');
+const { hasPermission, canGrantRole, validateRoleName } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Load the user named by `req.params.id` for an action that needs
+// user:manage. Accounts with permissions the current user doesn't have are
+// off limits, so managing users can't be used to take over a more privileged
+// account. Sends the 404/403 response itself and resolves to null when the
+// request can't continue.
+const findManageableUser = async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (!(await canGrantRole(req.user, user.role))) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied. This user has permissions you do not have.'
+    });
+    return null;
+  }
+
+  return user;
+};
+
+// How many tasks are assigned to each of the given users, and how many of
+// those are still open; keyed by user ID
+const countAssignedTasks = async (userIds) => {
+  const doneStates = (await Workflow.getCurrent()).doneStates();
+  const counts = await Task.aggregate([
+    { $match: { assignedTo: { $in: userIds } } },
+    {
+      $group: {
+        _id: '$assignedTo',
+        assigned: { $sum: 1 },
+        open: { $sum: { $cond: [{ $in: ['$status', doneStates] }, 0, 1] } }
+      }
+    }
+  ]);
+  return new Map(counts.map(({ _id, assigned, open }) => [_id.toString(), { assigned, open }]));
+};
+
+const roleNotGrantable = (res) => res.status(403).json({
+  success: false,
+  message: 'You can only grant roles whose permissions you have yourself'
+});
+
 /**
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (Admin only)
+ *     summary: Get all users (requires user:view)
+ *     description: Each user comes with `taskCounts`, the number of tasks assigned to them and how many of those are open.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
-router.get('/', auth, adminAuth, asyncHandler(async (req, res) => {
+router.get('/', auth, requirePermission('user:view'), asyncHandler(async (req, res) => {
   const {
     page = 1,
     limit = 10,
@@ -60,11 +117,15 @@ router.get('/', auth, adminAuth, asyncHandler(async (req, res) => {
     ]);
 
     const totalPages = Math.ceil(totalItems / limitNum);
+    const taskCounts = await countAssignedTasks(users.map(user => user._id));
 
     res.json({
       success: true,
       data: {
-        users,
+        users: users.map(user => ({
+          ...user.toJSON(),
+          taskCounts: taskCounts.get(user._id.toString()) || { assigned: 0, open: 0 }
+        })),
         pagination: {
           currentPage: pageNum,
           totalPages,
@@ -107,8 +168,8 @@ router.get('/:id', [
 
   const userId = req.params.id;
 
-  // Users can only view their own profile, admins can view any profile
-  if (req.user.role !== 'admin' && !req.user._id.equals(userId)) {
+  // Users can view their own profile, and any profile with user:view
+  if (!req.user._id.equals(userId) && !(await hasPermission(req.user, 'user:view'))) {
     return res.status(403).json({
       success: false,
       message: 'Access denied. You can only view your own profile.'
@@ -134,14 +195,14 @@ router.get('/:id', [
  * @swagger
  * /api/users:
  *   post:
- *     summary: Create new user (Admin only)
+ *     summary: Create new user (requires user:manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
 router.post('/', [
   auth,
-  adminAuth,
+  requirePermission('user:manage'),
   body('name')
     .notEmpty()
     .trim()
@@ -156,8 +217,7 @@ router.post('/', [
     .withMessage('Password must be at least 6 characters long'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin')
+    .custom(validateRoleName)
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -179,6 +239,10 @@ router.post('/', [
     });
   }
 
+  if (!(await canGrantRole(req.user, role))) {
+    return roleNotGrantable(res);
+  }
+
   try {
     // Create user
     const user = await User.create({
@@ -241,7 +305,15 @@ router.put('/profile', [
     });
   }
 
-  const user = await User.findById(req.user._id);
+  // Email and password are only changed by the person, not their scripts
+  if (req.apiToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. API tokens cannot change your profile.'
+    });
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
 
   if (!user) {
     return res.status(404).json({
@@ -275,6 +347,8 @@ router.put('/profile', [
   }
 
   try {
+    const emailChanged = email !== undefined && email !== user.email;
+
     // Update user fields
     if (name !== undefined) user.name = name;
     if (email !== undefined) user.email = email;
@@ -282,6 +356,20 @@ router.put('/profile', [
 
     await user.save();
 
+    // A new password logs out every other device
+    if (password !== undefined) {
+      await revokeAllSessions(user._id, { keepSessionId: req.sessionId });
+    }
+
+    // The new address has to be confirmed (the model resets emailVerified)
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error('Error sending verification email:', error);
+      }
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -289,7 +377,8 @@ router.put('/profile', [
         _id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -305,14 +394,14 @@ router.put('/profile', [
  * @swagger
  * /api/users/{id}:
  *   put:
- *     summary: Update user (Admin only)
+ *     summary: Update user (requires user:manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
 router.put('/:id', [
   auth,
-  adminAuth,
+  requirePermission('user:manage'),
   param('id').isMongoId().withMessage('Invalid user ID'),
   body('name')
     .optional()
@@ -330,8 +419,7 @@ router.put('/:id', [
     .withMessage('Password must be at least 6 characters long'),
   body('role')
     .optional()
-    .isIn(['user', 'admin'])
-    .withMessage('Role must be either user or admin')
+    .custom(validateRoleName)
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -342,17 +430,15 @@ router.put('/:id', [
     });
   }
 
-  const user = await User.findById(req.params.id);
-
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: 'User not found'
-    });
-  }
+  const user = await findManageableUser(req, res);
+  if (!user) return;
 
   const { name, email, password, role } = req.body;
 
+  if (role !== undefined && role !== user.role && !(await canGrantRole(req.user, role))) {
+    return roleNotGrantable(res);
+  }
+
   // Check if email is already taken by another user
   if (email && email !== user.email) {
     const existingUser = await User.findOne({ email, _id: { $ne: user._id } });
@@ -373,6 +459,10 @@ router.put('/:id', [
 
     await user.save();
 
+    if (password !== undefined) {
+      await revokeAllSessions(user._id);
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -391,14 +481,14 @@ router.put('/:id', [
  * @swagger
  * /api/users/{id}:
  *   delete:
- *     summary: Delete user (Admin only)
+ *     summary: Delete user (requires user:manage)
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
  */
 router.delete('/:id', [
   auth,
-  adminAuth,
+  requirePermission('user:manage'),
   param('id').isMongoId().withMessage('Invalid user ID')
 ], asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -410,7 +500,7 @@ router.delete('/:id', [
     });
   }
 
-  // Prevent admin from deleting themselves
+  // Prevent users from deleting themselves
   if (req.user._id.equals(req.params.id)) {
     return res.status(400).json({
       success: false,
@@ -418,17 +508,12 @@ router.delete('/:id', [
     });
   }
 
-  const user = await User.findById(req.params.id);
-
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: 'User not found'
-    });
-  }
+  const user = await findManageableUser(req, res);
+  if (!user) return;
 
   try {
     await User.findByIdAndDelete(req.params.id);
+    await revokeAllSessions(user._id);
 
     res.json({
       success: true,
@@ -443,4 +528,89 @@ router.delete('/:id', [
   }
 }));
 
+/**
+ * @swagger
+ * /api/users/{id}/two-factor:
+ *   delete:
+ *     summary: Reset a user's two-factor authentication (requires user:manage)
+ *     description: >
+ *       For users who lost their authenticator and recovery codes. Their
+ *       sessions are ended so they log in again with just their password.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/:id/two-factor', [
+  auth,
+  requirePermission('user:manage'),
+  param('id').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await findManageableUser(req, res);
+  if (!user) return;
+
+  await twoFactor.disable(user._id);
+  await revokeAllSessions(user._id);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication reset'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock a user locked out by failed logins (requires user:manage)
+ *     description: Clears the failed login count so the user can log in right away.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', [
+  auth,
+  requirePermission('user:manage'),
+  param('id').isMongoId().withMessage('Invalid user ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const user = await findManageableUser(req, res);
+  if (!user) return;
+
+  await loginAttempts.clearFailures(user._id);
+
+  res.json({
+    success: true,
+    message: 'User unlocked'
+  });
+}));
+
 module.exports = router;
@@ -0,0 +1,489 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { asyncHandler } = require('../middleware/error');
+const { auth, requirePermission } = require('../middleware/auth');
+const { redeliver } = require('../utils/webhooks');
+
+const router = express.Router();
+
+const webhookValidators = (optional) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Webhook name is required')
+    .isLength({ max: 100 })
+    .withMessage('Webhook name cannot exceed 100 characters'),
+  (optional ? body('url').optional() : body('url'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http or https URL'),
+  (optional ? body('events').optional() : body('events'))
+    .isArray({ min: 1 })
+    .withMessage('Choose at least one event')
+    .custom((events) => events.every(event => Webhook.EVENT_NAMES.includes(event)))
+    .withMessage(`Events must be among: ${Webhook.EVENT_NAMES.join(', ')}`),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be true or false')
+    .toBoolean()
+];
+
+// The webhook the request's :id refers to. Sends the 404 itself and
+// resolves to null when there is none.
+const findWebhookForRequest = async (req, res) => {
+  const webhook = await Webhook.findById(req.params.id);
+  if (!webhook) {
+    res.status(404).json({
+      success: false,
+      message: 'Webhook not found'
+    });
+    return null;
+  }
+  return webhook;
+};
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get all webhooks (requires webhook:manage)
+ *     description: Each webhook comes with its most recent delivery.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ */
+router.get('/', auth, requirePermission('webhook:manage'), asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find()
+    .populate('createdBy', 'email')
+    .sort({ createdAt: -1 });
+
+  const data = await Promise.all(webhooks.map(async webhook => ({
+    ...webhook.toJSON(),
+    lastDelivery: await WebhookDelivery.findOne({ webhook: webhook._id })
+      .select('event status createdAt updatedAt')
+      .sort({ createdAt: -1 })
+  })));
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: Get the events webhooks can subscribe to (requires webhook:manage)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Events retrieved successfully
+ */
+router.get('/events', auth, requirePermission('webhook:manage'), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(Webhook.EVENTS).map(([name, description]) => ({ name, description }))
+  });
+}));
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create a webhook (requires webhook:manage)
+ *     description: >
+ *       The response holds the signing secret, which is not shown again.
+ *       Deliveries are signed as described in the README.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - url
+ *               - events
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Reporting
+ *               url:
+ *                 type: string
+ *                 example: https://reports.internal/hooks/tasks
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['task.created', 'task.updated']
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *       400:
+ *         description: Validation error
+ */
+router.post('/', [
+  auth,
+  requirePermission('webhook:manage'),
+  ...webhookValidators(false)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { name, url, events, active = true } = req.body;
+  const secret = Webhook.generateSecret();
+  const webhook = await Webhook.create({
+    name,
+    url,
+    events: [...new Set(events)],
+    active,
+    secret,
+    createdBy: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created. Copy the secret now, it will not be shown again.',
+    data: {
+      webhook,
+      secret
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook (requires webhook:manage)
+ *     description: Change its name, URL or events, or pause it with `active`.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:id', [
+  auth,
+  requirePermission('webhook:manage'),
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  ...webhookValidators(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await findWebhookForRequest(req, res);
+  if (!webhook) return;
+
+  const { name, url, events, active } = req.body;
+  if (name !== undefined) webhook.name = name;
+  if (url !== undefined) webhook.url = url;
+  if (events !== undefined) webhook.events = [...new Set(events)];
+  if (active !== undefined) webhook.active = active;
+  await webhook.save();
+
+  res.json({
+    success: true,
+    message: 'Webhook updated successfully',
+    data: webhook
+  });
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/secret:
+ *   post:
+ *     summary: Replace a webhook's signing secret (requires webhook:manage)
+ *     description: Deliveries are signed with the new secret from now on.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: New secret, shown only in this response
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/secret', [
+  auth,
+  requirePermission('webhook:manage'),
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await findWebhookForRequest(req, res);
+  if (!webhook) return;
+
+  const secret = Webhook.generateSecret();
+  webhook.secret = secret;
+  await webhook.save();
+
+  res.json({
+    success: true,
+    message: 'Secret replaced. Copy it now, it will not be shown again.',
+    data: { secret }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log (requires webhook:manage)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id', [
+  auth,
+  requirePermission('webhook:manage'),
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await findWebhookForRequest(req, res);
+  if (!webhook) return;
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted successfully'
+  });
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get a webhook's delivery log (requires webhook:manage)
+ *     description: Newest first, with every attempt and the receiver's responses.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', [
+  auth,
+  requirePermission('webhook:manage'),
+  param('id').isMongoId().withMessage('Invalid webhook ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await findWebhookForRequest(req, res);
+  if (!webhook) return;
+
+  const { status, page = 1, limit = 20 } = req.query;
+  const pageNum = Math.max(parseInt(page) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const skip = (pageNum - 1) * limitNum;
+
+  const query = { webhook: webhook._id };
+  if (WebhookDelivery.STATUSES.includes(status)) {
+    query.status = status;
+  }
+
+  const [deliveries, totalItems] = await Promise.all([
+    WebhookDelivery.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    WebhookDelivery.countDocuments(query)
+  ]);
+
+  const totalPages = Math.ceil(totalItems / limitNum);
+
+  res.json({
+    success: true,
+    data: {
+      deliveries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages,
+        totalItems,
+        hasNextPage: pageNum < totalPages,
+        hasPrevPage: pageNum > 1
+      }
+    }
+  });
+}));
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery's payload again (requires webhook:manage)
+ *     description: >
+ *       Queues a new delivery with the same payload and event ID, sent with
+ *       the webhook's current URL and secret.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Delivery ID
+ *     responses:
+ *       201:
+ *         description: Redelivery queued
+ *       400:
+ *         description: The webhook is disabled
+ *       404:
+ *         description: Webhook or delivery not found
+ */
+router.post('/:id/deliveries/:deliveryId/redeliver', [
+  auth,
+  requirePermission('webhook:manage'),
+  param('id').isMongoId().withMessage('Invalid webhook ID'),
+  param('deliveryId').isMongoId().withMessage('Invalid delivery ID')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const webhook = await findWebhookForRequest(req, res);
+  if (!webhook) return;
+
+  if (!webhook.active) {
+    return res.status(400).json({
+      success: false,
+      message: 'Enable the webhook before redelivering'
+    });
+  }
+
+  const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook: webhook._id });
+  if (!delivery) {
+    return res.status(404).json({
+      success: false,
+      message: 'Delivery not found'
+    });
+  }
+
+  const redelivery = await redeliver(delivery);
+
+  res.status(201).json({
+    success: true,
+    message: 'Redelivery queued',
+    data: redelivery
+  });
+}));
+
+module.exports = router;
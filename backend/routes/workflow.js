@@ -0,0 +1,239 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Workflow = require('../models/Workflow');
+const Task = require('../models/Task');
+const { asyncHandler } = require('../middleware/error');
+const { auth, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Consistency rules the individual field validators can't express. Returns an
+// error message, or null when the workflow is usable.
+const checkWorkflow = ({ states, transitions, initialState }) => {
+  const keys = states.map(state => state.key);
+
+  const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (duplicate) {
+    return `State "${duplicate}" is defined more than once`;
+  }
+
+  if (!states.some(state => state.category === 'done')) {
+    return 'The workflow needs at least one state in the done category';
+  }
+
+  const initial = states.find(state => state.key === initialState);
+  if (!initial) {
+    return 'Initial state must be one of the workflow states';
+  }
+  if (initial.category === 'done') {
+    return 'Initial state cannot be a done state';
+  }
+
+  const unknown = transitions.find(transition => !keys.includes(transition.from) || !keys.includes(transition.to));
+  if (unknown) {
+    return `Transition ${unknown.from} → ${unknown.to} refers to an unknown state`;
+  }
+
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/workflow:
+ *   get:
+ *     summary: Get the task workflow (states and allowed transitions)
+ *     tags: [Workflow]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Workflow retrieved successfully
+ */
+router.get('/', auth, asyncHandler(async (req, res) => {
+  const workflow = await Workflow.getCurrent();
+
+  res.json({
+    success: true,
+    data: workflow
+  });
+}));
+
+/**
+ * @swagger
+ * /api/workflow:
+ *   put:
+ *     summary: Replace the task workflow (requires workflow:manage)
+ *     description: >
+ *       States that are removed while tasks still use them must be mapped to
+ *       one of the new states through `stateMapping`.
+ *     tags: [Workflow]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - states
+ *               - initialState
+ *             properties:
+ *               states:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       example: review
+ *                     name:
+ *                       type: string
+ *                       example: In Review
+ *                     color:
+ *                       type: string
+ *                       example: '#9333ea'
+ *                     category:
+ *                       type: string
+ *                       enum: [todo, in_progress, done]
+ *               transitions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     from:
+ *                       type: string
+ *                     to:
+ *                       type: string
+ *               initialState:
+ *                 type: string
+ *               stateMapping:
+ *                 type: object
+ *                 description: Removed state key → new state key for the tasks that use it
+ *                 example: { review: in_progress }
+ *     responses:
+ *       200:
+ *         description: Workflow updated successfully
+ *       400:
+ *         description: Validation error
+ */
+router.put('/', [
+  auth,
+  requirePermission('workflow:manage'),
+  body('states')
+    .isArray({ min: 1 })
+    .withMessage('States must be a non-empty array'),
+  body('states.*.key')
+    .trim()
+    .matches(/^[a-z][a-z0-9_]*$/)
+    .withMessage('State keys must start with a letter and contain only lowercase letters, digits and underscores')
+    .isLength({ max: 30 })
+    .withMessage('State key must be less than 30 characters'),
+  body('states.*.name')
+    .trim()
+    .notEmpty()
+    .withMessage('State name is required')
+    .isLength({ max: 50 })
+    .withMessage('State name must be less than 50 characters'),
+  body('states.*.color')
+    .optional()
+    .matches(/^#[0-9a-fA-F]{6}$/)
+    .withMessage('Color must be a hex value like #4f46e5'),
+  body('states.*.category')
+    .isIn(Workflow.STATE_CATEGORIES)
+    .withMessage(`Category must be one of: ${Workflow.STATE_CATEGORIES.join(', ')}`),
+  body('transitions')
+    .optional()
+    .isArray()
+    .withMessage('Transitions must be an array'),
+  body('transitions.*.from')
+    .isString()
+    .withMessage('Transition source state is required'),
+  body('transitions.*.to')
+    .isString()
+    .withMessage('Transition target state is required'),
+  body('initialState')
+    .isString()
+    .withMessage('Initial state is required'),
+  body('stateMapping')
+    .optional()
+    .isObject()
+    .withMessage('State mapping must be an object')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+
+  const { initialState, stateMapping = {} } = req.body;
+  const states = req.body.states.map(({ key, name, color, category }) => ({ key, name, color, category }));
+
+  // Self-transitions are implicit, and duplicates would only clutter the list
+  const seen = new Set();
+  const transitions = (req.body.transitions || [])
+    .map(({ from, to }) => ({ from, to }))
+    .filter(({ from, to }) => {
+      const id = `${from}→${to}`;
+      if (from === to || seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+
+  const workflowError = checkWorkflow({ states, transitions, initialState });
+  if (workflowError) {
+    return res.status(400).json({
+      success: false,
+      message: workflowError
+    });
+  }
+
+  // Tasks in removed states have to be moved somewhere explicitly
+  const workflow = await Workflow.getCurrent();
+  const keys = states.map(state => state.key);
+  const removed = workflow.states.map(state => state.key).filter(key => !keys.includes(key));
+  const moves = [];
+
+  for (const key of removed) {
+    const count = await Task.countDocuments({ status: key });
+    if (count === 0) continue;
+
+    const target = stateMapping[key];
+    if (!target || !keys.includes(target)) {
+      return res.status(400).json({
+        success: false,
+        message: `State "${key}" is still used by ${count} task${count === 1 ? '' : 's'}; map it to one of the new states`
+      });
+    }
+    moves.push({ from: key, to: target });
+  }
+
+  workflow.states = states;
+  workflow.transitions = transitions;
+  workflow.initialState = initialState;
+  workflow.updatedBy = req.user._id;
+  await workflow.save();
+
+  // updateMany skips document validation, so overdue tasks can be moved too.
+  // Tasks moved into a done state count as completed from now on.
+  const now = new Date();
+  for (const move of moves) {
+    await Task.updateMany({ status: move.from }, [{
+      $set: {
+        status: move.to,
+        completedAt: workflow.isDone(move.to) ? { $ifNull: ['$completedAt', now] } : null
+      }
+    }]);
+  }
+
+  res.json({
+    success: true,
+    message: 'Workflow updated successfully',
+    data: workflow
+  });
+}));
+
+module.exports = router;
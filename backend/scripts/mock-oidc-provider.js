@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+// A minimal OpenID Connect provider for trying out and testing single sign-on
+// without a real identity provider. It supports the authorization code flow
+// with PKCE and nothing else, keeps everything in memory and signs ID tokens
+// with a key generated at startup. Never use it outside development.
+//
+//   npm run mock-idp
+//
+// starts it on MOCK_OIDC_PORT (default 4000) with a client matching the
+// defaults in utils/oidc.js; see the README for the backend settings. The
+// sign-in page lets you pick one of the users below. Passing `login_hint`
+// with a user's email skips the page, which is what the tests do.
+
+const DEFAULT_USERS = [
+  {
+    sub: 'mock-alice',
+    email: 'alice@example.com',
+    email_verified: true,
+    name: 'Alice Admin',
+    groups: ['task-admins']
+  },
+  {
+    sub: 'mock-bob',
+    email: 'bob@example.com',
+    email_verified: true,
+    name: 'Bob Builder',
+    groups: ['engineering']
+  },
+  {
+    sub: 'mock-carol',
+    email: 'carol@example.com',
+    email_verified: false,
+    name: 'Carol Unverified',
+    groups: []
+  }
+];
+
+const DEFAULT_CLIENT = {
+  clientId: 'task-manager',
+  clientSecret: null,
+  redirectUris: ['http://localhost:5000/api/auth/sso/callback']
+};
+
+const CODE_EXPIRE_MS = 60 * 1000;
+const ID_TOKEN_EXPIRE = '5m';
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const s256 = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+// Create a provider for `clients` and `users`. `issuer` must be set (directly
+// or by `listen`) before it serves requests.
+const createMockProvider = ({ users = DEFAULT_USERS, clients = [DEFAULT_CLIENT], issuer = null } = {}) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const provider = {
+    issuer,
+    users,
+    clients,
+    app: express()
+  };
+  const { app } = provider;
+  app.use(express.urlencoded({ extended: false }));
+
+  const findClient = (clientId) => provider.clients.find(client => client.clientId === clientId);
+
+  // Check an authorization request; resolves to an error message or null
+  const checkAuthorizationRequest = (params) => {
+    const client = findClient(params.client_id);
+    if (!client) return 'Unknown client_id';
+    if (client.redirectUris && !client.redirectUris.includes(params.redirect_uri)) {
+      return 'redirect_uri is not registered for this client';
+    }
+    if (params.response_type !== 'code') return 'Only response_type=code is supported';
+    if (!String(params.scope || '').split(' ').includes('openid')) return 'The openid scope is required';
+    if (!params.code_challenge || params.code_challenge_method !== 'S256') {
+      return 'PKCE with code_challenge_method=S256 is required';
+    }
+    return null;
+  };
+
+  // Send the browser back to the client with a code for `user`
+  const approve = (res, params, user) => {
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      user,
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      nonce: params.nonce,
+      expiresAt: Date.now() + CODE_EXPIRE_MS
+    });
+
+    const url = new URL(params.redirect_uri);
+    url.searchParams.set('code', code);
+    if (params.state) url.searchParams.set('state', params.state);
+    res.redirect(url.toString());
+  };
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: provider.issuer,
+      authorization_endpoint: `${provider.issuer}/authorize`,
+      token_endpoint: `${provider.issuer}/token`,
+      jwks_uri: `${provider.issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      grant_types_supported: ['authorization_code'],
+      token_endpoint_auth_methods_supported: ['none', 'client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+    });
+  });
+
+  // The sign-in page: pick a user, or skip it with login_hint
+  app.get('/authorize', (req, res) => {
+    const error = checkAuthorizationRequest(req.query);
+    if (error) return res.status(400).type('text').send(error);
+
+    const hinted = req.query.login_hint &&
+      provider.users.find(user => user.email === req.query.login_hint);
+    if (hinted) return approve(res, req.query, hinted);
+
+    const hidden = Object.entries(req.query)
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('');
+    const buttons = provider.users
+      .map(user => `<p><button name="sub" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)} &lt;${escapeHtml(user.email)}&gt;</button> ${escapeHtml(user.groups.join(', ') || 'no groups')}</p>`)
+      .join('');
+
+    res.type('html').send(
+      '<!doctype html><title>Mock identity provider</title>' +
+      '<h1>Mock identity provider</h1><p>Sign in as:</p>' +
+      `<form method="post" action="/authorize">${hidden}${buttons}</form>`
+    );
+  });
+
+  app.post('/authorize', (req, res) => {
+    const error = checkAuthorizationRequest(req.body);
+    if (error) return res.status(400).type('text').send(error);
+
+    const user = provider.users.find(candidate => candidate.sub === req.body.sub);
+    if (!user) return res.status(400).type('text').send('Unknown user');
+    approve(res, req.body, user);
+  });
+
+  app.post('/token', (req, res) => {
+    const fail = (error, description) => res.status(400).json({ error, error_description: description });
+    const { grant_type: grantType, code, redirect_uri: redirectUri, client_id: clientId } = req.body;
+
+    if (grantType !== 'authorization_code') return fail('unsupported_grant_type', 'Only authorization_code is supported');
+
+    const client = findClient(clientId);
+    if (!client) return fail('invalid_client', 'Unknown client_id');
+    if (client.clientSecret && req.body.client_secret !== client.clientSecret) {
+      return fail('invalid_client', 'Wrong client_secret');
+    }
+
+    const grant = codes.get(code);
+    codes.delete(code);
+    if (!grant || grant.expiresAt < Date.now()) return fail('invalid_grant', 'Unknown or expired code');
+    if (grant.clientId !== clientId || grant.redirectUri !== redirectUri) {
+      return fail('invalid_grant', 'The code was issued for another client or redirect_uri');
+    }
+    if (!req.body.code_verifier || s256(req.body.code_verifier) !== grant.codeChallenge) {
+      return fail('invalid_grant', 'code_verifier does not match the code_challenge');
+    }
+
+    const { sub, ...claims } = grant.user;
+    const idToken = jwt.sign(
+      { ...claims, ...(grant.nonce && { nonce: grant.nonce }) },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer: provider.issuer,
+        audience: clientId,
+        subject: sub,
+        expiresIn: ID_TOKEN_EXPIRE
+      }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(24).toString('base64url'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  // Start listening on `port` (0 picks a free one). Resolves to the HTTP
+  // server; the issuer becomes http://localhost:<port> unless it was set.
+  provider.listen = (port = 0) => new Promise((resolve) => {
+    const server = app.listen(port, () => {
+      if (!provider.issuer) provider.issuer = `http://localhost:${server.address().port}`;
+      resolve(server);
+    });
+  });
+
+  return provider;
+};
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_OIDC_PORT) || 4000;
+  const provider = createMockProvider({
+    issuer: process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`,
+    clients: [{
+      ...DEFAULT_CLIENT,
+      redirectUris: [process.env.OIDC_REDIRECT_URI || DEFAULT_CLIENT.redirectUris[0]]
+    }]
+  });
+
+  provider.listen(port).then(() => {
+    console.log(`Mock OIDC provider at ${provider.issuer} (client_id ${DEFAULT_CLIENT.clientId})`);
+    for (const user of provider.users) {
+      console.log(`  ${user.email}  groups: ${user.groups.join(', ') || '-'}`);
+    }
+  });
+}
+
+module.exports = { createMockProvider, DEFAULT_USERS, DEFAULT_CLIENT };
@@ -13,10 +13,28 @@ const connectDB = require('./config/database');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const taskRoutes = require('./routes/tasks');
+const commentRoutes = require('./routes/comments');
+const subtaskRoutes = require('./routes/subtasks');
+const checklistRoutes = require('./routes/checklist');
+const labelRoutes = require('./routes/labels');
+const projectRoutes = require('./routes/projects');
+const workflowRoutes = require('./routes/workflow');
+const notificationRoutes = require('./routes/notifications');
+const settingsRoutes = require('./routes/settings');
+const invitationRoutes = require('./routes/invitations');
+const roleRoutes = require('./routes/roles');
+const tokenRoutes = require('./routes/tokens');
+const webhookRoutes = require('./routes/webhooks');
+const calendarRoutes = require('./routes/calendar');
 const fileRoutes = require('./routes/files');
 const swaggerSetup = require('./config/swagger');
 const { errorHandler } = require('./middleware/error');
 const socketAuth = require('./middleware/socketAuth');
+const { startRecurrenceScheduler } = require('./utils/recurrence');
+const { startReminderScheduler } = require('./utils/reminders');
+const { startWebhookScheduler } = require('./utils/webhooks');
+const Role = require('./models/Role');
+const Task = require('./models/Task');
 
 const app = express();
 const server = http.createServer(app);
@@ -81,6 +99,19 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/tasks/:id/comments', commentRoutes);
+app.use('/api/tasks/:id/subtasks', subtaskRoutes);
+app.use('/api/tasks/:id/checklist', checklistRoutes);
+app.use('/api/labels', labelRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/workflow', workflowRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/invitations', invitationRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/calendar', calendarRoutes);
 app.use('/api/files', fileRoutes);
 
 // Swagger documentation
@@ -115,6 +146,21 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
     console.log('Database connected successfully');
+
+    // Create the built-in roles existing users are assigned to
+    await Role.ensureDefaults();
+
+    // Tasks completed before completedAt was recorded
+    const backfilled = await Task.backfillCompletedAt();
+    if (backfilled > 0) {
+      console.log(`Set the completion date of ${backfilled} completed tasks`);
+    }
+
+    // Materialize recurring tasks, send due-date reminders and deliver
+    // webhooks in the background
+    startRecurrenceScheduler(io);
+    startReminderScheduler(io);
+    startWebhookScheduler();
     
     // Start server
     server.listen(PORT, () => {
@@ -0,0 +1,57 @@
+const { sendMail } = require('./mailer');
+
+// Links in account emails point at the frontend, which calls the API
+const clientUrl = (pathname, params) => {
+  const base = (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+  const query = new URLSearchParams(params).toString();
+  return query ? `${base}${pathname}?${query}` : `${base}${pathname}`;
+};
+
+// Issue a new email verification token for `user`, save it and mail the link
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateModifiedOnly: true });
+
+  const link = clientUrl('/verify-email', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: `Please confirm your email address for Task Manager by opening this link:\n\n${link}\n\nThe link is valid for 48 hours.`
+  });
+};
+
+// Issue a new password reset token for `user`, save it and mail the link
+const sendPasswordResetEmail = async (user) => {
+  const token = user.createPasswordResetToken();
+  await user.save({ validateModifiedOnly: true });
+
+  const link = clientUrl('/reset-password', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Someone asked to reset the password of your Task Manager account. To choose a new password, open this link:\n\n${link}\n\nThe link is valid for one hour and can only be used once. If you did not ask for this, you can ignore this email.`
+  });
+};
+
+// The registration link for an invitation. `token` is the plain token
+// returned by Invitation.issue().
+const invitationLink = (token) => clientUrl('/register', { invite: token });
+
+// Mail a new invitation's registration link to the invited address
+const sendInvitationEmail = async (invitation, link, inviter) => {
+  const days = Math.round((invitation.expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+
+  await sendMail({
+    to: invitation.email,
+    subject: 'You have been invited to Task Manager',
+    text: `${inviter.email} invited you to join Task Manager${invitation.role !== 'user' ? ` with the ${invitation.role} role` : ''}. To create your account, open this link:\n\n${link}\n\nThe invitation is valid for ${days} ${days === 1 ? 'day' : 'days'}.`
+  });
+};
+
+module.exports = {
+  clientUrl,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  invitationLink,
+  sendInvitationEmail
+};
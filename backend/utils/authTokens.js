@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+
+// Access tokens are short-lived JWTs. Each login starts a session: a family of
+// refresh tokens stored server-side (as hashes), rotated on every refresh.
+// Presenting a refresh token that was already rotated out means a copy of it
+// leaked, so the whole family is revoked. Access tokens carry the family as
+// `sid`, which lets logout and reuse detection cut them off immediately.
+
+const DEFAULT_ACCESS_EXPIRE = '15m';
+const DEFAULT_REFRESH_EXPIRE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || DEFAULT_ACCESS_EXPIRE }
+);
+
+const issueRefreshToken = async (user, family, req) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_EXPIRE_DAYS;
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + days * DAY_MS),
+    userAgent: req?.get('User-Agent') || null,
+    ip: req?.ip || null
+  });
+
+  return token;
+};
+
+// Start a new session for `user`. Resolves to { token, refreshToken }.
+const createSession = async (user, req) => {
+  const family = crypto.randomUUID();
+  const refreshToken = await issueRefreshToken(user, family, req);
+  return { token: signAccessToken(user, family), refreshToken };
+};
+
+const revokeFamily = (family, reason) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Exchange a refresh token for a new token pair. Resolves to
+// { user, token, refreshToken }, or { error } when the token can't be used.
+const rotateSession = async (refreshToken, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  if (stored.revokedAt) {
+    if (stored.revokedReason === 'rotated') {
+      await revokeFamily(stored.family, 'reuse');
+      return { error: 'Refresh token reuse detected. Please log in again.' };
+    }
+    return { error: 'Refresh token has been revoked' };
+  }
+
+  // Claim the token; losing the race to another refresh is reuse as well
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family, 'reuse');
+    return { error: 'Refresh token reuse detected. Please log in again.' };
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user) {
+    await revokeFamily(stored.family, 'logout');
+    return { error: 'Invalid or expired refresh token' };
+  }
+
+  return {
+    user,
+    token: signAccessToken(user, stored.family),
+    refreshToken: await issueRefreshToken(user, stored.family, req)
+  };
+};
+
+// End the session a refresh token belongs to. Resolves to the session's user
+// ID, or null for unknown tokens.
+const revokeSession = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored) return null;
+
+  await revokeFamily(stored.family, 'logout');
+  return stored.user;
+};
+
+// End every session of a user (except `keepSessionId`, if given), e.g. "log
+// out everywhere" or after a password change
+const revokeAllSessions = (userId, { keepSessionId = null } = {}) => RefreshToken.updateMany(
+  { user: userId, revokedAt: null, ...(keepSessionId && { family: { $ne: keepSessionId } }) },
+  { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+);
+
+// Is the session an access token belongs to still alive?
+const isSessionActive = async (sessionId) => Boolean(await RefreshToken.exists({
+  family: sessionId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}));
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive
+};
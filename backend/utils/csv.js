@@ -0,0 +1,89 @@
+// A small CSV (RFC 4180) reader and writer. Fields may be quoted, quoted fields may
+// contain delimiters, line breaks and doubled quotes, and lines may end in
+// CRLF or LF. Spreadsheets in some locales export with semicolons or tabs
+// instead of commas, so the delimiter is guessed from the header line.
+
+const DELIMITERS = [',', ';', '\t'];
+
+// The delimiter that occurs most often outside quotes in the first line
+const detectDelimiter = (text) => {
+  const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let quoted = false;
+
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+    else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+  }
+
+  return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+// Parse `text` into an array of rows, each an array of strings. Blank lines
+// are skipped. Throws on an unterminated quoted field.
+const parseCsv = (text, { delimiter = detectDelimiter(text) } = {}) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') quoted = false;
+      else field += char;
+      i += 1;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' && input[i + 1] === '\n') {
+      endRow();
+      i += 1;
+    } else if (char === '\n' || char === '\r') {
+      endRow();
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+
+  if (quoted) {
+    throw new Error('The CSV has a quoted field that is never closed');
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// One CSV line, CRLF-terminated. Fields containing the delimiter, quotes or
+// line breaks are quoted; null and undefined become empty fields.
+const formatCsvRow = (values, { delimiter = ',' } = {}) => `${values.map(value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(delimiter)}\r\n`;
+
+module.exports = {
+  detectDelimiter,
+  parseCsv,
+  formatCsvRow
+};
@@ -0,0 +1,98 @@
+// Just enough iCalendar (RFC 5545) to publish tasks as a subscribable
+// calendar: a VCALENDAR of VEVENTs, with text escaped and long lines folded.
+
+const MAX_LINE_OCTETS = 75;
+
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on lines starting with a space.
+// Multi-byte characters are never split.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (size + charSize > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// 20250131
+const formatDate = (date) =>
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+
+// 20250131T170000Z
+const formatDateTime = (date) =>
+  `${formatDate(date)}T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+const isMidnightUtc = (date) =>
+  date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0;
+
+// The lines of one event. Dates at midnight UTC (what a date-only due date
+// is stored as) become all-day events; others last `durationMinutes`.
+const eventLines = ({ uid, start, summary, description, url, categories = [], lastModified, durationMinutes = 30 }, stamp) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`
+  ];
+
+  if (isMidnightUtc(start)) {
+    const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`, `DTEND;VALUE=DATE:${formatDate(end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(start)}`, `DURATION:PT${durationMinutes}M`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (categories.length > 0) lines.push(`CATEGORIES:${categories.map(escapeText).join(',')}`);
+  if (lastModified) lines.push(`LAST-MODIFIED:${formatDateTime(lastModified)}`);
+  lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+
+  return lines;
+};
+
+// A whole calendar as text, with CRLF line ends
+const buildCalendar = ({ name, events, refreshMinutes = 60, now = new Date() }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Task Manager//Task Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // How often subscribed clients should check for changes
+    `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+    `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+    ...events.flatMap(event => eventLines(event, now)),
+    'END:VCALENDAR'
+  ];
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+module.exports = {
+  escapeText,
+  foldLine,
+  buildCalendar
+};
@@ -0,0 +1,97 @@
+const User = require('../models/User');
+const LoginEvent = require('../models/LoginEvent');
+
+// Per-account brute-force protection. Every failed password or two-factor
+// code counts against the account; from LOGIN_MAX_ATTEMPTS failures on, each
+// further failure locks it for twice as long as the one before, starting at
+// LOGIN_LOCKOUT_BASE_SECONDS and capped at LOGIN_LOCKOUT_MAX_MINUTES. A
+// successful login, a password reset or an admin unlock starts over.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_BASE_SECONDS = 30;
+const DEFAULT_LOCKOUT_MAX_MINUTES = 60;
+const DEFAULT_HISTORY_DAYS = 90;
+// Failures this old no longer count towards a lockout
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getPolicy = () => ({
+  maxAttempts: Number(process.env.LOGIN_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  baseMs: (Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || DEFAULT_LOCKOUT_BASE_SECONDS) * 1000,
+  maxMs: (Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || DEFAULT_LOCKOUT_MAX_MINUTES) * 60 * 1000
+});
+
+// How long an account with `failedCount` consecutive failures stays locked
+const lockoutDuration = (failedCount, policy = getPolicy()) => {
+  if (failedCount < policy.maxAttempts) return 0;
+  return Math.min(policy.baseMs * 2 ** (failedCount - policy.maxAttempts), policy.maxMs);
+};
+
+// Milliseconds until `user` may try to log in again; 0 when not locked
+const lockRemaining = (user, now = new Date()) => (
+  user.lockedUntil && user.lockedUntil > now ? user.lockedUntil - now : 0
+);
+
+const lockedMessage = (remainingMs) => {
+  const seconds = Math.ceil(remainingMs / 1000);
+  const wait = seconds < 60
+    ? `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`
+    : `${Math.ceil(seconds / 60)} ${Math.ceil(seconds / 60) === 1 ? 'minute' : 'minutes'}`;
+  return `Too many failed login attempts. Try again in ${wait}.`;
+};
+
+// Count a failed attempt against `user`. Resolves to the updated user, whose
+// lockedUntil is set if this failure locked the account.
+const recordFailure = async (user, now = new Date()) => {
+  const stale = !user.lastFailedLoginAt || now - user.lastFailedLoginAt > FAILURE_WINDOW_MS;
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    stale
+      ? { $set: { failedLoginCount: 1, lastFailedLoginAt: now } }
+      : { $inc: { failedLoginCount: 1 }, $set: { lastFailedLoginAt: now } },
+    { new: true }
+  );
+
+  const duration = lockoutDuration(updated.failedLoginCount);
+  if (duration > 0) {
+    updated.lockedUntil = new Date(now.getTime() + duration);
+    await User.updateOne({ _id: user._id }, { $set: { lockedUntil: updated.lockedUntil } });
+  }
+
+  return updated;
+};
+
+const clearFailures = (userId) => User.updateOne(
+  { _id: userId },
+  { $set: { failedLoginCount: 0, lastFailedLoginAt: null, lockedUntil: null } }
+);
+
+// Add an attempt to the login history. Failing to write it must not fail the
+// login itself.
+const recordLoginEvent = async (req, { user = null, email, result, method = null }) => {
+  const days = Number(process.env.LOGIN_HISTORY_DAYS) || DEFAULT_HISTORY_DAYS;
+
+  try {
+    await LoginEvent.create({
+      user: user?._id || null,
+      email: email || user?.email,
+      success: result === 'success',
+      result,
+      method,
+      ip: req.ip || null,
+      userAgent: req.get('User-Agent') || null,
+      expiresAt: new Date(Date.now() + days * DAY_MS)
+    });
+  } catch (error) {
+    console.error('Error recording login event:', error);
+  }
+};
+
+module.exports = {
+  lockoutDuration,
+  lockRemaining,
+  lockedMessage,
+  recordFailure,
+  clearFailures,
+  recordLoginEvent
+};
@@ -0,0 +1,86 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing mail goes through one of three transports, picked by MAIL_TRANSPORT:
+//   smtp    - a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+//   file    - each message is written as JSON to MAIL_DIR (default ./tmp/mail)
+//   console - messages are logged, for local development
+// Without MAIL_TRANSPORT, tests use file, and everything else uses smtp when
+// SMTP_HOST is set and console otherwise.
+
+const DEFAULT_FROM = 'Task Manager <no-reply@localhost>';
+
+const getTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === 'test') return 'file';
+  return process.env.SMTP_HOST ? 'smtp' : 'console';
+};
+
+const getMailDir = () => path.resolve(process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail'));
+
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+    return (message) => transporter.sendMail(message);
+  },
+
+  file: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      const dir = getMailDir();
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`), info.message);
+      return info;
+    };
+  },
+
+  console: () => {
+    const transporter = nodemailer.createTransport({ jsonTransport: true });
+    return async (message) => {
+      const info = await transporter.sendMail(message);
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return info;
+    };
+  }
+};
+
+let send = null;
+
+// Send a message ({ to, subject, text, html? }) through the configured transport
+const sendMail = async (message) => {
+  if (!send) {
+    const name = getTransportName();
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"; use smtp, file or console`);
+    }
+    send = transports[name]();
+  }
+
+  return send({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+};
+
+// Messages the file transport has written, oldest first. Used by tests.
+const readMailbox = async () => {
+  const dir = getMailDir();
+  const files = await fs.readdir(dir).catch(() => []);
+  const messages = await Promise.all(files.sort().map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8'))));
+  return messages;
+};
+
+// Empty the file transport's mailbox
+const clearMailbox = () => fs.rm(getMailDir(), { recursive: true, force: true });
+
+module.exports = {
+  sendMail,
+  readMailbox,
+  clearMailbox
+};
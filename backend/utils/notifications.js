@@ -0,0 +1,30 @@
+const Notification = require('../models/Notification');
+
+// Persist a notification and push it to the recipient's socket room, so users
+// who are offline find it in their notification list later. Like activity
+// recording, a failed notification must not break the request that caused it.
+const notify = async (io, { user, type, message, task = null, data = {} }) => {
+  try {
+    const notification = await Notification.create({
+      user: user._id || user,
+      type,
+      message,
+      task: task ? task._id || task : null,
+      data
+    });
+    await notification.populate('task', 'title');
+
+    if (io) {
+      io.to(`user_${notification.user}`).emit('notification', notification);
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Error sending notification:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  notify
+};
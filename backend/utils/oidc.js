@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Role = require('../models/Role');
+const User = require('../models/User');
+
+// OpenID Connect single sign-on with the authorization code flow and PKCE.
+// Configured through the environment:
+//   OIDC_ISSUER          - the identity provider's issuer URL (enables SSO)
+//   OIDC_CLIENT_ID       - this app's client ID at the provider
+//   OIDC_CLIENT_SECRET   - its secret; leave unset for a public client
+//   OIDC_REDIRECT_URI    - where the provider sends users back, i.e.
+//                          <API URL>/api/auth/sso/callback
+//   OIDC_SCOPES          - requested scopes (default "openid email profile")
+//   OIDC_PROVIDER_NAME   - shown on the login button (default "SSO")
+//   OIDC_GROUPS_CLAIM    - ID token claim listing the user's groups (default "groups")
+//   OIDC_ROLE_MAPPING    - group=role pairs, e.g. "tm-admins=admin,leads=project-lead";
+//                          the first group that matches decides the role
+//   OIDC_DEFAULT_ROLE    - role for users in none of the mapped groups (default "user")
+//   OIDC_AUTO_PROVISION  - "false" to only let existing users sign in
+
+const DEFAULT_SCOPES = 'openid email profile';
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'];
+
+// Failures of the sign-on itself; their message is meant for the user
+class SsoError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SsoError';
+  }
+}
+
+// The SSO configuration, or null when SSO isn't set up
+const getConfig = () => {
+  const { OIDC_ISSUER, OIDC_CLIENT_ID } = process.env;
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID) return null;
+
+  return {
+    issuer: OIDC_ISSUER.replace(/\/$/, ''),
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: process.env.OIDC_CLIENT_SECRET || null,
+    redirectUri: process.env.OIDC_REDIRECT_URI ||
+      `http://localhost:${process.env.PORT || 5000}/api/auth/sso/callback`,
+    scopes: process.env.OIDC_SCOPES || DEFAULT_SCOPES,
+    providerName: process.env.OIDC_PROVIDER_NAME || 'SSO',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    defaultRole: process.env.OIDC_DEFAULT_ROLE || Role.DEFAULT_ROLE,
+    autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false'
+  };
+};
+
+// group name -> role name, in the order they were configured
+const parseRoleMapping = (value = process.env.OIDC_ROLE_MAPPING) => {
+  const mapping = new Map();
+  for (const pair of (value || '').split(',')) {
+    const [group, role] = pair.split('=').map(part => part.trim());
+    if (group && role) mapping.set(group, role);
+  }
+  return mapping;
+};
+
+// Discovery documents and key sets, by URL
+const cache = new Map();
+
+const fetchJson = async (url, options) => {
+  let response;
+  try {
+    response = await fetch(url, options);
+  } catch (error) {
+    throw new SsoError('The identity provider could not be reached');
+  }
+
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const detail = body?.error_description || body?.error || `HTTP ${response.status}`;
+    throw new SsoError(`The identity provider rejected the request (${detail})`);
+  }
+  return body;
+};
+
+const cachedJson = async (url, { refresh = false } = {}) => {
+  const entry = cache.get(url);
+  if (entry && !refresh && entry.expiresAt > Date.now()) return entry.value;
+
+  const value = await fetchJson(url);
+  cache.set(url, { value, expiresAt: Date.now() + METADATA_CACHE_MS });
+  return value;
+};
+
+const getMetadata = (config) => cachedJson(`${config.issuer}/.well-known/openid-configuration`);
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+// The S256 code challenge for a PKCE code verifier
+const codeChallenge = (codeVerifier) => base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+// Where to send the browser to sign in at the provider
+const authorizationUrl = async (config, { state, nonce, codeVerifier }) => {
+  const metadata = await getMetadata(config);
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  }).toString();
+  return url.toString();
+};
+
+// Trade an authorization code for the provider's tokens
+const exchangeCode = async (config, { code, codeVerifier }) => {
+  const metadata = await getMetadata(config);
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+  if (config.clientSecret) params.set('client_secret', config.clientSecret);
+
+  return fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body: params.toString()
+  });
+};
+
+// The provider's public key with ID `kid`; the key set is fetched again once
+// when the key is unknown, to pick up key rotation
+const getSigningKey = async (metadata, kid) => {
+  const find = (jwks) => jwks.keys?.find(key => !kid || key.kid === kid);
+
+  let jwk = find(await cachedJson(metadata.jwks_uri));
+  if (!jwk) jwk = find(await cachedJson(metadata.jwks_uri, { refresh: true }));
+  if (!jwk) throw new SsoError('The identity provider signed the login with an unknown key');
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// Check an ID token's signature, issuer, audience, lifetime and nonce.
+// Resolves to its claims.
+const verifyIdToken = async (config, idToken, nonce) => {
+  const metadata = await getMetadata(config);
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new SsoError('The identity provider returned an invalid ID token');
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: metadata.issuer,
+      audience: config.clientId,
+      clockTolerance: 60
+    });
+  } catch (error) {
+    throw new SsoError(`The identity provider returned an invalid ID token (${error.message})`);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new SsoError('The login response does not belong to this sign-in attempt');
+  }
+  if (!claims.sub) {
+    throw new SsoError('The identity provider did not say who signed in');
+  }
+  return claims;
+};
+
+// The role for a user in `groups`: the role of the first mapped group they
+// are in, otherwise the default role. Mappings to roles that don't exist
+// are skipped.
+const roleForGroups = async (config, groups) => {
+  const memberOf = new Set(Array.isArray(groups) ? groups : []);
+
+  for (const [group, role] of parseRoleMapping()) {
+    if (!memberOf.has(group)) continue;
+    if (await Role.isDefined(role)) return role;
+    console.warn(`OIDC_ROLE_MAPPING maps ${group} to the unknown role ${role}`);
+  }
+  return config.defaultRole;
+};
+
+// The user an ID token's claims belong to. Users are matched by their
+// identity at the provider, then by a verified email address, which links
+// the existing account; anyone else gets a new account unless provisioning
+// is turned off. With OIDC_ROLE_MAPPING set, the role follows the groups on
+// every sign-in.
+const userForClaims = async (config, claims) => {
+  const email = typeof claims.email === 'string' ? claims.email.toLowerCase() : null;
+  const groups = claims[config.groupsClaim];
+  const syncRole = parseRoleMapping().size > 0;
+
+  let user = await User.findOne({ 'sso.issuer': claims.iss, 'sso.subject': claims.sub });
+
+  if (!user && email) {
+    user = await User.findOne({ email });
+    if (user) {
+      if (user.sso?.subject) {
+        throw new SsoError('This account is linked to a different single sign-on identity');
+      }
+      if (claims.email_verified !== true) {
+        throw new SsoError('An account with this email already exists. Sign in with your password, or ask your identity provider to verify the email address.');
+      }
+      user.sso = { issuer: claims.iss, subject: claims.sub };
+      user.emailVerified = true;
+    }
+  }
+
+  if (!user) {
+    if (!config.autoProvision) {
+      throw new SsoError('There is no account for you yet. Ask an administrator to invite you.');
+    }
+    if (!email) {
+      throw new SsoError('The identity provider did not share your email address');
+    }
+    user = new User({
+      email,
+      emailVerified: claims.email_verified === true,
+      role: await roleForGroups(config, groups),
+      sso: { issuer: claims.iss, subject: claims.sub }
+    });
+  } else if (syncRole) {
+    user.role = await roleForGroups(config, groups);
+  }
+
+  user.sso.lastLoginAt = new Date();
+  await user.save({ validateModifiedOnly: !user.isNew });
+  return user;
+};
+
+module.exports = {
+  SsoError,
+  getConfig,
+  parseRoleMapping,
+  codeChallenge,
+  authorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  roleForGroups,
+  userForClaims
+};
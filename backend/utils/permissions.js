@@ -0,0 +1,54 @@
+const Role = require('../models/Role');
+
+// Permissions that make an account an administrator, which the installation
+// can require two-factor authentication for
+const ADMINISTRATIVE_PERMISSIONS = ['user:manage', 'role:manage', 'settings:manage'];
+
+// The permissions of the user's role. They are looked up once per user
+// document and kept for the rest of the request.
+const permissionsOf = async (user) => {
+  if (!user.$locals) return Role.permissionsFor(user.role);
+
+  if (!user.$locals.permissions) {
+    user.$locals.permissions = await Role.permissionsFor(user.role);
+  }
+  return user.$locals.permissions;
+};
+
+const hasPermission = async (user, permission) => (
+  Boolean(user) && (await permissionsOf(user)).includes(permission)
+);
+
+// Users can only hand out permissions they have themselves, whether by
+// editing a role or by giving someone a role
+const canGrantPermissions = async (user, permissions) => {
+  const own = await permissionsOf(user);
+  return permissions.every(permission => own.includes(permission));
+};
+
+const canGrantRole = async (user, roleName) => (
+  canGrantPermissions(user, await Role.permissionsFor(roleName))
+);
+
+// express-validator check that a role name refers to an existing role
+const validateRoleName = async (name) => {
+  if (typeof name !== 'string' || !(await Role.isDefined(name))) {
+    throw new Error(`Unknown role: ${name}`);
+  }
+  return true;
+};
+
+const isAdministrator = async (user) => {
+  const permissions = await permissionsOf(user);
+  return ADMINISTRATIVE_PERMISSIONS.some(permission => permissions.includes(permission));
+};
+
+module.exports = {
+  ADMINISTRATIVE_PERMISSIONS,
+  permissionsOf,
+  hasPermission,
+  canGrantPermissions,
+  canGrantRole,
+  validateRoleName,
+  isAdministrator
+};
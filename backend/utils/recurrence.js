@@ -0,0 +1,130 @@
+const Task = require('../models/Task');
+const Workflow = require('../models/Workflow');
+const { parseRRule, nextOccurrence } = require('./rrule');
+const { snapshotTask, diffSnapshots, recordActivity } = require('./taskActivity');
+const { startScheduler } = require('./scheduler');
+const { notify } = require('./notifications');
+
+// Recurring tasks: a template task carries an RRULE and instances are
+// materialized from it one at a time. The next instance is created as soon as
+// the current one is completed or its occurrence date has passed, which opens
+// the window of the next occurrence.
+//
+// All state lives in the database: the template remembers its last occurrence
+// and a unique index on recurrenceOf + occurrenceDate guards the instances, so
+// restarting the process or running the scheduler twice never produces
+// duplicates. Deleting an instance skips that occurrence.
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Create the next instance of `template` if its window is open. Resolves to the
+// new instance, or null when nothing was due.
+const materializeNext = async (template, { io = null, now = new Date() } = {}) => {
+  if (!template.recurrence || template.recurrence.endedAt) return null;
+
+  const workflow = await Workflow.getCurrent();
+  const { startDate, lastOccurrence } = template.recurrence;
+
+  // Wait while the current occurrence is yet to come and its instance is
+  // still open (or was deleted)
+  if (lastOccurrence && lastOccurrence > now) {
+    const current = await Task.findOne({ recurrenceOf: template._id, occurrenceDate: lastOccurrence }).select('status');
+    if (!current || !workflow.isDone(current.status)) {
+      return null;
+    }
+  }
+
+  // Missed occurrences (e.g. while the server was down) are skipped rather than
+  // created in bulk; the first instance is the first occurrence from the start date
+  const after = lastOccurrence
+    ? new Date(Math.max(lastOccurrence.getTime(), now.getTime()))
+    : new Date(Math.max(startDate.getTime() - 1, now.getTime()));
+  const occurrence = nextOccurrence(parseRRule(template.recurrence.rule), startDate, after);
+
+  if (!occurrence) {
+    await Task.updateOne({ _id: template._id }, { $set: { 'recurrence.endedAt': now } });
+    return null;
+  }
+
+  let instance = null;
+  try {
+    instance = await Task.create({
+      title: template.title,
+      description: template.description,
+      status: workflow.initialState,
+      priority: template.priority,
+      dueDate: occurrence,
+      assignedTo: template.assignedTo,
+      createdBy: template.createdBy,
+      project: template.project,
+      labels: template.labels,
+      checklist: template.checklist.map(item => ({ text: item.text })),
+      recurrenceOf: template._id,
+      occurrenceDate: occurrence
+    });
+  } catch (error) {
+    // Another run (or one interrupted before it moved the cursor) already
+    // created this occurrence
+    if (error.code !== 11000) throw error;
+  }
+
+  await Task.updateOne({ _id: template._id }, { $max: { 'recurrence.lastOccurrence': occurrence } });
+  template.recurrence.lastOccurrence = occurrence;
+
+  if (!instance) return null;
+
+  await recordActivity({
+    task: instance,
+    actor: template.createdBy,
+    action: 'created',
+    changes: diffSnapshots(snapshotTask({}), snapshotTask(instance)),
+    details: { recurrenceOf: template._id }
+  });
+
+  if (instance.assignedTo) {
+    await notify(io, {
+      user: instance.assignedTo,
+      type: 'task_assigned',
+      message: `New occurrence of "${instance.title}"`,
+      task: instance,
+      data: { recurrenceOf: template._id }
+    });
+  }
+
+  return instance;
+};
+
+// Materialize every recurring template whose next window is open. Resolves to
+// the number of instances created.
+const runRecurrence = async ({ io = null, now = new Date() } = {}) => {
+  const templates = await Task.find({
+    'recurrence.rule': { $type: 'string' },
+    'recurrence.endedAt': null
+  });
+
+  let created = 0;
+  for (const template of templates) {
+    try {
+      if (await materializeNext(template, { io, now })) {
+        created++;
+      }
+    } catch (error) {
+      // One broken template must not stop the others
+      console.error(`Error materializing recurring task ${template._id}:`, error);
+    }
+  }
+
+  return created;
+};
+
+// Run the recurrence check now and then every RECURRENCE_INTERVAL_MS
+// (default one minute). Returns the timer so callers can stop it.
+const startRecurrenceScheduler = (io, intervalMs = Number(process.env.RECURRENCE_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => (
+  startScheduler('recurring tasks', () => runRecurrence({ io }), intervalMs)
+);
+
+module.exports = {
+  materializeNext,
+  runRecurrence,
+  startRecurrenceScheduler
+};
@@ -0,0 +1,160 @@
+const Task = require('../models/Task');
+const User = require('../models/User');
+const Workflow = require('../models/Workflow');
+const Role = require('../models/Role');
+const { notify } = require('./notifications');
+const { startScheduler } = require('./scheduler');
+
+// Due-date reminders and overdue escalation. The assignee of an open task is
+// reminded once per lead time before its due date (24 and 1 hours by default).
+// Once the task is overdue, the assignee is told and the creator is escalated
+// to; tasks people created for themselves escalate to the admins instead.
+//
+// Every notification is claimed on the task (see `reminders` in the Task
+// model) with a conditional update before it is sent, so overlapping runs and
+// restarts never send it twice. Changing the due date re-arms the reminders.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const DEFAULT_LEAD_HOURS = [24, 1];
+
+// Lead times from REMINDER_LEAD_HOURS, a comma-separated list of hours
+const getLeadHours = () => {
+  const leadHours = (process.env.REMINDER_LEAD_HOURS || '')
+    .split(',')
+    .map(value => Number(value.trim()))
+    .filter(value => Number.isFinite(value) && value > 0);
+
+  return leadHours.length > 0 ? [...new Set(leadHours)] : DEFAULT_LEAD_HOURS;
+};
+
+const formatTimeLeft = (ms) => {
+  const hours = Math.round(ms / HOUR_MS);
+  if (hours < 1) return 'less than an hour';
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.round(hours / 24)} days`;
+};
+
+// Remind assignees of open tasks whose due date is within a lead time
+const sendDueSoonReminders = async ({ io, now, leadHours, doneStates }) => {
+  const tasks = await Task.find({
+    status: { $nin: doneStates },
+    assignedTo: { $ne: null },
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + Math.max(...leadHours) * HOUR_MS) }
+  }).select('title dueDate assignedTo reminders');
+
+  let sent = 0;
+  for (const task of tasks) {
+    const timeLeft = task.dueDate - now;
+    const sentLeads = task.reminders.filter(reminder => reminder.kind === 'due_soon').map(reminder => reminder.leadHours);
+    const pending = leadHours.filter(lead => lead * HOUR_MS >= timeLeft && !sentLeads.includes(lead));
+    if (pending.length === 0) continue;
+
+    const claimed = await Task.updateOne(
+      {
+        _id: task._id,
+        dueDate: task.dueDate,
+        reminders: { $not: { $elemMatch: { kind: 'due_soon', leadHours: { $in: pending } } } }
+      },
+      { $push: { reminders: { $each: pending.map(lead => ({ kind: 'due_soon', leadHours: lead, sentAt: now })) } } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    // Several windows can open at once (e.g. a task created an hour before it
+    // is due); they are all marked sent but only announced once
+    await notify(io, {
+      user: task.assignedTo,
+      type: 'task_due_soon',
+      message: `"${task.title}" is due in ${formatTimeLeft(timeLeft)}`,
+      task,
+      data: { dueDate: task.dueDate, leadHours: Math.min(...pending) }
+    });
+    sent++;
+  }
+
+  return sent;
+};
+
+// Tell assignees their task is overdue and escalate to the creator (or the
+// admins, everyone who may edit any task, when the assignee created the task)
+const sendOverdueEscalations = async ({ io, now, doneStates }) => {
+  const tasks = await Task.find({
+    status: { $nin: doneStates },
+    dueDate: { $lte: now },
+    'reminders.kind': { $ne: 'overdue' }
+  })
+    .select('title dueDate assignedTo createdBy reminders')
+    .populate('assignedTo', 'email');
+
+  let admins = null;
+  let sent = 0;
+  for (const task of tasks) {
+    const claimed = await Task.updateOne(
+      { _id: task._id, dueDate: task.dueDate, 'reminders.kind': { $ne: 'overdue' } },
+      { $push: { reminders: { kind: 'overdue', sentAt: now } } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const assigneeId = task.assignedTo?._id.toString();
+    const creatorId = task.createdBy?.toString();
+    const data = { dueDate: task.dueDate };
+
+    if (assigneeId) {
+      await notify(io, {
+        user: assigneeId,
+        type: 'task_overdue',
+        message: `"${task.title}" is overdue`,
+        task,
+        data: { ...data, escalated: false }
+      });
+      sent++;
+    }
+
+    let escalateTo = creatorId && creatorId !== assigneeId ? [creatorId] : [];
+    if (escalateTo.length === 0) {
+      if (!admins) {
+        const roles = await Role.namesWithPermission('task:edit:any');
+        admins = (await User.find({ role: { $in: roles } }).select('_id')).map(admin => admin._id.toString());
+      }
+      escalateTo = admins.filter(id => id !== assigneeId);
+    }
+
+    for (const user of escalateTo) {
+      await notify(io, {
+        user,
+        type: 'task_overdue',
+        message: assigneeId
+          ? `"${task.title}" assigned to ${task.assignedTo.email} is overdue`
+          : `"${task.title}" is overdue and not assigned to anyone`,
+        task,
+        data: { ...data, escalated: true }
+      });
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+// Send every reminder and escalation that is due. Resolves to the number of
+// notifications sent.
+const runReminders = async ({ io = null, now = new Date(), leadHours = getLeadHours() } = {}) => {
+  const doneStates = await Workflow.findDoneStates();
+
+  const dueSoon = await sendDueSoonReminders({ io, now, leadHours, doneStates });
+  const overdue = await sendOverdueEscalations({ io, now, doneStates });
+
+  return dueSoon + overdue;
+};
+
+// Run the reminder check now and then every REMINDER_INTERVAL_MS (default one
+// minute). Returns the timer so callers can stop it.
+const startReminderScheduler = (io, intervalMs = Number(process.env.REMINDER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => (
+  startScheduler('due date reminders', () => runReminders({ io }), intervalMs)
+);
+
+module.exports = {
+  getLeadHours,
+  runReminders,
+  startReminderScheduler
+};
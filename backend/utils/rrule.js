@@ -0,0 +1,214 @@
+// A small iCalendar RRULE (RFC 5545) evaluator for recurring tasks. It
+// supports the parts people actually use for task schedules: FREQ, INTERVAL,
+// COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH and WKST=MO. Everything is evaluated
+// in UTC, with the time of day taken from the start date.
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+const SUPPORTED_PARTS = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYMONTH', 'WKST'];
+// Indexed like Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on the periods walked, so rules that never match still terminate
+const MAX_PERIODS = 10000;
+
+const parseInteger = (value, name, { min, max }) => {
+  const number = Number(value);
+  if (!/^[+-]?\d+$/.test(value) || number < min || number > max || number === 0) {
+    throw new Error(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+};
+
+const parseList = (value, name, parseItem) => value.split(',').map(item => parseItem(item, name));
+
+// UNTIL is either a date (inclusive of the whole day) or a UTC date-time
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (!match) {
+    throw new Error('UNTIL must look like 20250131 or 20250131T170000Z');
+  }
+  const [, year, month, day, hours = '23', minutes = '59', seconds = '59'] = match;
+  return new Date(Date.UTC(+year, +month - 1, +day, +hours, +minutes, +seconds));
+};
+
+const parseWeekday = (value) => {
+  const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+  if (!match) {
+    throw new Error(`BYDAY value "${value}" is not a weekday like MO or 2TU`);
+  }
+  const ordinal = match[1] ? parseInteger(match[1], 'BYDAY ordinal', { min: -5, max: 5 }) : 0;
+  return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+};
+
+// Parse an RRULE string (with or without the "RRULE:" prefix). Throws an Error
+// with a user-facing message when the rule is invalid or uses unsupported parts.
+const parseRRule = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const parts = {};
+  text.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [name, value] = part.split('=');
+    if (!name || !value) {
+      throw new Error(`Invalid rule part "${part}"`);
+    }
+    parts[name.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  const unsupported = Object.keys(parts).filter(name => !SUPPORTED_PARTS.includes(name));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported rule part: ${unsupported.join(', ')}`);
+  }
+  if (!FREQUENCIES.includes(parts.FREQ)) {
+    throw new Error(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+  if (parts.COUNT && parts.UNTIL) {
+    throw new Error('COUNT and UNTIL cannot be combined');
+  }
+  if (parts.WKST && parts.WKST !== 'MO') {
+    throw new Error('Only WKST=MO is supported');
+  }
+
+  const rule = {
+    freq: parts.FREQ,
+    interval: parts.INTERVAL ? parseInteger(parts.INTERVAL, 'INTERVAL', { min: 1, max: 1000 }) : 1,
+    count: parts.COUNT ? parseInteger(parts.COUNT, 'COUNT', { min: 1, max: 10000 }) : null,
+    until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+    byDay: parts.BYDAY ? parseList(parts.BYDAY, 'BYDAY', parseWeekday) : [],
+    byMonthDay: parts.BYMONTHDAY
+      ? parseList(parts.BYMONTHDAY, 'BYMONTHDAY', (value, name) => parseInteger(value, name, { min: -31, max: 31 }))
+      : [],
+    byMonth: parts.BYMONTH
+      ? parseList(parts.BYMONTH, 'BYMONTH', (value, name) => parseInteger(value, name, { min: 1, max: 12 }))
+      : []
+  };
+
+  if (rule.byDay.some(day => day.ordinal !== 0) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Numbered BYDAY values like 2MO need FREQ=MONTHLY or FREQ=YEARLY');
+  }
+  if (rule.freq === 'YEARLY' && rule.byDay.length > 0 && rule.byMonth.length === 0) {
+    throw new Error('BYDAY with FREQ=YEARLY needs BYMONTH');
+  }
+
+  return rule;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+const atTimeOf = (start, year, month, day) => new Date(Date.UTC(
+  year, month, day, start.getUTCHours(), start.getUTCMinutes(), start.getUTCSeconds()
+));
+
+// Dates in the given month selected by BYMONTHDAY / BYDAY, or the start
+// date's day of the month when the rule names neither
+const expandMonth = (rule, start, year, month) => {
+  const length = daysInMonth(year, month);
+  let days = null;
+
+  if (rule.byMonthDay.length > 0) {
+    days = rule.byMonthDay
+      .map(day => (day > 0 ? day : length + day + 1))
+      .filter(day => day >= 1 && day <= length);
+  }
+
+  if (rule.byDay.length > 0) {
+    const matching = rule.byDay.flatMap(({ weekday, ordinal }) => {
+      const all = [];
+      for (let day = 1; day <= length; day++) {
+        if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) all.push(day);
+      }
+      if (ordinal === 0) return all;
+      const picked = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+      return picked ? [picked] : [];
+    });
+    // Both parts given: a day has to satisfy both
+    days = days ? days.filter(day => matching.includes(day)) : matching;
+  }
+
+  if (!days) {
+    days = start.getUTCDate() <= length ? [start.getUTCDate()] : [];
+  }
+
+  return [...new Set(days)].sort((a, b) => a - b).map(day => atTimeOf(start, year, month, day));
+};
+
+// Candidate dates of the `index`-th period (day, week, month or year) of the rule
+const expandPeriod = (rule, start, index) => {
+  const step = index * rule.interval;
+
+  switch (rule.freq) {
+    case 'DAILY':
+      return [new Date(start.getTime() + step * DAY_MS)];
+    case 'WEEKLY': {
+      // Weeks start on Monday
+      const monday = start.getTime() - ((start.getUTCDay() + 6) % 7) * DAY_MS + step * 7 * DAY_MS;
+      const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.getUTCDay()];
+      return [...new Set(weekdays)]
+        .map(weekday => ((weekday + 6) % 7))
+        .sort((a, b) => a - b)
+        .map(offset => new Date(monday + offset * DAY_MS));
+    }
+    case 'MONTHLY': {
+      const months = start.getUTCMonth() + step;
+      return expandMonth(rule, start, start.getUTCFullYear() + Math.floor(months / 12), months % 12);
+    }
+    default: {
+      const year = start.getUTCFullYear() + step;
+      const months = rule.byMonth.length > 0
+        ? [...new Set(rule.byMonth)].sort((a, b) => a - b).map(month => month - 1)
+        : [start.getUTCMonth()];
+      return months.flatMap(month => expandMonth(rule, start, year, month));
+    }
+  }
+};
+
+// BYxxx parts that narrow down candidates instead of expanding them
+const matchesFilters = (rule, date) => {
+  if (rule.byMonth.length > 0 && !rule.byMonth.includes(date.getUTCMonth() + 1)) {
+    return false;
+  }
+  if (rule.freq === 'DAILY') {
+    if (rule.byDay.length > 0 && !rule.byDay.some(day => day.weekday === date.getUTCDay())) {
+      return false;
+    }
+    if (rule.byMonthDay.length > 0) {
+      const length = daysInMonth(date.getUTCFullYear(), date.getUTCMonth());
+      const day = date.getUTCDate();
+      if (!rule.byMonthDay.some(monthDay => (monthDay > 0 ? monthDay : length + monthDay + 1) === day)) {
+        return false;
+      }
+    }
+  }
+  return true;
+};
+
+// Every occurrence of the rule from `start` on, in order, honouring COUNT and UNTIL
+function* occurrences(rule, start) {
+  let emitted = 0;
+
+  for (let index = 0; index < MAX_PERIODS; index++) {
+    for (const date of expandPeriod(rule, start, index)) {
+      if (date < start || !matchesFilters(rule, date)) continue;
+      if (rule.until && date > rule.until) return;
+
+      yield date;
+      emitted++;
+      if (rule.count && emitted >= rule.count) return;
+    }
+  }
+}
+
+// The first occurrence strictly after `after`, or null when the rule has ended
+const nextOccurrence = (rule, start, after) => {
+  for (const date of occurrences(typeof rule === 'string' ? parseRRule(rule) : rule, start)) {
+    if (date > after) return date;
+  }
+  return null;
+};
+
+module.exports = {
+  parseRRule,
+  occurrences,
+  nextOccurrence
+};
@@ -0,0 +1,27 @@
+// Run `job` now and then every `intervalMs`. A tick is skipped rather than
+// overlapping a slow previous run, and errors are logged so one bad run does
+// not stop the schedule. Returns the timer so callers can stop it.
+const startScheduler = (name, job, intervalMs) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await job();
+    } catch (error) {
+      console.error(`Error running ${name}:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startScheduler
+};
@@ -0,0 +1,149 @@
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { hasPermission } = require('./permissions');
+
+// Shared access rules for tasks and the resources hanging off them
+// (documents, comments, ...). `task.assignedTo` / `task.createdBy` may be
+// either ObjectIds or populated users; `.equals()` handles both.
+//
+// A task is open to its creator and assignee and, when it belongs to a
+// project, to the project's members according to their role. The task:*:any
+// permissions open every task.
+
+// Project roles that may create and edit tasks, and that may delete any task
+const TASK_EDITOR_ROLES = ['owner', 'manager', 'member'];
+const TASK_MANAGER_ROLES = ['owner', 'manager'];
+
+const isParticipant = (user, task) =>
+  Boolean(task.assignedTo?.equals(user._id)) ||
+  Boolean(task.createdBy?.equals(user._id));
+
+// The user's role in the project (a document or an ID), or null for non-members
+const getProjectRole = async (user, project) => {
+  if (!user || !project) return null;
+  const doc = project.members ? project : await Project.findById(project._id || project).select('members');
+  return doc ? doc.roleOf(user._id) : null;
+};
+
+// Users can view tasks they created or are assigned to and every task of the
+// projects they are a member of
+const canViewTask = async (user, task) => {
+  if (!user || !task) return false;
+  if (isParticipant(user, task) || await hasPermission(user, 'task:view:any')) return true;
+
+  return Boolean(await getProjectRole(user, task.project));
+};
+
+// Task creators and assigned users can update a task, including its subtasks
+// and checklist; so can project members other than viewers
+const canUpdateTask = async (user, task) => {
+  if (!user || !task) return false;
+  if (isParticipant(user, task) || await hasPermission(user, 'task:edit:any')) return true;
+
+  return TASK_EDITOR_ROLES.includes(await getProjectRole(user, task.project));
+};
+
+// Task creators and project owners/managers can delete a task
+const canDeleteTask = async (user, task) => {
+  if (!user || !task) return false;
+  if (task.createdBy?.equals(user._id) || await hasPermission(user, 'task:delete:any')) return true;
+
+  return TASK_MANAGER_ROLES.includes(await getProjectRole(user, task.project));
+};
+
+// Project members other than viewers can add tasks to a project
+const canAddTasksToProject = async (user, project) => {
+  if (!user || !project) return false;
+  if (await hasPermission(user, 'task:edit:any')) return true;
+
+  return TASK_EDITOR_ROLES.includes(await getProjectRole(user, project));
+};
+
+// Check that a task can be put in `project`: the user may add tasks to it and
+// the assignee is one of its members. Returns an error response payload, or
+// null when valid.
+const checkTaskProject = async (user, project, assigneeId, { checkAccess = true } = {}) => {
+  if (checkAccess && !(await canAddTasksToProject(user, project))) {
+    return { status: 403, message: 'Access denied. Only project members other than viewers can add tasks to a project.' };
+  }
+  if (assigneeId && !project.roleOf(assigneeId)) {
+    return { status: 400, message: 'Assigned user is not a member of this project' };
+  }
+  return null;
+};
+
+// Query filter matching every task the user can view, for list endpoints
+const visibleTaskFilter = async (user) => {
+  if (await hasPermission(user, 'task:view:any')) return {};
+
+  const projectIds = await Project.findMemberProjectIds(user._id);
+  return {
+    $or: [
+      { assignedTo: user._id },
+      { createdBy: user._id },
+      { project: { $in: projectIds } }
+    ]
+  };
+};
+
+// IDs of every user who can view the task, e.g. to push changes to their sockets
+const findTaskViewerIds = async (task) => {
+  const ids = new Set([task.createdBy, task.assignedTo]
+    .filter(Boolean)
+    .map(user => (user._id || user).toString()));
+
+  if (task.project) {
+    const project = await Project.findById(task.project._id || task.project).select('members');
+    project?.members.forEach(member => ids.add(member.user.toString()));
+  }
+
+  const roles = await Role.namesWithPermission('task:view:any');
+  const viewers = await User.distinct('_id', { role: { $in: roles } });
+  viewers.forEach(id => ids.add(id.toString()));
+
+  return [...ids];
+};
+
+// Load the task named by `req.params.id` and check that the current user may
+// access it. Sends the 404/403 response itself and resolves to null when the
+// request can't continue.
+const findTaskForRequest = async (req, res, {
+  canAccess = canViewTask,
+  deniedMessage = 'Access denied. You can only view tasks assigned to you, created by you, or in your projects.'
+} = {}) => {
+  const task = await Task.findById(req.params.id);
+
+  if (!task) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found'
+    });
+    return null;
+  }
+
+  if (!(await canAccess(req.user, task))) {
+    res.status(403).json({
+      success: false,
+      message: deniedMessage
+    });
+    return null;
+  }
+
+  return task;
+};
+
+module.exports = {
+  TASK_EDITOR_ROLES,
+  TASK_MANAGER_ROLES,
+  getProjectRole,
+  canViewTask,
+  canUpdateTask,
+  canDeleteTask,
+  canAddTasksToProject,
+  checkTaskProject,
+  visibleTaskFilter,
+  findTaskViewerIds,
+  findTaskForRequest
+};
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const TaskActivity = require('../models/TaskActivity');
+const { queueEvent } = require('./webhooks');
+
+// Task fields whose changes are recorded in the activity log
+const TRACKED_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'assignedTo', 'project', 'labels', 'blockedBy'];
+
+// Normalize a field value so it can be stored and compared (ObjectIds and
+// populated refs become id strings, dates become ISO strings, arrays of refs
+// become sorted id lists)
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (Array.isArray(value)) return value.length > 0 ? value.map(normalizeValue).sort() : null;
+  if (value instanceof Date) return value.toISOString();
+  if (value._id) return value._id.toString();
+  if (typeof value === 'object' && typeof value.toHexString === 'function') return value.toHexString();
+  return value;
+};
+
+// Capture the tracked fields of a task, e.g. before applying an update
+const snapshotTask = (task) => TRACKED_FIELDS.reduce((snapshot, field) => {
+  snapshot[field] = normalizeValue(task[field]);
+  return snapshot;
+}, {});
+
+// Field-level before/after diff between two snapshots
+const diffSnapshots = (before, after) => TRACKED_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+// The webhook event announcing each kind of activity
+const WEBHOOK_EVENTS = {
+  created: 'task.created',
+  updated: 'task.updated',
+  deleted: 'task.deleted',
+  document_uploaded: 'document.uploaded',
+  document_deleted: 'document.deleted'
+};
+
+// Persist an activity entry and queue its webhook event. Auditing must never
+// break the request that triggered it, so failures are logged and swallowed.
+const recordActivity = async ({ task, actor, action, changes = [], details = {} }) => {
+  let activity = null;
+  try {
+    activity = await TaskActivity.create({
+      task: task._id || task,
+      actor: actor._id || actor,
+      action,
+      changes,
+      details
+    });
+  } catch (error) {
+    console.error('Error recording task activity:', error);
+  }
+
+  await queueEvent(WEBHOOK_EVENTS[action], {
+    task: task instanceof mongoose.Document ? task.toJSON() : { _id: task },
+    changes,
+    details
+  }, { actor });
+
+  return activity;
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotTask,
+  diffSnapshots,
+  recordActivity
+};
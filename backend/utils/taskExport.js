@@ -0,0 +1,107 @@
+const { formatCsvRow } = require('./csv');
+
+// Task exports. Tasks are written one at a time as they come from the
+// database cursor, so even large exports never sit in memory as a whole.
+// The CSV columns are named like the import fields, so an export can be
+// imported again.
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  // CSV that Excel opens with the right encoding: it needs a byte order mark
+  // to read the file as UTF-8
+  excel: { contentType: 'text/csv; charset=utf-8', extension: 'csv', byteOrderMark: true },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const isoDate = (date) => (date ? date.toISOString() : null);
+
+// What the export contains for a task with assignedTo, createdBy, project
+// and labels populated
+const toRecord = (task, workflow) => ({
+  id: task._id.toString(),
+  title: task.title,
+  description: task.description || '',
+  status: task.status,
+  statusName: workflow.getState(task.status)?.name || task.status,
+  priority: task.priority,
+  dueDate: isoDate(task.dueDate),
+  assignee: task.assignedTo?.email || null,
+  labels: (task.labels || []).map(label => label.name),
+  project: task.project?.name || null,
+  parentTask: task.parentTask ? task.parentTask.toString() : null,
+  progress: task.progress,
+  createdBy: task.createdBy?.email || null,
+  createdAt: isoDate(task.createdAt),
+  updatedAt: isoDate(task.updatedAt),
+  completedAt: isoDate(task.completedAt)
+});
+
+const CSV_COLUMNS = [
+  ['ID', record => record.id],
+  ['Title', record => record.title],
+  ['Description', record => record.description],
+  ['Status', record => record.statusName],
+  ['Priority', record => record.priority],
+  ['Due date', record => record.dueDate],
+  ['Assignee', record => record.assignee],
+  ['Labels', record => record.labels.join(', ')],
+  ['Project', record => record.project],
+  ['Parent task', record => record.parentTask],
+  ['Progress', record => record.progress],
+  ['Created by', record => record.createdBy],
+  ['Created', record => record.createdAt],
+  ['Updated', record => record.updatedAt],
+  ['Completed', record => record.completedAt]
+];
+
+// Spreadsheets run cells starting with one of these as formulas, so a task
+// titled "=HYPERLINK(...)" must not reach them as is
+const FORMULA_START = /^[=+\-@\t\r]/;
+const guardFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+// Resolves once `out` can take more data, or is closed
+const drained = (out) => new Promise(resolve => {
+  const done = () => {
+    out.off('drain', done);
+    out.off('close', done);
+    resolve();
+  };
+  out.on('drain', done);
+  out.on('close', done);
+});
+
+const write = async (out, chunk) => {
+  if (!out.write(chunk)) await drained(out);
+};
+
+// Write `tasks` (an async iterable such as a query cursor) to the writable
+// `out` in `format` and end it. Stops early when `out` is closed, e.g.
+// because the client went away.
+const streamTasks = async (format, tasks, out, { workflow }) => {
+  if (format === 'json') {
+    let count = 0;
+    await write(out, '[');
+    for await (const task of tasks) {
+      if (out.destroyed) return;
+      await write(out, `${count === 0 ? '\n' : ',\n'}${JSON.stringify(toRecord(task, workflow))}`);
+      count += 1;
+    }
+    out.end(count === 0 ? ']\n' : '\n]\n');
+    return;
+  }
+
+  const header = formatCsvRow(CSV_COLUMNS.map(([name]) => name));
+  await write(out, FORMATS[format].byteOrderMark ? `\uFEFF${header}` : header);
+  for await (const task of tasks) {
+    if (out.destroyed) return;
+    const record = toRecord(task, workflow);
+    await write(out, formatCsvRow(CSV_COLUMNS.map(([, value]) => guardFormula(value(record)))));
+  }
+  out.end();
+};
+
+module.exports = {
+  FORMATS,
+  toRecord,
+  streamTasks
+};
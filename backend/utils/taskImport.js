@@ -0,0 +1,119 @@
+const { parseCsv } = require('./csv');
+
+// Reading task imports: turning a CSV or JSON upload into records keyed by
+// column, and mapping columns onto task fields. Validating and creating the
+// tasks is up to the import route, which applies the rules of POST /api/tasks.
+
+const FORMATS = ['csv', 'json'];
+const MAX_ROWS = 1000;
+
+// Task fields an import can fill, with the column names they are matched to
+// when no mapping is given
+const FIELDS = {
+  title: { description: 'Task title (required)', aliases: ['name', 'summary', 'task'] },
+  description: { description: 'Longer description', aliases: ['details', 'notes'] },
+  status: { description: 'Workflow state, by key or name', aliases: ['state'] },
+  priority: { description: 'low, medium or high', aliases: [] },
+  dueDate: { description: 'Due date, e.g. 2025-03-31', aliases: ['due', 'deadline'] },
+  assignee: { description: 'Email address of the assignee', aliases: ['assignedto', 'assigneeemail', 'owner'] },
+  labels: { description: 'Label names, separated by commas', aliases: ['label', 'tags'] }
+};
+const FIELD_NAMES = Object.keys(FIELDS);
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+};
+
+// Parse the uploaded content into { columns, records }. CSV needs a header
+// line; JSON must be an array of objects, whose keys are the columns.
+const readRecords = (format, content) => {
+  if (format === 'csv') {
+    let rows;
+    try {
+      rows = parseCsv(String(content));
+    } catch (error) {
+      throw new ImportError(error.message);
+    }
+    const [header = [], ...dataRows] = rows;
+    const columns = header.map(column => column.trim());
+    if (columns.length === 0 || columns.every(column => !column)) {
+      throw new ImportError('The CSV needs a header line with column names');
+    }
+    return {
+      columns,
+      records: dataRows.map(row => Object.fromEntries(columns.map((column, index) => [column, row[index] ?? ''])))
+    };
+  }
+
+  let items = content;
+  if (typeof content === 'string') {
+    try {
+      items = JSON.parse(content);
+    } catch (error) {
+      throw new ImportError('The JSON could not be parsed');
+    }
+  }
+  if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw new ImportError('The JSON must be an array of objects');
+  }
+
+  const columns = [...new Set(items.flatMap(item => Object.keys(item)))];
+  return {
+    columns,
+    records: items.map(item => Object.fromEntries(columns.map(column => [column, toCell(item[column])])))
+  };
+};
+
+// Map each field to the first column whose name matches it or an alias,
+// ignoring case, spaces and punctuation
+const suggestMapping = (columns) => {
+  const mapping = {};
+  for (const [field, { aliases }] of Object.entries(FIELDS)) {
+    const names = [normalizeName(field), ...aliases];
+    const column = columns.find(candidate => names.includes(normalizeName(candidate)));
+    if (column) mapping[field] = column;
+  }
+  return mapping;
+};
+
+// Check a mapping of fields to columns. Returns an error message, or null.
+const checkMapping = (mapping, columns) => {
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!FIELD_NAMES.includes(field)) return `Unknown task field "${field}"`;
+    if (!columns.includes(column)) return `There is no column "${column}"`;
+  }
+  if (!mapping.title) return 'Choose the column that holds the task title';
+  return null;
+};
+
+// The mapped fields of one record, trimmed, leaving out empty cells
+const mapRecord = (record, mapping) => {
+  const fields = {};
+  for (const [field, column] of Object.entries(mapping)) {
+    const value = (record[column] ?? '').trim();
+    if (value) fields[field] = value;
+  }
+  return fields;
+};
+
+module.exports = {
+  FORMATS,
+  MAX_ROWS,
+  FIELDS,
+  ImportError,
+  readRecords,
+  suggestMapping,
+  checkMapping,
+  mapRecord
+};
@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { generateSecret, verifyCode, provisioningUri } = require('./totp');
+const { isAdministrator } = require('./permissions');
+
+// Two-factor login works in two steps: a correct password yields a short-lived
+// challenge token instead of a session, and the challenge plus a TOTP or
+// recovery code is exchanged for the session at /api/auth/2fa/verify.
+
+const CHALLENGE_EXPIRE = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const issuer = () => process.env.TOTP_ISSUER || 'Task Manager';
+
+// Challenges are signed with a key derived from JWT_SECRET, so they can never
+// pass as access tokens
+const challengeKey = () => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update('2fa-challenge')
+  .digest();
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.toLowerCase().replace(/[^a-f0-9]/g, ''))
+  .digest('hex');
+
+const signChallenge = (user) => jwt.sign({ id: user.id }, challengeKey(), { expiresIn: CHALLENGE_EXPIRE });
+
+// The user ID a challenge token was issued for, or null if it is invalid or expired
+const verifyChallenge = (token) => {
+  try {
+    return jwt.verify(token, challengeKey()).id;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Start enrollment: keep a new secret pending until a code confirms it
+const beginEnrollment = async (user) => {
+  const secret = generateSecret();
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  const otpauthUrl = provisioningUri({ secret, account: user.email, issuer: issuer() });
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+// Fresh recovery codes like "3f9a1-c07de". Resolves to the plain codes, which
+// are shown once; only their hashes are kept.
+const replaceRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { 'twoFactor.recoveryCodes': codes.map(hashRecoveryCode) } }
+  );
+  return codes;
+};
+
+// Finish enrollment if `code` matches the pending secret. Resolves to the
+// recovery codes, or null for a wrong code.
+const confirmEnrollment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+  const pendingSecret = user?.twoFactor?.pendingSecret;
+  const step = pendingSecret ? verifyCode(pendingSecret, code) : null;
+  if (step === null) return null;
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': pendingSecret,
+      'twoFactor.lastUsedStep': step
+    },
+    $unset: { 'twoFactor.pendingSecret': 1 }
+  });
+  return replaceRecoveryCodes(userId);
+};
+
+const disable = (userId) => User.updateOne({ _id: userId }, {
+  $set: { 'twoFactor.enabled': false },
+  $unset: {
+    'twoFactor.enabledAt': 1,
+    'twoFactor.secret': 1,
+    'twoFactor.pendingSecret': 1,
+    'twoFactor.recoveryCodes': 1,
+    'twoFactor.lastUsedStep': 1
+  }
+});
+
+// Check a second factor: a TOTP `code` or a one-time `recoveryCode`. Both are
+// consumed atomically, so the same code can't be used twice. Resolves to
+// 'totp', 'recovery_code' or null.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  if (code) {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    const secret = user?.twoFactor?.enabled && user.twoFactor.secret;
+    const step = secret ? verifyCode(secret, code) : null;
+    if (step === null) return null;
+
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'totp' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1 ? 'recovery_code' : null;
+  }
+
+  return null;
+};
+
+const countRecoveryCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  return user?.twoFactor?.recoveryCodes?.length || 0;
+};
+
+// Admins (anyone whose role grants administrative permissions) have to
+// enroll before they can do anything else when the installation requires
+// two-factor authentication for them
+const isSetupRequired = async (user) => {
+  if (user.twoFactor?.enabled || !(await isAdministrator(user))) return false;
+  const settings = await Settings.getCurrent();
+  return settings.requireAdminTwoFactor;
+};
+
+module.exports = {
+  signChallenge,
+  verifyChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  replaceRecoveryCodes,
+  disable,
+  verifySecondFactor,
+  countRecoveryCodes,
+  isSetupRequired
+};
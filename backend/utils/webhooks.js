@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { startScheduler } = require('./scheduler');
+
+// Outgoing webhooks. Events are queued as one delivery per subscribed webhook
+// and sent by a background job, so a slow receiver never holds up the request
+// that caused the event. Each delivery is a JSON POST with these headers:
+//   X-Webhook-Event      - the event name, e.g. task.created
+//   X-Webhook-Delivery   - ID of the delivery (new for every redelivery)
+//   X-Webhook-Timestamp  - Unix time of this attempt, in seconds
+//   X-Webhook-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+//                          keyed with the webhook's secret>
+// The payload's `id` identifies the event and stays the same across retries
+// and redeliveries. A 2xx response counts as delivered; anything else is
+// retried after WEBHOOK_RETRY_BASE_SECONDS, doubling each time, up to
+// WEBHOOK_MAX_ATTEMPTS attempts.
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_SECONDS = 60;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_INTERVAL_MS = 5 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A delivery being sent is hidden from other runs for this long
+const CLAIM_MS = 2 * 60 * 1000;
+const RESPONSE_BODY_LIMIT = 1000;
+const BATCH_SIZE = 50;
+
+const getPolicy = () => ({
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  retryBaseMs: (Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS) * 1000,
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS
+});
+
+const retentionMs = () => (Number(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS) * DAY_MS;
+
+// How long to wait before the next try after `attemptCount` failed ones
+const retryDelay = (attemptCount, policy = getPolicy()) => policy.retryBaseMs * 2 ** (attemptCount - 1);
+
+const sign = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+const describeActor = (actor) => {
+  if (!actor) return null;
+  return actor._id ? { _id: actor._id, email: actor.email } : { _id: actor };
+};
+
+// Queue `event` for every active webhook subscribed to it. `data` is the
+// event-specific part of the payload. Like the activity log, webhooks must
+// never break the request that triggered them, so failures are logged and
+// swallowed.
+const queueEvent = async (event, data, { actor = null } = {}) => {
+  try {
+    const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+    if (webhooks.length === 0) return [];
+
+    const payload = JSON.parse(JSON.stringify({
+      id: crypto.randomUUID(),
+      event,
+      createdAt: new Date(),
+      actor: describeActor(actor),
+      data
+    }));
+    const expiresAt = new Date(Date.now() + retentionMs());
+
+    return await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+      webhook: webhook._id,
+      event,
+      payload,
+      expiresAt
+    })));
+  } catch (error) {
+    console.error(`Error queueing webhook event ${event}:`, error);
+    return [];
+  }
+};
+
+// POST a delivery to its webhook once. Resolves to the attempt.
+const send = async (webhook, delivery, policy) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TaskManager-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(policy.timeoutMs)
+    });
+
+    attempt.responseStatus = response.status;
+    attempt.responseBody = (await response.text().catch(() => '')).slice(0, RESPONSE_BODY_LIMIT);
+    if (!response.ok) attempt.error = `Receiver answered with HTTP ${response.status}`;
+  } catch (error) {
+    attempt.error = error.name === 'TimeoutError'
+      ? `No response within ${policy.timeoutMs} ms`
+      : error.cause?.message || error.message;
+  }
+
+  attempt.durationMs = Date.now() - started;
+  return attempt;
+};
+
+// Send one claimed delivery and record the outcome
+const attemptDelivery = async (delivery, policy = getPolicy()) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  const attempt = webhook?.active
+    ? await send(webhook, delivery, policy)
+    : { at: new Date(), error: webhook ? 'The webhook is disabled' : 'The webhook was deleted' };
+
+  const attemptCount = delivery.attempts.length + 1;
+  let update;
+  if (!attempt.error) {
+    update = { status: 'succeeded', nextAttemptAt: null };
+  } else if (!webhook?.active || attemptCount >= policy.maxAttempts) {
+    update = { status: 'failed', nextAttemptAt: null };
+  } else {
+    update = { status: 'pending', nextAttemptAt: new Date(Date.now() + retryDelay(attemptCount, policy)) };
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    { $set: update, $push: { attempts: attempt } },
+    { new: true }
+  );
+};
+
+// Send the deliveries that are due. Each is claimed first, so several
+// servers (or overlapping runs) never send the same one twice. Resolves to
+// the number of deliveries attempted.
+const runWebhookDeliveries = async ({ limit = BATCH_SIZE } = {}) => {
+  const policy = getPolicy();
+  let attempted = 0;
+
+  while (attempted < limit) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!delivery) break;
+
+    await attemptDelivery(delivery, policy);
+    attempted += 1;
+  }
+
+  return attempted;
+};
+
+// Send `delivery`'s payload again as a new delivery
+const redeliver = (delivery) => WebhookDelivery.create({
+  webhook: delivery.webhook,
+  event: delivery.event,
+  payload: delivery.payload,
+  redeliveryOf: delivery._id,
+  expiresAt: new Date(Date.now() + retentionMs())
+});
+
+// Check for due deliveries now and then every WEBHOOK_INTERVAL_MS (default
+// five seconds). Returns the timer so callers can stop it.
+const startWebhookScheduler = (intervalMs = Number(process.env.WEBHOOK_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => (
+  startScheduler('webhook deliveries', () => runWebhookDeliveries(), intervalMs)
+);
+
+module.exports = {
+  sign,
+  retryDelay,
+  queueEvent,
+  runWebhookDeliveries,
+  redeliver,
+  startWebhookScheduler
+};
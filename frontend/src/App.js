@@ -6,16 +6,31 @@ import { store } from './store/store';
 import { useSelector, useDispatch } from 'react-redux';
 import { checkAuthStatus } from './store/slices/authSlice';
 import { initializeSocket } from './services/socketService';
+import { notificationReceived } from './store/slices/notificationSlice';
 
 // Import components
 import Layout from './components/Layout/Layout';
 import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
+import ForgotPassword from './components/Auth/ForgotPassword';
+import ResetPassword from './components/Auth/ResetPassword';
+import VerifyEmail from './components/Auth/VerifyEmail';
+import SsoCallback from './components/Auth/SsoCallback';
 import Dashboard from './components/Dashboard/Dashboard';
 import TaskList from './components/Tasks/TaskList';
 import TaskForm from './components/Tasks/TaskForm';
 import TaskDetail from './components/Tasks/TaskDetail';
+import TaskImport from './components/Tasks/TaskImport';
+import TaskBoard from './components/Tasks/TaskBoard';
+import TaskCalendar from './components/Tasks/TaskCalendar';
 import UserManagement from './components/Users/UserManagement';
+import LabelManagement from './components/Labels/LabelManagement';
+import WorkflowSettings from './components/Workflow/WorkflowSettings';
+import AdminSettings from './components/Settings/AdminSettings';
+import RoleManagement from './components/Roles/RoleManagement';
+import WebhookManagement from './components/Webhooks/WebhookManagement';
+import ProjectList from './components/Projects/ProjectList';
+import ProjectDetail from './components/Projects/ProjectDetail';
 import Profile from './components/Profile/Profile';
 import LoadingSpinner from './components/Common/LoadingSpinner';
 import PrivateRoute from './components/Auth/PrivateRoute';
@@ -31,9 +46,10 @@ function AppContent() {
 
   useEffect(() => {
     if (isAuthenticated && user) {
-      initializeSocket(user.id);
+      const socket = initializeSocket(user.id);
+      socket?.on('notification', (notification) => dispatch(notificationReceived(notification)));
     }
-  }, [isAuthenticated, user]);
+  }, [isAuthenticated, user, dispatch]);
 
   if (loading) {
     return (
@@ -54,12 +70,26 @@ function AppContent() {
               isAuthenticated ? <Navigate to="/dashboard" replace /> : <Login />
             }
           />
+          <Route
+            path="/login/sso"
+            element={
+              isAuthenticated ? <Navigate to="/dashboard" replace /> : <SsoCallback />
+            }
+          />
           <Route
             path="/register"
             element={
               isAuthenticated ? <Navigate to="/dashboard" replace /> : <Register />
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              isAuthenticated ? <Navigate to="/dashboard" replace /> : <ForgotPassword />
+            }
+          />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
 
           {/* Private routes */}
           <Route
@@ -74,19 +104,64 @@ function AppContent() {
             <Route path="dashboard" element={<Dashboard />} />
             <Route path="tasks" element={<TaskList />} />
             <Route path="tasks/new" element={<TaskForm />} />
+            <Route path="tasks/import" element={<TaskImport />} />
+            <Route path="tasks/board" element={<TaskBoard />} />
+            <Route path="tasks/calendar" element={<TaskCalendar />} />
             <Route path="tasks/:id" element={<TaskDetail />} />
             <Route path="tasks/:id/edit" element={<TaskForm />} />
+            <Route path="projects" element={<ProjectList />} />
+            <Route path="projects/:id" element={<ProjectDetail />} />
             <Route path="profile" element={<Profile />} />
             
-            {/* Admin only routes */}
+            {/* Admin routes, each behind a permission */}
             <Route
               path="users"
               element={
-                <AdminRoute>
+                <AdminRoute permission="user:view">
                   <UserManagement />
                 </AdminRoute>
               }
             />
+            <Route
+              path="labels"
+              element={
+                <AdminRoute permission="label:manage">
+                  <LabelManagement />
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="workflow"
+              element={
+                <AdminRoute permission="workflow:manage">
+                  <WorkflowSettings />
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="settings"
+              element={
+                <AdminRoute permission="settings:manage">
+                  <AdminSettings />
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="roles"
+              element={
+                <AdminRoute permission="role:manage">
+                  <RoleManagement />
+                </AdminRoute>
+              }
+            />
+            <Route
+              path="webhooks"
+              element={
+                <AdminRoute permission="webhook:manage">
+                  <WebhookManagement />
+                </AdminRoute>
+              }
+            />
           </Route>
 
           {/* Catch all route */}
@@ -1,14 +1,15 @@
 import { useSelector } from 'react-redux';
 import { Navigate } from 'react-router-dom';
 
-const AdminRoute = ({ children }) => {
+// Admin pages: only for users whose role grants `permission`
+const AdminRoute = ({ permission, children }) => {
   const { user, isAuthenticated } = useSelector((state) => state.auth);
 
   if (!isAuthenticated) {
     return <Navigate to="/login" replace />;
   }
 
-  if (user?.role !== 'admin') {
+  if (!user?.permissions?.includes(permission)) {
     return <Navigate to="/dashboard" replace />;
   }
 
@@ -0,0 +1,39 @@
+import React, { useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useDispatch } from 'react-redux';
+import { completeSsoLogin } from '../../store/slices/authSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+// Where the API sends the browser back after single sign-on, with a
+// single-use code to exchange for a session
+const SsoCallback = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const requested = useRef(false);
+  const code = searchParams.get('code');
+
+  useEffect(() => {
+    // The code is single use, so don't spend it twice under StrictMode
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!code) {
+      navigate('/login', { replace: true });
+      return;
+    }
+
+    dispatch(completeSsoLogin(code))
+      .unwrap()
+      .then(() => navigate('/dashboard', { replace: true }))
+      .catch(() => navigate('/login', { replace: true }));
+  }, [code, dispatch, navigate]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center">
+      <LoadingSpinner size="lg" />
+    </div>
+  );
+};
+
+export default SsoCallback;
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { useForm } from 'react-hook-form';
+import { toast } from 'react-hot-toast';
+import { ShieldCheck } from 'lucide-react';
+import { verifyTwoFactorLogin } from '../../store/slices/authSlice';
+
+// Second step of logging in to an account with two-factor authentication
+const TwoFactorChallenge = ({ challengeToken, onCancel }) => {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { loading } = useSelector((state) => state.auth);
+
+  const {
+    register,
+    handleSubmit,
+    reset,
+    formState: { errors },
+  } = useForm();
+
+  const onSubmit = async ({ code }) => {
+    try {
+      const result = await dispatch(verifyTwoFactorLogin({
+        challengeToken,
+        ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+      })).unwrap();
+
+      if (result.recoveryCodesRemaining !== undefined) {
+        toast(`${result.recoveryCodesRemaining} recovery codes left. Generate new ones from your profile if you are running low.`);
+      }
+      navigate('/dashboard');
+    } catch (message) {
+      // An expired challenge means starting over with the password
+      if (String(message).includes('expired')) {
+        onCancel();
+      }
+      reset();
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    reset();
+  };
+
+  return (
+    <form className="mt-8 space-y-6" onSubmit={handleSubmit(onSubmit)}>
+      <div>
+        <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+          {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+        </label>
+        <p className="mt-1 text-sm text-gray-500">
+          {useRecoveryCode
+            ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+            : 'Enter the 6-digit code from your authenticator app.'}
+        </p>
+        <input
+          {...register('code', {
+            required: 'Code is required',
+            ...(!useRecoveryCode && {
+              pattern: { value: /^\d{6}$/, message: 'Codes are 6 digits' },
+            }),
+          })}
+          id="code"
+          type="text"
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          className="mt-2 appearance-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-md focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm tracking-widest"
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+        />
+        {errors.code && (
+          <p className="mt-1 text-sm text-red-600">{errors.code.message}</p>
+        )}
+      </div>
+
+      <button
+        type="submit"
+        disabled={loading}
+        className="group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 disabled:opacity-50"
+      >
+        <span className="absolute left-0 inset-y-0 flex items-center pl-3">
+          <ShieldCheck
+            className="h-5 w-5 text-indigo-500 group-hover:text-indigo-400"
+            aria-hidden="true"
+          />
+        </span>
+        {loading ? 'Verifying...' : 'Verify'}
+      </button>
+
+      <div className="flex justify-between text-sm">
+        <button
+          type="button"
+          onClick={toggleRecoveryCode}
+          className="font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="font-medium text-gray-600 hover:text-gray-500"
+        >
+          Back to sign in
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default TwoFactorChallenge;
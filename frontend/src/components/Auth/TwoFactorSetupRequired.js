@@ -0,0 +1,35 @@
+import React from 'react';
+import { ShieldAlert, LogOut } from 'lucide-react';
+import TwoFactorSettings from '../Profile/TwoFactorSettings';
+
+// Shown instead of the app to admins who must set up two-factor
+// authentication before they can do anything else
+const TwoFactorSetupRequired = ({ onLogout }) => (
+  <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+    <div className="max-w-lg w-full bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-start">
+        <ShieldAlert className="mr-3 h-6 w-6 text-yellow-600 flex-shrink-0" />
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Set up two-factor authentication</h2>
+          <p className="mt-1 text-sm text-gray-500">
+            Two-factor authentication is required for admin accounts. Set it up to continue.
+          </p>
+        </div>
+      </div>
+      <div className="px-6 py-4">
+        <TwoFactorSettings />
+      </div>
+      <div className="px-6 py-3 border-t border-gray-200 text-right">
+        <button
+          onClick={onLogout}
+          className="inline-flex items-center text-sm font-medium text-gray-600 hover:text-gray-900"
+        >
+          <LogOut className="mr-2 h-4 w-4" />
+          Log out
+        </button>
+      </div>
+    </div>
+  </div>
+);
+
+export default TwoFactorSetupRequired;
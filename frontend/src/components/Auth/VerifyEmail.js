@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useDispatch, useSelector } from 'react-redux';
+import { CheckCircle, XCircle } from 'lucide-react';
+import authService from '../../services/authService';
+import { updateUserData } from '../../store/slices/authSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  const requested = useRef(false);
+  const dispatch = useDispatch();
+  const { isAuthenticated } = useSelector((state) => state.auth);
+  const token = searchParams.get('token');
+
+  useEffect(() => {
+    // Tokens are single use, so don't spend it twice under StrictMode
+    if (requested.current) return;
+    requested.current = true;
+
+    if (!token) {
+      setStatus('failed');
+      setMessage('This verification link is incomplete.');
+      return;
+    }
+
+    authService.verifyEmail(token)
+      .then((response) => {
+        setStatus('verified');
+        setMessage(response.message);
+        dispatch(updateUserData({ emailVerified: true }));
+      })
+      .catch((error) => {
+        setStatus('failed');
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+      });
+  }, [token, dispatch]);
+
+  if (status === 'verifying') {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full text-center">
+        {status === 'verified' ? (
+          <CheckCircle className="mx-auto h-12 w-12 text-green-500" />
+        ) : (
+          <XCircle className="mx-auto h-12 w-12 text-red-500" />
+        )}
+        <h2 className="mt-4 text-2xl font-extrabold text-gray-900">
+          {status === 'verified' ? 'Email verified' : 'Verification failed'}
+        </h2>
+        <p className="mt-2 text-sm text-gray-600">{message}</p>
+        {status === 'failed' && isAuthenticated && (
+          <p className="mt-2 text-sm text-gray-600">
+            You can request a new link from your profile.
+          </p>
+        )}
+        <Link
+          to={isAuthenticated ? '/profile' : '/login'}
+          className="mt-6 inline-block font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          {isAuthenticated ? 'Go to your profile' : 'Sign in'}
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -11,47 +11,91 @@ import {
 } from 'lucide-react';
 import { api } from '../../services/api';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import StatusBadge from '../Tasks/StatusBadge';
 import { format } from 'date-fns';
 
+// Windows the trend chart can cover, in days
+const TREND_WINDOWS = [7, 30, 90];
+
+const PRIORITY_BARS = [
+  { key: 'high', name: 'High', color: '#dc2626' },
+  { key: 'medium', name: 'Medium', color: '#ea580c' },
+  { key: 'low', name: 'Low', color: '#16a34a' },
+];
+
+const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// One labelled bar per row, scaled to the largest value
+const BarList = ({ rows }) => {
+  const max = Math.max(1, ...rows.map((row) => row.value));
+
+  return (
+    <ul className="space-y-3">
+      {rows.map((row) => (
+        <li key={row.key}>
+          <div className="flex justify-between text-sm">
+            <span className="truncate text-gray-700">{row.name}</span>
+            <span className="ml-2 font-medium text-gray-900">{row.value}</span>
+          </div>
+          <div className="mt-1 h-2 rounded-full bg-gray-100">
+            <div
+              className="h-2 rounded-full"
+              style={{ width: `${(row.value / max) * 100}%`, backgroundColor: row.color }}
+            />
+          </div>
+          {row.detail && <p className="mt-0.5 text-xs text-gray-500">{row.detail}</p>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Created and completed tasks side by side for each day
+const TrendChart = ({ points }) => {
+  const max = Math.max(1, ...points.map((point) => Math.max(point.created, point.completed)));
+  // Points are calendar dates; parse them as local dates so the labels don't shift
+  const label = (date) => format(new Date(`${date}T00:00:00`), 'MMM d');
+
+  return (
+    <div>
+      <div className="flex h-40 items-end gap-px">
+        {points.map((point) => (
+          <div
+            key={point.date}
+            className="flex h-full flex-1 items-end justify-center gap-px"
+            title={`${label(point.date)}: ${point.created} created, ${point.completed} completed`}
+          >
+            <div className="w-1/2 rounded-t bg-indigo-500" style={{ height: `${(point.created / max) * 100}%` }} />
+            <div className="w-1/2 rounded-t bg-green-500" style={{ height: `${(point.completed / max) * 100}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="mt-2 flex justify-between text-xs text-gray-500">
+        <span>{points.length > 0 && label(points[0].date)}</span>
+        <span>{points.length > 0 && label(points[points.length - 1].date)}</span>
+      </div>
+    </div>
+  );
+};
+
 const Dashboard = () => {
-  const [stats, setStats] = useState({
-    total: 0,
-    pending: 0,
-    in_progress: 0,
-    completed: 0,
-    overdue: 0,
-  });
+  const [stats, setStats] = useState(null);
   const [recentTasks, setRecentTasks] = useState([]);
+  const [days, setDays] = useState(30);
   const [loading, setLoading] = useState(true);
   const { user } = useSelector((state) => state.auth);
+  const { currentProjectId } = useSelector((state) => state.projects);
 
   useEffect(() => {
     const fetchDashboardData = async () => {
       try {
-        setLoading(true);
-        // Fetch tasks for statistics
-        const tasksResponse = await api.get('/tasks?limit=100');
-        const tasks = tasksResponse.data.data.tasks;
-
-        // Calculate statistics
-        const statsData = {
-          total: tasks.length,
-          pending: tasks.filter((task) => task.status === 'pending').length,
-          in_progress: tasks.filter((task) => task.status === 'in_progress').length,
-          completed: tasks.filter((task) => task.status === 'completed').length,
-          overdue: tasks.filter((task) => {
-            if (!task.dueDate || task.status === 'completed') return false;
-            return new Date(task.dueDate) < new Date();
-          }).length,
-        };
-
-        setStats(statsData);
-
-        // Get recent tasks (last 5)
-        const recentTasksData = tasks
-          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-          .slice(0, 5);
-        setRecentTasks(recentTasksData);
+        const project = currentProjectId ? { project: currentProjectId } : {};
+        const [statsResponse, tasksResponse] = await Promise.all([
+          api.get(`/tasks/stats?${new URLSearchParams({ days, timezone: timeZone, ...project })}`),
+          api.get(`/tasks?${new URLSearchParams({ limit: 5, sortBy: 'createdAt', sortOrder: 'desc', ...project })}`),
+        ]);
+        setStats(statsResponse.data.data);
+        setRecentTasks(tasksResponse.data.data.tasks);
       } catch (error) {
         console.error('Error fetching dashboard data:', error);
       } finally {
@@ -60,20 +104,7 @@ const Dashboard = () => {
     };
 
     fetchDashboardData();
-  }, []);
-
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
-        return 'text-green-600 bg-green-100';
-      case 'in_progress':
-        return 'text-blue-600 bg-blue-100';
-      case 'pending':
-        return 'text-yellow-600 bg-yellow-100';
-      default:
-        return 'text-gray-600 bg-gray-100';
-    }
-  };
+  }, [days, currentProjectId]);
 
   const getPriorityColor = (priority) => {
     switch (priority) {
@@ -92,6 +123,15 @@ const Dashboard = () => {
     return <LoadingSpinner size="lg" className="py-12" />;
   }
 
+  if (!stats) {
+    return null;
+  }
+
+  const trendTotals = stats.trend.points.reduce(
+    (sum, point) => ({ created: sum.created + point.created, completed: sum.completed + point.completed }),
+    { created: 0, completed: 0 }
+  );
+
   return (
     <div>
       {/* Welcome header */}
@@ -131,9 +171,9 @@ const Dashboard = () => {
               <div className="ml-5 w-0 flex-1">
                 <dl>
                   <dt className="text-sm font-medium text-gray-500 truncate">
-                    Pending
+                    To Do
                   </dt>
-                  <dd className="text-lg font-medium text-gray-900">{stats.pending}</dd>
+                  <dd className="text-lg font-medium text-gray-900">{stats.byCategory.todo}</dd>
                 </dl>
               </div>
             </div>
@@ -151,7 +191,7 @@ const Dashboard = () => {
                   <dt className="text-sm font-medium text-gray-500 truncate">
                     In Progress
                   </dt>
-                  <dd className="text-lg font-medium text-gray-900">{stats.in_progress}</dd>
+                  <dd className="text-lg font-medium text-gray-900">{stats.byCategory.in_progress}</dd>
                 </dl>
               </div>
             </div>
@@ -167,9 +207,9 @@ const Dashboard = () => {
               <div className="ml-5 w-0 flex-1">
                 <dl>
                   <dt className="text-sm font-medium text-gray-500 truncate">
-                    Completed
+                    Done
                   </dt>
-                  <dd className="text-lg font-medium text-gray-900">{stats.completed}</dd>
+                  <dd className="text-lg font-medium text-gray-900">{stats.byCategory.done}</dd>
                 </dl>
               </div>
             </div>
@@ -195,6 +235,70 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Charts */}
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-8">
+        <div className="bg-white shadow rounded-lg p-6 lg:col-span-2">
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">Created vs. Completed</h2>
+              <p className="text-sm text-gray-500">
+                {trendTotals.created} created, {trendTotals.completed} completed
+              </p>
+            </div>
+            <select
+              value={days}
+              onChange={(e) => setDays(Number(e.target.value))}
+              className="rounded-md border-gray-300 text-sm shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+            >
+              {TREND_WINDOWS.map((option) => (
+                <option key={option} value={option}>Last {option} days</option>
+              ))}
+            </select>
+          </div>
+          <TrendChart points={stats.trend.points} />
+          <div className="mt-3 flex space-x-4 text-xs text-gray-600">
+            <span className="flex items-center"><span className="mr-1 h-2.5 w-2.5 rounded-sm bg-indigo-500" />Created</span>
+            <span className="flex items-center"><span className="mr-1 h-2.5 w-2.5 rounded-sm bg-green-500" />Completed</span>
+          </div>
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">By Status</h2>
+          <BarList
+            rows={stats.byStatus.map((state) => ({
+              key: state.status,
+              name: state.name,
+              value: state.count,
+              color: state.color,
+            }))}
+          />
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">By Priority</h2>
+          <BarList
+            rows={PRIORITY_BARS.map((priority) => ({ ...priority, value: stats.byPriority[priority.key] }))}
+          />
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-6 lg:col-span-2">
+          <h2 className="text-lg font-medium text-gray-900 mb-4">By Assignee</h2>
+          {stats.byAssignee.length === 0 ? (
+            <p className="text-sm text-gray-500">No tasks yet.</p>
+          ) : (
+            <BarList
+              rows={stats.byAssignee.map((group) => ({
+                key: group.user?._id || 'unassigned',
+                name: group.user ? group.user.email || 'Unknown user' : 'Unassigned',
+                value: group.count,
+                color: '#4f46e5',
+                detail: `${group.open} open${group.overdue > 0 ? `, ${group.overdue} overdue` : ''}`,
+              }))}
+            />
+          )}
+        </div>
+      </div>
+
       {/* Quick actions */}
       <div className="mb-8">
         <div className="bg-white shadow rounded-lg p-6">
@@ -249,13 +353,7 @@ const Dashboard = () => {
                         {task.title}
                       </Link>
                       <div className="mt-1 flex items-center space-x-2">
-                        <span
-                          className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(
-                            task.status
-                          )}`}
-                        >
-                          {task.status.replace('_', ' ')}
-                        </span>
+                        <StatusBadge status={task.status} />
                         <span
                           className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getPriorityColor(
                             task.priority
@@ -0,0 +1,25 @@
+import React from 'react';
+
+// A label rendered as a chip in its own colour on a light tint of it
+const LabelChip = ({ label, selected = true, onClick }) => {
+  const style = selected
+    ? { backgroundColor: `${label.color}22`, color: label.color, borderColor: label.color }
+    : { color: '#6b7280', borderColor: '#d1d5db' };
+  const className = 'inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full border';
+
+  if (onClick) {
+    return (
+      <button type="button" onClick={onClick} className={className} style={style}>
+        {label.name}
+      </button>
+    );
+  }
+
+  return (
+    <span className={className} style={style}>
+      {label.name}
+    </span>
+  );
+};
+
+export default LabelChip;
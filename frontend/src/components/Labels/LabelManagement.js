@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { Tag, Edit, Trash2, Check, X } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import LabelChip from './LabelChip';
+
+const PRESET_COLORS = ['#dc2626', '#ea580c', '#ca8a04', '#16a34a', '#0891b2', '#2563eb', '#4f46e5', '#9333ea', '#db2777', '#6b7280'];
+
+const emptyForm = { name: '', color: PRESET_COLORS[6] };
+
+const LabelForm = ({ initial, submitLabel, onSubmit, onCancel }) => {
+  const [form, setForm] = useState(initial);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+    const saved = await onSubmit({ name: form.name.trim(), color: form.color });
+    if (saved && !onCancel) {
+      setForm(emptyForm);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-wrap items-center gap-3">
+      <input
+        type="text"
+        value={form.name}
+        onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+        placeholder="Label name"
+        maxLength={50}
+        className="block w-48 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+      />
+      <div className="flex items-center space-x-1">
+        {PRESET_COLORS.map(color => (
+          <button
+            key={color}
+            type="button"
+            onClick={() => setForm(prev => ({ ...prev, color }))}
+            className={`h-6 w-6 rounded-full border-2 ${form.color === color ? 'border-gray-900' : 'border-transparent'}`}
+            style={{ backgroundColor: color }}
+            title={color}
+          />
+        ))}
+        <input
+          type="color"
+          value={form.color}
+          onChange={(e) => setForm(prev => ({ ...prev, color: e.target.value }))}
+          className="h-6 w-8 cursor-pointer"
+          title="Custom colour"
+        />
+      </div>
+      <LabelChip label={{ name: form.name || 'Preview', color: form.color }} />
+      <div className="flex space-x-2">
+        <button
+          type="submit"
+          disabled={!form.name.trim()}
+          className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Check className="mr-1 h-4 w-4" />
+          {submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            <X className="mr-1 h-4 w-4" />
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const LabelManagement = () => {
+  const [labels, setLabels] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    fetchLabels();
+  }, []);
+
+  const fetchLabels = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/labels');
+      setLabels(response.data.data);
+    } catch (error) {
+      console.error('Error fetching labels:', error);
+      toast.error('Failed to fetch labels');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (data) => {
+    try {
+      await api.post('/labels', data);
+      toast.success('Label created successfully');
+      fetchLabels();
+      return true;
+    } catch (error) {
+      console.error('Error creating label:', error);
+      toast.error(error.response?.data?.message || 'Failed to create label');
+      return false;
+    }
+  };
+
+  const handleUpdate = async (labelId, data) => {
+    try {
+      await api.put(`/labels/${labelId}`, data);
+      toast.success('Label updated successfully');
+      setEditingId(null);
+      fetchLabels();
+      return true;
+    } catch (error) {
+      console.error('Error updating label:', error);
+      toast.error(error.response?.data?.message || 'Failed to update label');
+      return false;
+    }
+  };
+
+  const handleDelete = async (label) => {
+    if (!window.confirm(`Delete the label "${label.name}"? It will be removed from all tasks.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/labels/${label._id}`);
+      toast.success('Label deleted successfully');
+      setLabels(prev => prev.filter(item => item._id !== label._id));
+    } catch (error) {
+      console.error('Error deleting label:', error);
+      toast.error('Failed to delete label');
+    }
+  };
+
+  return (
+    <div>
+      <div className="sm:flex sm:items-center mb-6">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-bold text-gray-900">Labels</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Manage the label palette used to categorize tasks
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h3 className="text-sm font-medium text-gray-900 mb-3">New Label</h3>
+        <LabelForm initial={emptyForm} submitLabel="Create" onSubmit={handleCreate} />
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-8">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : labels.length === 0 ? (
+          <div className="px-6 py-12 text-center">
+            <Tag className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No labels yet</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Create a label above to start categorizing tasks.
+            </p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {labels.map(label => (
+              <li key={label._id} className="px-6 py-4">
+                {editingId === label._id ? (
+                  <LabelForm
+                    initial={{ name: label.name, color: label.color }}
+                    submitLabel="Save"
+                    onSubmit={(data) => handleUpdate(label._id, data)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center space-x-3">
+                      <LabelChip label={label} />
+                      <span className="text-xs text-gray-500">{label.color}</span>
+                    </div>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => setEditingId(label._id)}
+                        className="text-gray-400 hover:text-indigo-600"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(label)}
+                        className="text-gray-400 hover:text-red-600"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LabelManagement;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
 import { useSelector, useDispatch } from 'react-redux';
 import {
@@ -10,8 +10,19 @@ import {
   X,
   LogOut,
   Plus,
+  Tag,
+  Folder,
+  GitBranch,
+  Settings,
+  Shield,
+  Webhook,
 } from 'lucide-react';
-import { logout } from '../../store/slices/authSlice';
+import { logoutUser } from '../../store/slices/authSlice';
+import { fetchProjects } from '../../store/slices/projectSlice';
+import { fetchWorkflow } from '../../store/slices/workflowSlice';
+import ProjectSwitcher from '../Projects/ProjectSwitcher';
+import NotificationBell from '../Notifications/NotificationBell';
+import TwoFactorSetupRequired from '../Auth/TwoFactorSetupRequired';
 import { toast } from 'react-hot-toast';
 
 const Layout = () => {
@@ -20,21 +31,40 @@ const Layout = () => {
   const navigate = useNavigate();
   const dispatch = useDispatch();
   const { user } = useSelector((state) => state.auth);
+  const twoFactorSetupRequired = Boolean(user?.twoFactorSetupRequired);
+
+  useEffect(() => {
+    // Nothing but enrollment is available until two-factor authentication is set up
+    if (twoFactorSetupRequired) return;
+    dispatch(fetchProjects());
+    dispatch(fetchWorkflow());
+  }, [dispatch, twoFactorSetupRequired]);
 
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: Home },
     { name: 'Tasks', href: '/tasks', icon: CheckSquare },
-    ...(user?.role === 'admin'
-      ? [{ name: 'Users', href: '/users', icon: Users }]
-      : []),
+    { name: 'Projects', href: '/projects', icon: Folder },
+    // Admin pages, for whoever has the permission they need
+    ...[
+      { name: 'Users', href: '/users', icon: Users, permission: 'user:view' },
+      { name: 'Roles', href: '/roles', icon: Shield, permission: 'role:manage' },
+      { name: 'Labels', href: '/labels', icon: Tag, permission: 'label:manage' },
+      { name: 'Workflow', href: '/workflow', icon: GitBranch, permission: 'workflow:manage' },
+      { name: 'Webhooks', href: '/webhooks', icon: Webhook, permission: 'webhook:manage' },
+      { name: 'Settings', href: '/settings', icon: Settings, permission: 'settings:manage' },
+    ].filter(item => user?.permissions?.includes(item.permission)),
   ];
 
-  const handleLogout = () => {
-    dispatch(logout());
+  const handleLogout = async () => {
+    await dispatch(logoutUser());
     toast.success('Logged out successfully');
     navigate('/login');
   };
 
+  if (twoFactorSetupRequired) {
+    return <TwoFactorSetupRequired onLogout={handleLogout} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Mobile sidebar */}
@@ -67,6 +97,9 @@ const Layout = () => {
               );
             })}
           </nav>
+          <div className="mt-8 px-4">
+            <ProjectSwitcher onNavigate={() => setSidebarOpen(false)} />
+          </div>
         </div>
       </div>
 
@@ -96,6 +129,9 @@ const Layout = () => {
                 );
               })}
             </nav>
+            <div className="mt-8">
+              <ProjectSwitcher />
+            </div>
             {location.pathname === '/tasks' && (
               <div className="mt-8">
                 <Link
@@ -132,6 +168,7 @@ const Layout = () => {
                   {user?.role}
                 </span>
               </div>
+              <NotificationBell />
               <Link
                 to="/profile"
                 className="p-2 text-gray-500 hover:bg-gray-100 rounded-md"
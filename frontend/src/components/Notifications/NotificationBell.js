@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useSelector, useDispatch } from 'react-redux';
+import { Bell, CheckCheck } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../../store/slices/notificationSlice';
+
+// Where clicking a notification takes you
+const getNotificationLink = (notification) => {
+  if (notification.task) return `/tasks/${notification.task._id || notification.task}`;
+  if (notification.data?.projectId) return `/projects/${notification.data.projectId}`;
+  return null;
+};
+
+const NotificationBell = () => {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { notifications, unreadCount, loading } = useSelector((state) => state.notifications);
+
+  useEffect(() => {
+    dispatch(fetchNotifications());
+  }, [dispatch]);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+
+    const handleClick = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const handleToggle = () => {
+    if (!open) {
+      dispatch(fetchNotifications());
+    }
+    setOpen(!open);
+  };
+
+  const handleSelect = (notification) => {
+    if (!notification.readAt) {
+      dispatch(markNotificationRead({ id: notification._id }));
+    }
+
+    const link = getNotificationLink(notification);
+    if (link) {
+      setOpen(false);
+      navigate(link);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        onClick={handleToggle}
+        className="relative p-2 text-gray-500 hover:bg-gray-100 rounded-md"
+        title="Notifications"
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 flex items-center justify-center text-xs font-semibold text-white bg-red-600 rounded-full">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg ring-1 ring-black ring-opacity-5 z-20">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-medium text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={() => dispatch(markAllNotificationsRead())}
+                className="flex items-center text-xs text-indigo-600 hover:text-indigo-800"
+              >
+                <CheckCheck className="mr-1 h-4 w-4" />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+            {notifications.length === 0 ? (
+              <li className="px-4 py-6 text-center text-sm text-gray-500">
+                {loading ? 'Loading...' : 'No notifications yet'}
+              </li>
+            ) : (
+              notifications.map(notification => (
+                <li key={notification._id}>
+                  <button
+                    onClick={() => handleSelect(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 flex items-start ${
+                      notification.readAt ? '' : 'bg-indigo-50'
+                    }`}
+                  >
+                    <span
+                      className={`mt-1.5 mr-2 h-2 w-2 flex-shrink-0 rounded-full ${
+                        notification.readAt ? 'bg-transparent' : 'bg-indigo-600'
+                      }`}
+                    />
+                    <span className="min-w-0">
+                      <span className="block text-sm text-gray-900">{notification.message}</span>
+                      <span className="block mt-0.5 text-xs text-gray-500">
+                        {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true })}
+                      </span>
+                    </span>
+                  </button>
+                </li>
+              ))
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Copy, X, KeyRound } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const emptyForm = { name: '', scopes: [], expiresInDays: 30 };
+
+const ApiTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [creating, setCreating] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  // The plain token is only known right after creating it
+  const [newToken, setNewToken] = useState(null);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await api.get('/tokens');
+      setTokens(response.data.data);
+    } catch (error) {
+      console.error('Error fetching API tokens:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTokens();
+    api.get('/tokens/scopes')
+      .then(response => setScopes(response.data.data))
+      .catch(error => console.error('Error fetching token scopes:', error));
+  }, []);
+
+  const toggleScope = (name) => {
+    setForm(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(name)
+        ? prev.scopes.filter(scope => scope !== name)
+        : [...prev.scopes, name],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (form.scopes.length === 0) {
+      toast.error('Choose at least one scope');
+      return;
+    }
+
+    setCreating(true);
+    try {
+      const response = await api.post('/tokens', form);
+      setNewToken(response.data.data.token);
+      setForm(emptyForm);
+      setShowForm(false);
+      fetchTokens();
+    } catch (error) {
+      console.error('Error creating API token:', error);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke the token "${token.name}"? Scripts using it will stop working.`)) return;
+
+    try {
+      await api.delete(`/tokens/${token._id}`);
+      toast.success('Token revoked');
+      fetchTokens();
+    } catch (error) {
+      console.error('Error revoking API token:', error);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      toast.success('Token copied');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">
+        Tokens let scripts and CI jobs use the API as you. Send one as{' '}
+        <code className="text-xs">Authorization: Bearer &lt;token&gt;</code>; it can only do what its scopes allow.
+      </p>
+
+      {newToken && (
+        <div className="rounded-md border border-yellow-200 bg-yellow-50 p-4">
+          <p className="text-sm font-medium text-yellow-800">
+            Copy your new token now. It will not be shown again.
+          </p>
+          <div className="mt-2 flex items-center space-x-2">
+            <code className="flex-1 min-w-0 truncate rounded bg-white px-2 py-1 text-sm font-mono text-gray-900 border border-yellow-200">
+              {newToken}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="p-1 text-gray-500 hover:text-gray-700"
+              title="Copy token"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => setNewToken(null)}
+              className="p-1 text-gray-500 hover:text-gray-700"
+              title="Done"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForm ? (
+        <form onSubmit={handleCreate} className="space-y-3 rounded-md border border-gray-200 p-4">
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label htmlFor="token-name" className="block text-xs font-medium text-gray-700">Name</label>
+              <input
+                id="token-name"
+                type="text"
+                required
+                maxLength={100}
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="CI nightly import"
+                className="mt-1 block w-64 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+              />
+            </div>
+            <div>
+              <label htmlFor="token-expiry" className="block text-xs font-medium text-gray-700">Expires after</label>
+              <select
+                id="token-expiry"
+                value={form.expiresInDays}
+                onChange={(e) => setForm(prev => ({ ...prev, expiresInDays: Number(e.target.value) }))}
+                className="mt-1 block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+              >
+                <option value={7}>7 days</option>
+                <option value={30}>30 days</option>
+                <option value={90}>90 days</option>
+                <option value={365}>1 year</option>
+              </select>
+            </div>
+          </div>
+
+          <fieldset>
+            <legend className="text-xs font-medium text-gray-700">Scopes</legend>
+            <div className="mt-2 grid grid-cols-1 gap-2 sm:grid-cols-2">
+              {scopes.map(scope => (
+                <label key={scope.name} className="flex items-start">
+                  <input
+                    type="checkbox"
+                    checked={form.scopes.includes(scope.name)}
+                    onChange={() => toggleScope(scope.name)}
+                    className="mt-0.5 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                  />
+                  <span className="ml-2">
+                    <span className="block text-sm font-mono text-gray-900">{scope.name}</span>
+                    <span className="block text-xs text-gray-500">{scope.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </fieldset>
+
+          <div className="flex space-x-2">
+            <button
+              type="submit"
+              disabled={creating}
+              className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              {creating ? 'Creating...' : 'Create token'}
+            </button>
+            <button
+              type="button"
+              onClick={() => {
+                setShowForm(false);
+                setForm(emptyForm);
+              }}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setShowForm(true)}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          <Plus className="mr-2 h-4 w-4" />
+          New token
+        </button>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner />
+        </div>
+      ) : tokens.length === 0 ? (
+        <p className="text-sm text-gray-500">You have no API tokens</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 rounded-md border border-gray-200">
+          {tokens.map(token => (
+            <li key={token._id} className="px-4 py-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <p className="flex items-center text-sm font-medium text-gray-900 truncate">
+                  <KeyRound className="mr-2 h-4 w-4 flex-shrink-0 text-gray-400" />
+                  {token.name}
+                  <code className="ml-2 text-xs font-normal text-gray-500">{token.prefix}…</code>
+                </p>
+                <p className="mt-0.5 text-xs font-mono text-gray-500 truncate">{token.scopes.join(' ')}</p>
+                <p className="text-xs text-gray-500">
+                  {token.status === 'expired'
+                    ? `Expired ${formatDistanceToNow(new Date(token.expiresAt), { addSuffix: true })}`
+                    : `Expires ${formatDistanceToNow(new Date(token.expiresAt), { addSuffix: true })}`}
+                  {' · '}
+                  {token.lastUsedAt
+                    ? `last used ${formatDistanceToNow(new Date(token.lastUsedAt), { addSuffix: true })}`
+                    : 'never used'}
+                </p>
+              </div>
+              <button
+                onClick={() => handleRevoke(token)}
+                className="ml-4 p-1 text-gray-400 hover:text-red-600"
+                title="Revoke token"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ApiTokens;
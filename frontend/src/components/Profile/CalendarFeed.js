@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { Copy, X, CalendarDays } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const CalendarFeed = () => {
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [working, setWorking] = useState(false);
+  // The feed URL is only known right after creating it
+  const [newUrl, setNewUrl] = useState(null);
+
+  const fetchFeed = async () => {
+    try {
+      const response = await api.get('/calendar/feed');
+      setFeed(response.data.data);
+    } catch (error) {
+      console.error('Error fetching calendar feed:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchFeed();
+  }, []);
+
+  const handleCreate = async () => {
+    if (feed?.enabled && !window.confirm('Create a new URL? Calendars subscribed to the current one will stop updating.')) return;
+
+    setWorking(true);
+    try {
+      const response = await api.post('/calendar/feed');
+      setNewUrl(response.data.data.url);
+      fetchFeed();
+    } catch (error) {
+      console.error('Error creating calendar feed:', error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async () => {
+    if (!window.confirm('Turn off the calendar feed? Subscribed calendars will stop updating.')) return;
+
+    setWorking(true);
+    try {
+      await api.delete('/calendar/feed');
+      toast.success('Calendar feed turned off');
+      setNewUrl(null);
+      fetchFeed();
+    } catch (error) {
+      console.error('Error turning off calendar feed:', error);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newUrl);
+      toast.success('URL copied');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-500">
+        Subscribe to this URL in Google Calendar, Outlook or Apple Calendar to see the due dates of your open tasks.
+        Anyone with the URL can see those tasks, so keep it private.
+      </p>
+
+      {newUrl && (
+        <div className="rounded-md border border-yellow-200 bg-yellow-50 p-4">
+          <p className="text-sm font-medium text-yellow-800">
+            Copy the feed URL now. It will not be shown again.
+          </p>
+          <div className="mt-2 flex items-center space-x-2">
+            <code className="flex-1 min-w-0 truncate rounded bg-white px-2 py-1 text-sm font-mono text-gray-900 border border-yellow-200">
+              {newUrl}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="p-1 text-gray-500 hover:text-gray-700"
+              title="Copy URL"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => setNewUrl(null)}
+              className="p-1 text-gray-500 hover:text-gray-700"
+              title="Done"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {feed?.enabled && (
+        <p className="flex items-center text-sm text-gray-700">
+          <CalendarDays className="mr-2 h-4 w-4 text-gray-400" />
+          Feed created {formatDistanceToNow(new Date(feed.createdAt), { addSuffix: true })}
+          {' · '}
+          {feed.lastUsedAt
+            ? `last fetched ${formatDistanceToNow(new Date(feed.lastUsedAt), { addSuffix: true })}`
+            : 'not fetched yet'}
+        </p>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={handleCreate}
+          disabled={working}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          {feed?.enabled ? 'Get a new URL' : 'Create feed URL'}
+        </button>
+        {feed?.enabled && (
+          <button
+            onClick={handleDisable}
+            disabled={working}
+            className="px-3 py-2 text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+          >
+            Turn off
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeed;
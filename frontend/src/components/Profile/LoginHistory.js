@@ -0,0 +1,136 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { CheckCircle, XCircle, Lock } from 'lucide-react';
+import authService from '../../services/authService';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const RESULT_LABELS = {
+  success: 'Signed in',
+  wrong_password: 'Wrong password',
+  wrong_code: 'Wrong verification code',
+  locked: 'Blocked while locked',
+};
+
+const METHOD_LABELS = {
+  password: 'password',
+  totp: 'authenticator app',
+  recovery_code: 'recovery code',
+  sso: 'single sign-on',
+};
+
+// A short "Browser on OS" description of a user agent string
+const describeDevice = (userAgent) => {
+  if (!userAgent) return 'Unknown device';
+
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'],
+  ].find(([token]) => userAgent.includes(token));
+  const os = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iOS'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux'],
+  ].find(([token]) => userAgent.includes(token));
+
+  if (!browser && !os) return userAgent;
+  return [browser?.[1] || 'Unknown browser', os && `on ${os[1]}`].filter(Boolean).join(' ');
+};
+
+const LoginHistory = () => {
+  const [events, setEvents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchHistory = async (page = 1) => {
+    setLoading(true);
+    try {
+      const response = await authService.getLoginHistory({ page, limit: 10 });
+      setEvents(response.data.events);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching login history:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchHistory();
+  }, []);
+
+  if (loading && !pagination) {
+    return (
+      <div className="py-6 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (events.length === 0) {
+    return <p className="text-sm text-gray-500">No sign-in activity yet</p>;
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-gray-500 mb-3">
+        If you see a sign-in you don't recognize, change your password.
+      </p>
+      <ul className="divide-y divide-gray-200">
+        {events.map(event => (
+          <li key={event._id} className="py-3 flex items-start">
+            {event.success ? (
+              <CheckCircle className="mr-3 mt-0.5 h-4 w-4 flex-shrink-0 text-green-600" />
+            ) : event.result === 'locked' ? (
+              <Lock className="mr-3 mt-0.5 h-4 w-4 flex-shrink-0 text-yellow-600" />
+            ) : (
+              <XCircle className="mr-3 mt-0.5 h-4 w-4 flex-shrink-0 text-red-600" />
+            )}
+            <div className="min-w-0">
+              <p className="text-sm text-gray-900">
+                {RESULT_LABELS[event.result] || event.result}
+                {event.success && event.method && (
+                  <span className="text-gray-500"> with {METHOD_LABELS[event.method] || event.method}</span>
+                )}
+              </p>
+              <p className="text-xs text-gray-500 truncate" title={event.userAgent || undefined}>
+                {format(new Date(event.createdAt), 'MMM d, yyyy h:mm a')}
+                {' · '}{event.ip || 'Unknown IP'}
+                {' · '}{describeDevice(event.userAgent)}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="mt-3 flex items-center justify-between">
+          <button
+            onClick={() => fetchHistory(pagination.currentPage - 1)}
+            disabled={loading || !pagination.hasPrevPage}
+            className="px-3 py-1 text-sm font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            Newer
+          </button>
+          <span className="text-xs text-gray-500">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => fetchHistory(pagination.currentPage + 1)}
+            disabled={loading || !pagination.hasNextPage}
+            className="px-3 py-1 text-sm font-medium text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LoginHistory;
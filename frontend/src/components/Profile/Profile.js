@@ -1,7 +1,32 @@
-import React from 'react';
-import { User } from 'lucide-react';
+import React, { useState } from 'react';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { CheckCircle, AlertTriangle, Mail } from 'lucide-react';
+import authService from '../../services/authService';
+import TwoFactorSettings from './TwoFactorSettings';
+import LoginHistory from './LoginHistory';
+import ApiTokens from './ApiTokens';
+import CalendarFeed from './CalendarFeed';
 
 const Profile = () => {
+  const { user } = useSelector((state) => state.auth);
+  const [sending, setSending] = useState(false);
+
+  const handleResendVerification = async () => {
+    setSending(true);
+    try {
+      const response = await authService.resendVerification();
+      toast.success(response.message || 'Verification email sent');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!user) return null;
+
   return (
     <div>
       <div className="mb-6">
@@ -12,14 +37,85 @@ const Profile = () => {
       </div>
 
       <div className="bg-white shadow rounded-lg">
-        <div className="px-6 py-12 text-center">
-          <User className="mx-auto h-12 w-12 text-gray-400" />
-          <h3 className="mt-2 text-sm font-medium text-gray-900">
-            Profile Management
-          </h3>
-          <p className="mt-1 text-sm text-gray-500">
-            Profile management functionality will be implemented here.
-          </p>
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Account</h2>
+        </div>
+        <dl className="px-6 py-4 space-y-4">
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Email</dt>
+            <dd className="mt-1 flex flex-wrap items-center gap-3 text-sm text-gray-900">
+              {user.email}
+              {user.emailVerified ? (
+                <span className="inline-flex items-center text-xs font-medium text-green-700">
+                  <CheckCircle className="mr-1 h-4 w-4" />
+                  Verified
+                </span>
+              ) : (
+                <>
+                  <span className="inline-flex items-center text-xs font-medium text-yellow-700">
+                    <AlertTriangle className="mr-1 h-4 w-4" />
+                    Not verified
+                  </span>
+                  <button
+                    onClick={handleResendVerification}
+                    disabled={sending}
+                    className="inline-flex items-center text-xs font-medium text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+                  >
+                    <Mail className="mr-1 h-4 w-4" />
+                    {sending ? 'Sending...' : 'Resend verification email'}
+                  </button>
+                </>
+              )}
+            </dd>
+          </div>
+          <div>
+            <dt className="text-sm font-medium text-gray-500">Role</dt>
+            <dd className="mt-1 text-sm text-gray-900 capitalize">{user.role}</dd>
+          </div>
+          {user.createdAt && (
+            <div>
+              <dt className="text-sm font-medium text-gray-500">Member since</dt>
+              <dd className="mt-1 text-sm text-gray-900">
+                {format(new Date(user.createdAt), 'MMM d, yyyy')}
+              </dd>
+            </div>
+          )}
+        </dl>
+      </div>
+
+      <div className="mt-6 bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Security</h2>
+        </div>
+        <div className="px-6 py-4">
+          <TwoFactorSettings />
+        </div>
+      </div>
+
+      <div className="mt-6 bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Recent sign-in activity</h2>
+        </div>
+        <div className="px-6 py-4">
+          <LoginHistory />
+        </div>
+      </div>
+
+      <div className="mt-6 bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">API tokens</h2>
+        </div>
+        <div className="px-6 py-4">
+          <ApiTokens />
+        </div>
+      </div>
+
+      <div className="mt-6 bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Calendar feed</h2>
+        </div>
+        <div className="px-6 py-4">
+          <CalendarFeed />
         </div>
       </div>
     </div>
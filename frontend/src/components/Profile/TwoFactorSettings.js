@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import { ShieldCheck, ShieldOff, Copy, RefreshCw } from 'lucide-react';
+import authService from '../../services/authService';
+import { updateUserData } from '../../store/slices/authSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const inputClass = 'block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm';
+
+// Recovery codes are only ever shown right after they are generated
+const RecoveryCodes = ({ codes, onDone }) => {
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-700">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you
+        lose access to your authenticator app. They will not be shown again.
+      </p>
+      <ul className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-md font-mono text-sm text-gray-900">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="flex space-x-3">
+        <button
+          type="button"
+          onClick={handleCopy}
+          className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+        >
+          <Copy className="mr-2 h-4 w-4" />
+          Copy
+        </button>
+        <button
+          type="button"
+          onClick={onDone}
+          className="px-3 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700"
+        >
+          I have saved my recovery codes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const dispatch = useDispatch();
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [action, setAction] = useState(null); // 'disable' | 'regenerate'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Error loading two-factor status:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const resetForm = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+  };
+
+  // Run a request with the submitting flag set; errors are toasted by the API client
+  const submit = async (request) => {
+    setSubmitting(true);
+    try {
+      await request();
+    } catch (error) {
+      console.error('Two-factor request failed:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleStartSetup = () => submit(async () => {
+    const response = await authService.setupTwoFactor();
+    setEnrollment(response.data);
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await authService.enableTwoFactor(code);
+      setEnrollment(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setCode('');
+      toast.success('Two-factor authentication enabled');
+    });
+  };
+
+  const handleRecoveryCodesSaved = async () => {
+    setRecoveryCodes(null);
+    await loadStatus();
+    dispatch(updateUserData({
+      twoFactor: { enabled: true, enabledAt: new Date().toISOString() },
+      twoFactorSetupRequired: false,
+    }));
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      // Anything that isn't a 6-digit code is taken as a recovery code
+      await authService.disableTwoFactor({
+        password,
+        ...(/^\d{6}$/.test(code) ? { code } : { recoveryCode: code }),
+      });
+      resetForm();
+      await loadStatus();
+      dispatch(updateUserData({ twoFactor: { enabled: false } }));
+      toast.success('Two-factor authentication disabled');
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    submit(async () => {
+      const response = await authService.regenerateRecoveryCodes(code);
+      resetForm();
+      setRecoveryCodes(response.data.recoveryCodes);
+    });
+  };
+
+  if (!status) {
+    return (
+      <div className="py-6 flex justify-center">
+        <LoadingSpinner />
+      </div>
+    );
+  }
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={handleRecoveryCodesSaved} />;
+  }
+
+  if (enrollment) {
+    return (
+      <form onSubmit={handleEnable} className="space-y-4">
+        <p className="text-sm text-gray-700">
+          Scan this QR code with an authenticator app such as Google Authenticator, 1Password
+          or Authy, then enter the 6-digit code it shows.
+        </p>
+        <img src={enrollment.qrCode} alt="Two-factor authentication QR code" className="h-48 w-48" />
+        <p className="text-xs text-gray-500">
+          Can't scan it? Enter this key instead:{' '}
+          <span className="font-mono text-gray-900 break-all">{enrollment.secret}</span>
+        </p>
+        <div className="flex items-center space-x-3">
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value.trim())}
+            placeholder="123456"
+            className={`${inputClass} max-w-[10rem] tracking-widest`}
+            required
+          />
+          <button
+            type="submit"
+            disabled={submitting || !/^\d{6}$/.test(code)}
+            className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+          >
+            Enable
+          </button>
+          <button
+            type="button"
+            onClick={() => { setEnrollment(null); setCode(''); }}
+            className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+          >
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="flex items-start justify-between">
+        <div className="flex items-start">
+          <ShieldOff className="mr-3 h-5 w-5 text-gray-400" />
+          <div>
+            <p className="text-sm font-medium text-gray-900">Two-factor authentication is off</p>
+            <p className="text-sm text-gray-500">
+              Protect your account with a code from an authenticator app when you sign in.
+            </p>
+          </div>
+        </div>
+        <button
+          onClick={handleStartSetup}
+          disabled={submitting}
+          className="ml-4 px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Set up
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-start">
+        <ShieldCheck className="mr-3 h-5 w-5 text-green-600" />
+        <div>
+          <p className="text-sm font-medium text-gray-900">Two-factor authentication is on</p>
+          <p className="text-sm text-gray-500">
+            {status.enabledAt && `Enabled ${format(new Date(status.enabledAt), 'MMM d, yyyy')}. `}
+            {status.recoveryCodesRemaining} recovery codes left.
+          </p>
+        </div>
+      </div>
+
+      {action ? (
+        <form onSubmit={action === 'disable' ? handleDisable : handleRegenerate} className="space-y-3 max-w-sm">
+          {action === 'disable' && (
+            <input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Current password"
+              className={inputClass}
+              required
+            />
+          )}
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value.trim())}
+            placeholder={action === 'disable' ? 'Authentication or recovery code' : 'Authentication code'}
+            className={inputClass}
+            required
+          />
+          <div className="flex space-x-3">
+            <button
+              type="submit"
+              disabled={submitting}
+              className={`px-4 py-2 text-sm font-medium text-white rounded-md disabled:opacity-50 ${
+                action === 'disable' ? 'bg-red-600 hover:bg-red-700' : 'bg-indigo-600 hover:bg-indigo-700'
+              }`}
+            >
+              {action === 'disable' ? 'Turn off' : 'Generate new codes'}
+            </button>
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 text-sm font-medium text-gray-700 hover:text-gray-900"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="flex space-x-3">
+          <button
+            onClick={() => setAction('regenerate')}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <RefreshCw className="mr-2 h-4 w-4" />
+            New recovery codes
+          </button>
+          {!status.required && (
+            <button
+              onClick={() => setAction('disable')}
+              className="px-3 py-2 border border-red-300 text-sm font-medium rounded-md text-red-700 bg-white hover:bg-red-50"
+            >
+              Turn off
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { useSelector, useDispatch } from 'react-redux';
+import { ArrowLeft, Edit, Trash2, UserPlus, LogOut, X, Check } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import { fetchProjects, setCurrentProject } from '../../store/slices/projectSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const PROJECT_ROLES = ['owner', 'manager', 'member', 'viewer'];
+
+const ProjectDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const dispatch = useDispatch();
+  const { user } = useSelector((state) => state.auth);
+  const [project, setProject] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ name: '', description: '' });
+  const [newMember, setNewMember] = useState({ email: '', role: 'member' });
+
+  useEffect(() => {
+    fetchProject();
+  }, [id]);
+
+  const fetchProject = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/projects/${id}`);
+      setProject(response.data.data);
+    } catch (error) {
+      console.error('Error fetching project:', error);
+      toast.error('Failed to fetch project');
+      navigate('/projects');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Every member endpoint returns the updated project
+  const applyUpdate = (response) => {
+    setProject(response.data.data);
+    dispatch(fetchProjects());
+  };
+
+  const myRole = project?.members.find(member => member.user?._id === user?._id)?.role;
+  // project:manage:any makes you an owner of every project
+  const managesAnyProject = user?.permissions?.includes('project:manage:any');
+  const isOwner = managesAnyProject || myRole === 'owner';
+  const canManage = isOwner || myRole === 'manager';
+
+  const startEditing = () => {
+    setForm({ name: project.name, description: project.description || '' });
+    setEditing(true);
+  };
+
+  const handleUpdate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+
+    try {
+      const response = await api.put(`/projects/${id}`, {
+        name: form.name.trim(),
+        description: form.description.trim()
+      });
+      applyUpdate(response);
+      setEditing(false);
+      toast.success('Project updated successfully');
+    } catch (error) {
+      console.error('Error updating project:', error);
+      toast.error(error.response?.data?.message || 'Failed to update project');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the project "${project.name}"? Its tasks will become personal tasks.`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/projects/${id}`);
+      toast.success('Project deleted successfully');
+      dispatch(fetchProjects());
+      navigate('/projects');
+    } catch (error) {
+      console.error('Error deleting project:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete project');
+    }
+  };
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    if (!newMember.email.trim()) return;
+
+    try {
+      const response = await api.post(`/projects/${id}/members`, {
+        email: newMember.email.trim(),
+        role: newMember.role
+      });
+      applyUpdate(response);
+      setNewMember({ email: '', role: 'member' });
+      toast.success('Member added successfully');
+    } catch (error) {
+      console.error('Error adding member:', error);
+      toast.error(error.response?.data?.message || 'Failed to add member');
+    }
+  };
+
+  const handleRoleChange = async (memberId, role) => {
+    try {
+      const response = await api.put(`/projects/${id}/members/${memberId}`, { role });
+      applyUpdate(response);
+      toast.success('Member role updated successfully');
+    } catch (error) {
+      console.error('Error updating member role:', error);
+      toast.error(error.response?.data?.message || 'Failed to update member role');
+    }
+  };
+
+  const handleRemoveMember = async (member) => {
+    const leaving = member.user._id === user?._id;
+    const prompt = leaving
+      ? `Leave the project "${project.name}"?`
+      : `Remove ${member.user.email} from the project?`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/projects/${id}/members/${member.user._id}`);
+      if (leaving) {
+        toast.success('You left the project');
+        dispatch(setCurrentProject(''));
+        dispatch(fetchProjects());
+        navigate('/projects');
+        return;
+      }
+      toast.success('Member removed successfully');
+      setProject(prev => ({
+        ...prev,
+        members: prev.members.filter(item => item.user._id !== member.user._id)
+      }));
+      dispatch(fetchProjects());
+    } catch (error) {
+      console.error('Error removing member:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove member');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!project) {
+    return null;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <Link to="/projects" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeft className="mr-1 h-4 w-4" />
+          Back to projects
+        </Link>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => {
+              dispatch(setCurrentProject(project._id));
+              navigate('/tasks');
+            }}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+          >
+            View Tasks
+          </button>
+          {isOwner && (
+            <button
+              onClick={handleDelete}
+              className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-red-600 hover:bg-red-700"
+            >
+              <Trash2 className="mr-1 h-4 w-4" />
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6">
+        {editing ? (
+          <form onSubmit={handleUpdate} className="space-y-3">
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              maxLength={100}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            />
+            <textarea
+              value={form.description}
+              onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+              rows={3}
+              maxLength={1000}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            />
+            <div className="flex space-x-2">
+              <button
+                type="submit"
+                disabled={!form.name.trim()}
+                className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                <Check className="mr-1 h-4 w-4" />
+                Save
+              </button>
+              <button
+                type="button"
+                onClick={() => setEditing(false)}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                <X className="mr-1 h-4 w-4" />
+                Cancel
+              </button>
+            </div>
+          </form>
+        ) : (
+          <div className="flex items-start justify-between">
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">{project.name}</h1>
+              <p className="mt-2 text-sm text-gray-700 whitespace-pre-wrap">
+                {project.description || 'No description'}
+              </p>
+            </div>
+            {canManage && (
+              <button onClick={startEditing} className="text-gray-400 hover:text-indigo-600">
+                <Edit className="h-5 w-5" />
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">
+            Members ({project.members.length})
+          </h3>
+        </div>
+
+        {canManage && (
+          <form onSubmit={handleAddMember} className="px-6 py-4 border-b border-gray-200 flex flex-wrap items-center gap-3">
+            <input
+              type="email"
+              value={newMember.email}
+              onChange={(e) => setNewMember(prev => ({ ...prev, email: e.target.value }))}
+              placeholder="user@example.com"
+              className="block w-64 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            />
+            <select
+              value={newMember.role}
+              onChange={(e) => setNewMember(prev => ({ ...prev, role: e.target.value }))}
+              className="block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm capitalize"
+            >
+              {PROJECT_ROLES.filter(role => isOwner || role !== 'owner').map(role => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+            <button
+              type="submit"
+              disabled={!newMember.email.trim()}
+              className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+            >
+              <UserPlus className="mr-1 h-4 w-4" />
+              Add Member
+            </button>
+          </form>
+        )}
+
+        <ul className="divide-y divide-gray-200">
+          {project.members.map(member => {
+            const isSelf = member.user?._id === user?._id;
+            // Only owners may grant or take away ownership
+            const canEditRole = canManage && (isOwner || member.role !== 'owner');
+
+            return (
+              <li key={member.user?._id} className="px-6 py-4 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">
+                    {member.user?.email || 'Deleted user'}
+                    {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    Added {new Date(member.addedAt).toLocaleDateString()}
+                  </p>
+                </div>
+                <div className="flex items-center space-x-3">
+                  {canEditRole ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleRoleChange(member.user._id, e.target.value)}
+                      className="block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm capitalize"
+                    >
+                      {PROJECT_ROLES.filter(role => isOwner || role !== 'owner').map(role => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800 capitalize">
+                      {member.role}
+                    </span>
+                  )}
+                  {isSelf ? (
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Leave project"
+                    >
+                      <LogOut className="h-4 w-4" />
+                    </button>
+                  ) : canEditRole && (
+                    <button
+                      onClick={() => handleRemoveMember(member)}
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove member"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectDetail;
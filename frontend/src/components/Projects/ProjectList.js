@@ -0,0 +1,135 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector, useDispatch } from 'react-redux';
+import { Folder, Plus, Users, CheckSquare } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import { fetchProjects } from '../../store/slices/projectSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const emptyForm = { name: '', description: '' };
+
+const ProjectList = () => {
+  const dispatch = useDispatch();
+  const { projects, loading } = useSelector((state) => state.projects);
+  const [form, setForm] = useState(emptyForm);
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchProjects());
+  }, [dispatch]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) return;
+
+    try {
+      setCreating(true);
+      await api.post('/projects', {
+        name: form.name.trim(),
+        description: form.description.trim()
+      });
+      toast.success('Project created successfully');
+      setForm(emptyForm);
+      dispatch(fetchProjects());
+    } catch (error) {
+      console.error('Error creating project:', error);
+      toast.error(error.response?.data?.message || 'Failed to create project');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="sm:flex sm:items-center mb-6">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-bold text-gray-900">Projects</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Share tasks with your team. Members see every task in their projects.
+          </p>
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h3 className="text-sm font-medium text-gray-900 mb-3">New Project</h3>
+        <form onSubmit={handleCreate} className="space-y-3">
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Project name"
+            maxLength={100}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          />
+          <textarea
+            value={form.description}
+            onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Description (optional)"
+            rows={2}
+            maxLength={1000}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          />
+          <button
+            type="submit"
+            disabled={creating || !form.name.trim()}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            {creating ? 'Creating...' : 'Create Project'}
+          </button>
+        </form>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading && projects.length === 0 ? (
+          <div className="p-8">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : projects.length === 0 ? (
+          <div className="px-6 py-12 text-center">
+            <Folder className="mx-auto h-12 w-12 text-gray-400" />
+            <h3 className="mt-2 text-sm font-medium text-gray-900">No projects yet</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              Create a project above or ask a project owner to add you.
+            </p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {projects.map(project => (
+              <li key={project._id}>
+                <Link to={`/projects/${project._id}`} className="block px-6 py-4 hover:bg-gray-50">
+                  <div className="flex items-center justify-between">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-indigo-600 truncate">{project.name}</p>
+                      {project.description && (
+                        <p className="mt-1 text-sm text-gray-500 truncate">{project.description}</p>
+                      )}
+                    </div>
+                    <div className="ml-4 flex items-center space-x-4 text-sm text-gray-500">
+                      <span className="flex items-center">
+                        <Users className="mr-1 h-4 w-4" />
+                        {project.memberCount}
+                      </span>
+                      <span className="flex items-center">
+                        <CheckSquare className="mr-1 h-4 w-4" />
+                        {project.taskCount}
+                      </span>
+                      {project.role && (
+                        <span className="inline-flex px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800 capitalize">
+                          {project.role}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                </Link>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProjectList;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector, useDispatch } from 'react-redux';
+import { Folder } from 'lucide-react';
+import { setCurrentProject } from '../../store/slices/projectSlice';
+
+const ProjectSwitcher = ({ onNavigate }) => {
+  const dispatch = useDispatch();
+  const { projects, currentProjectId } = useSelector((state) => state.projects);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <span className="flex items-center text-xs font-semibold text-gray-500 uppercase tracking-wider">
+          <Folder className="mr-1 h-4 w-4" />
+          Project
+        </span>
+        <Link
+          to="/projects"
+          onClick={onNavigate}
+          className="text-xs text-indigo-600 hover:text-indigo-500"
+        >
+          Manage
+        </Link>
+      </div>
+      <select
+        value={currentProjectId}
+        onChange={(e) => dispatch(setCurrentProject(e.target.value))}
+        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+      >
+        <option value="">All projects</option>
+        <option value="none">Personal tasks</option>
+        {projects.map(project => (
+          <option key={project._id} value={project._id}>
+            {project.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default ProjectSwitcher;
@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { Shield, Plus, Trash2, Check } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm';
+
+const emptyRole = { name: '', description: '', permissions: [] };
+
+// Description and permission checkboxes of one role. Permissions the current
+// user doesn't have can't be granted, so they are read-only.
+const RoleEditor = ({ role, catalog, ownPermissions, isNew, onSave, onDelete, onCancel }) => {
+  const [form, setForm] = useState(role);
+  const [saving, setSaving] = useState(false);
+  const locked = role.name === 'admin';
+
+  useEffect(() => {
+    setForm(role);
+  }, [role]);
+
+  const togglePermission = (name) => {
+    setForm(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(name)
+        ? prev.permissions.filter(permission => permission !== name)
+        : [...prev.permissions, name],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave(form);
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      {isNew && (
+        <div>
+          <label htmlFor="role-name" className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            id="role-name"
+            type="text"
+            required
+            maxLength={30}
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value.toLowerCase() }))}
+            placeholder="project-lead"
+            className={`mt-1 ${inputClass}`}
+          />
+          <p className="mt-1 text-xs text-gray-500">
+            Letters, digits, - and _. The name can't be changed later.
+          </p>
+        </div>
+      )}
+
+      <div>
+        <label htmlFor="role-description" className="block text-sm font-medium text-gray-700">Description</label>
+        <input
+          id="role-description"
+          type="text"
+          maxLength={200}
+          value={form.description}
+          onChange={(e) => setForm(prev => ({ ...prev, description: e.target.value }))}
+          className={`mt-1 ${inputClass}`}
+        />
+      </div>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700">Permissions</legend>
+        <p className="text-xs text-gray-500">
+          {locked
+            ? 'The admin role always has every permission.'
+            : 'Everyone can work with their own tasks and the projects they belong to. These permissions extend that.'}
+        </p>
+        <div className="mt-2 space-y-2">
+          {catalog.map(permission => {
+            const grantable = ownPermissions.includes(permission.name);
+            return (
+              <label key={permission.name} className={`flex items-start ${grantable && !locked ? '' : 'opacity-60'}`}>
+                <input
+                  type="checkbox"
+                  checked={form.permissions.includes(permission.name)}
+                  onChange={() => togglePermission(permission.name)}
+                  disabled={locked || !grantable}
+                  className="mt-0.5 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span className="ml-2">
+                  <span className="block text-sm font-mono text-gray-900">{permission.name}</span>
+                  <span className="block text-xs text-gray-500">{permission.description}</span>
+                </span>
+              </label>
+            );
+          })}
+        </div>
+      </fieldset>
+
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Check className="mr-1 h-4 w-4" />
+            {isNew ? 'Create role' : 'Save'}
+          </button>
+          {isNew && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+        {!isNew && !role.builtIn && (
+          <button
+            type="button"
+            onClick={() => onDelete(role)}
+            className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-800"
+          >
+            <Trash2 className="mr-1 h-4 w-4" />
+            Delete role
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const RoleManagement = () => {
+  const { user } = useSelector((state) => state.auth);
+  const [roles, setRoles] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null); // 'new' while creating
+
+  useEffect(() => {
+    fetchRoles();
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const [rolesResponse, catalogResponse] = await Promise.all([
+        api.get('/roles'),
+        api.get('/roles/permissions'),
+      ]);
+      setRoles(rolesResponse.data.data);
+      setCatalog(catalogResponse.data.data);
+      setSelectedId(prev => prev || rolesResponse.data.data[0]?._id || null);
+    } catch (error) {
+      console.error('Error fetching roles:', error);
+      toast.error('Failed to fetch roles');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (form) => {
+    try {
+      if (selectedId === 'new') {
+        const response = await api.post('/roles', form);
+        toast.success('Role created successfully');
+        setSelectedId(response.data.data._id);
+      } else {
+        await api.put(`/roles/${selectedId}`, {
+          description: form.description,
+          ...(form.name !== 'admin' && { permissions: form.permissions }),
+        });
+        toast.success('Role updated successfully');
+      }
+      fetchRoles();
+    } catch (error) {
+      console.error('Error saving role:', error);
+    }
+  };
+
+  const handleDelete = async (role) => {
+    if (!window.confirm(`Delete the role "${role.name}"?`)) return;
+
+    try {
+      await api.delete(`/roles/${role._id}`);
+      toast.success('Role deleted successfully');
+      setSelectedId(null);
+      fetchRoles();
+    } catch (error) {
+      console.error('Error deleting role:', error);
+    }
+  };
+
+  const selected = selectedId === 'new' ? emptyRole : roles.find(role => role._id === selectedId);
+
+  return (
+    <div>
+      <div className="sm:flex sm:items-center mb-6">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-bold text-gray-900">Roles</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Decide what each role may do beyond a user's own tasks and projects
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
+          <button
+            onClick={() => setSelectedId('new')}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            New role
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+          <ul className="bg-white shadow rounded-lg divide-y divide-gray-200 self-start">
+            {roles.map(role => (
+              <li key={role._id}>
+                <button
+                  onClick={() => setSelectedId(role._id)}
+                  className={`w-full px-4 py-3 text-left hover:bg-gray-50 ${selectedId === role._id ? 'bg-indigo-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center text-sm font-medium text-gray-900 capitalize">
+                      <Shield className="mr-2 h-4 w-4 text-gray-400" />
+                      {role.name}
+                    </span>
+                    <span className="text-xs text-gray-500">
+                      {role.userCount} {role.userCount === 1 ? 'user' : 'users'}
+                    </span>
+                  </div>
+                  {role.description && (
+                    <p className="mt-1 text-xs text-gray-500 truncate">{role.description}</p>
+                  )}
+                  {role.builtIn && (
+                    <span className="mt-1 inline-block px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">
+                      Built-in
+                    </span>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="bg-white shadow rounded-lg p-6 lg:col-span-2">
+            {selected ? (
+              <RoleEditor
+                role={selected}
+                catalog={catalog}
+                ownPermissions={user?.permissions || []}
+                isNew={selectedId === 'new'}
+                onSave={handleSave}
+                onDelete={handleDelete}
+                onCancel={() => setSelectedId(roles[0]?._id || null)}
+              />
+            ) : (
+              <p className="text-sm text-gray-500">Select a role to edit it</p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleManagement;
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldCheck, Save } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const REGISTRATION_MODES = [
+  { value: 'open', label: 'Open', description: 'Anyone can create an account.' },
+  { value: 'domain', label: 'Restricted to domains', description: 'Only email addresses at the domains below can register.' },
+  { value: 'invite', label: 'Invite only', description: 'Only people with an invitation from User Management can register.' },
+];
+
+const AdminSettings = () => {
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [registration, setRegistration] = useState({ mode: 'open', domains: '' });
+
+  const loadSettings = (data) => {
+    setSettings(data);
+    setRegistration({ mode: data.registrationMode, domains: data.allowedDomains.join(', ') });
+  };
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await api.get('/settings');
+        loadSettings(response.data.data);
+      } catch (error) {
+        console.error('Error fetching settings:', error);
+      }
+    };
+    fetchSettings();
+  }, []);
+
+  const saveSetting = async (changes) => {
+    setSaving(true);
+    try {
+      const response = await api.put('/settings', changes);
+      loadSettings(response.data.data);
+      toast.success('Settings saved');
+    } catch (error) {
+      console.error('Error saving settings:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveRegistration = (e) => {
+    e.preventDefault();
+    saveSetting({
+      registrationMode: registration.mode,
+      allowedDomains: registration.domains.split(/[\s,]+/).filter(Boolean),
+    });
+  };
+
+  if (!settings) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-900">Settings</h1>
+        <p className="mt-2 text-sm text-gray-700">
+          Settings that apply to everyone using this installation
+        </p>
+      </div>
+
+      <div className="bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Security</h2>
+        </div>
+        <div className="px-6 py-4">
+          <label className="flex items-start">
+            <input
+              type="checkbox"
+              checked={settings.requireAdminTwoFactor}
+              disabled={saving}
+              onChange={(e) => saveSetting({ requireAdminTwoFactor: e.target.checked })}
+              className="mt-1 h-4 w-4 text-indigo-600 border-gray-300 rounded focus:ring-indigo-500"
+            />
+            <span className="ml-3">
+              <span className="flex items-center text-sm font-medium text-gray-900">
+                <ShieldCheck className="mr-1 h-4 w-4 text-gray-500" />
+                Require two-factor authentication for admins
+              </span>
+              <span className="block text-sm text-gray-500">
+                Admins without it have to set it up before they can do anything else.
+                You need it on your own account first.
+              </span>
+            </span>
+          </label>
+        </div>
+      </div>
+
+      <form onSubmit={handleSaveRegistration} className="mt-6 bg-white shadow rounded-lg">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Registration</h2>
+        </div>
+        <div className="px-6 py-4 space-y-3">
+          {REGISTRATION_MODES.map(mode => (
+            <label key={mode.value} className="flex items-start">
+              <input
+                type="radio"
+                name="registrationMode"
+                value={mode.value}
+                checked={registration.mode === mode.value}
+                onChange={() => setRegistration(prev => ({ ...prev, mode: mode.value }))}
+                className="mt-1 h-4 w-4 text-indigo-600 border-gray-300 focus:ring-indigo-500"
+              />
+              <span className="ml-3">
+                <span className="block text-sm font-medium text-gray-900">{mode.label}</span>
+                <span className="block text-sm text-gray-500">{mode.description}</span>
+              </span>
+            </label>
+          ))}
+          {registration.mode === 'domain' && (
+            <div className="pl-7">
+              <label htmlFor="allowed-domains" className="block text-sm font-medium text-gray-700">
+                Allowed domains
+              </label>
+              <input
+                id="allowed-domains"
+                type="text"
+                value={registration.domains}
+                onChange={(e) => setRegistration(prev => ({ ...prev, domains: e.target.value }))}
+                placeholder="example.com, example.org"
+                className="mt-1 block w-full max-w-md rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+              />
+            </div>
+          )}
+          <p className="text-xs text-gray-500">
+            Invitations work in every mode, and self-registered accounts always get the user role.
+          </p>
+        </div>
+        <div className="px-6 py-3 border-t border-gray-200 text-right">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Save className="mr-2 h-4 w-4" />
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default AdminSettings;
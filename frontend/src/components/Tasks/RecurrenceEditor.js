@@ -0,0 +1,231 @@
+import React, { useState } from 'react';
+
+const FREQUENCIES = [
+  { value: 'DAILY', label: 'Daily', unit: 'day(s)' },
+  { value: 'WEEKLY', label: 'Weekly', unit: 'week(s)' },
+  { value: 'MONTHLY', label: 'Monthly', unit: 'month(s)' },
+  { value: 'YEARLY', label: 'Yearly', unit: 'year(s)' }
+];
+
+const WEEKDAYS = [
+  { value: 'MO', label: 'Mon' },
+  { value: 'TU', label: 'Tue' },
+  { value: 'WE', label: 'Wed' },
+  { value: 'TH', label: 'Thu' },
+  { value: 'FR', label: 'Fri' },
+  { value: 'SA', label: 'Sat' },
+  { value: 'SU', label: 'Sun' }
+];
+
+// Split a rule into the fields the simple controls edit, or null when it uses
+// parts only the custom rule input can express
+const parseSimpleRule = (rule) => {
+  const parts = {};
+  rule.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+    const [name, value = ''] = part.split('=');
+    parts[name.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  if (Object.keys(parts).some(name => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'].includes(name))) return null;
+  if (!FREQUENCIES.some(freq => freq.value === parts.FREQ)) return null;
+  if (parts.BYDAY && (parts.FREQ !== 'WEEKLY' || !/^(MO|TU|WE|TH|FR|SA|SU)(,(MO|TU|WE|TH|FR|SA|SU))*$/.test(parts.BYDAY))) {
+    return null;
+  }
+  if (parts.UNTIL && !/^\d{8}/.test(parts.UNTIL)) return null;
+
+  return {
+    freq: parts.FREQ,
+    interval: Number(parts.INTERVAL) || 1,
+    byDay: parts.BYDAY ? parts.BYDAY.split(',') : [],
+    count: parts.COUNT || '',
+    until: parts.UNTIL ? `${parts.UNTIL.slice(0, 4)}-${parts.UNTIL.slice(4, 6)}-${parts.UNTIL.slice(6, 8)}` : ''
+  };
+};
+
+const buildRule = ({ freq, interval, byDay, count, until }) => {
+  const parts = [`FREQ=${freq}`];
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  if (freq === 'WEEKLY' && byDay.length > 0) parts.push(`BYDAY=${byDay.join(',')}`);
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  } else if (until) {
+    parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  }
+  return parts.join(';');
+};
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (date) => {
+  const local = new Date(new Date(date).getTime() - new Date(date).getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+// Edits a task's recurrence: `value` is { rule, startDate } or null for a task
+// that does not repeat
+const RecurrenceEditor = ({ value, onChange }) => {
+  const simple = value ? parseSimpleRule(value.rule) : null;
+  const [custom, setCustom] = useState(Boolean(value && !simple));
+
+  const update = (changes) => {
+    onChange({ ...value, ...changes });
+  };
+
+  const updateSimple = (changes) => {
+    update({ rule: buildRule({ ...simple, ...changes }) });
+  };
+
+  const handleModeChange = (e) => {
+    const mode = e.target.value;
+    if (mode === 'none') {
+      setCustom(false);
+      onChange(null);
+      return;
+    }
+
+    const startDate = value?.startDate || new Date().toISOString();
+    if (mode === 'custom') {
+      setCustom(true);
+      onChange({ rule: value?.rule || 'FREQ=DAILY', startDate });
+      return;
+    }
+
+    setCustom(false);
+    onChange({
+      rule: buildRule({ ...(simple || { interval: 1, byDay: [], count: '', until: '' }), freq: mode }),
+      startDate
+    });
+  };
+
+  const toggleWeekday = (weekday) => {
+    const byDay = simple.byDay.includes(weekday)
+      ? simple.byDay.filter(day => day !== weekday)
+      : WEEKDAYS.map(day => day.value).filter(day => day === weekday || simple.byDay.includes(day));
+    updateSimple({ byDay });
+  };
+
+  const ends = simple?.count ? 'count' : simple?.until ? 'until' : 'never';
+
+  const handleEndsChange = (e) => {
+    const mode = e.target.value;
+    if (mode === 'count') {
+      updateSimple({ count: 10, until: '' });
+    } else if (mode === 'until') {
+      const until = new Date(value.startDate);
+      until.setMonth(until.getMonth() + 1);
+      updateSimple({ count: '', until: until.toISOString().split('T')[0] });
+    } else {
+      updateSimple({ count: '', until: '' });
+    }
+  };
+
+  const mode = !value ? 'none' : custom || !simple ? 'custom' : simple.freq;
+  const inputClass = 'block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm';
+
+  return (
+    <div className="space-y-3">
+      <select value={mode} onChange={handleModeChange} className={`${inputClass} w-full`}>
+        <option value="none">Does not repeat</option>
+        {FREQUENCIES.map(freq => (
+          <option key={freq.value} value={freq.value}>{freq.label}</option>
+        ))}
+        <option value="custom">Custom rule</option>
+      </select>
+
+      {mode === 'custom' && (
+        <input
+          type="text"
+          value={value.rule}
+          onChange={(e) => update({ rule: e.target.value })}
+          placeholder="FREQ=MONTHLY;BYDAY=-1FR"
+          className={`${inputClass} w-full font-mono`}
+        />
+      )}
+
+      {value && mode !== 'custom' && (
+        <>
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Every</span>
+            <input
+              type="number"
+              min="1"
+              max="1000"
+              value={simple.interval}
+              onChange={(e) => updateSimple({ interval: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+              className={`${inputClass} w-20`}
+            />
+            <span>{FREQUENCIES.find(freq => freq.value === simple.freq).unit}</span>
+          </div>
+
+          {simple.freq === 'WEEKLY' && (
+            <div className="flex flex-wrap gap-2">
+              {WEEKDAYS.map(day => (
+                <button
+                  key={day.value}
+                  type="button"
+                  onClick={() => toggleWeekday(day.value)}
+                  className={`px-2 py-1 rounded-md text-xs font-medium border ${
+                    simple.byDay.includes(day.value)
+                      ? 'bg-indigo-600 border-indigo-600 text-white'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {day.label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Ends</span>
+            <select value={ends} onChange={handleEndsChange} className={inputClass}>
+              <option value="never">Never</option>
+              <option value="count">After</option>
+              <option value="until">On</option>
+            </select>
+            {ends === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min="1"
+                  max="10000"
+                  value={simple.count}
+                  onChange={(e) => updateSimple({ count: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                  className={`${inputClass} w-24`}
+                />
+                <span>occurrence(s)</span>
+              </>
+            )}
+            {ends === 'until' && (
+              <input
+                type="date"
+                value={simple.until}
+                onChange={(e) => e.target.value && updateSimple({ until: e.target.value })}
+                className={inputClass}
+              />
+            )}
+          </div>
+        </>
+      )}
+
+      {value && (
+        <>
+          <div className="flex items-center space-x-2 text-sm text-gray-700">
+            <span>Starting</span>
+            <input
+              type="datetime-local"
+              value={toLocalInput(value.startDate)}
+              onChange={(e) => e.target.value && update({ startDate: new Date(e.target.value).toISOString() })}
+              className={inputClass}
+            />
+          </div>
+          <p className="text-xs text-gray-500">
+            <code>RRULE:{value.rule}</code> — the next task is created when the current one is completed
+            or its due date passes. Rules are evaluated in UTC.
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RecurrenceEditor;
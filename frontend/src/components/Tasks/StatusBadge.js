@@ -0,0 +1,21 @@
+import React from 'react';
+import { useSelector } from 'react-redux';
+import { getWorkflowState } from '../../store/slices/workflowSlice';
+
+// A task status in the colour the workflow gives it
+const StatusBadge = ({ status }) => {
+  const workflow = useSelector((state) => state.workflow);
+  const workflowState = getWorkflowState(workflow, status);
+  const color = workflowState?.color || '#6b7280';
+
+  return (
+    <span
+      className="inline-flex px-2 py-1 text-xs font-semibold rounded-full"
+      style={{ backgroundColor: `${color}22`, color }}
+    >
+      {workflowState?.name || status.replace('_', ' ')}
+    </span>
+  );
+};
+
+export default StatusBadge;
@@ -0,0 +1,163 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { ChevronUp, ChevronDown, Plus, ListTree } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import { isDoneStatus } from '../../store/slices/workflowSlice';
+
+const SubtaskList = ({ task, onChange }) => {
+  const workflow = useSelector((state) => state.workflow);
+  const [subtasks, setSubtasks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newTitle, setNewTitle] = useState('');
+
+  const isDone = (subtask) => isDoneStatus(workflow, subtask.status);
+
+  useEffect(() => {
+    fetchSubtasks();
+  }, [task._id]);
+
+  const fetchSubtasks = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/tasks/${task._id}/subtasks`);
+      setSubtasks(response.data.data);
+    } catch (error) {
+      console.error('Error fetching subtasks:', error);
+      toast.error('Failed to fetch subtasks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    try {
+      const response = await api.post(`/tasks/${task._id}/subtasks`, { title: newTitle.trim() });
+      setSubtasks(prev => [...prev, response.data.data]);
+      setNewTitle('');
+      onChange();
+    } catch (error) {
+      console.error('Error creating subtask:', error);
+      toast.error('Failed to create subtask');
+    }
+  };
+
+  const handleToggle = async (subtask) => {
+    try {
+      const response = await api.patch(`/tasks/${task._id}/subtasks/${subtask._id}/complete`, {
+        completed: !isDone(subtask)
+      });
+      setSubtasks(prev => prev.map(item => (item._id === subtask._id ? response.data.data : item)));
+      onChange();
+    } catch (error) {
+      console.error('Error updating subtask:', error);
+      toast.error(error.response?.data?.message || 'Failed to update subtask');
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const order = subtasks.map(subtask => subtask._id);
+    const target = index + direction;
+    [order[index], order[target]] = [order[target], order[index]];
+
+    try {
+      const response = await api.put(`/tasks/${task._id}/subtasks/reorder`, { order });
+      setSubtasks(response.data.data);
+    } catch (error) {
+      console.error('Error reordering subtasks:', error);
+      toast.error('Failed to reorder subtasks');
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="text-lg font-medium text-gray-900">
+          Subtasks {subtasks.length > 0 && `(${subtasks.filter(isDone).length}/${subtasks.length})`}
+        </h4>
+        <Link
+          to={`/tasks/new?parent=${task._id}`}
+          className="text-sm text-indigo-600 hover:text-indigo-500"
+        >
+          Detailed subtask →
+        </Link>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : subtasks.length === 0 ? (
+        <div className="text-center py-4">
+          <ListTree className="mx-auto h-8 w-8 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">No subtasks yet</p>
+        </div>
+      ) : (
+        <ul className="space-y-2 mb-3">
+          {subtasks.map((subtask, index) => (
+            <li key={subtask._id} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+              <div className="flex items-center flex-1 min-w-0">
+                <input
+                  type="checkbox"
+                  checked={isDone(subtask)}
+                  onChange={() => handleToggle(subtask)}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <Link
+                  to={`/tasks/${subtask._id}`}
+                  className={`ml-3 text-sm truncate hover:text-indigo-600 ${isDone(subtask) ? 'line-through text-gray-400' : 'text-gray-700'}`}
+                >
+                  {subtask.title}
+                </Link>
+                {subtask.progress > 0 && !isDone(subtask) && (
+                  <span className="ml-2 text-xs text-gray-500">{subtask.progress}%</span>
+                )}
+              </div>
+              <div className="flex items-center space-x-1 ml-2">
+                {subtask.assignedTo && (
+                  <span className="text-xs text-gray-500 mr-2">{subtask.assignedTo.email}</span>
+                )}
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                >
+                  <ChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === subtasks.length - 1}
+                  className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                >
+                  <ChevronDown className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex space-x-2">
+        <input
+          type="text"
+          value={newTitle}
+          onChange={(e) => setNewTitle(e.target.value)}
+          placeholder="Add a subtask..."
+          className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+        />
+        <button
+          type="submit"
+          disabled={!newTitle.trim()}
+          className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default SubtaskList;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import { History, Plus, Edit, FileText, Trash2 } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import { format } from 'date-fns';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const fieldLabels = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  dueDate: 'due date',
+  assignedTo: 'assignee',
+  project: 'project',
+  labels: 'labels',
+  blockedBy: 'blockers'
+};
+
+const actionIcons = {
+  created: Plus,
+  updated: Edit,
+  document_uploaded: FileText,
+  document_deleted: FileText,
+  deleted: Trash2
+};
+
+const formatValue = (change, side) => {
+  const value = change[side];
+  if (value === null || value === undefined || value === '') return 'none';
+  if (change.field === 'assignedTo') return change[`${side}Label`] || 'unknown user';
+  if (change.field === 'project') return change[`${side}Label`] || 'unknown project';
+  if (change.field === 'blockedBy') return `${value.length} task${value.length === 1 ? '' : 's'}`;
+  if (change.field === 'labels') return `${value.length} label${value.length === 1 ? '' : 's'}`;
+  if (change.field === 'dueDate') return format(new Date(value), 'MMM d, yyyy');
+  if (change.field === 'status') return String(value).replace('_', ' ');
+  if (change.field === 'description') return value.length > 60 ? `${value.slice(0, 60)}…` : value;
+  return String(value);
+};
+
+const describeActivity = (activity) => {
+  switch (activity.action) {
+    case 'created':
+      return 'created the task';
+    case 'document_uploaded':
+      return `uploaded ${activity.details?.originalName || 'a document'}`;
+    case 'document_deleted':
+      return `removed ${activity.details?.originalName || 'a document'}`;
+    case 'deleted':
+      return 'deleted the task';
+    default:
+      return 'updated the task';
+  }
+};
+
+const TaskActivity = ({ taskId }) => {
+  const [activities, setActivities] = useState([]);
+  const [pagination, setPagination] = useState({ currentPage: 1, hasNextPage: false });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchActivity(1);
+  }, [taskId]);
+
+  const fetchActivity = async (page) => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/tasks/${taskId}/activity?page=${page}&limit=10`);
+      const { activities: pageItems, pagination: pageInfo } = response.data.data;
+      setActivities(prev => (page === 1 ? pageItems : [...prev, ...pageItems]));
+      setPagination(pageInfo);
+    } catch (error) {
+      console.error('Error fetching task activity:', error);
+      toast.error('Failed to fetch task activity');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <h4 className="text-sm font-medium text-gray-900 mb-3">
+        Activity
+      </h4>
+
+      {activities.length === 0 && !loading ? (
+        <div className="text-center py-4">
+          <History className="mx-auto h-8 w-8 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">No activity recorded yet</p>
+        </div>
+      ) : (
+        <ul className="space-y-4">
+          {activities.map((activity, index) => {
+            const Icon = actionIcons[activity.action] || Edit;
+            return (
+              <li key={activity._id} className="relative flex">
+                {index < activities.length - 1 && (
+                  <span className="absolute left-3 top-6 -ml-px h-full w-0.5 bg-gray-200" aria-hidden="true" />
+                )}
+                <div className="relative flex h-6 w-6 flex-none items-center justify-center rounded-full bg-gray-100">
+                  <Icon className="h-3 w-3 text-gray-500" />
+                </div>
+                <div className="ml-3 min-w-0 flex-1">
+                  <p className="text-sm text-gray-700">
+                    <span className="font-medium text-gray-900">{activity.actor?.email || 'Unknown'}</span>{' '}
+                    {describeActivity(activity)}
+                  </p>
+                  {activity.action === 'updated' && activity.changes?.length > 0 && (
+                    <ul className="mt-1 space-y-0.5">
+                      {activity.changes.map((change) => (
+                        <li key={change.field} className="text-xs text-gray-500">
+                          Changed {fieldLabels[change.field] || change.field} from{' '}
+                          <span className="font-medium text-gray-700">{formatValue(change, 'from')}</span> to{' '}
+                          <span className="font-medium text-gray-700">{formatValue(change, 'to')}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <p className="mt-0.5 text-xs text-gray-400">
+                    {format(new Date(activity.createdAt), 'MMM d, yyyy h:mm a')}
+                  </p>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {loading && <LoadingSpinner size="sm" className="mt-3" />}
+
+      {!loading && pagination.hasNextPage && (
+        <button
+          onClick={() => fetchActivity(pagination.currentPage + 1)}
+          className="mt-3 text-xs font-medium text-indigo-600 hover:text-indigo-500"
+        >
+          Show older activity
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default TaskActivity;
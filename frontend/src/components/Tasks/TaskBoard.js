@@ -0,0 +1,316 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { Plus, Search, List, Calendar, Repeat } from 'lucide-react';
+import { format } from 'date-fns';
+import { api } from '../../services/api';
+import { onSocketEvent } from '../../services/socketService';
+import { getAllowedStatuses } from '../../store/slices/workflowSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import LabelChip from '../Labels/LabelChip';
+
+// The board shows at most this many tasks
+const BOARD_LIMIT = 500;
+
+// Same order as the server: by rank, tasks without one first, then by ID
+const compareRanks = (a, b) =>
+  ((a.rank ?? -Infinity) - (b.rank ?? -Infinity)) || a._id.localeCompare(b._id);
+
+// A rank that sorts between the neighbours until the server has answered
+const provisionalRank = (previous, next) => {
+  const low = previous?.rank ?? null;
+  const high = next?.rank ?? null;
+  if (low !== null && high !== null) return (low + high) / 2;
+  if (low !== null) return low + 1;
+  if (high !== null) return high - 1;
+  return null;
+};
+
+const getPriorityColor = (priority) => {
+  switch (priority) {
+    case 'high':
+      return 'text-red-600 bg-red-100';
+    case 'medium':
+      return 'text-orange-600 bg-orange-100';
+    case 'low':
+      return 'text-green-600 bg-green-100';
+    default:
+      return 'text-gray-600 bg-gray-100';
+  }
+};
+
+const TaskBoard = () => {
+  const { currentProjectId } = useSelector((state) => state.projects);
+  const workflow = useSelector((state) => state.workflow);
+  const [tasks, setTasks] = useState([]);
+  const [totalItems, setTotalItems] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [dragging, setDragging] = useState(null);
+  // Where the dragged card would land: { status, index } among the other cards
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const fetchTasks = useCallback(async () => {
+    try {
+      const params = new URLSearchParams({
+        limit: BOARD_LIMIT,
+        sortBy: 'rank',
+        sortOrder: 'asc',
+        ...(currentProjectId && { project: currentProjectId })
+      });
+
+      const response = await api.get(`/tasks?${params}`);
+      setTasks(response.data.data.tasks);
+      setTotalItems(response.data.data.pagination.totalItems);
+    } catch (error) {
+      console.error('Error fetching tasks:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentProjectId]);
+
+  useEffect(() => {
+    fetchTasks();
+  }, [fetchTasks]);
+
+  // Follow cards moved by other users (and in other tabs)
+  useEffect(() => onSocketEvent('taskMoved', ({ task, renumbered }) => {
+    if (renumbered) {
+      fetchTasks();
+      return;
+    }
+    setTasks(prev => prev.map(item => (item._id === task._id ? { ...item, ...task } : item)));
+  }), [fetchTasks]);
+
+  const query = search.trim().toLowerCase();
+  const visibleTasks = query
+    ? tasks.filter(task => task.title.toLowerCase().includes(query))
+    : tasks;
+
+  const columnTasks = (status) => visibleTasks
+    .filter(task => task.status === status)
+    .sort(compareRanks);
+
+  const allowedStatuses = dragging
+    ? getAllowedStatuses(workflow, dragging.status).map(state => state.key)
+    : [];
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task._id);
+    setDragging(task);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropTarget(null);
+  };
+
+  // Over a card: drop above it in its upper half, below it in its lower half
+  const handleCardDragOver = (e, status, others, task) => {
+    if (!dragging || !allowedStatuses.includes(status) || task._id === dragging._id) return;
+    e.preventDefault();
+    e.stopPropagation();
+
+    const rect = e.currentTarget.getBoundingClientRect();
+    const index = others.findIndex(other => other._id === task._id) +
+      (e.clientY > rect.top + rect.height / 2 ? 1 : 0);
+    if (dropTarget?.status !== status || dropTarget?.index !== index) {
+      setDropTarget({ status, index });
+    }
+  };
+
+  // Over the empty part of a column: drop at the bottom
+  const handleColumnDragOver = (e, status, others) => {
+    if (!dragging || !allowedStatuses.includes(status)) return;
+    e.preventDefault();
+
+    if (e.target === e.currentTarget && (dropTarget?.status !== status || dropTarget?.index !== others.length)) {
+      setDropTarget({ status, index: others.length });
+    }
+  };
+
+  const handleDrop = async (e, status, others) => {
+    e.preventDefault();
+    const task = dragging;
+    const target = dropTarget?.status === status ? dropTarget : { status, index: others.length };
+    handleDragEnd();
+    if (!task) return;
+
+    const previous = others[target.index - 1] || null;
+    const next = others[target.index] || null;
+
+    // Dropped where it already was
+    const column = columnTasks(status);
+    const position = column.findIndex(item => item._id === task._id);
+    if (task.status === status && position !== -1 &&
+        (column[position - 1] || null) === previous && (column[position + 1] || null) === next) {
+      return;
+    }
+
+    // Show the move right away; the server's answer replaces the rank
+    setTasks(prev => prev.map(item => (
+      item._id === task._id ? { ...item, status, rank: provisionalRank(previous, next) } : item
+    )));
+
+    try {
+      const response = await api.put(`/tasks/${task._id}/reorder`, {
+        status,
+        previousTask: previous?._id || null,
+        nextTask: next?._id || null
+      });
+      const moved = response.data.data;
+      setTasks(prev => prev.map(item => (item._id === moved._id ? { ...item, ...moved } : item)));
+    } catch (error) {
+      console.error('Error moving task:', error);
+      fetchTasks();
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="p-8">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="sm:flex sm:items-center mb-6">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-bold text-gray-900">Board</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Drag cards to change their status and order
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none flex space-x-3">
+          <Link
+            to="/tasks"
+            className="inline-flex items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50"
+          >
+            <List className="mr-2 h-4 w-4" />
+            List
+          </Link>
+          <Link
+            to="/tasks/new"
+            className="inline-flex items-center justify-center rounded-md border border-transparent bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-indigo-700"
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            New Task
+          </Link>
+        </div>
+      </div>
+
+      <div className="mb-4 flex items-center justify-between">
+        <div className="relative w-full max-w-xs">
+          <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+          <input
+            type="text"
+            placeholder="Filter cards..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="pl-10 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          />
+        </div>
+        {totalItems > tasks.length && (
+          <p className="text-sm text-gray-500">
+            Showing {tasks.length} of {totalItems} tasks; pick a project to narrow the board down.
+          </p>
+        )}
+      </div>
+
+      {/* Columns */}
+      <div className="flex space-x-4 overflow-x-auto pb-4">
+        {workflow.states.map(state => {
+          const cards = columnTasks(state.key);
+          const others = dragging ? cards.filter(task => task._id !== dragging._id) : cards;
+          const canDrop = !dragging || allowedStatuses.includes(state.key);
+          const isTarget = dropTarget?.status === state.key;
+
+          return (
+            <div
+              key={state.key}
+              className={`flex-shrink-0 w-72 rounded-lg bg-gray-100 ${canDrop ? '' : 'opacity-50'}`}
+            >
+              <div className="flex items-center justify-between px-3 py-2">
+                <div className="flex items-center">
+                  <span className="mr-2 h-2.5 w-2.5 rounded-full" style={{ backgroundColor: state.color }} />
+                  <h2 className="text-sm font-semibold text-gray-900">{state.name}</h2>
+                </div>
+                <span className="text-xs text-gray-500">{cards.length}</span>
+              </div>
+
+              <div
+                onDragOver={(e) => handleColumnDragOver(e, state.key, others)}
+                onDrop={(e) => handleDrop(e, state.key, others)}
+                className={`min-h-[8rem] space-y-2 px-2 pb-2 ${isTarget ? 'bg-indigo-50 rounded-b-lg' : ''}`}
+              >
+                {cards.map(task => {
+                  const isDragged = dragging?._id === task._id;
+                  const showMarker = isTarget && !isDragged &&
+                    others.findIndex(other => other._id === task._id) === dropTarget.index;
+
+                  return (
+                    <React.Fragment key={task._id}>
+                      {showMarker && <div className="h-1 rounded bg-indigo-500" />}
+                      <div
+                        draggable
+                        onDragStart={(e) => handleDragStart(e, task)}
+                        onDragEnd={handleDragEnd}
+                        onDragOver={(e) => handleCardDragOver(e, state.key, others, task)}
+                        className={`rounded-md bg-white p-3 shadow-sm cursor-move ${isDragged ? 'opacity-40' : ''}`}
+                      >
+                        <div className="flex items-start justify-between">
+                          <Link
+                            to={`/tasks/${task._id}`}
+                            className="text-sm font-medium text-gray-900 hover:text-indigo-600"
+                          >
+                            {task.title}
+                          </Link>
+                          {(task.recurrence || task.recurrenceOf) && (
+                            <Repeat className="ml-2 h-4 w-4 flex-shrink-0 text-gray-400" title="Recurring task" />
+                          )}
+                        </div>
+
+                        {task.labels?.length > 0 && (
+                          <div className="mt-2 flex flex-wrap gap-1">
+                            {task.labels.map(label => (
+                              <LabelChip key={label._id} label={label} />
+                            ))}
+                          </div>
+                        )}
+
+                        <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+                          <span className={`inline-flex px-2 py-0.5 font-semibold rounded-full ${getPriorityColor(task.priority)}`}>
+                            {task.priority}
+                          </span>
+                          {task.dueDate && (
+                            <span className={`flex items-center ${task.isOverdue ? 'text-red-600 font-medium' : ''}`}>
+                              <Calendar className="mr-1 h-3 w-3" />
+                              {format(new Date(task.dueDate), 'MMM d')}
+                            </span>
+                          )}
+                        </div>
+
+                        {task.assignedTo && (
+                          <p className="mt-2 truncate text-xs text-gray-500">{task.assignedTo.email}</p>
+                        )}
+                      </div>
+                    </React.Fragment>
+                  );
+                })}
+                {isTarget && dropTarget.index === others.length && (
+                  <div className="h-1 rounded bg-indigo-500" />
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TaskBoard;
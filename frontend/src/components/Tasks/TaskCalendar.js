@@ -0,0 +1,423 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { ChevronLeft, ChevronRight, List, AlertTriangle } from 'lucide-react';
+import {
+  format,
+  startOfMonth,
+  endOfMonth,
+  startOfWeek,
+  endOfWeek,
+  startOfDay,
+  eachDayOfInterval,
+  addMonths,
+  addWeeks,
+  addDays,
+  subDays,
+  isSameMonth,
+  isSameDay,
+  isToday,
+  max as latest,
+  differenceInCalendarDays
+} from 'date-fns';
+import { api } from '../../services/api';
+import { getWorkflowState } from '../../store/slices/workflowSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+// The calendar shows at most this many tasks
+const CALENDAR_LIMIT = 500;
+
+const VIEWS = [
+  { key: 'month', label: 'Month' },
+  { key: 'week', label: 'Week' },
+  { key: 'timeline', label: 'Timeline' }
+];
+
+// The days a view shows around `cursor`
+const viewRange = (view, cursor) => {
+  if (view === 'week') {
+    return { start: startOfWeek(cursor), end: endOfWeek(cursor) };
+  }
+  if (view === 'timeline') {
+    return { start: startOfMonth(cursor), end: endOfMonth(cursor) };
+  }
+  return { start: startOfWeek(startOfMonth(cursor)), end: endOfWeek(endOfMonth(cursor)) };
+};
+
+const viewTitle = (view, { start, end }, cursor) => (
+  view === 'week'
+    ? `${format(start, 'MMM d')} – ${format(end, 'MMM d, yyyy')}`
+    : format(cursor, 'MMMM yyyy')
+);
+
+// Due dates picked in the task form are date-only and stored as midnight UTC;
+// they belong on that day wherever the user is. Other due dates fall on
+// their local day.
+const isDateOnly = (date) =>
+  date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+
+const dueDay = (task) => {
+  const date = new Date(task.dueDate);
+  return isDateOnly(date)
+    ? new Date(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+    : startOfDay(date);
+};
+
+// The due date of a task dropped on `day`: still date-only, or at the same time of day
+const rescheduledDueDate = (task, day) => {
+  const date = new Date(task.dueDate);
+  if (isDateOnly(date)) {
+    return format(day, 'yyyy-MM-dd');
+  }
+  const moved = new Date(day);
+  moved.setHours(date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+  return moved.toISOString();
+};
+
+const TaskCalendar = () => {
+  const { currentProjectId } = useSelector((state) => state.projects);
+  const workflow = useSelector((state) => state.workflow);
+  const [view, setView] = useState('month');
+  const [cursor, setCursor] = useState(() => new Date());
+  const [tasks, setTasks] = useState([]);
+  const [totalItems, setTotalItems] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [dragging, setDragging] = useState(null);
+  const [dropDay, setDropDay] = useState(null);
+
+  const range = viewRange(view, cursor);
+  const rangeStart = range.start.getTime();
+  const rangeEnd = range.end.getTime();
+
+  const fetchTasks = useCallback(async () => {
+    try {
+      setLoading(true);
+      // A day either side, for date-only due dates in other time zones
+      const params = new URLSearchParams({
+        dueDateFrom: subDays(rangeStart, 1).toISOString(),
+        dueDateTo: addDays(rangeEnd, 1).toISOString(),
+        sortBy: 'dueDate',
+        sortOrder: 'asc',
+        limit: CALENDAR_LIMIT,
+        ...(currentProjectId && { project: currentProjectId })
+      });
+
+      const response = await api.get(`/tasks?${params}`);
+      setTasks(response.data.data.tasks);
+      setTotalItems(response.data.data.pagination.totalItems);
+    } catch (error) {
+      console.error('Error fetching tasks:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [rangeStart, rangeEnd, currentProjectId]);
+
+  useEffect(() => {
+    fetchTasks();
+  }, [fetchTasks]);
+
+  const days = eachDayOfInterval(range);
+  const tasksOn = (day) => tasks.filter(task => isSameDay(dueDay(task), day));
+  const tasksInRange = tasks.filter(task => {
+    const day = dueDay(task);
+    return day >= range.start && day <= range.end;
+  });
+
+  const move = (amount) => {
+    setCursor(prev => (view === 'week' ? addWeeks(prev, amount) : addMonths(prev, amount)));
+  };
+
+  // Due dates have to stay in the future
+  const canDrop = (day) => Boolean(dragging) &&
+    !isSameDay(dueDay(dragging), day) &&
+    new Date(rescheduledDueDate(dragging, day)) > new Date();
+
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task._id);
+    setDragging(task);
+  };
+
+  const handleDragEnd = () => {
+    setDragging(null);
+    setDropDay(null);
+  };
+
+  const handleDragOver = (e, day) => {
+    if (!canDrop(day)) return;
+    e.preventDefault();
+    if (!dropDay || !isSameDay(dropDay, day)) {
+      setDropDay(day);
+    }
+  };
+
+  const handleDrop = async (e, day) => {
+    e.preventDefault();
+    const task = dragging;
+    const allowed = canDrop(day);
+    handleDragEnd();
+    if (!allowed) return;
+
+    const dueDate = rescheduledDueDate(task, day);
+    setTasks(prev => prev.map(item => (
+      item._id === task._id ? { ...item, dueDate: new Date(dueDate).toISOString(), isOverdue: false } : item
+    )));
+
+    try {
+      const response = await api.put(`/tasks/${task._id}`, { dueDate });
+      const updated = response.data.data;
+      setTasks(prev => prev.map(item => (
+        item._id === updated._id ? { ...item, dueDate: updated.dueDate, isOverdue: updated.isOverdue } : item
+      )));
+    } catch (error) {
+      console.error('Error rescheduling task:', error);
+      fetchTasks();
+    }
+  };
+
+  const dayCellClass = (day) => {
+    if (dropDay && isSameDay(dropDay, day)) return 'bg-indigo-50';
+    if (dragging && !canDrop(day)) return 'bg-gray-50';
+    return 'bg-white';
+  };
+
+  const renderChip = (task, { showTime = false } = {}) => {
+    const color = getWorkflowState(workflow, task.status)?.color || '#6b7280';
+    const date = new Date(task.dueDate);
+
+    return (
+      <div
+        key={task._id}
+        draggable
+        onDragStart={(e) => handleDragStart(e, task)}
+        onDragEnd={handleDragEnd}
+        className={`flex items-center rounded border-l-4 px-1.5 py-0.5 text-xs cursor-move ${
+          task.isOverdue ? 'bg-red-50 text-red-700' : 'bg-gray-100 text-gray-800'
+        } ${dragging?._id === task._id ? 'opacity-40' : ''}`}
+        style={{ borderLeftColor: color }}
+        title={task.isOverdue ? `${task.title} (overdue)` : task.title}
+      >
+        {task.isOverdue && <AlertTriangle className="mr-1 h-3 w-3 flex-shrink-0" />}
+        {showTime && !isDateOnly(date) && (
+          <span className="mr-1 text-gray-500">{format(date, 'HH:mm')}</span>
+        )}
+        <Link to={`/tasks/${task._id}`} className="truncate hover:underline">
+          {task.title}
+        </Link>
+      </div>
+    );
+  };
+
+  const renderMonth = () => (
+    <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+      {days.slice(0, 7).map(day => (
+        <div key={`head-${day.toISOString()}`} className="bg-gray-50 px-2 py-1 text-xs font-medium text-gray-500">
+          {format(day, 'EEE')}
+        </div>
+      ))}
+      {days.map(day => (
+        <div
+          key={day.toISOString()}
+          onDragOver={(e) => handleDragOver(e, day)}
+          onDrop={(e) => handleDrop(e, day)}
+          className={`min-h-[6.5rem] p-1 ${dayCellClass(day)}`}
+        >
+          <div className={`mb-1 text-xs ${
+            isToday(day)
+              ? 'inline-flex h-5 w-5 items-center justify-center rounded-full bg-indigo-600 text-white'
+              : isSameMonth(day, cursor) ? 'text-gray-700' : 'text-gray-400'
+          }`}>
+            {format(day, 'd')}
+          </div>
+          <div className="space-y-1">
+            {tasksOn(day).map(task => renderChip(task))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  const renderWeek = () => (
+    <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+      {days.map(day => (
+        <div
+          key={day.toISOString()}
+          onDragOver={(e) => handleDragOver(e, day)}
+          onDrop={(e) => handleDrop(e, day)}
+          className={`min-h-[24rem] p-2 ${dayCellClass(day)}`}
+        >
+          <div className="mb-2 text-center">
+            <div className="text-xs font-medium text-gray-500">{format(day, 'EEE')}</div>
+            <div className={`text-lg ${isToday(day) ? 'font-bold text-indigo-600' : 'text-gray-900'}`}>
+              {format(day, 'd')}
+            </div>
+          </div>
+          <div className="space-y-1">
+            {tasksOn(day).map(task => renderChip(task, { showTime: true }))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
+  // One row per task, with a bar from when it was created (or the start of
+  // the month) to its due date
+  const renderTimeline = () => (
+    <div className="overflow-x-auto rounded-lg border border-gray-200 bg-white">
+      <div
+        className="grid"
+        style={{ gridTemplateColumns: `14rem repeat(${days.length}, minmax(1.75rem, 1fr))` }}
+      >
+        <div className="border-b border-gray-200 px-3 py-1 text-xs font-medium text-gray-500">Task</div>
+        {days.map(day => (
+          <div
+            key={`head-${day.toISOString()}`}
+            className={`border-b border-gray-200 py-1 text-center text-xs ${isToday(day) ? 'font-bold text-indigo-600' : 'text-gray-500'}`}
+          >
+            {format(day, 'd')}
+          </div>
+        ))}
+
+        {tasksInRange.length === 0 && (
+          <div className="px-3 py-6 text-sm text-gray-500" style={{ gridColumn: `1 / span ${days.length + 1}` }}>
+            No tasks are due this month.
+          </div>
+        )}
+
+        {tasksInRange.map((task, index) => {
+          const row = index + 2;
+          const due = dueDay(task);
+          const from = latest([startOfDay(new Date(task.createdAt)), range.start]);
+          const lastColumn = differenceInCalendarDays(due, range.start) + 2;
+          const firstColumn = Math.min(differenceInCalendarDays(from, range.start) + 2, lastColumn);
+          const color = getWorkflowState(workflow, task.status)?.color || '#6b7280';
+
+          return (
+            <React.Fragment key={task._id}>
+              <div
+                className="flex items-center border-b border-gray-100 px-3 py-1.5 text-sm"
+                style={{ gridRow: row, gridColumn: 1 }}
+              >
+                {task.isOverdue && <AlertTriangle className="mr-1 h-4 w-4 flex-shrink-0 text-red-600" title="Overdue" />}
+                <Link to={`/tasks/${task._id}`} className="truncate text-gray-900 hover:text-indigo-600">
+                  {task.title}
+                </Link>
+              </div>
+              {days.map((day, dayIndex) => (
+                <div
+                  key={day.toISOString()}
+                  onDragOver={(e) => handleDragOver(e, day)}
+                  onDrop={(e) => handleDrop(e, day)}
+                  className={`border-b border-l border-gray-100 ${dayCellClass(day)}`}
+                  style={{ gridRow: row, gridColumn: dayIndex + 2 }}
+                />
+              ))}
+              <div
+                draggable
+                onDragStart={(e) => handleDragStart(e, task)}
+                onDragEnd={handleDragEnd}
+                className={`my-1.5 flex items-center justify-end rounded px-1 cursor-move ${
+                  dragging ? 'pointer-events-none' : ''
+                } ${dragging?._id === task._id ? 'opacity-40' : ''} ${task.isOverdue ? 'ring-2 ring-red-500' : ''}`}
+                style={{ gridRow: row, gridColumn: `${firstColumn} / ${lastColumn + 1}`, backgroundColor: `${color}33` }}
+                title={`Due ${format(new Date(task.dueDate), 'PPp')}${task.isOverdue ? ' (overdue)' : ''}; drag to another day to reschedule`}
+              >
+                <span className="h-3 w-1.5 rounded" style={{ backgroundColor: color }} />
+              </div>
+            </React.Fragment>
+          );
+        })}
+      </div>
+    </div>
+  );
+
+  return (
+    <div>
+      {/* Header */}
+      <div className="sm:flex sm:items-center mb-6">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-bold text-gray-900">Calendar</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Tasks by due date; drag a task to another day to reschedule it
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
+          <Link
+            to="/tasks"
+            className="inline-flex items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50"
+          >
+            <List className="mr-2 h-4 w-4" />
+            List
+          </Link>
+        </div>
+      </div>
+
+      {/* Toolbar */}
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => move(-1)}
+            className="rounded-md border border-gray-300 bg-white p-2 text-gray-700 hover:bg-gray-50"
+            title="Previous"
+          >
+            <ChevronLeft className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setCursor(new Date())}
+            className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-sm font-medium text-gray-700 hover:bg-gray-50"
+          >
+            Today
+          </button>
+          <button
+            onClick={() => move(1)}
+            className="rounded-md border border-gray-300 bg-white p-2 text-gray-700 hover:bg-gray-50"
+            title="Next"
+          >
+            <ChevronRight className="h-4 w-4" />
+          </button>
+          <h2 className="ml-2 text-lg font-semibold text-gray-900">{viewTitle(view, range, cursor)}</h2>
+        </div>
+
+        <div className="flex items-center space-x-4">
+          <span className="flex items-center text-xs text-gray-500">
+            <AlertTriangle className="mr-1 h-3 w-3 text-red-600" />
+            Overdue
+          </span>
+          <div className="inline-flex rounded-md shadow-sm">
+            {VIEWS.map((option, index) => (
+              <button
+                key={option.key}
+                onClick={() => setView(option.key)}
+                className={`border border-gray-300 px-3 py-1.5 text-sm font-medium ${
+                  index === 0 ? 'rounded-l-md' : index === VIEWS.length - 1 ? 'rounded-r-md -ml-px' : '-ml-px'
+                } ${view === option.key ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {totalItems > tasks.length && (
+        <p className="mb-4 text-sm text-gray-500">
+          Showing the first {tasks.length} of {totalItems} tasks due in this period; pick a project to narrow it down.
+        </p>
+      )}
+
+      {loading ? (
+        <div className="p-8">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <>
+          {view === 'month' && renderMonth()}
+          {view === 'week' && renderWeek()}
+          {view === 'timeline' && renderTimeline()}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaskCalendar;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { ChevronUp, ChevronDown, Trash2, Plus } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+
+const TaskChecklist = ({ task, onChange }) => {
+  const [newItem, setNewItem] = useState('');
+  const checklist = task.checklist || [];
+  const completedCount = checklist.filter(item => item.completed).length;
+
+  // Every checklist endpoint returns the updated checklist and task progress
+  const runUpdate = async (request, errorMessage) => {
+    try {
+      const response = await request();
+      onChange(response.data.data);
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(errorMessage);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newItem.trim()) return;
+
+    await runUpdate(
+      () => api.post(`/tasks/${task._id}/checklist`, { text: newItem.trim() }),
+      'Failed to add checklist item'
+    );
+    setNewItem('');
+  };
+
+  const handleToggle = (item) => runUpdate(
+    () => api.patch(`/tasks/${task._id}/checklist/${item._id}`, { completed: !item.completed }),
+    'Failed to update checklist item'
+  );
+
+  const handleDelete = (item) => runUpdate(
+    () => api.delete(`/tasks/${task._id}/checklist/${item._id}`),
+    'Failed to delete checklist item'
+  );
+
+  const handleMove = (index, direction) => {
+    const order = checklist.map(item => item._id);
+    const target = index + direction;
+    [order[index], order[target]] = [order[target], order[index]];
+
+    return runUpdate(
+      () => api.put(`/tasks/${task._id}/checklist/reorder`, { order }),
+      'Failed to reorder checklist'
+    );
+  };
+
+  return (
+    <div>
+      <h4 className="text-lg font-medium text-gray-900 mb-3">
+        Checklist {checklist.length > 0 && `(${completedCount}/${checklist.length})`}
+      </h4>
+
+      {checklist.length > 0 && (
+        <ul className="space-y-2 mb-3">
+          {checklist.map((item, index) => (
+            <li key={item._id} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+              <label className="flex items-center flex-1 min-w-0">
+                <input
+                  type="checkbox"
+                  checked={item.completed}
+                  onChange={() => handleToggle(item)}
+                  className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                <span className={`ml-3 text-sm truncate ${item.completed ? 'line-through text-gray-400' : 'text-gray-700'}`}>
+                  {item.text}
+                </span>
+              </label>
+              <div className="flex items-center space-x-1 ml-2">
+                <button
+                  onClick={() => handleMove(index, -1)}
+                  disabled={index === 0}
+                  className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                >
+                  <ChevronUp className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleMove(index, 1)}
+                  disabled={index === checklist.length - 1}
+                  className="text-gray-400 hover:text-gray-600 disabled:opacity-30"
+                >
+                  <ChevronDown className="h-4 w-4" />
+                </button>
+                <button
+                  onClick={() => handleDelete(item)}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <form onSubmit={handleAdd} className="flex space-x-2">
+        <input
+          type="text"
+          value={newItem}
+          onChange={(e) => setNewItem(e.target.value)}
+          placeholder="Add a checklist item..."
+          className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+        />
+        <button
+          type="submit"
+          disabled={!newItem.trim()}
+          className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4" />
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default TaskChecklist;
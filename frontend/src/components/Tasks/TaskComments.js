@@ -0,0 +1,235 @@
+import React, { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { MessageSquare, CornerDownRight, Edit, Trash2 } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import { formatDistanceToNow } from 'date-fns';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+// Highlight "@user@example.com" mentions inside a comment body
+const renderBody = (text) =>
+  text.split(/(@[^\s@]+@[^\s@]+\.[a-zA-Z]{2,})/g).map((part, index) =>
+    part.startsWith('@') && part.indexOf('@', 1) !== -1 ? (
+      <span key={index} className="font-medium text-indigo-600">{part}</span>
+    ) : (
+      part
+    )
+  );
+
+const CommentForm = ({ initialValue = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initialValue);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) return;
+
+    try {
+      setSubmitting(true);
+      await onSubmit(value.trim());
+      setValue('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <textarea
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        rows={3}
+        placeholder={placeholder}
+        className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+      />
+      <div className="flex justify-end space-x-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 border border-gray-300 rounded-md text-xs font-medium text-gray-700 hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={submitting || !value.trim()}
+          className="px-3 py-1 border border-transparent rounded-md text-xs font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const TaskComments = ({ task }) => {
+  const { user } = useSelector((state) => state.auth);
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  useEffect(() => {
+    fetchComments();
+  }, [task._id]);
+
+  const fetchComments = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/tasks/${task._id}/comments`);
+      setComments(response.data.data);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      toast.error('Failed to fetch comments');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAdd = async (body, parentComment = null) => {
+    try {
+      const response = await api.post(`/tasks/${task._id}/comments`, { body, parentComment });
+      setComments(prev => [...prev, response.data.data]);
+      setReplyTo(null);
+    } catch (error) {
+      console.error('Error adding comment:', error);
+      toast.error('Failed to add comment');
+    }
+  };
+
+  const handleEdit = async (commentId, body) => {
+    try {
+      const response = await api.put(`/tasks/${task._id}/comments/${commentId}`, { body });
+      setComments(prev => prev.map(comment => (comment._id === commentId ? response.data.data : comment)));
+      setEditing(null);
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      toast.error('Failed to update comment');
+    }
+  };
+
+  const handleDelete = async (commentId) => {
+    if (!window.confirm('Delete this comment and all of its replies?')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/tasks/${task._id}/comments/${commentId}`);
+      // Replies are deleted server-side too, so just reload the thread
+      fetchComments();
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      toast.error('Failed to delete comment');
+    }
+  };
+
+  const isAuthor = (comment) => comment.author?._id === user?._id;
+  const canDelete = (comment) =>
+    isAuthor(comment) || user?.permissions?.includes('task:delete:any') || task.createdBy?._id === user?._id;
+
+  const repliesFor = (parentId) =>
+    comments.filter(comment => (comment.parentComment || null) === parentId);
+
+  const renderThread = (parentId, depth = 0) =>
+    repliesFor(parentId).map((comment) => (
+      <div key={comment._id} className={depth > 0 ? 'ml-6 border-l-2 border-gray-100 pl-4' : ''}>
+        <div className="py-3">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center text-sm">
+              {depth > 0 && <CornerDownRight className="mr-1 h-3 w-3 text-gray-400" />}
+              <span className="font-medium text-gray-900">{comment.author?.email || 'Unknown'}</span>
+              <span className="ml-2 text-xs text-gray-500">
+                {formatDistanceToNow(new Date(comment.createdAt), { addSuffix: true })}
+                {comment.editedAt && ' (edited)'}
+              </span>
+            </div>
+            <div className="flex space-x-2">
+              {isAuthor(comment) && (
+                <button
+                  onClick={() => setEditing(comment._id)}
+                  className="text-gray-400 hover:text-indigo-600"
+                >
+                  <Edit className="h-3 w-3" />
+                </button>
+              )}
+              {canDelete(comment) && (
+                <button
+                  onClick={() => handleDelete(comment._id)}
+                  className="text-gray-400 hover:text-red-600"
+                >
+                  <Trash2 className="h-3 w-3" />
+                </button>
+              )}
+            </div>
+          </div>
+
+          {editing === comment._id ? (
+            <div className="mt-2">
+              <CommentForm
+                initialValue={comment.body}
+                submitLabel="Save"
+                onSubmit={(body) => handleEdit(comment._id, body)}
+                onCancel={() => setEditing(null)}
+              />
+            </div>
+          ) : (
+            <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">
+              {renderBody(comment.body)}
+            </p>
+          )}
+
+          <button
+            onClick={() => setReplyTo(replyTo === comment._id ? null : comment._id)}
+            className="mt-1 text-xs font-medium text-indigo-600 hover:text-indigo-500"
+          >
+            Reply
+          </button>
+
+          {replyTo === comment._id && (
+            <div className="mt-2">
+              <CommentForm
+                placeholder={`Reply to ${comment.author?.email || 'comment'}...`}
+                submitLabel="Reply"
+                onSubmit={(body) => handleAdd(body, comment._id)}
+                onCancel={() => setReplyTo(null)}
+              />
+            </div>
+          )}
+        </div>
+        {renderThread(comment._id, depth + 1)}
+      </div>
+    ));
+
+  return (
+    <div>
+      <h4 className="text-lg font-medium text-gray-900 mb-3">
+        Comments {comments.length > 0 && `(${comments.length})`}
+      </h4>
+
+      {loading ? (
+        <LoadingSpinner />
+      ) : comments.length === 0 ? (
+        <div className="text-center py-6">
+          <MessageSquare className="mx-auto h-12 w-12 text-gray-400" />
+          <p className="mt-2 text-sm text-gray-500">
+            No comments yet. Start the discussion below.
+          </p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-100">{renderThread(null)}</div>
+      )}
+
+      <div className="mt-4">
+        <CommentForm
+          placeholder="Add a comment... Mention someone with @their@email.com"
+          submitLabel="Comment"
+          onSubmit={(body) => handleAdd(body)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default TaskComments;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Lock, ArrowRight, X } from 'lucide-react';
+import { api } from '../../services/api';
+import { useSelector } from 'react-redux';
+import { toast } from 'react-hot-toast';
+import { isDoneStatus } from '../../store/slices/workflowSlice';
+import StatusBadge from './StatusBadge';
+
+const DependencyLink = ({ task, done, onRemove }) => (
+  <li className="flex items-center justify-between p-2 bg-gray-50 rounded">
+    <Link
+      to={`/tasks/${task._id}`}
+      className={`text-sm truncate hover:text-indigo-600 ${done ? 'line-through text-gray-400' : 'text-gray-700'}`}
+    >
+      {task.title}
+    </Link>
+    <div className="flex items-center space-x-2 ml-2">
+      <StatusBadge status={task.status} />
+      {onRemove && (
+        <button onClick={() => onRemove(task)} className="text-gray-400 hover:text-red-600">
+          <X className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  </li>
+);
+
+const TaskDependencies = ({ task, onChange }) => {
+  const workflow = useSelector((state) => state.workflow);
+  const [candidates, setCandidates] = useState([]);
+  const blockedBy = task.blockedBy || [];
+  const blocking = task.blocking || [];
+  const openBlockers = blockedBy.filter(blocker => !isDoneStatus(workflow, blocker.status));
+
+  useEffect(() => {
+    fetchCandidates();
+  }, [task._id]);
+
+  const fetchCandidates = async () => {
+    try {
+      const response = await api.get('/tasks?limit=100&sortBy=title&sortOrder=asc');
+      setCandidates(response.data.data.tasks || []);
+    } catch (error) {
+      console.error('Error fetching tasks:', error);
+    }
+  };
+
+  const saveBlockers = async (blockerIds) => {
+    try {
+      await api.put(`/tasks/${task._id}`, { blockedBy: blockerIds });
+      onChange();
+    } catch (error) {
+      console.error('Error updating dependencies:', error);
+      toast.error(error.response?.data?.message || 'Failed to update dependencies');
+    }
+  };
+
+  const handleAdd = (e) => {
+    if (!e.target.value) return;
+    saveBlockers([...blockedBy.map(blocker => blocker._id), e.target.value]);
+  };
+
+  const handleRemove = (removed) => {
+    saveBlockers(blockedBy.filter(blocker => blocker._id !== removed._id).map(blocker => blocker._id));
+  };
+
+  const selectable = candidates.filter(candidate =>
+    candidate._id !== task._id && !blockedBy.some(blocker => blocker._id === candidate._id)
+  );
+
+  return (
+    <div>
+      <h4 className="text-lg font-medium text-gray-900 mb-3">Dependencies</h4>
+
+      {openBlockers.length > 0 && (
+        <div className="flex items-center p-2 mb-3 text-sm text-orange-700 bg-orange-50 rounded">
+          <Lock className="mr-2 h-4 w-4" />
+          Blocked by {openBlockers.length} open task{openBlockers.length === 1 ? '' : 's'}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <h5 className="text-sm font-medium text-gray-700 mb-2">Blocked by</h5>
+          {blockedBy.length > 0 ? (
+            <ul className="space-y-2 mb-2">
+              {blockedBy.map(blocker => (
+                <DependencyLink key={blocker._id} task={blocker} done={isDoneStatus(workflow, blocker.status)} onRemove={handleRemove} />
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500 mb-2">Nothing blocks this task</p>
+          )}
+          <select
+            value=""
+            onChange={handleAdd}
+            className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          >
+            <option value="">Add a blocking task...</option>
+            {selectable.map(candidate => (
+              <option key={candidate._id} value={candidate._id}>
+                {candidate.title}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <h5 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+            Blocks <ArrowRight className="ml-1 h-4 w-4 text-gray-400" />
+          </h5>
+          {blocking.length > 0 ? (
+            <ul className="space-y-2">
+              {blocking.map(dependent => (
+                <DependencyLink key={dependent._id} task={dependent} done={isDoneStatus(workflow, dependent.status)} />
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-500">No tasks are waiting on this one</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TaskDependencies;
@@ -1,10 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Edit, Calendar, User, FileText, Download, Trash2, Eye } from 'lucide-react';
+import { ArrowLeft, Edit, Calendar, User, FileText, Download, Trash2, Eye, Folder, Repeat } from 'lucide-react';
 import { api } from '../../services/api';
 import { toast } from 'react-hot-toast';
 import { format } from 'date-fns';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import TaskComments from './TaskComments';
+import TaskActivity from './TaskActivity';
+import SubtaskList from './SubtaskList';
+import TaskChecklist from './TaskChecklist';
+import TaskDependencies from './TaskDependencies';
+import LabelChip from '../Labels/LabelChip';
+import StatusBadge from './StatusBadge';
 
 const TaskDetail = () => {
   const { id } = useParams();
@@ -30,19 +37,20 @@ const TaskDetail = () => {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
-        return 'text-green-600 bg-green-100';
-      case 'in_progress':
-        return 'text-blue-600 bg-blue-100';
-      case 'pending':
-        return 'text-yellow-600 bg-yellow-100';
-      default:
-        return 'text-gray-600 bg-gray-100';
+  // Subtask and dependency changes affect this task, so reload it without the spinner
+  const reloadTask = async () => {
+    try {
+      const response = await api.get(`/tasks/${id}`);
+      setTask(response.data.data);
+    } catch (error) {
+      console.error('Error reloading task:', error);
     }
   };
 
+  const handleChecklistChange = ({ checklist, progress }) => {
+    setTask(prev => ({ ...prev, checklist, progress }));
+  };
+
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'high':
@@ -151,16 +159,25 @@ const TaskDetail = () => {
         <div className="px-6 py-4 border-b border-gray-200">
           <div className="flex items-center justify-between">
             <div>
+              {task.parentTask && (
+                <Link
+                  to={`/tasks/${task.parentTask._id}`}
+                  className="text-sm text-gray-500 hover:text-indigo-600"
+                >
+                  Subtask of {task.parentTask.title}
+                </Link>
+              )}
               <h1 className="text-2xl font-bold text-gray-900 mb-2">
                 {task.title}
               </h1>
               <div className="flex items-center space-x-3">
-                <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(task.status)}`}>
-                  {task.status.replace('_', ' ')}
-                </span>
+                <StatusBadge status={task.status} />
                 <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getPriorityColor(task.priority)}`}>
                   {task.priority}
                 </span>
+                {task.labels?.map(label => (
+                  <LabelChip key={label._id} label={label} />
+                ))}
               </div>
             </div>
             <div className="flex space-x-2">
@@ -198,6 +215,26 @@ const TaskDetail = () => {
                   </div>
                 </div>
 
+                {/* Progress */}
+                <div>
+                  <div className="flex items-center justify-between mb-1">
+                    <span className="text-sm font-medium text-gray-700">Progress</span>
+                    <span className="text-sm text-gray-500">{task.progress || 0}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-indigo-600 h-2 rounded-full"
+                      style={{ width: `${task.progress || 0}%` }}
+                    />
+                  </div>
+                </div>
+
+                <SubtaskList task={task} onChange={reloadTask} />
+
+                <TaskChecklist task={task} onChange={handleChecklistChange} />
+
+                <TaskDependencies task={task} onChange={reloadTask} />
+
                 {/* Document Attachments */}
                 <div>
                   <h4 className="text-lg font-medium text-gray-900 mb-3">
@@ -247,6 +284,9 @@ const TaskDetail = () => {
                     </div>
                   )}
                 </div>
+
+                {/* Discussion */}
+                <TaskComments task={task} />
               </div>
             </div>
 
@@ -260,9 +300,7 @@ const TaskDetail = () => {
                   <div>
                     <dt className="text-sm text-gray-500">Status</dt>
                     <dd className="mt-1">
-                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(task.status)}`}>
-                        {task.status.replace('_', ' ')}
-                      </span>
+                      <StatusBadge status={task.status} />
                     </dd>
                   </div>
                   <div>
@@ -280,6 +318,35 @@ const TaskDetail = () => {
                       {task.dueDate ? format(new Date(task.dueDate), 'MMM d, yyyy') : 'Not set'}
                     </dd>
                   </div>
+                  <div>
+                    <dt className="text-sm text-gray-500">Project</dt>
+                    <dd className="mt-1 flex items-center text-sm text-gray-900">
+                      <Folder className="mr-1 h-4 w-4 text-gray-400" />
+                      {task.project ? (
+                        <Link to={`/projects/${task.project._id}`} className="text-indigo-600 hover:text-indigo-500">
+                          {task.project.name}
+                        </Link>
+                      ) : 'Personal task'}
+                    </dd>
+                  </div>
+                  {(task.recurrence || task.recurrenceOf) && (
+                    <div>
+                      <dt className="text-sm text-gray-500">Repeats</dt>
+                      <dd className="mt-1 flex items-center text-sm text-gray-900">
+                        <Repeat className="mr-1 h-4 w-4 text-gray-400" />
+                        {task.recurrence ? (
+                          <span>
+                            <code>{task.recurrence.rule}</code>
+                            {task.recurrence.endedAt && ' (ended)'}
+                          </span>
+                        ) : (
+                          <Link to={`/tasks/${task.recurrenceOf._id}`} className="text-indigo-600 hover:text-indigo-500">
+                            Occurrence of {task.recurrenceOf.title}
+                          </Link>
+                        )}
+                      </dd>
+                    </div>
+                  )}
                   <div>
                     <dt className="text-sm text-gray-500">Assigned To</dt>
                     <dd className="mt-1 flex items-center text-sm text-gray-900">
@@ -307,6 +374,9 @@ const TaskDetail = () => {
                   </div>
                 </dl>
               </div>
+
+              {/* Activity timeline */}
+              <TaskActivity taskId={id} />
             </div>
           </div>
         </div>
@@ -1,37 +1,72 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { useSelector } from 'react-redux';
 import { api } from '../../services/api';
 import { toast } from 'react-hot-toast';
-import { Upload, X, FileText } from 'lucide-react';
+import { Upload, X, FileText, Plus } from 'lucide-react';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import LabelChip from '../Labels/LabelChip';
+import RecurrenceEditor from './RecurrenceEditor';
+import { getAllowedStatuses } from '../../store/slices/workflowSlice';
 
 const TaskForm = () => {
   const navigate = useNavigate();
   const { id } = useParams();
+  const [searchParams] = useSearchParams();
   const isEdit = Boolean(id);
+  const { projects, currentProjectId } = useSelector((state) => state.projects);
+  const workflow = useSelector((state) => state.workflow);
   
   const [loading, setLoading] = useState(false);
   const [submitting, setSubmitting] = useState(false);
   const [users, setUsers] = useState([]);
+  const [projectMembers, setProjectMembers] = useState([]);
+  const [parentOptions, setParentOptions] = useState([]);
+  const [availableLabels, setAvailableLabels] = useState([]);
+  const [selectedLabels, setSelectedLabels] = useState([]);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
-    status: 'pending',
+    // Empty means the workflow's initial state
+    status: '',
     priority: 'medium',
     dueDate: '',
-    assignedTo: ''
+    assignedTo: '',
+    // New tasks start in the project picked in the sidebar switcher
+    project: currentProjectId && currentProjectId !== 'none' ? currentProjectId : '',
+    parentTask: searchParams.get('parent') || ''
   });
+  const [checklist, setChecklist] = useState([]);
+  const [recurrence, setRecurrence] = useState(null);
+  // The recurring task this one was created from, if any
+  const [recurrenceOf, setRecurrenceOf] = useState(null);
+  // Status the task had when it was loaded; the workflow decides where it may go next
+  const [savedStatus, setSavedStatus] = useState(null);
+  const [newChecklistItem, setNewChecklistItem] = useState('');
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [existingDocuments, setExistingDocuments] = useState([]);
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
     fetchUsers();
+    fetchParentOptions();
+    fetchLabels();
     if (isEdit) {
       fetchTask();
     }
   }, [id, isEdit]);
 
+  // Project tasks can only be assigned to members of the project
+  useEffect(() => {
+    if (!formData.project) {
+      setProjectMembers([]);
+      return;
+    }
+    api.get(`/projects/${formData.project}`)
+      .then(response => setProjectMembers(response.data.data.members.map(member => member.user)))
+      .catch(error => console.error('Error fetching project members:', error));
+  }, [formData.project]);
+
   const fetchUsers = async () => {
     try {
       const response = await api.get('/users');
@@ -42,6 +77,24 @@ const TaskForm = () => {
     }
   };
 
+  const fetchParentOptions = async () => {
+    try {
+      const response = await api.get('/tasks?limit=100&sortBy=title&sortOrder=asc');
+      setParentOptions(response.data.data.tasks || []);
+    } catch (error) {
+      console.error('Error fetching parent tasks:', error);
+    }
+  };
+
+  const fetchLabels = async () => {
+    try {
+      const response = await api.get('/labels');
+      setAvailableLabels(response.data.data);
+    } catch (error) {
+      console.error('Error fetching labels:', error);
+    }
+  };
+
   const fetchTask = async () => {
     try {
       setLoading(true);
@@ -51,11 +104,18 @@ const TaskForm = () => {
       setFormData({
         title: task.title || '',
         description: task.description || '',
-        status: task.status || 'pending',
+        status: task.status,
         priority: task.priority || 'medium',
         dueDate: task.dueDate ? new Date(task.dueDate).toISOString().split('T')[0] : '',
-        assignedTo: task.assignedTo?._id || ''
+        assignedTo: task.assignedTo?._id || '',
+        project: task.project?._id || '',
+        parentTask: task.parentTask?._id || ''
       });
+      setSavedStatus(task.status);
+      setSelectedLabels((task.labels || []).map(label => label._id));
+      setChecklist((task.checklist || []).map(({ _id, text, completed }) => ({ _id, text, completed })));
+      setRecurrence(task.recurrence ? { rule: task.recurrence.rule, startDate: task.recurrence.startDate } : null);
+      setRecurrenceOf(task.recurrenceOf || null);
       
       setExistingDocuments(task.documents || []);
     } catch (error) {
@@ -116,6 +176,26 @@ const TaskForm = () => {
     }
   };
 
+  const toggleLabel = (labelId) => {
+    setSelectedLabels(prev => (
+      prev.includes(labelId) ? prev.filter(id => id !== labelId) : [...prev, labelId]
+    ));
+  };
+
+  const addChecklistItem = () => {
+    if (!newChecklistItem.trim()) return;
+    setChecklist(prev => [...prev, { text: newChecklistItem.trim(), completed: false }]);
+    setNewChecklistItem('');
+  };
+
+  const toggleChecklistItem = (index) => {
+    setChecklist(prev => prev.map((item, i) => (i === index ? { ...item, completed: !item.completed } : item)));
+  };
+
+  const removeChecklistItem = (index) => {
+    setChecklist(prev => prev.filter((_, i) => i !== index));
+  };
+
   const validateForm = () => {
     const newErrors = {};
     
@@ -147,10 +227,41 @@ const TaskForm = () => {
       
       const submitData = new FormData();
       Object.keys(formData).forEach(key => {
+        // Subtasks always follow their parent's project
+        if (key === 'project' && formData.parentTask) return;
         if (formData[key]) {
           submitData.append(key, formData[key]);
         }
       });
+
+      // Empty fields on edit clear the parent, project and assignee
+      if (isEdit && !formData.parentTask) {
+        submitData.append('parentTask', 'null');
+        if (!formData.project) {
+          submitData.append('project', 'null');
+        }
+      }
+      if (isEdit && !formData.assignedTo) {
+        submitData.append('assignedTo', 'null');
+      }
+
+      // Subtasks and instances of a recurring task cannot recur themselves
+      if (!formData.parentTask && !recurrenceOf) {
+        if (recurrence) {
+          submitData.append('recurrence', JSON.stringify(recurrence));
+        } else if (isEdit) {
+          submitData.append('recurrence', 'null');
+        }
+      }
+
+      if (isEdit || selectedLabels.length > 0) {
+        submitData.append('labels', JSON.stringify(selectedLabels));
+      }
+
+      // Always send the checklist on edit so removed items are dropped
+      if (isEdit || checklist.length > 0) {
+        submitData.append('checklist', JSON.stringify(checklist));
+      }
       
       selectedFiles.forEach((file) => {
         submitData.append('documents', file);
@@ -239,13 +350,13 @@ const TaskForm = () => {
               </label>
               <select 
                 name="status"
-                value={formData.status}
+                value={formData.status || workflow.initialState}
                 onChange={handleInputChange}
                 className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
               >
-                <option value="pending">Pending</option>
-                <option value="in_progress">In Progress</option>
-                <option value="completed">Completed</option>
+                {(savedStatus ? getAllowedStatuses(workflow, savedStatus) : workflow.states).map(state => (
+                  <option key={state.key} value={state.key}>{state.name}</option>
+                ))}
               </select>
             </div>
 
@@ -280,6 +391,29 @@ const TaskForm = () => {
             </div>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Project
+            </label>
+            <select
+              name="project"
+              value={formData.project}
+              onChange={handleInputChange}
+              disabled={Boolean(formData.parentTask)}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm disabled:bg-gray-100"
+            >
+              <option value="">No project (personal task)</option>
+              {projects.filter(project => project.role !== 'viewer').map(project => (
+                <option key={project._id} value={project._id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+            {formData.parentTask && (
+              <p className="mt-1 text-xs text-gray-500">Subtasks are always in their parent task's project</p>
+            )}
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Assign To
@@ -291,14 +425,131 @@ const TaskForm = () => {
               className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
             >
               <option value="">Select a user (optional)</option>
-              {users.map(user => (
-                <option key={user._id} value={user._id}>
-                  {user.email} - {user.role}
-                </option>
-              ))}
+              {formData.project
+                ? projectMembers.map(member => (
+                  <option key={member._id} value={member._id}>
+                    {member.email}
+                  </option>
+                ))
+                : users.map(user => (
+                  <option key={user._id} value={user._id}>
+                    {user.email} - {user.role}
+                  </option>
+                ))}
             </select>
           </div>
 
+          {availableLabels.length > 0 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Labels
+              </label>
+              <div className="flex flex-wrap gap-2">
+                {availableLabels.map(label => (
+                  <LabelChip
+                    key={label._id}
+                    label={label}
+                    selected={selectedLabels.includes(label._id)}
+                    onClick={() => toggleLabel(label._id)}
+                  />
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Parent Task
+            </label>
+            <select
+              name="parentTask"
+              value={formData.parentTask}
+              onChange={handleInputChange}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            >
+              <option value="">No parent (top-level task)</option>
+              {parentOptions
+                .filter(option => option._id !== id)
+                .map(option => (
+                  <option key={option._id} value={option._id}>
+                    {option.title}
+                  </option>
+                ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Repeat
+            </label>
+            {recurrenceOf ? (
+              <p className="text-sm text-gray-500">
+                This task is one occurrence of{' '}
+                <Link to={`/tasks/${recurrenceOf._id}`} className="text-indigo-600 hover:text-indigo-800">
+                  {recurrenceOf.title}
+                </Link>
+                ; edit that task to change the schedule.
+              </p>
+            ) : formData.parentTask ? (
+              <p className="text-sm text-gray-500">Subtasks cannot repeat.</p>
+            ) : (
+              <RecurrenceEditor value={recurrence} onChange={setRecurrence} />
+            )}
+          </div>
+
+          {/* Checklist */}
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              Checklist
+            </label>
+            {checklist.length > 0 && (
+              <div className="space-y-2 mb-2">
+                {checklist.map((item, index) => (
+                  <div key={item._id || index} className="flex items-center justify-between p-2 bg-gray-50 rounded">
+                    <label className="flex items-center">
+                      <input
+                        type="checkbox"
+                        checked={item.completed}
+                        onChange={() => toggleChecklistItem(index)}
+                        className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                      />
+                      <span className="ml-2 text-sm text-gray-700">{item.text}</span>
+                    </label>
+                    <button
+                      type="button"
+                      onClick={() => removeChecklistItem(index)}
+                      className="text-red-600 hover:text-red-800"
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                value={newChecklistItem}
+                onChange={(e) => setNewChecklistItem(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    e.preventDefault();
+                    addChecklistItem();
+                  }
+                }}
+                placeholder="Add a checklist item..."
+                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+              />
+              <button
+                type="button"
+                onClick={addChecklistItem}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                <Plus className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+
           {/* File Upload Section */}
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
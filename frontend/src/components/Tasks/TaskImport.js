@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useSelector } from 'react-redux';
+import { ArrowLeft, Upload, FileText, CheckCircle, AlertCircle } from 'lucide-react';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const selectClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm';
+
+const formatOf = (fileName) => (fileName.toLowerCase().endsWith('.json') ? 'json' : 'csv');
+
+// Import tasks from a CSV or JSON file in three steps: pick the file, check
+// how its columns map onto task fields (the server validates every row
+// without saving anything), then import once every row is valid.
+const TaskImport = () => {
+  const navigate = useNavigate();
+  const { projects, currentProjectId } = useSelector((state) => state.projects);
+  const [file, setFile] = useState(null); // { name, format, content }
+  const [project, setProject] = useState(currentProjectId && currentProjectId !== 'none' ? currentProjectId : '');
+  const [mapping, setMapping] = useState(null);
+  const [result, setResult] = useState(null);
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [importing, setImporting] = useState(false);
+
+  const requestBody = (nextMapping = mapping) => ({
+    format: file.format,
+    content: file.content,
+    ...(nextMapping && { mapping: nextMapping }),
+    ...(project && { project }),
+  });
+
+  const check = async (nextMapping = mapping) => {
+    setChecking(true);
+    try {
+      const response = await api.post('/tasks/import', { ...requestBody(nextMapping), dryRun: true });
+      setResult(response.data.data);
+      setMapping(response.data.data.mapping);
+    } catch (error) {
+      console.error('Error checking import:', error);
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files[0];
+    if (!selected) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      setFile({ name: selected.name, format: formatOf(selected.name), content: reader.result });
+      setMapping(null);
+      setResult(null);
+    };
+    reader.onerror = () => toast.error('Could not read the file');
+    reader.readAsText(selected);
+  };
+
+  const handleMappingChange = (field, column) => {
+    const next = { ...mapping, [field]: column };
+    setMapping(next);
+    check(next);
+  };
+
+  const handleImport = async () => {
+    setImporting(true);
+    try {
+      const response = await api.post('/tasks/import', requestBody());
+      toast.success(response.data.message);
+      navigate('/tasks');
+    } catch (error) {
+      console.error('Error importing tasks:', error);
+      // Something changed since the check (e.g. a user was removed); show why
+      if (error.response?.data?.data) {
+        setResult(error.response.data.data);
+      }
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const invalidCount = result ? result.totalRows - result.validRows : 0;
+  const shownRows = result ? result.rows.filter(row => !onlyErrors || row.errors.length > 0) : [];
+
+  return (
+    <div className="max-w-5xl mx-auto">
+      <div className="mb-6">
+        <Link to="/tasks" className="inline-flex items-center text-sm text-gray-500 hover:text-gray-700">
+          <ArrowLeft className="mr-1 h-4 w-4" />
+          Back to tasks
+        </Link>
+        <h1 className="mt-2 text-2xl font-bold text-gray-900">Import tasks</h1>
+        <p className="mt-2 text-sm text-gray-700">
+          Create many tasks at once from a spreadsheet export (CSV with a header line) or a JSON array of objects
+        </p>
+      </div>
+
+      {/* Step 1: file and project */}
+      <div className="bg-white shadow rounded-lg p-6 mb-6">
+        <h2 className="text-lg font-medium text-gray-900">1. Choose a file</h2>
+        <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div>
+            <label className="flex justify-center items-center px-6 py-6 border-2 border-gray-300 border-dashed rounded-md cursor-pointer hover:border-indigo-400">
+              <span className="flex items-center text-sm text-gray-600">
+                {file ? (
+                  <>
+                    <FileText className="mr-2 h-5 w-5 text-gray-400" />
+                    {file.name}
+                  </>
+                ) : (
+                  <>
+                    <Upload className="mr-2 h-5 w-5 text-gray-400" />
+                    Select a .csv or .json file
+                  </>
+                )}
+              </span>
+              <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="sr-only" />
+            </label>
+          </div>
+          <div>
+            <label htmlFor="import-project" className="block text-sm font-medium text-gray-700">Import into</label>
+            <select
+              id="import-project"
+              value={project}
+              onChange={(e) => {
+                setProject(e.target.value);
+                setResult(null);
+              }}
+              className={`mt-1 ${selectClass}`}
+            >
+              <option value="">No project (personal tasks)</option>
+              {projects.filter(item => item.role !== 'viewer').map(item => (
+                <option key={item._id} value={item._id}>{item.name}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-xs text-gray-500">
+              Assignees are matched by email; in a project they must be members.
+            </p>
+          </div>
+        </div>
+        <div className="mt-4">
+          <button
+            onClick={() => check()}
+            disabled={!file || checking}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            {checking ? 'Checking...' : 'Check file'}
+          </button>
+        </div>
+      </div>
+
+      {result && (
+        <>
+          {/* Step 2: column mapping */}
+          <div className="bg-white shadow rounded-lg p-6 mb-6">
+            <h2 className="text-lg font-medium text-gray-900">2. Match columns to task fields</h2>
+            <div className="mt-4 grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+              {result.fields.map(field => (
+                <div key={field.name}>
+                  <label htmlFor={`map-${field.name}`} className="block text-sm font-medium text-gray-700">
+                    {field.name}
+                  </label>
+                  <select
+                    id={`map-${field.name}`}
+                    value={mapping?.[field.name] || ''}
+                    onChange={(e) => handleMappingChange(field.name, e.target.value)}
+                    disabled={checking}
+                    className={`mt-1 ${selectClass}`}
+                  >
+                    <option value="">Not imported</option>
+                    {result.columns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                  <p className="mt-1 text-xs text-gray-500">{field.description}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Step 3: review and import */}
+          <div className="bg-white shadow rounded-lg p-6">
+            <div className="sm:flex sm:items-center sm:justify-between">
+              <h2 className="text-lg font-medium text-gray-900">3. Review and import</h2>
+              <label className="mt-2 sm:mt-0 flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={onlyErrors}
+                  onChange={(e) => setOnlyErrors(e.target.checked)}
+                  className="mr-2 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                />
+                Only rows with errors
+              </label>
+            </div>
+
+            {invalidCount === 0 ? (
+              <p className="mt-4 flex items-center text-sm text-green-700">
+                <CheckCircle className="mr-2 h-4 w-4" />
+                All {result.totalRows} rows are ready to import
+              </p>
+            ) : (
+              <p className="mt-4 flex items-center text-sm text-red-700">
+                <AlertCircle className="mr-2 h-4 w-4" />
+                {invalidCount} of {result.totalRows} rows have errors. Fix them in the file or change the mapping; nothing is imported until every row is valid.
+              </p>
+            )}
+
+            {checking ? (
+              <div className="flex justify-center py-6">
+                <LoadingSpinner />
+              </div>
+            ) : (
+              <div className="mt-4 max-h-96 overflow-auto border border-gray-200 rounded-md">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Row</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Title</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Other fields</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Problems</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {shownRows.map(row => (
+                      <tr key={row.row} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                        <td className="px-3 py-2 text-gray-500">{row.row}</td>
+                        <td className="px-3 py-2 text-gray-900">{row.fields.title || <span className="italic text-gray-400">none</span>}</td>
+                        <td className="px-3 py-2 text-xs text-gray-600">
+                          {Object.entries(row.fields)
+                            .filter(([field]) => field !== 'title')
+                            .map(([field, value]) => `${field}: ${value}`)
+                            .join(' · ')}
+                        </td>
+                        <td className="px-3 py-2 text-xs text-red-700">
+                          {row.errors.map((error, index) => (
+                            <span key={index} className="block">
+                              <span className="font-medium">{error.field}</span>: {error.message}
+                            </span>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="mt-4 flex justify-end space-x-3">
+              <Link
+                to="/tasks"
+                className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </Link>
+              <button
+                onClick={handleImport}
+                disabled={checking || importing || invalidCount > 0}
+                className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+              >
+                {importing ? 'Importing...' : `Import ${result.totalRows} ${result.totalRows === 1 ? 'task' : 'tasks'}`}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TaskImport;
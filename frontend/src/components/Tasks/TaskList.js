@@ -1,21 +1,31 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { Plus, Search, Filter, Calendar, Edit, Trash2 } from 'lucide-react';
+import { useSelector } from 'react-redux';
+import { Plus, Search, Filter, Calendar, Edit, Trash2, Repeat, Upload, Download, KanbanSquare, CalendarDays } from 'lucide-react';
 import { api } from '../../services/api';
 import LoadingSpinner from '../Common/LoadingSpinner';
+import LabelChip from '../Labels/LabelChip';
+import StatusBadge from './StatusBadge';
 import { format } from 'date-fns';
 import { toast } from 'react-hot-toast';
 
 const TaskList = () => {
+  const { currentProjectId } = useSelector((state) => state.projects);
+  const workflowStates = useSelector((state) => state.workflow.states);
   const [tasks, setTasks] = useState([]);
+  const [labels, setLabels] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
     search: '',
     status: '',
     priority: '',
+    blocked: '',
+    labels: '',
+    labelMatch: 'any',
     sortBy: 'createdAt',
     sortOrder: 'desc'
   });
+  const [exportOpen, setExportOpen] = useState(false);
   const [pagination, setPagination] = useState({
     currentPage: 1,
     totalPages: 1,
@@ -24,7 +34,20 @@ const TaskList = () => {
 
   useEffect(() => {
     fetchTasks();
-  }, [filters, pagination.currentPage]);
+  }, [filters, pagination.currentPage, currentProjectId]);
+
+  useEffect(() => {
+    fetchLabels();
+  }, []);
+
+  const fetchLabels = async () => {
+    try {
+      const response = await api.get('/labels');
+      setLabels(response.data.data);
+    } catch (error) {
+      console.error('Error fetching labels:', error);
+    }
+  };
 
   const fetchTasks = async () => {
     try {
@@ -32,7 +55,8 @@ const TaskList = () => {
       const params = new URLSearchParams({
         page: pagination.currentPage,
         limit: 10,
-        ...filters
+        ...filters,
+        ...(currentProjectId && { project: currentProjectId })
       });
       
       const response = await api.get(`/tasks?${params}`);
@@ -51,6 +75,40 @@ const TaskList = () => {
     setPagination(prev => ({ ...prev, currentPage: 1 }));
   };
 
+  const selectedLabels = filters.labels ? filters.labels.split(',') : [];
+
+  const toggleLabelFilter = (labelId) => {
+    const next = selectedLabels.includes(labelId)
+      ? selectedLabels.filter(id => id !== labelId)
+      : [...selectedLabels, labelId];
+    handleFilterChange('labels', next.join(','));
+  };
+
+  // Download every task matching the current filters, not just this page
+  const handleExport = async (exportFormat) => {
+    setExportOpen(false);
+    try {
+      const params = new URLSearchParams({
+        format: exportFormat,
+        ...filters,
+        ...(currentProjectId && { project: currentProjectId })
+      });
+      const response = await api.get(`/tasks/export?${params}`, { responseType: 'blob' });
+
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `tasks-${format(new Date(), 'yyyy-MM-dd')}.${exportFormat === 'json' ? 'json' : 'csv'}`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting tasks:', error);
+      toast.error('Failed to export tasks');
+    }
+  };
+
   const handleDelete = async (taskId) => {
     if (!window.confirm('Are you sure you want to delete this task?')) {
       return;
@@ -66,19 +124,6 @@ const TaskList = () => {
     }
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'completed':
-        return 'text-green-600 bg-green-100';
-      case 'in_progress':
-        return 'text-blue-600 bg-blue-100';
-      case 'pending':
-        return 'text-yellow-600 bg-yellow-100';
-      default:
-        return 'text-gray-600 bg-gray-100';
-    }
-  };
-
   const getPriorityColor = (priority) => {
     switch (priority) {
       case 'high':
@@ -102,7 +147,56 @@ const TaskList = () => {
             Manage your tasks and stay organized
           </p>
         </div>
-        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none flex space-x-3">
+          <Link
+            to="/tasks/board"
+            className="inline-flex items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50"
+          >
+            <KanbanSquare className="mr-2 h-4 w-4" />
+            Board
+          </Link>
+          <Link
+            to="/tasks/calendar"
+            className="inline-flex items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50"
+          >
+            <CalendarDays className="mr-2 h-4 w-4" />
+            Calendar
+          </Link>
+          <div className="relative">
+            <button
+              onClick={() => setExportOpen(prev => !prev)}
+              className="inline-flex items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50"
+            >
+              <Download className="mr-2 h-4 w-4" />
+              Export
+            </button>
+            {exportOpen && (
+              <div className="absolute right-0 z-10 mt-2 w-48 rounded-md bg-white shadow-lg ring-1 ring-black ring-opacity-5">
+                <div className="py-1">
+                  {[
+                    { format: 'csv', label: 'CSV' },
+                    { format: 'excel', label: 'CSV for Excel' },
+                    { format: 'json', label: 'JSON' },
+                  ].map(option => (
+                    <button
+                      key={option.format}
+                      onClick={() => handleExport(option.format)}
+                      className="block w-full px-4 py-2 text-left text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+          <Link
+            to="/tasks/import"
+            className="inline-flex items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm hover:bg-gray-50"
+          >
+            <Upload className="mr-2 h-4 w-4" />
+            Import
+          </Link>
           <Link
             to="/tasks/new"
             className="inline-flex items-center justify-center rounded-md border border-transparent bg-indigo-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-indigo-700"
@@ -115,7 +209,7 @@ const TaskList = () => {
 
       {/* Filters */}
       <div className="bg-white shadow rounded-lg p-6 mb-6">
-        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Search
@@ -142,9 +236,9 @@ const TaskList = () => {
               className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
             >
               <option value="">All Status</option>
-              <option value="pending">Pending</option>
-              <option value="in_progress">In Progress</option>
-              <option value="completed">Completed</option>
+              {workflowStates.map(state => (
+                <option key={state.key} value={state.key}>{state.name}</option>
+              ))}
             </select>
           </div>
 
@@ -164,6 +258,21 @@ const TaskList = () => {
             </select>
           </div>
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Dependencies
+            </label>
+            <select
+              value={filters.blocked}
+              onChange={(e) => handleFilterChange('blocked', e.target.value)}
+              className="block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+            >
+              <option value="">All Tasks</option>
+              <option value="true">Blocked</option>
+              <option value="false">Not Blocked</option>
+            </select>
+          </div>
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
               Sort By
@@ -186,6 +295,30 @@ const TaskList = () => {
             </select>
           </div>
         </div>
+
+        {labels.length > 0 && (
+          <div className="mt-4 flex flex-wrap items-center gap-2">
+            <span className="text-sm font-medium text-gray-700 mr-1">Labels</span>
+            {labels.map(label => (
+              <LabelChip
+                key={label._id}
+                label={label}
+                selected={selectedLabels.includes(label._id)}
+                onClick={() => toggleLabelFilter(label._id)}
+              />
+            ))}
+            {selectedLabels.length > 1 && (
+              <select
+                value={filters.labelMatch}
+                onChange={(e) => handleFilterChange('labelMatch', e.target.value)}
+                className="ml-2 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 text-xs py-1"
+              >
+                <option value="any">Match any</option>
+                <option value="all">Match all</option>
+              </select>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Tasks List */}
@@ -225,13 +358,10 @@ const TaskList = () => {
                         >
                           {task.title}
                         </Link>
-                        <span
-                          className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getStatusColor(
-                            task.status
-                          )}`}
-                        >
-                          {task.status.replace('_', ' ')}
-                        </span>
+                        {(task.recurrence || task.recurrenceOf) && (
+                          <Repeat className="h-4 w-4 text-gray-400" title="Recurring task" />
+                        )}
+                        <StatusBadge status={task.status} />
                         <span
                           className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full ${getPriorityColor(
                             task.priority
@@ -239,6 +369,9 @@ const TaskList = () => {
                         >
                           {task.priority}
                         </span>
+                        {task.labels?.map(label => (
+                          <LabelChip key={label._id} label={label} />
+                        ))}
                       </div>
                       
                       {task.description && (
@@ -248,13 +381,17 @@ const TaskList = () => {
                       )}
                       
                       <div className="mt-2 flex items-center text-sm text-gray-500 space-x-4">
+                        {task.project && (
+                          <span>Project: {task.project.name}</span>
+                        )}
                         {task.assignedTo && (
                           <span>Assigned to: {task.assignedTo.email}</span>
                         )}
                         {task.dueDate && (
-                          <div className="flex items-center">
+                          <div className={`flex items-center ${task.isOverdue ? 'text-red-600 font-medium' : ''}`}>
                             <Calendar className="mr-1 h-4 w-4" />
                             Due: {format(new Date(task.dueDate), 'MMM d, yyyy')}
+                            {task.isOverdue && ' (overdue)'}
                           </div>
                         )}
                         <span>
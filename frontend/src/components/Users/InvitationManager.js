@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import { Send, Copy, X } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  accepted: 'bg-green-100 text-green-800',
+  revoked: 'bg-gray-100 text-gray-700',
+  expired: 'bg-gray-100 text-gray-700',
+};
+
+const emptyForm = { email: '', role: 'user', expiresInDays: 7 };
+
+const copyToClipboard = async (text) => {
+  try {
+    await navigator.clipboard.writeText(text);
+    toast.success('Invitation link copied');
+  } catch (error) {
+    toast.error('Could not copy to the clipboard');
+  }
+};
+
+const InvitationManager = () => {
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [sending, setSending] = useState(false);
+  // Links are only known right after creating an invitation
+  const [links, setLinks] = useState({});
+  const [roles, setRoles] = useState([]);
+
+  const fetchInvitations = async () => {
+    try {
+      const response = await api.get('/invitations');
+      setInvitations(response.data.data);
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchInvitations();
+    api.get('/roles')
+      .then(response => setRoles(response.data.data))
+      .catch(error => console.error('Error fetching roles:', error));
+  }, []);
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    setSending(true);
+    try {
+      const response = await api.post('/invitations', form);
+      const { invitation, inviteUrl, emailSent } = response.data.data;
+      setLinks(prev => ({ ...prev, [invitation._id]: inviteUrl }));
+      setForm(emptyForm);
+      if (emailSent) {
+        toast.success(`Invitation sent to ${invitation.email}`);
+      } else {
+        toast.error('The invitation email could not be sent. Copy the link and share it yourself.');
+      }
+      fetchInvitations();
+    } catch (error) {
+      console.error('Error creating invitation:', error);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleRevoke = async (invitation) => {
+    if (!window.confirm(`Revoke the invitation for ${invitation.email}?`)) return;
+
+    try {
+      await api.delete(`/invitations/${invitation._id}`);
+      toast.success('Invitation revoked');
+      fetchInvitations();
+    } catch (error) {
+      console.error('Error revoking invitation:', error);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-lg font-medium text-gray-900">Invitations</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Invited people register through an expiring link and get the role you choose.
+        </p>
+      </div>
+
+      <form onSubmit={handleInvite} className="px-6 py-4 flex flex-wrap items-end gap-3 border-b border-gray-200">
+        <div>
+          <label htmlFor="invite-email" className="block text-xs font-medium text-gray-700">Email</label>
+          <input
+            id="invite-email"
+            type="email"
+            required
+            value={form.email}
+            onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+            placeholder="name@example.com"
+            className="mt-1 block w-64 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="invite-role" className="block text-xs font-medium text-gray-700">Role</label>
+          <select
+            id="invite-role"
+            value={form.role}
+            onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+            className="mt-1 block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          >
+            {roles.length === 0 && <option value="user">user</option>}
+            {roles.map(role => (
+              <option key={role._id} value={role.name}>{role.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="invite-expiry" className="block text-xs font-medium text-gray-700">Valid for</label>
+          <select
+            id="invite-expiry"
+            value={form.expiresInDays}
+            onChange={(e) => setForm(prev => ({ ...prev, expiresInDays: Number(e.target.value) }))}
+            className="mt-1 block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          >
+            <option value={1}>1 day</option>
+            <option value={7}>7 days</option>
+            <option value={30}>30 days</option>
+          </select>
+        </div>
+        <button
+          type="submit"
+          disabled={sending}
+          className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          <Send className="mr-2 h-4 w-4" />
+          {sending ? 'Sending...' : 'Send invitation'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : invitations.length === 0 ? (
+        <p className="px-6 py-6 text-center text-sm text-gray-500">No invitations yet</p>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {invitations.map(invitation => (
+            <li key={invitation._id} className="px-6 py-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">
+                  {invitation.email}
+                  <span className="ml-2 text-xs font-normal text-gray-500 capitalize">{invitation.role}</span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  Invited by {invitation.invitedBy?.email || 'a deleted user'}{' '}
+                  {formatDistanceToNow(new Date(invitation.createdAt), { addSuffix: true })}
+                  {invitation.status === 'pending' &&
+                    ` · expires ${formatDistanceToNow(new Date(invitation.expiresAt), { addSuffix: true })}`}
+                </p>
+              </div>
+              <div className="ml-4 flex items-center space-x-2">
+                <span className={`px-2 py-0.5 text-xs font-medium rounded-full capitalize ${STATUS_STYLES[invitation.status]}`}>
+                  {invitation.status}
+                </span>
+                {invitation.status === 'pending' && links[invitation._id] && (
+                  <button
+                    onClick={() => copyToClipboard(links[invitation._id])}
+                    className="p-1 text-gray-400 hover:text-gray-600"
+                    title="Copy invitation link"
+                  >
+                    <Copy className="h-4 w-4" />
+                  </button>
+                )}
+                {invitation.status === 'pending' && (
+                  <button
+                    onClick={() => handleRevoke(invitation)}
+                    className="p-1 text-gray-400 hover:text-red-600"
+                    title="Revoke invitation"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default InvitationManager;
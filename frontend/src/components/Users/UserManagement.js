@@ -1,7 +1,283 @@
-import React from 'react';
-import { Users } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Users, Plus, Search, Edit, Key, Trash2, Unlock, ShieldOff, Lock, Shield, X } from 'lucide-react';
+import { format } from 'date-fns';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import { fetchUsers, createUser, updateUser, deleteUser, setFilters } from '../../store/slices/userSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import InvitationManager from './InvitationManager';
+
+const PAGE_SIZE = 10;
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm';
+
+const isLocked = (user) => Boolean(user.lockedUntil) && new Date(user.lockedUntil) > new Date();
+
+const Modal = ({ title, onClose, children }) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+    <div className="fixed inset-0 bg-gray-600 bg-opacity-75" onClick={onClose} />
+    <div className="relative w-full max-w-md rounded-lg bg-white p-6 shadow-xl">
+      <div className="mb-4 flex items-center justify-between">
+        <h2 className="text-lg font-medium text-gray-900">{title}</h2>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <X className="h-5 w-5" />
+        </button>
+      </div>
+      {children}
+    </div>
+  </div>
+);
+
+// Create a user, or edit the name, email and role of one
+const UserForm = ({ user, roles, canChangeRole = true, onSave, onCancel }) => {
+  const isNew = !user;
+  const [form, setForm] = useState({
+    name: user?.name || '',
+    email: user?.email || '',
+    role: user?.role || 'user',
+    password: '',
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const { password, role, ...fields } = form;
+    // An existing user may not have a name yet; only send one that was entered
+    const userData = {
+      ...fields,
+      name: fields.name.trim() || undefined,
+      ...(canChangeRole && { role }),
+      ...(isNew && { password }),
+    };
+    await onSave(userData);
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label htmlFor="user-name" className="block text-sm font-medium text-gray-700">Name</label>
+        <input
+          id="user-name"
+          type="text"
+          required={isNew}
+          minLength={2}
+          maxLength={100}
+          value={form.name}
+          onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+          className={`mt-1 ${inputClass}`}
+        />
+      </div>
+      <div>
+        <label htmlFor="user-email" className="block text-sm font-medium text-gray-700">Email</label>
+        <input
+          id="user-email"
+          type="email"
+          required
+          value={form.email}
+          onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+          className={`mt-1 ${inputClass}`}
+        />
+      </div>
+      <div>
+        <label htmlFor="user-role" className="block text-sm font-medium text-gray-700">Role</label>
+        <select
+          id="user-role"
+          value={form.role}
+          disabled={!canChangeRole}
+          onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+          className={`mt-1 ${inputClass} capitalize`}
+        >
+          {(canChangeRole ? roles : [{ name: form.role }]).map(role => (
+            <option key={role.name} value={role.name}>{role.name}</option>
+          ))}
+        </select>
+      </div>
+      {isNew && (
+        <div>
+          <label htmlFor="user-password" className="block text-sm font-medium text-gray-700">Password</label>
+          <input
+            id="user-password"
+            type="password"
+            required
+            minLength={6}
+            autoComplete="new-password"
+            value={form.password}
+            onChange={(e) => setForm(prev => ({ ...prev, password: e.target.value }))}
+            className={`mt-1 ${inputClass}`}
+          />
+        </div>
+      )}
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          {isNew ? 'Create user' : 'Save'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Set a new password for someone who can't use the reset link
+const PasswordForm = ({ user, onSave, onCancel }) => {
+  const [password, setPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave(password);
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-gray-600">
+        {user.email} will be logged out everywhere and has to log in with the new password.
+      </p>
+      <div>
+        <label htmlFor="user-new-password" className="block text-sm font-medium text-gray-700">New password</label>
+        <input
+          id="user-new-password"
+          type="password"
+          required
+          minLength={6}
+          autoComplete="new-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className={`mt-1 ${inputClass}`}
+        />
+      </div>
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+        >
+          Reset password
+        </button>
+      </div>
+    </form>
+  );
+};
 
 const UserManagement = () => {
+  const dispatch = useDispatch();
+  const { user: currentUser } = useSelector((state) => state.auth);
+  const { users, loading, pagination, filters } = useSelector((state) => state.users);
+  const [page, setPage] = useState(1);
+  const [roles, setRoles] = useState([]);
+  // { type: 'create' | 'edit' | 'password', user }
+  const [modal, setModal] = useState(null);
+
+  const ownPermissions = currentUser?.permissions || [];
+  const canManage = ownPermissions.includes('user:manage');
+
+  // Same rule as the server: only roles whose permissions you have yourself
+  const grantableRoles = roles.filter(role => role.permissions.every(permission => ownPermissions.includes(permission)));
+  const canManageUser = (user) => canManage && grantableRoles.some(role => role.name === user.role);
+
+  const loadUsers = useCallback(
+    () => dispatch(fetchUsers({ ...filters, page, limit: PAGE_SIZE })),
+    [dispatch, filters, page]
+  );
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  useEffect(() => {
+    api.get('/roles')
+      .then(response => setRoles(response.data.data))
+      .catch(error => console.error('Error fetching roles:', error));
+  }, []);
+
+  const changeFilters = (changes) => {
+    dispatch(setFilters(changes));
+    setPage(1);
+  };
+
+  const handleCreate = async (userData) => {
+    try {
+      await dispatch(createUser(userData)).unwrap();
+      toast.success('User created successfully');
+      setModal(null);
+      loadUsers();
+    } catch (error) {
+      console.error('Error creating user:', error);
+    }
+  };
+
+  const handleUpdate = async (user, userData, message = 'User updated successfully') => {
+    try {
+      await dispatch(updateUser({ userId: user._id, userData })).unwrap();
+      toast.success(message);
+      setModal(null);
+    } catch (error) {
+      console.error('Error updating user:', error);
+    }
+  };
+
+  const handleDelete = async (user) => {
+    const { assigned } = user.taskCounts || {};
+    const warning = assigned ? ` ${assigned} ${assigned === 1 ? 'task is' : 'tasks are'} assigned to them and will have no assignee.` : '';
+    if (!window.confirm(`Delete ${user.email}? This cannot be undone.${warning}`)) return;
+
+    try {
+      await dispatch(deleteUser(user._id)).unwrap();
+      toast.success('User deleted successfully');
+      // Fill the page up again, or step back if it is now empty
+      if (users.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        loadUsers();
+      }
+    } catch (error) {
+      console.error('Error deleting user:', error);
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      await api.post(`/users/${user._id}/unlock`);
+      toast.success(`${user.email} can log in again`);
+      loadUsers();
+    } catch (error) {
+      console.error('Error unlocking user:', error);
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Reset two-factor authentication for ${user.email}? They will be logged out and can set it up again.`)) return;
+
+    try {
+      await api.delete(`/users/${user._id}/two-factor`);
+      toast.success('Two-factor authentication reset');
+      loadUsers();
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+    }
+  };
+
   return (
     <div>
       <div className="sm:flex sm:items-center mb-6">
@@ -11,19 +287,216 @@ const UserManagement = () => {
             Manage users and their roles in the system
           </p>
         </div>
+        {canManage && (
+          <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
+            <button
+              onClick={() => setModal({ type: 'create' })}
+              className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+            >
+              <Plus className="mr-2 h-4 w-4" />
+              New user
+            </button>
+          </div>
+        )}
       </div>
 
-      <div className="bg-white shadow rounded-lg">
-        <div className="px-6 py-12 text-center">
-          <Users className="mx-auto h-12 w-12 text-gray-400" />
-          <h3 className="mt-2 text-sm font-medium text-gray-900">
-            User Management
-          </h3>
-          <p className="mt-1 text-sm text-gray-500">
-            User management functionality will be implemented here.
-          </p>
+      {/* Filters */}
+      <div className="bg-white shadow rounded-lg p-4 mb-6">
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div className="relative">
+            <Search className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+            <input
+              type="text"
+              placeholder="Search by name or email..."
+              value={filters.search}
+              onChange={(e) => changeFilters({ search: e.target.value })}
+              className={`pl-10 ${inputClass}`}
+            />
+          </div>
+          <select
+            value={filters.role}
+            onChange={(e) => changeFilters({ role: e.target.value })}
+            className={`${inputClass} capitalize`}
+          >
+            <option value="">All roles</option>
+            {roles.map(role => (
+              <option key={role.name} value={role.name}>{role.name}</option>
+            ))}
+          </select>
         </div>
       </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        {loading && users.length === 0 ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : users.length === 0 ? (
+          <div className="px-6 py-12 text-center">
+            <Users className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No users match the filters.</p>
+          </div>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">User</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">Role</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">Tasks</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium uppercase tracking-wider text-gray-500">Joined</th>
+                    {canManage && <th className="px-6 py-3" />}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 bg-white">
+                  {users.map(user => {
+                    const manageable = canManageUser(user);
+                    const isSelf = user._id === currentUser?._id;
+
+                    return (
+                      <tr key={user._id}>
+                        <td className="px-6 py-4">
+                          <div className="text-sm font-medium text-gray-900">{user.name || user.email}</div>
+                          {user.name && <div className="text-sm text-gray-500">{user.email}</div>}
+                          <div className="mt-1 flex flex-wrap gap-1">
+                            {isLocked(user) && (
+                              <span className="inline-flex items-center px-1.5 py-0.5 text-xs rounded bg-red-100 text-red-700">
+                                <Lock className="mr-1 h-3 w-3" />
+                                Locked
+                              </span>
+                            )}
+                            {user.twoFactor?.enabled && (
+                              <span className="inline-flex items-center px-1.5 py-0.5 text-xs rounded bg-green-100 text-green-700">
+                                <Shield className="mr-1 h-3 w-3" />
+                                2FA
+                              </span>
+                            )}
+                            {!user.emailVerified && (
+                              <span className="px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">Unverified</span>
+                            )}
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {/* Changing your own role could lock you out of this page */}
+                          {manageable && !isSelf ? (
+                            <select
+                              value={user.role}
+                              onChange={(e) => handleUpdate(user, { role: e.target.value }, 'Role changed')}
+                              className="rounded-md border-gray-300 py-1 text-sm capitalize shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+                            >
+                              {grantableRoles.map(role => (
+                                <option key={role.name} value={role.name}>{role.name}</option>
+                              ))}
+                            </select>
+                          ) : (
+                            <span className="capitalize">{user.role}</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-900">
+                          {user.taskCounts?.assigned ?? 0}
+                          <span className="text-gray-500"> ({user.taskCounts?.open ?? 0} open)</span>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-gray-500">
+                          {format(new Date(user.createdAt), 'MMM d, yyyy')}
+                        </td>
+                        {canManage && (
+                          <td className="px-6 py-4 text-right">
+                            {manageable && (
+                              <div className="flex justify-end space-x-2">
+                                {isLocked(user) && (
+                                  <button onClick={() => handleUnlock(user)} title="Unlock" className="text-gray-400 hover:text-indigo-600">
+                                    <Unlock className="h-4 w-4" />
+                                  </button>
+                                )}
+                                {user.twoFactor?.enabled && (
+                                  <button onClick={() => handleResetTwoFactor(user)} title="Reset two-factor authentication" className="text-gray-400 hover:text-indigo-600">
+                                    <ShieldOff className="h-4 w-4" />
+                                  </button>
+                                )}
+                                <button onClick={() => setModal({ type: 'edit', user })} title="Edit" className="text-gray-400 hover:text-indigo-600">
+                                  <Edit className="h-4 w-4" />
+                                </button>
+                                <button onClick={() => setModal({ type: 'password', user })} title="Reset password" className="text-gray-400 hover:text-indigo-600">
+                                  <Key className="h-4 w-4" />
+                                </button>
+                                {!isSelf && (
+                                  <button onClick={() => handleDelete(user)} title="Delete" className="text-gray-400 hover:text-red-600">
+                                    <Trash2 className="h-4 w-4" />
+                                  </button>
+                                )}
+                              </div>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Pagination */}
+            {pagination.totalPages > 1 && (
+              <div className="bg-white px-4 py-3 flex items-center justify-between border-t border-gray-200 sm:px-6">
+                <p className="text-sm text-gray-700">
+                  Showing page <span className="font-medium">{pagination.currentPage}</span> of{' '}
+                  <span className="font-medium">{pagination.totalPages}</span>
+                  {' '}({pagination.totalItems} total users)
+                </p>
+                <nav className="relative z-0 inline-flex rounded-md shadow-sm -space-x-px">
+                  <button
+                    onClick={() => setPage(page - 1)}
+                    disabled={!pagination.hasPrevPage}
+                    className="relative inline-flex items-center px-2 py-2 rounded-l-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Previous
+                  </button>
+                  <button
+                    onClick={() => setPage(page + 1)}
+                    disabled={!pagination.hasNextPage}
+                    className="relative inline-flex items-center px-2 py-2 rounded-r-md border border-gray-300 bg-white text-sm font-medium text-gray-500 hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </nav>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {modal?.type === 'create' && (
+        <Modal title="New user" onClose={() => setModal(null)}>
+          <UserForm roles={grantableRoles} onSave={handleCreate} onCancel={() => setModal(null)} />
+        </Modal>
+      )}
+      {modal?.type === 'edit' && (
+        <Modal title={`Edit ${modal.user.email}`} onClose={() => setModal(null)}>
+          <UserForm
+            user={modal.user}
+            roles={grantableRoles}
+            canChangeRole={modal.user._id !== currentUser?._id}
+            onSave={(userData) => handleUpdate(modal.user, userData)}
+            onCancel={() => setModal(null)}
+          />
+        </Modal>
+      )}
+      {modal?.type === 'password' && (
+        <Modal title="Reset password" onClose={() => setModal(null)}>
+          <PasswordForm
+            user={modal.user}
+            onSave={(password) => handleUpdate(modal.user, { password }, 'Password reset')}
+            onCancel={() => setModal(null)}
+          />
+        </Modal>
+      )}
+
+      {ownPermissions.includes('invitation:manage') && (
+        <div className="mt-6">
+          <InvitationManager />
+        </div>
+      )}
     </div>
   );
 };
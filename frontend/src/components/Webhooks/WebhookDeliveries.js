@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ChevronDown, ChevronRight, RefreshCw, Send } from 'lucide-react';
+import { format } from 'date-fns';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const statusClasses = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  succeeded: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+};
+
+const Delivery = ({ delivery, canRedeliver, onRedeliver }) => {
+  const [open, setOpen] = useState(false);
+  const Chevron = open ? ChevronDown : ChevronRight;
+  const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+  return (
+    <li className="px-4 py-3">
+      <div className="flex items-center justify-between">
+        <button
+          onClick={() => setOpen(prev => !prev)}
+          className="flex min-w-0 items-center text-left"
+        >
+          <Chevron className="mr-2 h-4 w-4 flex-shrink-0 text-gray-400" />
+          <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${statusClasses[delivery.status]}`}>
+            {delivery.status}
+          </span>
+          <span className="ml-2 text-sm font-mono text-gray-900">{delivery.event}</span>
+          <span className="ml-2 text-xs text-gray-500 truncate">
+            {format(new Date(delivery.createdAt), 'MMM d, HH:mm:ss')}
+            {' · '}
+            {delivery.attempts.length} {delivery.attempts.length === 1 ? 'attempt' : 'attempts'}
+            {lastAttempt?.responseStatus ? ` · HTTP ${lastAttempt.responseStatus}` : ''}
+            {delivery.redeliveryOf ? ' · redelivery' : ''}
+          </span>
+        </button>
+        <button
+          onClick={() => onRedeliver(delivery)}
+          disabled={!canRedeliver}
+          className="ml-4 inline-flex items-center text-xs font-medium text-indigo-600 hover:text-indigo-800 disabled:opacity-50"
+          title={canRedeliver ? 'Send this payload again' : 'Enable the webhook to redeliver'}
+        >
+          <Send className="mr-1 h-3 w-3" />
+          Redeliver
+        </button>
+      </div>
+
+      {open && (
+        <div className="mt-3 ml-6 space-y-3">
+          {delivery.status === 'pending' && delivery.nextAttemptAt && (
+            <p className="text-xs text-gray-500">
+              Next attempt at {format(new Date(delivery.nextAttemptAt), 'MMM d, HH:mm:ss')}
+            </p>
+          )}
+          {delivery.attempts.length > 0 && (
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="pr-4 font-medium">Time</th>
+                  <th className="pr-4 font-medium">Response</th>
+                  <th className="pr-4 font-medium">Duration</th>
+                  <th className="font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-700">
+                {delivery.attempts.map((attempt, index) => (
+                  <tr key={index} className="align-top">
+                    <td className="pr-4 whitespace-nowrap">{format(new Date(attempt.at), 'MMM d, HH:mm:ss')}</td>
+                    <td className="pr-4">{attempt.responseStatus ?? '—'}</td>
+                    <td className="pr-4">{attempt.durationMs != null ? `${attempt.durationMs} ms` : '—'}</td>
+                    <td className="break-all">
+                      {attempt.error && <span className="block text-red-600">{attempt.error}</span>}
+                      {attempt.responseBody && <code className="block font-mono">{attempt.responseBody}</code>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <pre className="max-h-64 overflow-auto rounded bg-gray-50 p-3 text-xs font-mono text-gray-800">
+            {JSON.stringify(delivery.payload, null, 2)}
+          </pre>
+        </div>
+      )}
+    </li>
+  );
+};
+
+// Recent deliveries of one webhook, newest first
+const WebhookDeliveries = ({ webhook }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [page, setPage] = useState(1);
+  const [status, setStatus] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  const fetchDeliveries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = new URLSearchParams({ page, limit: 20 });
+      if (status) params.append('status', status);
+      const response = await api.get(`/webhooks/${webhook._id}/deliveries?${params}`);
+      setDeliveries(response.data.data.deliveries);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [webhook._id, page, status]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      await api.post(`/webhooks/${webhook._id}/deliveries/${delivery._id}/redeliver`);
+      toast.success('Delivery queued');
+      if (page === 1) fetchDeliveries();
+      else setPage(1);
+    } catch (error) {
+      console.error('Error redelivering webhook:', error);
+    }
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-gray-900">Recent deliveries</h3>
+        <div className="flex items-center space-x-2">
+          <select
+            value={status}
+            onChange={(e) => {
+              setStatus(e.target.value);
+              setPage(1);
+            }}
+            className="rounded-md border-gray-300 text-xs shadow-sm focus:border-indigo-500 focus:ring-indigo-500"
+          >
+            <option value="">All</option>
+            <option value="pending">Pending</option>
+            <option value="succeeded">Succeeded</option>
+            <option value="failed">Failed</option>
+          </select>
+          <button
+            onClick={fetchDeliveries}
+            className="p-1 text-gray-400 hover:text-gray-600"
+            title="Refresh"
+          >
+            <RefreshCw className="h-4 w-4" />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <LoadingSpinner />
+        </div>
+      ) : deliveries.length === 0 ? (
+        <p className="mt-3 text-sm text-gray-500">No deliveries yet</p>
+      ) : (
+        <ul className="mt-3 divide-y divide-gray-200 rounded-md border border-gray-200">
+          {deliveries.map(delivery => (
+            <Delivery
+              key={delivery._id}
+              delivery={delivery}
+              canRedeliver={webhook.active}
+              onRedeliver={handleRedeliver}
+            />
+          ))}
+        </ul>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="mt-3 flex items-center justify-between text-sm">
+          <button
+            onClick={() => setPage(prev => prev - 1)}
+            disabled={!pagination.hasPrevPage}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Newer
+          </button>
+          <span className="text-gray-500">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <button
+            onClick={() => setPage(prev => prev + 1)}
+            disabled={!pagination.hasNextPage}
+            className="px-3 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Older
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookDeliveries;
@@ -0,0 +1,362 @@
+import React, { useState, useEffect } from 'react';
+import { Webhook as WebhookIcon, Plus, Trash2, Check, Copy, X, KeyRound } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { api } from '../../services/api';
+import { toast } from 'react-hot-toast';
+import LoadingSpinner from '../Common/LoadingSpinner';
+import WebhookDeliveries from './WebhookDeliveries';
+
+const inputClass = 'block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm';
+
+const emptyWebhook = { name: '', url: '', events: [], active: true };
+
+const lastDeliveryClasses = {
+  pending: 'text-yellow-700',
+  succeeded: 'text-green-700',
+  failed: 'text-red-700',
+};
+
+// Name, URL, events and on/off switch of one webhook
+const WebhookEditor = ({ webhook, catalog, isNew, onSave, onDelete, onRotateSecret, onCancel }) => {
+  const [form, setForm] = useState(webhook);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    setForm(webhook);
+  }, [webhook]);
+
+  const toggleEvent = (name) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(name)
+        ? prev.events.filter(event => event !== name)
+        : [...prev.events, name],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.events.length === 0) {
+      toast.error('Choose at least one event');
+      return;
+    }
+
+    setSaving(true);
+    await onSave(form);
+    setSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <label htmlFor="webhook-name" className="block text-sm font-medium text-gray-700">Name</label>
+          <input
+            id="webhook-name"
+            type="text"
+            required
+            maxLength={100}
+            value={form.name}
+            onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Chat notifications"
+            className={`mt-1 ${inputClass}`}
+          />
+        </div>
+        <div>
+          <label htmlFor="webhook-url" className="block text-sm font-medium text-gray-700">Payload URL</label>
+          <input
+            id="webhook-url"
+            type="url"
+            required
+            value={form.url}
+            onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+            placeholder="https://example.com/hooks/tasks"
+            className={`mt-1 ${inputClass}`}
+          />
+        </div>
+      </div>
+
+      <fieldset>
+        <legend className="text-sm font-medium text-gray-700">Events</legend>
+        <div className="mt-2 grid grid-cols-1 gap-2 sm:grid-cols-2">
+          {catalog.map(event => (
+            <label key={event.name} className="flex items-start">
+              <input
+                type="checkbox"
+                checked={form.events.includes(event.name)}
+                onChange={() => toggleEvent(event.name)}
+                className="mt-0.5 h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+              />
+              <span className="ml-2">
+                <span className="block text-sm font-mono text-gray-900">{event.name}</span>
+                <span className="block text-xs text-gray-500">{event.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+      </fieldset>
+
+      <label className="flex items-center">
+        <input
+          type="checkbox"
+          checked={form.active}
+          onChange={(e) => setForm(prev => ({ ...prev, active: e.target.checked }))}
+          className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+        />
+        <span className="ml-2 text-sm text-gray-700">Active</span>
+      </label>
+
+      <div className="flex items-center justify-between">
+        <div className="flex space-x-2">
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-3 py-2 border border-transparent rounded-md text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Check className="mr-1 h-4 w-4" />
+            {isNew ? 'Create webhook' : 'Save'}
+          </button>
+          {isNew && (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+        {!isNew && (
+          <div className="flex space-x-2">
+            <button
+              type="button"
+              onClick={() => onRotateSecret(webhook)}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-gray-600 hover:text-gray-800"
+            >
+              <KeyRound className="mr-1 h-4 w-4" />
+              New secret
+            </button>
+            <button
+              type="button"
+              onClick={() => onDelete(webhook)}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium text-red-600 hover:text-red-800"
+            >
+              <Trash2 className="mr-1 h-4 w-4" />
+              Delete webhook
+            </button>
+          </div>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const WebhookManagement = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState(null); // 'new' while creating
+  // The signing secret is only known right after creating or replacing it
+  const [newSecret, setNewSecret] = useState(null);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, []);
+
+  const fetchWebhooks = async () => {
+    try {
+      const [webhooksResponse, catalogResponse] = await Promise.all([
+        api.get('/webhooks'),
+        api.get('/webhooks/events'),
+      ]);
+      setWebhooks(webhooksResponse.data.data);
+      setCatalog(catalogResponse.data.data);
+      setSelectedId(prev => prev || webhooksResponse.data.data[0]?._id || null);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+      toast.error('Failed to fetch webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (form) => {
+    const body = { name: form.name, url: form.url, events: form.events, active: form.active };
+    try {
+      if (selectedId === 'new') {
+        const response = await api.post('/webhooks', body);
+        toast.success('Webhook created successfully');
+        setNewSecret(response.data.data.secret);
+        setSelectedId(response.data.data.webhook._id);
+      } else {
+        await api.put(`/webhooks/${selectedId}`, body);
+        toast.success('Webhook updated successfully');
+      }
+      fetchWebhooks();
+    } catch (error) {
+      console.error('Error saving webhook:', error);
+    }
+  };
+
+  const handleRotateSecret = async (webhook) => {
+    if (!window.confirm(`Replace the secret of "${webhook.name}"? The receiver must be updated to verify new deliveries.`)) return;
+
+    try {
+      const response = await api.post(`/webhooks/${webhook._id}/secret`);
+      setNewSecret(response.data.data.secret);
+    } catch (error) {
+      console.error('Error replacing webhook secret:', error);
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Delete the webhook "${webhook.name}" and its delivery log?`)) return;
+
+    try {
+      await api.delete(`/webhooks/${webhook._id}`);
+      toast.success('Webhook deleted successfully');
+      setSelectedId(null);
+      setNewSecret(null);
+      fetchWebhooks();
+    } catch (error) {
+      console.error('Error deleting webhook:', error);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newSecret);
+      toast.success('Secret copied');
+    } catch (error) {
+      toast.error('Could not copy to the clipboard');
+    }
+  };
+
+  const select = (id) => {
+    setSelectedId(id);
+    setNewSecret(null);
+  };
+
+  const selected = selectedId === 'new' ? emptyWebhook : webhooks.find(webhook => webhook._id === selectedId);
+
+  return (
+    <div>
+      <div className="sm:flex sm:items-center mb-6">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-bold text-gray-900">Webhooks</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Send task events to other systems as signed HTTP POST requests
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
+          <button
+            onClick={() => select('new')}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700"
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            New webhook
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 gap-6 lg:grid-cols-3">
+          <ul className="bg-white shadow rounded-lg divide-y divide-gray-200 self-start">
+            {webhooks.length === 0 && (
+              <li className="px-4 py-3 text-sm text-gray-500">No webhooks yet</li>
+            )}
+            {webhooks.map(webhook => (
+              <li key={webhook._id}>
+                <button
+                  onClick={() => select(webhook._id)}
+                  className={`w-full px-4 py-3 text-left hover:bg-gray-50 ${selectedId === webhook._id ? 'bg-indigo-50' : ''}`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="flex items-center min-w-0 text-sm font-medium text-gray-900">
+                      <WebhookIcon className="mr-2 h-4 w-4 flex-shrink-0 text-gray-400" />
+                      <span className="truncate">{webhook.name}</span>
+                    </span>
+                    {!webhook.active && (
+                      <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-gray-100 text-gray-600">
+                        Disabled
+                      </span>
+                    )}
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500 truncate">{webhook.url}</p>
+                  {webhook.lastDelivery && (
+                    <p className={`mt-1 text-xs ${lastDeliveryClasses[webhook.lastDelivery.status]}`}>
+                      Last delivery {webhook.lastDelivery.status}
+                      {' '}
+                      {formatDistanceToNow(new Date(webhook.lastDelivery.updatedAt), { addSuffix: true })}
+                    </p>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="space-y-6 lg:col-span-2">
+            {newSecret && (
+              <div className="rounded-md border border-yellow-200 bg-yellow-50 p-4">
+                <p className="text-sm font-medium text-yellow-800">
+                  Copy the signing secret now. It will not be shown again.
+                </p>
+                <div className="mt-2 flex items-center space-x-2">
+                  <code className="flex-1 min-w-0 truncate rounded bg-white px-2 py-1 text-sm font-mono text-gray-900 border border-yellow-200">
+                    {newSecret}
+                  </code>
+                  <button
+                    onClick={handleCopy}
+                    className="p-1 text-gray-500 hover:text-gray-700"
+                    title="Copy secret"
+                  >
+                    <Copy className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => setNewSecret(null)}
+                    className="p-1 text-gray-500 hover:text-gray-700"
+                    title="Done"
+                  >
+                    <X className="h-4 w-4" />
+                  </button>
+                </div>
+                <p className="mt-2 text-xs text-yellow-800">
+                  Each request carries <code>X-Webhook-Signature: sha256=&lt;hex&gt;</code>, the HMAC-SHA256 of{' '}
+                  <code>&lt;X-Webhook-Timestamp&gt;.&lt;body&gt;</code> keyed with this secret.
+                </p>
+              </div>
+            )}
+
+            <div className="bg-white shadow rounded-lg p-6">
+              {selected ? (
+                <WebhookEditor
+                  webhook={selected}
+                  catalog={catalog}
+                  isNew={selectedId === 'new'}
+                  onSave={handleSave}
+                  onDelete={handleDelete}
+                  onRotateSecret={handleRotateSecret}
+                  onCancel={() => select(webhooks[0]?._id || null)}
+                />
+              ) : (
+                <p className="text-sm text-gray-500">Select a webhook to edit it</p>
+              )}
+            </div>
+
+            {selected && selectedId !== 'new' && (
+              <div className="bg-white shadow rounded-lg p-6">
+                <WebhookDeliveries key={selected._id} webhook={selected} />
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookManagement;
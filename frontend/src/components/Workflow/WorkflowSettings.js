@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import { useSelector, useDispatch } from 'react-redux';
+import { Plus, Trash2, Save } from 'lucide-react';
+import { toast } from 'react-hot-toast';
+import { fetchWorkflow, updateWorkflow } from '../../store/slices/workflowSlice';
+import LoadingSpinner from '../Common/LoadingSpinner';
+
+const CATEGORIES = [
+  { value: 'todo', label: 'To do' },
+  { value: 'in_progress', label: 'In progress' },
+  { value: 'done', label: 'Done' }
+];
+
+const emptyState = { key: '', name: '', color: '#6b7280', category: 'in_progress' };
+
+const transitionId = (from, to) => `${from}→${to}`;
+
+const WorkflowSettings = () => {
+  const dispatch = useDispatch();
+  const workflow = useSelector((state) => state.workflow);
+  const [states, setStates] = useState([]);
+  const [transitions, setTransitions] = useState(new Set());
+  const [initialState, setInitialState] = useState('');
+  const [stateMapping, setStateMapping] = useState({});
+  const [newState, setNewState] = useState(emptyState);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    dispatch(fetchWorkflow());
+  }, [dispatch]);
+
+  // Start editing from the saved workflow whenever it (re)loads
+  useEffect(() => {
+    setStates(workflow.states.map(state => ({ ...state })));
+    setTransitions(new Set(workflow.transitions.map(({ from, to }) => transitionId(from, to))));
+    setInitialState(workflow.initialState);
+    setStateMapping({});
+  }, [workflow.states, workflow.transitions, workflow.initialState]);
+
+  const keys = states.map(state => state.key);
+  const removedStates = workflow.states.filter(state => !keys.includes(state.key));
+
+  const updateState = (key, field, value) => {
+    setStates(prev => prev.map(state => (state.key === key ? { ...state, [field]: value } : state)));
+  };
+
+  const removeState = (key) => {
+    setStates(prev => prev.filter(state => state.key !== key));
+    setTransitions(prev => new Set([...prev].filter(id => !id.startsWith(`${key}→`) && !id.endsWith(`→${key}`))));
+    if (initialState === key) {
+      setInitialState('');
+    }
+  };
+
+  const handleAddState = (e) => {
+    e.preventDefault();
+    const key = newState.key.trim();
+    if (!key || !newState.name.trim()) return;
+
+    if (!/^[a-z][a-z0-9_]*$/.test(key)) {
+      toast.error('State keys must start with a letter and contain only lowercase letters, digits and underscores');
+      return;
+    }
+    if (keys.includes(key)) {
+      toast.error(`State "${key}" already exists`);
+      return;
+    }
+
+    setStates(prev => [...prev, { ...newState, key, name: newState.name.trim() }]);
+    setNewState(emptyState);
+  };
+
+  const toggleTransition = (from, to) => {
+    const id = transitionId(from, to);
+    setTransitions(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await dispatch(updateWorkflow({
+        states,
+        transitions: [...transitions].map(id => {
+          const [from, to] = id.split('→');
+          return { from, to };
+        }),
+        initialState,
+        stateMapping
+      })).unwrap();
+      toast.success('Workflow updated successfully');
+    } catch (error) {
+      toast.error(error || 'Failed to update workflow');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (workflow.loading && workflow.states.length === 0) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="sm:flex sm:items-center">
+        <div className="sm:flex-auto">
+          <h1 className="text-2xl font-bold text-gray-900">Workflow</h1>
+          <p className="mt-2 text-sm text-gray-700">
+            Define the states tasks move through and which moves are allowed
+          </p>
+        </div>
+        <div className="mt-4 sm:mt-0 sm:ml-16 sm:flex-none">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50"
+          >
+            <Save className="mr-2 h-4 w-4" />
+            {saving ? 'Saving...' : 'Save Workflow'}
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white shadow rounded-lg overflow-hidden">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">States</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            The category decides what a state means: tasks in a done state count as completed.
+          </p>
+        </div>
+        <ul className="divide-y divide-gray-200">
+          {states.map(state => (
+            <li key={state.key} className="px-6 py-3 flex flex-wrap items-center gap-3">
+              <code className="w-32 text-sm text-gray-500">{state.key}</code>
+              <input
+                type="text"
+                value={state.name}
+                onChange={(e) => updateState(state.key, 'name', e.target.value)}
+                maxLength={50}
+                className="block w-48 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+              />
+              <input
+                type="color"
+                value={state.color}
+                onChange={(e) => updateState(state.key, 'color', e.target.value)}
+                className="h-8 w-10 cursor-pointer"
+                title="State colour"
+              />
+              <select
+                value={state.category}
+                onChange={(e) => updateState(state.key, 'category', e.target.value)}
+                className="block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+              >
+                {CATEGORIES.map(category => (
+                  <option key={category.value} value={category.value}>{category.label}</option>
+                ))}
+              </select>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="radio"
+                  name="initialState"
+                  checked={initialState === state.key}
+                  onChange={() => setInitialState(state.key)}
+                  disabled={state.category === 'done'}
+                  className="mr-1 text-indigo-600 focus:ring-indigo-500"
+                />
+                Initial
+              </label>
+              <button
+                onClick={() => removeState(state.key)}
+                className="ml-auto text-gray-400 hover:text-red-600"
+                title="Remove state"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <form onSubmit={handleAddState} className="px-6 py-4 border-t border-gray-200 flex flex-wrap items-center gap-3">
+          <input
+            type="text"
+            value={newState.key}
+            onChange={(e) => setNewState(prev => ({ ...prev, key: e.target.value }))}
+            placeholder="key, e.g. review"
+            maxLength={30}
+            className="block w-32 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          />
+          <input
+            type="text"
+            value={newState.name}
+            onChange={(e) => setNewState(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Name, e.g. In Review"
+            maxLength={50}
+            className="block w-48 rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          />
+          <input
+            type="color"
+            value={newState.color}
+            onChange={(e) => setNewState(prev => ({ ...prev, color: e.target.value }))}
+            className="h-8 w-10 cursor-pointer"
+            title="State colour"
+          />
+          <select
+            value={newState.category}
+            onChange={(e) => setNewState(prev => ({ ...prev, category: e.target.value }))}
+            className="block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+          >
+            {CATEGORIES.map(category => (
+              <option key={category.value} value={category.value}>{category.label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={!newState.key.trim() || !newState.name.trim()}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            <Plus className="mr-1 h-4 w-4" />
+            Add State
+          </button>
+        </form>
+      </div>
+
+      {removedStates.length > 0 && (
+        <div className="bg-white shadow rounded-lg p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-1">Removed states</h3>
+          <p className="text-sm text-gray-500 mb-4">
+            Choose where tasks that are still in a removed state should go.
+          </p>
+          <div className="space-y-2">
+            {removedStates.map(removed => (
+              <div key={removed.key} className="flex items-center space-x-3 text-sm">
+                <span className="w-40 text-gray-700">{removed.name}</span>
+                <span className="text-gray-400">→</span>
+                <select
+                  value={stateMapping[removed.key] || ''}
+                  onChange={(e) => setStateMapping(prev => ({ ...prev, [removed.key]: e.target.value }))}
+                  className="block rounded-md border-gray-300 shadow-sm focus:border-indigo-500 focus:ring-indigo-500 sm:text-sm"
+                >
+                  <option value="">Not mapped</option>
+                  {states.map(state => (
+                    <option key={state.key} value={state.key}>{state.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white shadow rounded-lg overflow-x-auto">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h3 className="text-lg font-medium text-gray-900">Allowed transitions</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Tick a box to allow moving a task from the row's state to the column's state.
+          </p>
+        </div>
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                From \ To
+              </th>
+              {states.map(state => (
+                <th key={state.key} className="px-3 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {state.name}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {states.map(from => (
+              <tr key={from.key}>
+                <td className="px-6 py-3 text-sm font-medium text-gray-900">{from.name}</td>
+                {states.map(to => (
+                  <td key={to.key} className="px-3 py-3 text-center">
+                    {from.key === to.key ? (
+                      <span className="text-gray-300">—</span>
+                    ) : (
+                      <input
+                        type="checkbox"
+                        checked={transitions.has(transitionId(from.key, to.key))}
+                        onChange={() => toggleTransition(from.key, to.key)}
+                        className="h-4 w-4 rounded border-gray-300 text-indigo-600 focus:ring-indigo-500"
+                      />
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default WorkflowSettings;
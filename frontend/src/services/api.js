@@ -24,19 +24,61 @@ api.interceptors.request.use(
   }
 );
 
+// Auth endpoints whose 401s mean "wrong credentials", not "access token expired"
+const NO_REFRESH_PATHS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout', '/auth/2fa/verify', '/auth/sso/exchange'];
+
+// Requests that fail while a refresh is running wait for that same refresh:
+// refresh tokens are single-use, and presenting one twice ends the session
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${api.defaults.baseURL}/auth/refresh`, { refreshToken })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        const { token, refreshToken: nextRefreshToken } = response.data.data;
+        localStorage.setItem('token', token);
+        localStorage.setItem('refreshToken', nextRefreshToken);
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 // Response interceptor to handle errors globally
 api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    const { response } = error;
+  async (error) => {
+    const { response, config } = error;
+
+    // Expired access token: refresh it once and replay the request
+    if (response?.status === 401 && config && !config._retried && !NO_REFRESH_PATHS.includes(config.url)) {
+      try {
+        const token = await refreshAccessToken();
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch (refreshError) {
+        // Fall through to the session expired handling below
+      }
+    }
 
     if (response) {
       switch (response.status) {
         case 401:
-          // Token expired or invalid
+          // Token expired or invalid, and it could not be refreshed
+          if (NO_REFRESH_PATHS.includes(config?.url)) {
+            break;
+          }
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           if (window.location.pathname !== '/login' && window.location.pathname !== '/register') {
             toast.error('Session expired. Please login again.');
             window.location.href = '/login';
@@ -7,12 +7,33 @@ const authService = {
     return response.data;
   },
 
+  // Registration mode, and the invitation behind an invite token if given
+  getRegistrationOptions: async (invite) => {
+    const response = await api.get('/auth/registration', { params: invite ? { invite } : {} });
+    return response.data;
+  },
+
   // Login user
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
     return response.data;
   },
 
+  // Whether single sign-on is configured, and the provider's name
+  getSsoStatus: async () => {
+    const response = await api.get('/auth/sso');
+    return response.data;
+  },
+
+  // Where the browser goes to start a single sign-on login
+  ssoLoginUrl: () => `${api.defaults.baseURL}/auth/sso/login`,
+
+  // Finish a single sign-on login with the code from the callback redirect
+  exchangeSsoCode: async (code) => {
+    const response = await api.post('/auth/sso/exchange', { code });
+    return response.data;
+  },
+
   // Verify token
   verifyToken: async () => {
     const response = await api.get('/auth/verify-token');
@@ -31,9 +52,73 @@ const authService = {
     return response.data;
   },
 
-  // Logout (client-side only - remove token)
-  logout: () => {
-    localStorage.removeItem('token');
+  // Email a password reset link
+  forgotPassword: async (email) => {
+    const response = await api.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  // Set a new password with the token from the reset link
+  resetPassword: async (token, password) => {
+    const response = await api.post('/auth/reset-password', { token, password });
+    return response.data;
+  },
+
+  // Confirm an email address with the token from the verification link
+  verifyEmail: async (token) => {
+    const response = await api.get('/auth/verify-email', { params: { token } });
+    return response.data;
+  },
+
+  // Send a new verification link to the current user
+  resendVerification: async () => {
+    const response = await api.post('/auth/resend-verification');
+    return response.data;
+  },
+
+  // Finish a two-factor login with a TOTP `code` or a `recoveryCode`
+  verifyTwoFactor: async (challengeToken, { code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/verify', { challengeToken, code, recoveryCode });
+    return response.data;
+  },
+
+  getTwoFactorStatus: async () => {
+    const response = await api.get('/auth/2fa');
+    return response.data;
+  },
+
+  // Start enrollment: returns the secret and a QR code for the authenticator app
+  setupTwoFactor: async () => {
+    const response = await api.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  // Confirm enrollment with a code; returns the recovery codes
+  enableTwoFactor: async (code) => {
+    const response = await api.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  disableTwoFactor: async ({ password, code, recoveryCode }) => {
+    const response = await api.post('/auth/2fa/disable', { password, code, recoveryCode });
+    return response.data;
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    const response = await api.post('/auth/2fa/recovery-codes', { code });
+    return response.data;
+  },
+
+  // Recent login attempts on the current user's account, newest first
+  getLoginHistory: async (params = {}) => {
+    const response = await api.get('/auth/login-history', { params });
+    return response.data;
+  },
+
+  // Logout: revoke the session server-side, so its tokens stop working
+  logout: async (refreshToken) => {
+    const response = await api.post('/auth/logout', { refreshToken });
+    return response.data;
   },
 };
 
@@ -3,6 +3,11 @@ import toast from 'react-hot-toast';
 
 let socket = null;
 
+// Handlers added by components through onSocketEvent. They are attached to
+// every socket created here, so they also work when the socket is set up
+// after the component mounted or is replaced at login.
+const subscriptions = new Set();
+
 export const initializeSocket = (userId) => {
   if (socket) {
     socket.disconnect();
@@ -15,9 +20,8 @@ export const initializeSocket = (userId) => {
   }
 
   socket = io(process.env.REACT_APP_API_URL?.replace('/api', '') || 'http://localhost:5000', {
-    auth: {
-      token
-    },
+    // Read the token on every (re)connect; it changes whenever it is refreshed
+    auth: (cb) => cb({ token: localStorage.getItem('token') }),
     transports: ['websocket', 'polling']
   });
 
@@ -33,19 +37,19 @@ export const initializeSocket = (userId) => {
     console.error('Socket connection error:', error);
   });
 
-  // Task-related events
-  socket.on('taskAssigned', (data) => {
-    toast.success(`New task assigned: ${data.task.title}`);
-  });
-
-  socket.on('taskUpdated', (task) => {
-    toast.info(`Task updated: ${task.title}`);
+  // Assignments, mentions, reminders etc. arrive as persisted notifications;
+  // the notification center keeps the list, this just pops them up
+  socket.on('notification', (notification) => {
+    const icons = { task_due_soon: '⏰', task_overdue: '⚠️' };
+    toast(notification.message, icons[notification.type] ? { icon: icons[notification.type] } : undefined);
   });
 
   socket.on('taskStatusChanged', (data) => {
     toast.info(`Task "${data.task.title}" status changed to ${data.task.status}`);
   });
 
+  subscriptions.forEach(({ event, handler }) => socket.on(event, handler));
+
   return socket;
 };
 
@@ -53,6 +57,19 @@ export const getSocket = () => {
   return socket;
 };
 
+// Listen to a socket event; returns a function that stops listening, for
+// useEffect cleanups
+export const onSocketEvent = (event, handler) => {
+  const subscription = { event, handler };
+  subscriptions.add(subscription);
+  socket?.on(event, handler);
+
+  return () => {
+    subscriptions.delete(subscription);
+    socket?.off(event, handler);
+  };
+};
+
 export const disconnectSocket = () => {
   if (socket) {
     socket.disconnect();
@@ -8,7 +8,12 @@ export const loginUser = createAsyncThunk(
   async (credentials, { rejectWithValue }) => {
     try {
       const response = await authService.login(credentials);
+      // The password was right, but a second factor is needed before there is a session
+      if (response.data.twoFactorRequired) {
+        return response.data;
+      }
       localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
       toast.success('Login successful!');
       return response.data;
     } catch (error) {
@@ -19,12 +24,47 @@ export const loginUser = createAsyncThunk(
   }
 );
 
+export const verifyTwoFactorLogin = createAsyncThunk(
+  'auth/verifyTwoFactor',
+  async ({ challengeToken, code, recoveryCode }, { rejectWithValue }) => {
+    try {
+      const response = await authService.verifyTwoFactor(challengeToken, { code, recoveryCode });
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      toast.success('Login successful!');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Verification failed';
+      toast.error(message);
+      return rejectWithValue(message);
+    }
+  }
+);
+
+export const completeSsoLogin = createAsyncThunk(
+  'auth/completeSso',
+  async (code, { rejectWithValue }) => {
+    try {
+      const response = await authService.exchangeSsoCode(code);
+      localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
+      toast.success('Login successful!');
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || 'Single sign-on failed';
+      toast.error(message);
+      return rejectWithValue(message);
+    }
+  }
+);
+
 export const registerUser = createAsyncThunk(
   'auth/register',
   async (userData, { rejectWithValue }) => {
     try {
       const response = await authService.register(userData);
       localStorage.setItem('token', response.data.token);
+      localStorage.setItem('refreshToken', response.data.refreshToken);
       toast.success('Registration successful!');
       return response.data;
     } catch (error) {
@@ -48,11 +88,28 @@ export const checkAuthStatus = createAsyncThunk(
       return response.data;
     } catch (error) {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       return rejectWithValue('Invalid token');
     }
   }
 );
 
+// Revoke the session on the server, then forget it locally either way
+export const logoutUser = createAsyncThunk(
+  'auth/logoutUser',
+  async (_, { dispatch }) => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      try {
+        await authService.logout(refreshToken);
+      } catch (error) {
+        console.error('Error revoking session:', error);
+      }
+    }
+    dispatch(logout());
+  }
+);
+
 export const updateProfile = createAsyncThunk(
   'auth/updateProfile',
   async (profileData, { rejectWithValue, getState }) => {
@@ -83,6 +140,7 @@ const authSlice = createSlice({
   reducers: {
     logout: (state) => {
       localStorage.removeItem('token');
+      localStorage.removeItem('refreshToken');
       state.user = null;
       state.token = null;
       state.isAuthenticated = false;
@@ -107,6 +165,9 @@ const authSlice = createSlice({
       })
       .addCase(loginUser.fulfilled, (state, action) => {
         state.loading = false;
+        if (action.payload.twoFactorRequired) {
+          return;
+        }
         state.isAuthenticated = true;
         state.user = action.payload.user;
         state.token = action.payload.token;
@@ -120,6 +181,36 @@ const authSlice = createSlice({
         state.error = action.payload;
       })
       
+      // Second step of a two-factor login
+      .addCase(verifyTwoFactorLogin.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactorLogin.fulfilled, (state, action) => {
+        state.loading = false;
+        state.isAuthenticated = true;
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.error = null;
+      })
+      .addCase(verifyTwoFactorLogin.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+
+      // Return from single sign-on. Not flagged as loading: the app swaps in
+      // its loading screen then, which would remount the callback page and
+      // spend its single-use code a second time.
+      .addCase(completeSsoLogin.fulfilled, (state, action) => {
+        state.isAuthenticated = true;
+        state.user = action.payload.user;
+        state.token = action.payload.token;
+        state.error = null;
+      })
+      .addCase(completeSsoLogin.rejected, (state, action) => {
+        state.error = action.payload;
+      })
+
       // Register
       .addCase(registerUser.pending, (state) => {
         state.loading = true;
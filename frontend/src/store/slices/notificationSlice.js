@@ -0,0 +1,91 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api } from '../../services/api';
+
+export const fetchNotifications = createAsyncThunk(
+  'notifications/fetchNotifications',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/notifications?limit=20');
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch notifications');
+    }
+  }
+);
+
+export const markNotificationRead = createAsyncThunk(
+  'notifications/markNotificationRead',
+  async ({ id, read = true }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`/notifications/${id}`, { read });
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update notification');
+    }
+  }
+);
+
+export const markAllNotificationsRead = createAsyncThunk(
+  'notifications/markAllNotificationsRead',
+  async (_, { rejectWithValue }) => {
+    try {
+      await api.patch('/notifications/read-all');
+      return new Date().toISOString();
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update notifications');
+    }
+  }
+);
+
+const initialState = {
+  notifications: [],
+  unreadCount: 0,
+  loading: false,
+  error: null
+};
+
+const notificationSlice = createSlice({
+  name: 'notifications',
+  initialState,
+  reducers: {
+    // Pushed over the socket while the user is online
+    notificationReceived: (state, action) => {
+      if (state.notifications.some(notification => notification._id === action.payload._id)) return;
+      state.notifications.unshift(action.payload);
+      state.unreadCount += 1;
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchNotifications.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchNotifications.fulfilled, (state, action) => {
+        state.loading = false;
+        state.notifications = action.payload.notifications;
+        state.unreadCount = action.payload.unreadCount;
+      })
+      .addCase(fetchNotifications.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(markNotificationRead.fulfilled, (state, action) => {
+        const { notification, unreadCount } = action.payload;
+        state.notifications = state.notifications.map(existing =>
+          (existing._id === notification._id ? notification : existing)
+        );
+        state.unreadCount = unreadCount;
+      })
+      .addCase(markAllNotificationsRead.fulfilled, (state, action) => {
+        state.notifications.forEach(notification => {
+          notification.readAt = notification.readAt || action.payload;
+        });
+        state.unreadCount = 0;
+      });
+  }
+});
+
+export const { notificationReceived } = notificationSlice.actions;
+
+export default notificationSlice.reducer;
@@ -0,0 +1,65 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api } from '../../services/api';
+
+// '' shows every visible task, 'none' only personal tasks, anything else is a project ID
+const CURRENT_PROJECT_KEY = 'currentProject';
+
+export const fetchProjects = createAsyncThunk(
+  'projects/fetchProjects',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/projects');
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch projects');
+    }
+  }
+);
+
+const initialState = {
+  projects: [],
+  currentProjectId: localStorage.getItem(CURRENT_PROJECT_KEY) || '',
+  loading: false,
+  error: null
+};
+
+const projectSlice = createSlice({
+  name: 'projects',
+  initialState,
+  reducers: {
+    setCurrentProject: (state, action) => {
+      state.currentProjectId = action.payload;
+      if (action.payload) {
+        localStorage.setItem(CURRENT_PROJECT_KEY, action.payload);
+      } else {
+        localStorage.removeItem(CURRENT_PROJECT_KEY);
+      }
+    }
+  },
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchProjects.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchProjects.fulfilled, (state, action) => {
+        state.loading = false;
+        state.projects = action.payload;
+
+        // Forget a selected project the user no longer belongs to
+        const selected = state.currentProjectId;
+        if (selected && selected !== 'none' && !action.payload.some(project => project._id === selected)) {
+          state.currentProjectId = '';
+          localStorage.removeItem(CURRENT_PROJECT_KEY);
+        }
+      })
+      .addCase(fetchProjects.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      });
+  }
+});
+
+export const { setCurrentProject } = projectSlice.actions;
+
+export default projectSlice.reducer;
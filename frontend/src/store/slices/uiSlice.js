@@ -3,7 +3,6 @@ import { createSlice } from '@reduxjs/toolkit';
 const initialState = {
   sidebarOpen: false,
   loading: false,
-  notifications: [],
   theme: 'light',
   modal: {
     isOpen: false,
@@ -22,21 +21,6 @@ const uiSlice = createSlice({
     setLoading: (state, action) => {
       state.loading = action.payload;
     },
-    addNotification: (state, action) => {
-      state.notifications.push({
-        id: Date.now(),
-        ...action.payload,
-        timestamp: new Date().toISOString()
-      });
-    },
-    removeNotification: (state, action) => {
-      state.notifications = state.notifications.filter(
-        notification => notification.id !== action.payload
-      );
-    },
-    clearNotifications: (state) => {
-      state.notifications = [];
-    },
     setTheme: (state, action) => {
       state.theme = action.payload;
     },
@@ -60,9 +44,6 @@ const uiSlice = createSlice({
 export const {
   setSidebarOpen,
   setLoading,
-  addNotification,
-  removeNotification,
-  clearNotifications,
   setTheme,
   openModal,
   closeModal
@@ -154,7 +154,8 @@ const userSlice = createSlice({
         state.loading = false;
         const index = state.users.findIndex(user => user._id === action.payload._id);
         if (index !== -1) {
-          state.users[index] = action.payload;
+          // Keep what only the list has, such as taskCounts
+          state.users[index] = { ...state.users[index], ...action.payload };
         }
         if (state.currentUser && state.currentUser._id === action.payload._id) {
           state.currentUser = action.payload;
@@ -0,0 +1,81 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api } from '../../services/api';
+
+export const fetchWorkflow = createAsyncThunk(
+  'workflow/fetchWorkflow',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/workflow');
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to fetch workflow');
+    }
+  }
+);
+
+export const updateWorkflow = createAsyncThunk(
+  'workflow/updateWorkflow',
+  async (workflow, { rejectWithValue }) => {
+    try {
+      const response = await api.put('/workflow', workflow);
+      return response.data.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data?.message || 'Failed to update workflow');
+    }
+  }
+);
+
+// Helpers for components; `workflow` is the slice state
+
+export const getWorkflowState = (workflow, key) =>
+  workflow.states.find(state => state.key === key) || null;
+
+export const isDoneStatus = (workflow, key) =>
+  getWorkflowState(workflow, key)?.category === 'done';
+
+// The states a task in `from` may move to, including staying where it is
+export const getAllowedStatuses = (workflow, from) =>
+  workflow.states.filter(state =>
+    state.key === from ||
+    workflow.transitions.some(transition => transition.from === from && transition.to === state.key)
+  );
+
+const initialState = {
+  states: [],
+  transitions: [],
+  initialState: '',
+  loading: false,
+  error: null
+};
+
+const setWorkflow = (state, workflow) => {
+  state.states = workflow.states;
+  state.transitions = workflow.transitions;
+  state.initialState = workflow.initialState;
+};
+
+const workflowSlice = createSlice({
+  name: 'workflow',
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchWorkflow.pending, (state) => {
+        state.loading = true;
+        state.error = null;
+      })
+      .addCase(fetchWorkflow.fulfilled, (state, action) => {
+        state.loading = false;
+        setWorkflow(state, action.payload);
+      })
+      .addCase(fetchWorkflow.rejected, (state, action) => {
+        state.loading = false;
+        state.error = action.payload;
+      })
+      .addCase(updateWorkflow.fulfilled, (state, action) => {
+        setWorkflow(state, action.payload);
+      });
+  }
+});
+
+export default workflowSlice.reducer;
@@ -3,6 +3,9 @@ import authSlice from './slices/authSlice';
 import taskSlice from './slices/taskSlice';
 import userSlice from './slices/userSlice';
 import uiSlice from './slices/uiSlice';
+import projectSlice from './slices/projectSlice';
+import workflowSlice from './slices/workflowSlice';
+import notificationSlice from './slices/notificationSlice';
 
 export const store = configureStore({
   reducer: {
@@ -10,6 +13,9 @@ export const store = configureStore({
     tasks: taskSlice,
     users: userSlice,
     ui: uiSlice,
+    projects: projectSlice,
+    workflow: workflowSlice,
+    notifications: notificationSlice,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({